@@ -1,47 +1,92 @@
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
-const FormData = require('form-data');
+
+// Base URL of the voice command API (see voice-command-api/)
+const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
+
+// Sent with every request when the API requires keys (ADMIN_API_KEY is set on the server)
+if (process.env.API_KEY) {
+  axios.defaults.headers.common['X-API-Key'] = process.env.API_KEY;
+}
+
+/**
+ * Build a short silent WAV clip so the script can run without a sample file
+ * @param {number} durationSeconds - Length of the clip
+ * @returns {Buffer} - 16-bit mono PCM WAV data
+ */
+function createSilentWav(durationSeconds = 1) {
+  const sampleRate = 16000;
+  const dataSize = sampleRate * durationSeconds * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  return buffer;
+}
 
 /**
- * Simple test script to demonstrate using the voice command API endpoint
+ * Simple end-to-end test script for the voice command API.
+ * Start the API with `npm run start:fake` in voice-command-api/ to run it fully offline.
  */
 async function testVoiceCommandApi() {
   try {
-    // Path to a sample audio file (replace with your own audio file)
-    // For testing, you can use any .mp3 or .wav file
-    const audioPath = path.join(__dirname, 'sample.mp3'); 
-    
-    // Check if sample file exists
-    if (!fs.existsSync(audioPath)) {
-      console.log('⚠️  Sample voice command audio file not found. Please create a sample.mp3 file first.');
-      console.log('💡 Tip: You can use any short audio clip for testing.');
-      console.log('   Run: node download-sample-audio.js');
-      return;
-    }
-    
-    console.log('🎙️  Sending voice command to API for transcription and analysis...');
-    
-    // Get file info
-    const stats = fs.statSync(audioPath);
-    console.log(`Voice command file size: ${(stats.size / 1024).toFixed(2)} KB`);
-    
-    // Read and convert the audio file to base64
-    const audioBuffer = fs.readFileSync(audioPath);
+    // Use sample.mp3 if present (run: node download-sample-audio.js), otherwise a generated silent clip
+    const audioPath = path.join(__dirname, 'sample.mp3');
+    const audioBuffer = fs.existsSync(audioPath) ? fs.readFileSync(audioPath) : createSilentWav();
+    console.log(`🎙️  Using ${fs.existsSync(audioPath) ? 'sample.mp3' : 'generated silent WAV'} (${(audioBuffer.length / 1024).toFixed(2)} KB)`);
+
     const base64Audio = audioBuffer.toString('base64');
-    console.log(`Base64 length: ${base64Audio.length} characters`);
-    
-    console.log('Method 1: Testing with direct base64 in JSON...');
-    // Send request to our local API endpoint using base64
-    const response1 = await axios.post('http://localhost:3000/analyze-command', {
+
+    const health = await axios.get(`${API_BASE_URL}/api/health`);
+    console.log('✅ Health:', health.data.status);
+
+    const transcription = await axios.post(`${API_BASE_URL}/api/audio/transcribe`, {
       audioData: base64Audio
     });
-    
-    console.log('✅ API Response (base64):');
-    console.log(JSON.stringify(response1.data, null, 2));
-    
+    console.log('✅ Transcription:');
+    console.log(JSON.stringify(transcription.data, null, 2));
+
+    const translation = await axios.post(`${API_BASE_URL}/api/audio/translate`, {
+      audioData: base64Audio,
+      targetLanguage: 'Spanish'
+    });
+    console.log('✅ Translation:');
+    console.log(JSON.stringify(translation.data, null, 2));
+
+    const speech = await axios.post(`${API_BASE_URL}/api/audio/speak`, {
+      text: translation.data.translation,
+      language: translation.data.targetLanguageCode
+    }, { responseType: 'arraybuffer' });
+    console.log(`✅ Speech: ${speech.headers['content-type']}, ${(speech.data.byteLength / 1024).toFixed(2)} KB from ${speech.headers['x-speech-provider']}`);
+
+    const notes = await axios.post(`${API_BASE_URL}/api/audio/summarize`, {
+      content: translation.data.originalTranscription
+    });
+    console.log('✅ Meeting notes:');
+    console.log(JSON.stringify({ summary: notes.data.summary, actionItems: notes.data.actionItems }, null, 2));
+
+    const llm = await axios.post(`${API_BASE_URL}/api/llm/query`, {
+      query: 'How can I transcribe an audio file?'
+    });
+    console.log('✅ LLM query:');
+    console.log(JSON.stringify(llm.data, null, 2));
+
   } catch (error) {
     console.error('❌ Error:', error.response?.data || error.message);
+    process.exitCode = 1;
   }
 }
 
@@ -0,0 +1,72 @@
+/**
+ * Supported languages, by ISO 639-1 code
+ * Translation targets can be given as a code, an English name or an alias, and speech
+ * providers' language reports are normalised to the code through this table.
+ * @type {Array<Object>}
+ */
+const LANGUAGES = [
+  { code: 'af', name: 'Afrikaans', nativeName: 'Afrikaans' },
+  { code: 'ar', name: 'Arabic', nativeName: 'العربية' },
+  { code: 'bg', name: 'Bulgarian', nativeName: 'Български' },
+  { code: 'bn', name: 'Bengali', nativeName: 'বাংলা', aliases: ['Bangla'] },
+  { code: 'ca', name: 'Catalan', nativeName: 'Català' },
+  { code: 'cs', name: 'Czech', nativeName: 'Čeština' },
+  { code: 'cy', name: 'Welsh', nativeName: 'Cymraeg' },
+  { code: 'da', name: 'Danish', nativeName: 'Dansk' },
+  { code: 'de', name: 'German', nativeName: 'Deutsch' },
+  { code: 'el', name: 'Greek', nativeName: 'Ελληνικά' },
+  { code: 'en', name: 'English', nativeName: 'English' },
+  { code: 'es', name: 'Spanish', nativeName: 'Español', aliases: ['Castilian'] },
+  { code: 'et', name: 'Estonian', nativeName: 'Eesti' },
+  { code: 'fa', name: 'Persian', nativeName: 'فارسی', aliases: ['Farsi'] },
+  { code: 'fi', name: 'Finnish', nativeName: 'Suomi' },
+  { code: 'fr', name: 'French', nativeName: 'Français' },
+  { code: 'ga', name: 'Irish', nativeName: 'Gaeilge' },
+  { code: 'gl', name: 'Galician', nativeName: 'Galego' },
+  { code: 'gu', name: 'Gujarati', nativeName: 'ગુજરાતી' },
+  { code: 'he', name: 'Hebrew', nativeName: 'עברית' },
+  { code: 'hi', name: 'Hindi', nativeName: 'हिन्दी' },
+  { code: 'hr', name: 'Croatian', nativeName: 'Hrvatski' },
+  { code: 'hu', name: 'Hungarian', nativeName: 'Magyar' },
+  { code: 'hy', name: 'Armenian', nativeName: 'Հայերեն' },
+  { code: 'id', name: 'Indonesian', nativeName: 'Bahasa Indonesia' },
+  { code: 'is', name: 'Icelandic', nativeName: 'Íslenska' },
+  { code: 'it', name: 'Italian', nativeName: 'Italiano' },
+  { code: 'ja', name: 'Japanese', nativeName: '日本語' },
+  { code: 'ka', name: 'Georgian', nativeName: 'ქართული' },
+  { code: 'kk', name: 'Kazakh', nativeName: 'Қазақ' },
+  { code: 'kn', name: 'Kannada', nativeName: 'ಕನ್ನಡ' },
+  { code: 'ko', name: 'Korean', nativeName: '한국어' },
+  { code: 'lt', name: 'Lithuanian', nativeName: 'Lietuvių' },
+  { code: 'lv', name: 'Latvian', nativeName: 'Latviešu' },
+  { code: 'mk', name: 'Macedonian', nativeName: 'Македонски' },
+  { code: 'ml', name: 'Malayalam', nativeName: 'മലയാളം' },
+  { code: 'mr', name: 'Marathi', nativeName: 'मराठी' },
+  { code: 'ms', name: 'Malay', nativeName: 'Bahasa Melayu' },
+  { code: 'ne', name: 'Nepali', nativeName: 'नेपाली' },
+  { code: 'nl', name: 'Dutch', nativeName: 'Nederlands', aliases: ['Flemish'] },
+  { code: 'no', name: 'Norwegian', nativeName: 'Norsk', aliases: ['Bokmål', 'Nynorsk'] },
+  { code: 'pa', name: 'Punjabi', nativeName: 'ਪੰਜਾਬੀ', aliases: ['Panjabi'] },
+  { code: 'pl', name: 'Polish', nativeName: 'Polski' },
+  { code: 'pt', name: 'Portuguese', nativeName: 'Português' },
+  { code: 'ro', name: 'Romanian', nativeName: 'Română', aliases: ['Moldavian'] },
+  { code: 'ru', name: 'Russian', nativeName: 'Русский' },
+  { code: 'sk', name: 'Slovak', nativeName: 'Slovenčina' },
+  { code: 'sl', name: 'Slovenian', nativeName: 'Slovenščina', aliases: ['Slovene'] },
+  { code: 'sq', name: 'Albanian', nativeName: 'Shqip' },
+  { code: 'sr', name: 'Serbian', nativeName: 'Српски' },
+  { code: 'sv', name: 'Swedish', nativeName: 'Svenska' },
+  { code: 'sw', name: 'Swahili', nativeName: 'Kiswahili' },
+  { code: 'ta', name: 'Tamil', nativeName: 'தமிழ்' },
+  { code: 'te', name: 'Telugu', nativeName: 'తెలుగు' },
+  { code: 'th', name: 'Thai', nativeName: 'ไทย' },
+  { code: 'tl', name: 'Tagalog', nativeName: 'Tagalog', aliases: ['Filipino'] },
+  { code: 'tr', name: 'Turkish', nativeName: 'Türkçe' },
+  { code: 'uk', name: 'Ukrainian', nativeName: 'Українська' },
+  { code: 'ur', name: 'Urdu', nativeName: 'اردو' },
+  { code: 'vi', name: 'Vietnamese', nativeName: 'Tiếng Việt' },
+  // Written Chinese, whichever variety is spoken
+  { code: 'zh', name: 'Chinese', nativeName: '中文', aliases: ['Mandarin', 'Cantonese'] }
+];
+
+module.exports = { LANGUAGES };
@@ -0,0 +1,18 @@
+/**
+ * Available transcription models
+ * @type {Array}
+ */
+const AVAILABLE_MODELS = [
+  {
+    id: 'whisper-1',
+    name: 'Whisper',
+    description: 'OpenAI\'s speech-to-text model optimized for transcription'
+  },
+  {
+    id: 'whisper-multilingual',
+    name: 'Whisper Multilingual',
+    description: 'Optimized for multiple languages and accents'
+  }
+];
+
+module.exports = { AVAILABLE_MODELS };
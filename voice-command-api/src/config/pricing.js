@@ -0,0 +1,43 @@
+/**
+ * Provider list prices in USD, used to estimate what each request costs
+ * Update these when the providers change their prices. Usage of providers and
+ * models missing here is still recorded, without a cost.
+ */
+
+/**
+ * Price per minute of audio transcribed, by speech provider
+ * @type {Object<string, number>}
+ */
+const AUDIO_PRICES_PER_MINUTE = {
+  openai: 0.006,
+  assemblyai: 0.0062,
+  // Self-hosted, so only our own hardware
+  local: 0
+};
+
+/**
+ * Price per 1,000 characters of text spoken, by text-to-speech model
+ * @type {Object<string, number>}
+ */
+const SPEECH_PRICES_PER_1K_CHARACTERS = {
+  'tts-1': 0.015,
+  'tts-1-hd': 0.03,
+  // The offline stand-in
+  'local-tones': 0
+};
+
+/**
+ * Price per 1,000 prompt and completion tokens, by model
+ * Dated model versions such as `gpt-4-0613` or `gpt-4o-2024-08-06` are priced as the model without the date.
+ * @type {Object<string, Object>}
+ */
+const TOKEN_PRICES_PER_1K = {
+  'gpt-3.5-turbo': { prompt: 0.0005, completion: 0.0015 },
+  'gpt-4': { prompt: 0.03, completion: 0.06 },
+  'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+  'gpt-4o': { prompt: 0.0025, completion: 0.01 },
+  'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+  'text-embedding-3-small': { prompt: 0.00002, completion: 0 }
+};
+
+module.exports = { AUDIO_PRICES_PER_MINUTE, SPEECH_PRICES_PER_1K_CHARACTERS, TOKEN_PRICES_PER_1K };
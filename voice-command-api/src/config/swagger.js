@@ -1,4 +1,5 @@
 const swaggerJsDoc = require('swagger-jsdoc');
+const { COMMAND_TYPES } = require('../services/commands/intentSchema');
 
 // OpenAPI definition
 const swaggerOptions = {
@@ -45,8 +46,40 @@ const swaggerOptions = {
         name: 'LLM',
         description: 'Language Model integration for API discovery and usage',
       },
+      {
+        name: 'API Keys',
+        description: 'Issuing and revoking API keys',
+      },
+      {
+        name: 'Usage',
+        description: 'Metered usage and estimated costs',
+      },
+      {
+        name: 'History',
+        description: 'Past transcriptions, translations and voice commands',
+      },
+      {
+        name: 'Glossaries',
+        description: 'Custom vocabulary for transcription and translation',
+      },
     ],
+    // Every operation needs an API key unless it declares otherwise; enforced once ADMIN_API_KEY is set
+    security: [{ ApiKeyAuth: [] }],
     components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'An issued API key. It may also be sent as a bearer token, or in the apiKey query parameter where headers cannot be set (EventSource, WebSocket). Keys are rate limited per minute and have monthly quotas of audio minutes and LLM tokens; exceeding them returns 429 with Retry-After',
+        },
+        AdminKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'The admin key configured in ADMIN_API_KEY',
+        },
+      },
       schemas: {
         TranscriptionRequest: {
           type: 'object',
@@ -60,6 +93,7 @@ const swaggerOptions = {
             language: {
               type: 'string',
               description: 'Language code (ISO 639-1) for transcription',
+              pattern: '^[a-z]{2}$',
               example: 'en',
             },
             prompt: {
@@ -67,6 +101,26 @@ const swaggerOptions = {
               description: 'Optional prompt to guide the transcription',
               example: 'This is a meeting about project status.',
             },
+            provider: {
+              type: 'string',
+              description: 'Speech provider to use (see /api/audio/providers); defaults to the deployment provider',
+              enum: ['openai', 'assemblyai', 'local'],
+              example: 'openai',
+            },
+            responseFormat: {
+              type: 'string',
+              description: 'Response format: json, verbose_json (adds segment and word timestamps), or text, srt and vtt files. Transcription jobs support json and verbose_json',
+              enum: ['json', 'verbose_json', 'text', 'srt', 'vtt'],
+              default: 'json',
+            },
+            saveAudio: {
+              type: 'boolean',
+              description: 'Keep the audio with the history entry; defaults to TRANSCRIPTION_HISTORY_AUDIO',
+            },
+            glossaryId: {
+              type: 'string',
+              description: 'Glossary to guide and correct the transcription with, and whose terms translations keep (see /api/glossaries)',
+            },
           },
         },
         TranscriptionResponse: {
@@ -82,6 +136,20 @@ const swaggerOptions = {
               description: 'The transcribed text',
               example: 'Hello world, this is a test transcription.',
             },
+            segments: {
+              type: 'array',
+              description: 'Timed segments from the provider for verbose_json; otherwise the parts of the audio transcribed separately, a single segment unless long audio was split',
+              items: {
+                $ref: '#/components/schemas/TranscriptSegment',
+              },
+            },
+            words: {
+              type: 'array',
+              description: 'Word timings, only returned for the verbose_json format',
+              items: {
+                $ref: '#/components/schemas/TranscriptWord',
+              },
+            },
             metadata: {
               type: 'object',
               properties: {
@@ -91,23 +159,174 @@ const swaggerOptions = {
                   description: 'When the audio was processed',
                   example: '2025-06-25T12:34:56Z',
                 },
+                model: {
+                  type: 'string',
+                  description: 'The model used for transcription',
+                  example: 'whisper-1',
+                },
+                provider: {
+                  type: 'string',
+                  description: 'The speech provider that handled the request',
+                  example: 'openai',
+                },
+                language: {
+                  type: 'string',
+                  description: 'The requested or detected language',
+                  example: 'en',
+                },
+                format: {
+                  type: 'string',
+                  description: 'Audio container detected from the file contents',
+                  enum: ['wav', 'webm', 'ogg', 'mp3', 'mp4', 'flac'],
+                  example: 'webm',
+                },
+                duration: {
+                  type: 'number',
+                  nullable: true,
+                  description: 'Audio duration in seconds, when the container records it',
+                  example: 12.48,
+                },
+                cached: {
+                  type: 'boolean',
+                  description: 'Whether the result was served from the cache rather than transcribed again',
+                  example: false,
+                },
+                glossaryId: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Glossary the transcript was guided and corrected with',
+                },
+                historyId: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Id of the history entry recorded for this result, see /api/transcriptions',
+                },
+                usage: {
+                  $ref: '#/components/schemas/RequestUsage',
+                },
               },
             },
           },
         },
         TranslationRequest: {
           type: 'object',
-          required: ['audioData', 'targetLanguage'],
+          description: 'Either audioData or content is required',
+          anyOf: [
+            { required: ['audioData'] },
+            { required: ['content'] },
+          ],
           properties: {
             audioData: {
               type: 'string',
               description: 'Base64 encoded audio data',
               example: 'data:audio/wav;base64,UklGRiQAAABXQVZ...',
             },
+            content: {
+              type: 'string',
+              description: 'Text to translate instead of audio, e.g. an existing transcription',
+              example: 'Hello, how are you?',
+            },
             targetLanguage: {
               type: 'string',
-              description: 'Target language for translation',
-              example: 'Spanish',
+              description: 'Target language as an ISO 639-1 code or name (see /api/audio/languages); defaults to English',
+              example: 'es',
+            },
+            targetLanguages: {
+              type: 'array',
+              description: 'Several target languages to translate to at once, instead of targetLanguage',
+              items: { type: 'string', minLength: 1 },
+              minItems: 1,
+              maxItems: 10,
+              example: ['es', 'fr', 'de'],
+            },
+            provider: {
+              type: 'string',
+              description: 'Speech provider used to transcribe the audio; defaults to the deployment provider',
+              enum: ['openai', 'assemblyai', 'local'],
+              example: 'openai',
+            },
+            saveAudio: {
+              type: 'boolean',
+              description: 'Keep the audio with the history entry; defaults to TRANSCRIPTION_HISTORY_AUDIO',
+            },
+            glossaryId: {
+              type: 'string',
+              description: 'Glossary to guide and correct the transcription with, and whose terms translations keep (see /api/glossaries)',
+            },
+          },
+        },
+        TranscriptionUpload: {
+          type: 'object',
+          required: ['audio'],
+          properties: {
+            audio: {
+              type: 'string',
+              format: 'binary',
+              description: 'Audio file to transcribe',
+            },
+            language: {
+              type: 'string',
+              description: 'Language code (ISO 639-1) for transcription',
+              pattern: '^[a-z]{2}$',
+              example: 'en',
+            },
+            prompt: {
+              type: 'string',
+              description: 'Optional prompt to guide the transcription',
+            },
+            provider: {
+              type: 'string',
+              description: 'Speech provider to use; defaults to the deployment provider',
+              enum: ['openai', 'assemblyai', 'local'],
+            },
+            responseFormat: {
+              type: 'string',
+              description: 'Response format: json, verbose_json (adds segment and word timestamps), or text, srt and vtt files. Transcription jobs support json and verbose_json',
+              enum: ['json', 'verbose_json', 'text', 'srt', 'vtt'],
+              default: 'json',
+            },
+            saveAudio: {
+              type: 'boolean',
+              description: 'Keep the audio with the history entry; defaults to TRANSCRIPTION_HISTORY_AUDIO',
+            },
+            glossaryId: {
+              type: 'string',
+              description: 'Glossary to guide and correct the transcription with, and whose terms translations keep (see /api/glossaries)',
+            },
+          },
+        },
+        TranslationUpload: {
+          type: 'object',
+          required: ['audio'],
+          properties: {
+            audio: {
+              type: 'string',
+              format: 'binary',
+              description: 'Audio file to translate',
+            },
+            targetLanguage: {
+              type: 'string',
+              description: 'Target language as an ISO 639-1 code or name (see /api/audio/languages); defaults to English',
+              example: 'es',
+            },
+            targetLanguages: {
+              type: 'array',
+              description: 'Several target languages to translate to at once, instead of targetLanguage; repeat the field or separate the languages with commas',
+              items: { type: 'string', minLength: 1 },
+              example: ['es,fr,de'],
+            },
+            provider: {
+              type: 'string',
+              description: 'Speech provider used to transcribe the audio; defaults to the deployment provider',
+              enum: ['openai', 'assemblyai', 'local'],
+            },
+            saveAudio: {
+              type: 'boolean',
+              description: 'Keep the audio with the history entry; defaults to TRANSCRIPTION_HISTORY_AUDIO',
+            },
+            glossaryId: {
+              type: 'string',
+              description: 'Glossary to guide and correct the transcription with, and whose terms translations keep (see /api/glossaries)',
             },
           },
         },
@@ -126,14 +345,38 @@ const swaggerOptions = {
             },
             translation: {
               type: 'string',
-              description: 'The translated text',
+              description: 'The translated text, when translating to one targetLanguage',
               example: 'Hola mundo, esta es una transcripción de prueba.',
             },
+            sourceLanguage: {
+              type: 'string',
+              nullable: true,
+              description: 'Name of the detected language of the original; null when it could not be detected',
+              example: 'English',
+            },
+            sourceLanguageCode: {
+              type: 'string',
+              nullable: true,
+              description: 'ISO 639-1 code of the detected language of the original',
+              example: 'en',
+            },
             targetLanguage: {
               type: 'string',
-              description: 'The language the audio was translated to',
+              description: 'Name of the language the audio was translated to',
               example: 'Spanish',
             },
+            targetLanguageCode: {
+              type: 'string',
+              description: 'ISO 639-1 code of the language the audio was translated to',
+              example: 'es',
+            },
+            translations: {
+              type: 'object',
+              description: 'Translations by ISO 639-1 code, when translating to targetLanguages; unsupported languages are keyed as given',
+              additionalProperties: {
+                $ref: '#/components/schemas/LanguageTranslation',
+              },
+            },
             metadata: {
               type: 'object',
               properties: {
@@ -153,26 +396,1274 @@ const swaggerOptions = {
                   description: 'The model used for translation',
                   example: 'gpt-4',
                 },
+                format: {
+                  type: 'string',
+                  description: 'Audio container detected from the file contents (null when text content was translated)',
+                  enum: ['wav', 'webm', 'ogg', 'mp3', 'mp4', 'flac'],
+                  nullable: true,
+                  example: 'webm',
+                },
+                duration: {
+                  type: 'number',
+                  nullable: true,
+                  description: 'Audio duration in seconds, when the container records it',
+                  example: 12.48,
+                },
+                cached: {
+                  type: 'boolean',
+                  description: 'Whether the whole result was served from the cache, without calling a provider',
+                  example: false,
+                },
+                transcription_cached: {
+                  type: 'boolean',
+                  nullable: true,
+                  description: 'Whether the transcription was served from the cache; null when text content was translated',
+                },
+                translation_cached: {
+                  type: 'boolean',
+                  description: 'Whether the translation, or every one of the translations, was served from the cache',
+                },
+                glossaryId: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Glossary the transcript and translation were made with',
+                },
+                historyId: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Id of the history entry recorded for this result, see /api/transcriptions',
+                },
+                usage: {
+                  $ref: '#/components/schemas/RequestUsage',
+                },
               },
             },
           },
         },
-        ErrorResponse: {
+        LanguageTranslation: {
           type: 'object',
+          description: 'Translation to one of several target languages; a failed one carries its error instead',
           properties: {
             success: {
               type: 'boolean',
-              description: 'Always false for error responses',
-              example: false,
+              example: true,
+            },
+            translation: {
+              type: 'string',
+              example: 'Bonjour le monde',
+            },
+            targetLanguage: {
+              type: 'string',
+              description: 'Name of the target language; absent for unsupported languages',
+              example: 'French',
+            },
+            targetLanguageCode: {
+              type: 'string',
+              example: 'fr',
+            },
+            cached: {
+              type: 'boolean',
+              description: 'Whether the translation was served from the cache',
             },
             error: {
               type: 'string',
-              description: 'Error message',
-              example: 'Failed to process audio data',
+              description: 'Why the translation failed',
+              example: 'Unsupported target language: klingon',
             },
             details: {
+              nullable: true,
+              description: 'Error details, such as the provider\'s response',
+            },
+          },
+        },
+        Language: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              description: 'ISO 639-1 code',
+              example: 'ja',
+            },
+            name: {
+              type: 'string',
+              description: 'English name',
+              example: 'Japanese',
+            },
+            nativeName: {
+              type: 'string',
+              description: 'Name in the language itself',
+              example: '日本語',
+            },
+          },
+        },
+        TranscriptSegment: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 0,
+            },
+            start: {
+              type: 'number',
+              description: 'Offset of the segment in the audio, in seconds',
+              example: 0,
+            },
+            end: {
+              type: 'number',
+              nullable: true,
+              description: 'End of the segment in the audio, in seconds; null when the duration is unknown',
+              example: 598.42,
+            },
+            text: {
+              type: 'string',
+              description: 'Text of the segment, without words repeated from the previous one',
+              example: 'Hello world, this is a test transcription.',
+            },
+          },
+        },
+        TranscriptWord: {
+          type: 'object',
+          properties: {
+            word: {
+              type: 'string',
+              example: 'Hello',
+            },
+            start: {
+              type: 'number',
+              description: 'Start of the word in the audio, in seconds',
+              example: 0.32,
+            },
+            end: {
+              type: 'number',
+              description: 'End of the word in the audio, in seconds',
+              example: 0.61,
+            },
+          },
+        },
+        TranscriptionJob: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Job identifier',
+              example: '3f1c2a9e-8d4b-4b7a-9c61-2f5e0f7d1a23',
+            },
+            type: {
+              type: 'string',
+              example: 'transcription',
+            },
+            status: {
+              type: 'string',
+              enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+              example: 'running',
+            },
+            progress: {
+              type: 'number',
+              description: 'Completed fraction between 0 and 1',
+              example: 0.5,
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            startedAt: { type: 'string', format: 'date-time', nullable: true },
+            finishedAt: { type: 'string', format: 'date-time', nullable: true },
+            result: {
+              type: 'object',
+              nullable: true,
+              description: 'Transcription result once the job has succeeded',
+              properties: {
+                transcription: { type: 'string' },
+                segments: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/TranscriptSegment' },
+                },
+                words: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/TranscriptWord' },
+                },
+                metadata: { type: 'object' },
+              },
+            },
+            error: {
+              type: 'object',
+              nullable: true,
+              description: 'Failure details once the job has failed',
+              properties: {
+                message: { type: 'string' },
+                status: { type: 'integer' },
+                details: { type: 'object' },
+              },
+            },
+          },
+        },
+        TranscriptionJobResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true,
+            },
+            job: {
+              $ref: '#/components/schemas/TranscriptionJob',
+            },
+          },
+        },
+        SpeechProvider: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Provider identifier',
+              example: 'openai',
+            },
+            name: {
+              type: 'string',
+              description: 'Provider display name',
+              example: 'OpenAI Whisper',
+            },
+            default: {
+              type: 'boolean',
+              description: 'Whether this is the deployment default provider',
+              example: true,
+            },
+            capabilities: {
+              type: 'object',
+              properties: {
+                transcribe: { type: 'boolean', example: true },
+                translate: {
+                  type: 'boolean',
+                  description: 'Whether the provider can translate speech directly to English',
+                  example: true,
+                },
+                prompt: {
+                  type: 'boolean',
+                  description: 'Whether the provider accepts a transcription prompt',
+                  example: true,
+                },
+                languageHint: {
+                  type: 'boolean',
+                  description: 'Whether the provider accepts a source language hint',
+                  example: true,
+                },
+                models: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  example: ['whisper-1'],
+                },
+                configured: {
+                  type: 'boolean',
+                  description: 'Whether the credentials/URL this provider needs are set',
+                  example: true,
+                },
+              },
+            },
+          },
+        },
+        SummaryRequest: {
+          type: 'object',
+          description: 'Either content or historyId is required',
+          anyOf: [
+            { required: ['content'] },
+            { required: ['historyId'] },
+          ],
+          properties: {
+            content: {
+              type: 'string',
+              minLength: 1,
+              description: 'Transcript to summarize',
+              example: 'Anna: I finished the login page, next I will fix the export bug by Friday. Ben: I am still on the billing migration.',
+            },
+            historyId: {
+              type: 'string',
+              description: 'Id of a history entry whose transcript to summarize, instead of content (see /api/transcriptions)',
+            },
+            glossaryId: {
+              type: 'string',
+              description: 'Glossary whose terms are written as they are (see /api/glossaries)',
+            },
+          },
+        },
+        SummaryResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true,
+            },
+            transcript: {
+              type: 'string',
+              description: 'The transcript that was summarized',
+            },
+            summary: {
+              type: 'string',
+              description: 'Short summary of the meeting',
+              example: 'Anna finished the login page and moves on to the export bug; Ben continues the billing migration.',
+            },
+            keyPoints: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['The login page is done', 'The billing migration is still in progress'],
+            },
+            actionItems: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/ActionItem',
+              },
+            },
+            metadata: {
               type: 'object',
-              description: 'Additional error details if available',
+              properties: {
+                processed_at: {
+                  type: 'string',
+                  format: 'date-time',
+                },
+                summary_model: {
+                  type: 'string',
+                  description: 'The model that wrote the notes',
+                  example: 'gpt-4',
+                },
+                cached: {
+                  type: 'boolean',
+                  description: 'Whether the notes were served from the cache',
+                  example: false,
+                },
+                historyId: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'History entry that was summarized; null when content was given',
+                },
+                glossaryId: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Glossary the notes were written with',
+                },
+                usage: {
+                  $ref: '#/components/schemas/RequestUsage',
+                },
+              },
+            },
+          },
+        },
+        ActionItem: {
+          type: 'object',
+          description: 'Something someone agreed to do in the meeting',
+          properties: {
+            task: {
+              type: 'string',
+              example: 'Fix the export bug',
+            },
+            owner: {
+              type: 'string',
+              nullable: true,
+              description: 'Who will do it; null when the transcript does not say',
+              example: 'Anna',
+            },
+            dueDate: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+              description: 'When it is due; null when the transcript does not say',
+              example: '2025-06-27',
+            },
+          },
+        },
+        SpeechRequest: {
+          type: 'object',
+          required: ['text'],
+          properties: {
+            text: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 4096,
+              description: 'Text to speak',
+              example: 'Hola, ¿cómo estás?',
+            },
+            provider: {
+              type: 'string',
+              description: 'Text-to-speech provider; defaults to the deployment provider (see /api/audio/voices)',
+              enum: ['openai', 'local'],
+              example: 'openai',
+            },
+            voice: {
+              type: 'string',
+              description: 'One of the provider\'s voices; defaults to its default voice',
+              example: 'nova',
+            },
+            format: {
+              type: 'string',
+              description: 'Audio format, if the provider produces it; defaults to the provider\'s default format',
+              enum: ['mp3', 'wav', 'opus', 'aac', 'flac'],
+              example: 'mp3',
+            },
+            language: {
+              type: 'string',
+              description: 'Language of the text as an ISO 639-1 code or name, e.g. the target language of a translation; returned as Content-Language',
+              example: 'es',
+            },
+            speed: {
+              type: 'number',
+              minimum: 0.25,
+              maximum: 4,
+              description: 'Speaking speed, 1 is normal',
+              example: 1,
+            },
+          },
+        },
+        TtsProvider: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Provider identifier',
+              example: 'openai',
+            },
+            name: {
+              type: 'string',
+              description: 'Provider display name',
+              example: 'OpenAI TTS',
+            },
+            default: {
+              type: 'boolean',
+              description: 'Whether this is the deployment default provider',
+              example: true,
+            },
+            capabilities: {
+              type: 'object',
+              properties: {
+                voices: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  example: ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'],
+                },
+                defaultVoice: { type: 'string', example: 'alloy' },
+                formats: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  example: ['mp3', 'wav', 'opus', 'aac', 'flac'],
+                },
+                defaultFormat: { type: 'string', example: 'mp3' },
+                speed: {
+                  type: 'boolean',
+                  description: 'Whether the provider takes a speaking speed',
+                  example: true,
+                },
+                languageHint: {
+                  type: 'boolean',
+                  description: 'Whether the provider uses the language of the text; others read it from the text or ignore it',
+                  example: false,
+                },
+                models: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  example: ['tts-1'],
+                },
+                configured: {
+                  type: 'boolean',
+                  description: 'Whether the credentials this provider needs are set',
+                  example: true,
+                },
+              },
+            },
+          },
+        },
+        CommandType: {
+          type: 'string',
+          enum: COMMAND_TYPES,
+          description: 'Kind of voice command; unknown when the speech is not a command',
+          example: 'translate',
+        },
+        CommandIntent: {
+          type: 'object',
+          required: ['commandType', 'command', 'content'],
+          additionalProperties: false,
+          properties: {
+            commandType: {
+              type: 'string',
+              enum: COMMAND_TYPES,
+              description: 'Kind of command; unknown when the speech is not a command',
+              example: 'translate',
+            },
+            command: {
+              type: 'string',
+              description: 'The command phrase that was recognised',
+              example: 'translate this to Spanish',
+            },
+            content: {
+              type: 'string',
+              description: 'Content the command applies to, or the whole transcription for unknown commands; empty for a summarize command about the last recording',
+              example: 'Hello, how are you?',
+            },
+            targetLanguage: {
+              type: 'string',
+              description: 'Target language of translate commands',
+              example: 'Spanish',
+            },
+            targetLanguages: {
+              type: 'array',
+              description: 'Target languages of translate commands naming several, instead of targetLanguage',
+              items: { type: 'string', minLength: 1 },
+              minItems: 2,
+              maxItems: 10,
+              example: ['Spanish', 'French'],
+            },
+            focus: {
+              type: 'string',
+              enum: ['summary', 'action_items'],
+              description: 'What summarize commands ask for: the meeting notes, or only their action items',
+              example: 'summary',
+            },
+          },
+        },
+        CommandAnalysisRequest: {
+          type: 'object',
+          description: 'Either audioData or text is required',
+          anyOf: [
+            { required: ['audioData'] },
+            { required: ['text'] },
+          ],
+          properties: {
+            audioData: {
+              type: 'string',
+              description: 'Base64-encoded audio data; required unless text is given',
+            },
+            text: {
+              type: 'string',
+              description: 'Command text to analyze instead of audio',
+              example: 'translate this to Spanish: Hello, how are you?',
+            },
+            language: {
+              type: 'string',
+              description: 'Language code (ISO 639-1) for transcription',
+              pattern: '^[a-z]{2}$',
+              example: 'en',
+            },
+            provider: {
+              type: 'string',
+              description: 'Speech provider to use; defaults to the deployment provider',
+              enum: ['openai', 'assemblyai', 'local'],
+            },
+            execute: {
+              type: 'boolean',
+              description: 'Set to false to only parse the command',
+              default: true,
+            },
+            saveAudio: {
+              type: 'boolean',
+              description: 'Keep the audio with the history entry; defaults to TRANSCRIPTION_HISTORY_AUDIO',
+            },
+            glossaryId: {
+              type: 'string',
+              description: 'Glossary to guide and correct the transcription with, and whose terms translations keep (see /api/glossaries)',
+            },
+          },
+        },
+        CommandAnalysisUpload: {
+          type: 'object',
+          description: 'Either audio or text is required',
+          anyOf: [
+            { required: ['audio'] },
+            { required: ['text'] },
+          ],
+          properties: {
+            audio: {
+              type: 'string',
+              format: 'binary',
+              description: 'Recorded command',
+            },
+            text: {
+              type: 'string',
+              description: 'Command text to analyze instead of audio',
+            },
+            language: {
+              type: 'string',
+              description: 'Language code (ISO 639-1) for transcription',
+              pattern: '^[a-z]{2}$',
+            },
+            provider: {
+              type: 'string',
+              description: 'Speech provider to use; defaults to the deployment provider',
+              enum: ['openai', 'assemblyai', 'local'],
+            },
+            execute: {
+              type: 'boolean',
+              description: 'Set to false to only parse the command',
+              default: true,
+            },
+            saveAudio: {
+              type: 'boolean',
+              description: 'Keep the audio with the history entry; defaults to TRANSCRIPTION_HISTORY_AUDIO',
+            },
+            glossaryId: {
+              type: 'string',
+              description: 'Glossary to guide and correct the transcription with, and whose terms translations keep (see /api/glossaries)',
+            },
+          },
+        },
+        CommandAnalysisResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true,
+            },
+            transcription: {
+              type: 'string',
+              description: 'Transcribed speech, or the text that was given',
+              example: 'Translate this to Spanish: Hello, how are you?',
+            },
+            intent: {
+              $ref: '#/components/schemas/CommandIntent',
+            },
+            execution: {
+              type: 'object',
+              nullable: true,
+              description: 'Outcome of executing the command; null when execute was false',
+              properties: {
+                success: {
+                  type: 'boolean',
+                  example: true,
+                },
+                result: {
+                  type: 'object',
+                  description: 'Command result: { text } for transcribe and unknown, { originalText, translation, sourceLanguage, sourceLanguageCode, targetLanguage, targetLanguageCode, model, cached } for translate (translations by language code instead of translation and targetLanguage when several languages were named), { originalText, sourceHistoryId, focus, summary, keyPoints, actionItems, model, cached } for summarize (sourceHistoryId is the history entry summarized when the command named no content), { models } for list_models and { commands } for help',
+                  example: { originalText: 'Hello, how are you?', translation: 'Hola, ¿cómo estás?', sourceLanguage: 'English', sourceLanguageCode: 'en', targetLanguage: 'Spanish', targetLanguageCode: 'es', model: 'gpt-4' },
+                },
+                error: {
+                  type: 'string',
+                  description: 'Why the command failed, when success is false',
+                },
+              },
+            },
+            metadata: {
+              type: 'object',
+              properties: {
+                processed_at: {
+                  type: 'string',
+                  format: 'date-time',
+                },
+                intent_source: {
+                  type: 'string',
+                  enum: ['grammar', 'llm', 'fallback'],
+                  description: 'Whether the rule-based grammar or the LLM recognised the command; fallback when neither did and the intent is unknown',
+                  example: 'grammar',
+                },
+                intent_model: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Model that parsed the command; null when the grammar matched',
+                  example: 'gpt-3.5-turbo',
+                },
+                intent_errors: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Why the LLM could not provide an intent, in which case the intent is unknown',
+                },
+                transcription: {
+                  type: 'object',
+                  nullable: true,
+                  description: 'Transcription metadata; null when text was given',
+                },
+                historyId: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Id of the history entry recorded for this result, see /api/transcriptions',
+                },
+                usage: {
+                  $ref: '#/components/schemas/RequestUsage',
+                },
+              },
+            },
+          },
+        },
+        LLMAction: {
+          type: 'object',
+          description: 'Operation of this API to execute, named by operationId or by method and path. Only operations on the LLM_ALLOWED_OPERATIONS allowlist run, and parameters must match the operation schema. If omitted, the LLM recommendation is returned instead.',
+          properties: {
+            operationId: {
+              type: 'string',
+              description: 'operationId of the operation in this specification',
+              example: 'translateAudio',
+            },
+            method: {
+              type: 'string',
+              description: 'HTTP method, used with path when operationId is not given',
+              example: 'GET',
+            },
+            path: {
+              type: 'string',
+              description: 'Path of the operation, either templated or with path parameters filled in',
+              example: '/api/audio/jobs/3f1c2d4e-5a6b-4c7d-8e9f-0a1b2c3d4e5f',
+            },
+            params: {
+              type: 'object',
+              description: 'Path parameters',
+              example: {},
+            },
+            query: {
+              type: 'object',
+              description: 'Query string parameters',
+              example: {},
+            },
+            body: {
+              type: 'object',
+              description: 'JSON request body',
+              example: { content: 'Hello, how are you?', targetLanguage: 'Spanish' },
+            },
+          },
+        },
+        LLMToolCall: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Tool call ID assigned by the LLM',
+              example: 'call_abc123',
+            },
+            action: {
+              $ref: '#/components/schemas/LLMAction',
+            },
+            result: {
+              type: 'object',
+              description: 'Response of the operation, when it ran',
+              properties: {
+                status: {
+                  type: 'integer',
+                  example: 200,
+                },
+                data: {
+                  description: 'Response body of the operation',
+                },
+              },
+            },
+            error: {
+              type: 'object',
+              description: 'Why the call was not executed, such as an operation that is not allowed or arguments that do not match its schema',
+              properties: {
+                status: {
+                  type: 'integer',
+                  example: 400,
+                },
+                message: {
+                  type: 'string',
+                },
+                details: {
+                  type: 'object',
+                },
+              },
+            },
+          },
+        },
+        LLMSession: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '9b2f6c1e-3d4a-4e5f-8a7b-6c5d4e3f2a1b',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last activity; sessions expire an hour after it',
+            },
+            messages: {
+              type: 'array',
+              description: 'Full conversation history, oldest first',
+              items: {
+                type: 'object',
+                properties: {
+                  role: {
+                    type: 'string',
+                    enum: ['user', 'assistant'],
+                  },
+                  content: {
+                    type: 'string',
+                    nullable: true,
+                  },
+                  toolCalls: {
+                    type: 'array',
+                    description: 'API operations the assistant called for this answer',
+                    items: {
+                      $ref: '#/components/schemas/LLMToolCall',
+                    },
+                  },
+                  createdAt: {
+                    type: 'string',
+                    format: 'date-time',
+                  },
+                },
+              },
+            },
+          },
+        },
+        LLMSessionResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true,
+            },
+            session: {
+              $ref: '#/components/schemas/LLMSession',
+            },
+          },
+        },
+        ErrorResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              description: 'Always false for error responses',
+              example: false,
+            },
+            error: {
+              type: 'string',
+              description: 'Error message',
+              example: 'Failed to process audio data',
+            },
+            details: {
+              type: 'object',
+              description: 'Additional error details if available; requests that do not match the API specification list each violation in validationErrors',
+            },
+          },
+        },
+        ApiKeyRequest: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: {
+              type: 'string',
+              minLength: 1,
+              description: 'Who or what the key is for',
+              example: 'Mobile app',
+            },
+            rateLimit: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Requests per minute; defaults to API_KEY_RATE_LIMIT',
+              example: 60,
+            },
+            quotas: {
+              type: 'object',
+              description: 'Monthly quotas; left out ones default to the API_KEY_MONTHLY_* settings',
+              properties: {
+                audioMinutes: {
+                  type: 'number',
+                  minimum: 0,
+                  description: 'Minutes of audio transcribed per month',
+                  example: 600,
+                },
+                llmTokens: {
+                  type: 'integer',
+                  minimum: 0,
+                  description: 'LLM tokens used per month',
+                  example: 500000,
+                },
+                speechCharacters: {
+                  type: 'integer',
+                  minimum: 0,
+                  description: 'Characters of text spoken per month',
+                  example: 1000000,
+                },
+              },
+            },
+          },
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            name: {
+              type: 'string',
+              example: 'Mobile app',
+            },
+            prefix: {
+              type: 'string',
+              description: 'Start of the key, to recognise it by',
+              example: 'vca_J3k9d2',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            revokedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            rateLimit: {
+              type: 'integer',
+              description: 'Requests per minute',
+              example: 60,
+            },
+            quotas: {
+              type: 'object',
+              description: 'Monthly quotas in effect; null is unlimited',
+              properties: {
+                audioMinutes: {
+                  type: 'number',
+                  nullable: true,
+                },
+                llmTokens: {
+                  type: 'integer',
+                  nullable: true,
+                },
+                speechCharacters: {
+                  type: 'integer',
+                  nullable: true,
+                },
+              },
+            },
+            usage: {
+              type: 'object',
+              description: 'Usage this month (UTC)',
+              properties: {
+                month: {
+                  type: 'string',
+                  example: '2026-10',
+                },
+                audioMinutes: {
+                  type: 'number',
+                  example: 12.5,
+                },
+                llmTokens: {
+                  type: 'integer',
+                  example: 18250,
+                },
+                speechCharacters: {
+                  type: 'integer',
+                  example: 4200,
+                },
+              },
+            },
+          },
+        },
+        HistoryEntry: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            type: {
+              type: 'string',
+              enum: ['transcription', 'translation', 'command'],
+              description: 'Endpoint family that produced the entry',
+            },
+            title: {
+              type: 'string',
+              nullable: true,
+              example: 'Weekly sync',
+            },
+            text: {
+              type: 'string',
+              description: 'Transcript, or the text that was translated or analysed',
+              example: 'Hello world, this is a test transcription.',
+            },
+            translation: {
+              type: 'string',
+              nullable: true,
+              description: 'Translation, for translations and translate commands',
+            },
+            targetLanguage: {
+              type: 'string',
+              nullable: true,
+              example: 'Spanish',
+            },
+            language: {
+              type: 'string',
+              nullable: true,
+              description: 'Language code (ISO 639-1) of the speech, when known',
+              example: 'en',
+            },
+            commandType: {
+              type: 'string',
+              nullable: true,
+              enum: [...COMMAND_TYPES, null],
+              description: 'Command type, for voice commands',
+              example: 'translate',
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['meeting'],
+            },
+            endpoint: {
+              type: 'string',
+              description: 'Operation that recorded the entry',
+              example: 'POST /api/audio/transcribe',
+            },
+            apiKeyId: {
+              type: 'string',
+              nullable: true,
+              description: 'API key that created the entry; null for open and admin requests',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            metadata: {
+              type: 'object',
+              description: 'Models and providers that produced the entry',
+            },
+            audio: {
+              type: 'object',
+              nullable: true,
+              description: 'Kept source audio, downloadable from /api/transcriptions/{id}/audio; null when not kept',
+              properties: {
+                mimeType: { type: 'string', example: 'audio/webm' },
+                format: { type: 'string', nullable: true, example: 'webm' },
+                duration: { type: 'number', nullable: true },
+                size: { type: 'integer', description: 'Size in bytes' },
+              },
+            },
+          },
+        },
+        HistoryEntryUpdate: {
+          type: 'object',
+          minProperties: 1,
+          additionalProperties: false,
+          properties: {
+            title: {
+              type: 'string',
+              nullable: true,
+            },
+            text: {
+              type: 'string',
+            },
+            translation: {
+              type: 'string',
+              nullable: true,
+            },
+            tags: {
+              type: 'array',
+              description: 'Replaces the existing tags',
+              items: { type: 'string', minLength: 1, maxLength: 50 },
+              example: ['meeting', 'follow-up'],
+            },
+          },
+        },
+        GlossaryTerms: {
+          type: 'array',
+          description: 'Terms in their preferred spelling, such as product names and jargon. They are added to the transcription prompt, fix the spelling of the transcript and are not translated',
+          maxItems: 500,
+          items: { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S' },
+          example: ['Kubernetes', 'PostgreSQL', 'OKR'],
+        },
+        GlossaryReplacements: {
+          type: 'array',
+          description: 'Phrases the speech provider mishears and what to write instead; matched as whole words, ignoring case',
+          maxItems: 500,
+          items: {
+            type: 'object',
+            required: ['from', 'to'],
+            additionalProperties: false,
+            properties: {
+              from: { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S', example: 'cooper netties' },
+              to: { type: 'string', maxLength: 100, example: 'Kubernetes' },
+            },
+          },
+        },
+        Glossary: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            name: {
+              type: 'string',
+              example: 'Platform team',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+            },
+            terms: {
+              $ref: '#/components/schemas/GlossaryTerms',
+            },
+            replacements: {
+              $ref: '#/components/schemas/GlossaryReplacements',
+            },
+            apiKeyId: {
+              type: 'string',
+              nullable: true,
+              description: 'API key that owns the glossary; null for glossaries shared with every key',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        GlossaryRequest: {
+          type: 'object',
+          required: ['name'],
+          additionalProperties: false,
+          properties: {
+            name: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 100,
+              example: 'Platform team',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              maxLength: 500,
+            },
+            terms: {
+              $ref: '#/components/schemas/GlossaryTerms',
+            },
+            replacements: {
+              $ref: '#/components/schemas/GlossaryReplacements',
+            },
+          },
+        },
+        GlossaryUpdate: {
+          type: 'object',
+          minProperties: 1,
+          additionalProperties: false,
+          properties: {
+            name: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 100,
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              maxLength: 500,
+            },
+            terms: {
+              $ref: '#/components/schemas/GlossaryTerms',
+            },
+            replacements: {
+              $ref: '#/components/schemas/GlossaryReplacements',
+            },
+          },
+        },
+        RequestUsage: {
+          type: 'object',
+          description: 'Resources the request used and their estimated cost, at list prices',
+          properties: {
+            audioSeconds: {
+              type: 'number',
+              description: 'Seconds of audio transcribed',
+              example: 12.48,
+            },
+            promptTokens: {
+              type: 'integer',
+              example: 412,
+            },
+            completionTokens: {
+              type: 'integer',
+              example: 38,
+            },
+            speechCharacters: {
+              type: 'integer',
+              description: 'Characters of text spoken',
+              example: 0,
+            },
+            cost: {
+              type: 'number',
+              description: 'Estimated cost in USD; providers and models without a price count as free',
+              example: 0.013656,
+            },
+          },
+        },
+        UsageTotals: {
+          type: 'object',
+          properties: {
+            requests: {
+              type: 'integer',
+              description: 'Requests that used any audio, tokens or speech',
+              example: 42,
+            },
+            audioMinutes: {
+              type: 'number',
+              example: 35.2,
+            },
+            promptTokens: {
+              type: 'integer',
+              example: 18250,
+            },
+            completionTokens: {
+              type: 'integer',
+              example: 2310,
+            },
+            speechCharacters: {
+              type: 'integer',
+              description: 'Characters of text spoken',
+              example: 1840,
+            },
+            cost: {
+              type: 'number',
+              description: 'Estimated cost in USD',
+              example: 0.8412,
+            },
+            unpriced: {
+              type: 'integer',
+              description: 'Provider calls left out of the cost because their provider or model has no price',
+              example: 0,
+            },
+          },
+        },
+        UsageReport: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true,
+            },
+            from: {
+              type: 'string',
+              nullable: true,
+            },
+            to: {
+              type: 'string',
+              nullable: true,
+            },
+            groupBy: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['day', 'endpoint', 'model', 'apiKey'],
+              },
+            },
+            totals: {
+              $ref: '#/components/schemas/UsageTotals',
+            },
+            groups: {
+              type: 'array',
+              description: 'Totals per combination of the groupBy dimensions, each carrying its values; empty without groupBy',
+              items: {
+                allOf: [
+                  {
+                    type: 'object',
+                    properties: {
+                      day: { type: 'string', example: '2026-10-19' },
+                      endpoint: { type: 'string', example: 'POST /api/audio/transcribe' },
+                      model: { type: 'string', nullable: true, example: 'whisper-1' },
+                      apiKey: { type: 'string', nullable: true, description: 'API key id; null for open and admin requests' },
+                      apiKeyName: { type: 'string', nullable: true, example: 'Mobile app' },
+                    },
+                  },
+                  { $ref: '#/components/schemas/UsageTotals' },
+                ],
+              },
             },
           },
         },
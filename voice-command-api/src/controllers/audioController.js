@@ -1,96 +1,78 @@
-const axios = require('axios');
-const FormData = require('form-data');
-const fs = require('fs');
-const os = require('os');
-const path = require('path');
+const speechProviders = require('../services/speech');
+const transcriptionService = require('../services/transcription');
+const { translateText, translateToLanguages, summarizeTranslations } = require('../services/translation');
+const { getRequestUsage } = require('../services/requestContext');
+const { recordHistory } = require('../services/transcriptionHistory');
+const { resolveGlossary } = require('../services/glossaries');
+const { findLanguage, resolveTargetLanguage, resolveTargetLanguages, listLanguages } = require('../services/languages');
+const { AVAILABLE_MODELS } = require('../config/models');
+const { toSrt, toVtt } = require('../utils/captions');
 
 /**
- * Available transcription models
- * @type {Array}
+ * Response formats of the transcribe route
+ * `json` returns the transcript, `verbose_json` adds segment and word timestamps,
+ * and the others return the transcript as a plain text or caption file
  */
-const AVAILABLE_MODELS = [
-  {
-    id: 'whisper-1',
-    name: 'Whisper',
-    description: 'OpenAI\'s speech-to-text model optimized for transcription'
-  },
-  {
-    id: 'whisper-multilingual',
-    name: 'Whisper Multilingual',
-    description: 'Optimized for multiple languages and accents'
-  }
-];
+const RESPONSE_FORMATS = {
+  json: null,
+  verbose_json: null,
+  text: { contentType: 'text/plain', render: (result) => result.transcription },
+  srt: { contentType: 'application/x-subrip', render: (result) => toSrt(result.segments) },
+  vtt: { contentType: 'text/vtt', render: (result) => toVtt(result.segments) }
+};
 
 /**
- * Controller for audio transcription using OpenAI's API
+ * Controller for audio transcription using the configured speech provider
  */
 exports.transcribeAudio = async (req, res) => {
   try {
-    // Get audio data from request body
-    const { audioData, language, prompt } = req.body;
+    // Audio parsed by the audioUpload middleware from the upload or the request body
+    const audio = req.audio;
+    const { language, prompt, responseFormat = 'json', saveAudio, glossaryId } = req.body;
     
-    if (!audioData) {
+    if (!audio) {
       return res.status(400).json({ 
         success: false,
         error: "No audio data provided" 
       });
     }
 
-    // Create temporary file path with .wav extension for compatibility
-    const tempFilePath = path.join(os.tmpdir(), `audio-${Date.now()}.wav`);
-    
-    // Write the base64-decoded audio data to the temp file
-    fs.writeFileSync(tempFilePath, Buffer.from(audioData, 'base64'));
-    
-    console.log(`Temporary audio file created at: ${tempFilePath}`);
-    
-    // Create form data for OpenAI API
-    const formData = new FormData();
-    formData.append('file', fs.createReadStream(tempFilePath));
-    formData.append('model', 'whisper-1');
-    
-    // Additional optional parameters
-    if (req.body.language) {
-      formData.append('language', req.body.language);
-    }
-    
-    if (req.body.prompt) {
-      formData.append('prompt', req.body.prompt);
-    }
-    
-    console.log('Sending request to OpenAI...');
-    
-    // OpenAI Audio API endpoint for transcription
-    const openaiEndpoint = 'https://api.openai.com/v1/audio/transcriptions';
-    
-    // Send request to OpenAI
-    const response = await axios.post(openaiEndpoint, formData, {
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        ...formData.getHeaders()
-      }
+    const glossary = resolveGlossary(glossaryId, req.apiKey?.id);
+
+    const result = await transcriptionService.transcribe(audio, {
+      provider: req.body.provider,
+      language,
+      prompt,
+      glossary,
+      // Captions need segment timings as well
+      timestamps: responseFormat !== 'json' && responseFormat !== 'text'
     });
-    
-    // Clean up temp file
-    fs.unlinkSync(tempFilePath);
+
+    const historyId = recordHistory({
+      type: 'transcription',
+      text: result.transcription,
+      language: result.metadata.language,
+      metadata: { provider: result.metadata.provider, model: result.metadata.model }
+    }, { audio, saveAudio });
+
+    const file = RESPONSE_FORMATS[responseFormat];
+    if (file) {
+      return res.status(200).type(file.contentType).send(file.render(result));
+    }
     
     // Return the transcription result
     res.status(200).json({
       success: true, 
-      transcription: response.data.text,
-      metadata: {
-        processed_at: new Date().toISOString(),
-        model: 'whisper-1',
-        language: req.body.language || 'auto-detect'
-      }
+      ...result,
+      metadata: { ...result.metadata, historyId, usage: getRequestUsage() }
     });
     
   } catch (error) {
-    console.error('OpenAI API Error:', error.response?.data || error.message);
-    res.status(500).json({ 
+    console.error('Speech Provider Error:', error.response?.data || error.message);
+    res.status(error.status || 500).json({ 
       success: false,
       error: error.message,
-      details: error.response?.data || "Unknown error"
+      details: error.details || error.response?.data || "Unknown error"
     });
   }
 };
@@ -113,57 +95,102 @@ exports.getAvailableModels = (req, res) => {
 };
 
 /**
- * Translate audio to a target language
+ * Get registered speech-to-text providers and their capabilities
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getProviders = (req, res) => {
+  try {
+    res.status(200).json({
+      providers: speechProviders.listProviders()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve speech providers'
+    });
+  }
+};
+
+/**
+ * Get the languages supported as translation targets and reported for speech
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getLanguages = (req, res) => {
+  try {
+    res.status(200).json({
+      languages: listLanguages()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve supported languages'
+    });
+  }
+};
+
+/**
+ * Read the targetLanguages of a translate request
+ * JSON bodies send an array; form fields and query parameters arrive as a string, or as an
+ * array when repeated, and a string can list several languages separated by commas.
+ * @param {Array<string>|string} value - targetLanguages as sent
+ * @returns {Array<string>} - Requested languages
+ */
+function parseTargetLanguages(value) {
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Translate audio to a target language, or to several at once
+ * With targetLanguages the audio is transcribed once and the translations run concurrently.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.translateAudio = async (req, res) => {
   try {
-    // Get data from request body
-    const { audioData, content, targetLanguage } = req.body;
-    
-    // If target language isn't specified, default to English
-    const finalTargetLanguage = targetLanguage || 'English';
+    // Audio parsed by the audioUpload middleware from the upload or the request body
+    const audio = req.audio;
+    const { content, targetLanguage, targetLanguages, saveAudio, glossaryId } = req.body;
+
+    if (targetLanguage !== undefined && targetLanguages !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "Send either targetLanguage or targetLanguages, not both"
+      });
+    }
+
+    // English unless given; unsupported languages are rejected before any transcription,
+    // and a list of languages only when none of them is supported
+    const requested = targetLanguages !== undefined ? parseTargetLanguages(targetLanguages) : null;
+    const target = requested ? null : resolveTargetLanguage(targetLanguage);
+    if (requested) {
+      resolveTargetLanguages(requested);
+    }
+    const glossary = resolveGlossary(glossaryId, req.apiKey?.id);
 
     let transcription;
+    let transcriptionModel = null;
+    let transcriptionCached = null;
+    let transcriptionLanguage = null;
     
     // If content is provided directly, use it (front-end already has transcription)
     // Otherwise, transcribe the audio first
     if (content) {
       console.log('Content provided directly, skipping transcription step');
       transcription = content;
-    } else if (audioData) {
-      // Create temporary file path with .wav extension for compatibility
-      const tempFilePath = path.join(os.tmpdir(), `audio-${Date.now()}.wav`);
-      
-      // Write the base64-decoded audio data to the temp file
-      fs.writeFileSync(tempFilePath, Buffer.from(audioData, 'base64'));
-      
-      console.log(`Temporary audio file created at: ${tempFilePath}`);
-      
-      // Create form data for OpenAI API
-      const formData = new FormData();
-      formData.append('file', fs.createReadStream(tempFilePath));
-      formData.append('model', 'whisper-1');
-      
+    } else if (audio) {
       // For translation, we first need to transcribe the audio
-      console.log('Sending transcription request to OpenAI...');
-      
-      // OpenAI Audio API endpoint for transcription
-      const openaiEndpoint = 'https://api.openai.com/v1/audio/transcriptions';
-      
-      // Send request to OpenAI
-      const transcriptionResponse = await axios.post(openaiEndpoint, formData, {
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          ...formData.getHeaders()
-        }
+      const transcriptionResult = await transcriptionService.transcribe(audio, {
+        provider: req.body.provider,
+        glossary
       });
       
-      // Clean up temp file
-      fs.unlinkSync(tempFilePath);
-      
-      transcription = transcriptionResponse.data.text;
+      transcription = transcriptionResult.transcription;
+      transcriptionModel = transcriptionResult.metadata.model;
+      transcriptionCached = transcriptionResult.metadata.cached;
+      transcriptionLanguage = transcriptionResult.metadata.language;
     } else {
       return res.status(400).json({ 
         success: false,
@@ -172,53 +199,60 @@ exports.translateAudio = async (req, res) => {
     }
     
     // Now use the GPT API to translate the transcribed text
-    console.log('Sending for translation...');
-    
-    // Send to OpenAI's Chat API for translation
-    const translationResponse = await axios.post('https://api.openai.com/v1/chat/completions', {
-      model: 'gpt-4', // Using GPT-4 for translation
-      messages: [
-        {
-          role: 'system', 
-          content: `You are a professional translator fluent in all languages. Translate the following text to ${finalTargetLanguage}. 
-            If the target language is unclear or generic (e.g., just "language" or "another language"), translate to English.
-            Maintain the tone, meaning, and style as closely as possible.
-            If the text is already in the target language, mention this and return the original text.`
-        },
-        { 
-          role: 'user', 
-          content: transcription
-        }
-      ],
-      temperature: 0.3 // Lower temperature for more accurate translations
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    const translation = translationResponse.data.choices[0].message.content;
+    const translated = target
+      ? await translateText(transcription, target.code, { glossary })
+      : await translateToLanguages(transcription, requested, { glossary });
+    const { model: translationModel, cached: translationCached } = translated;
+
+    // One target answers with its translation, several with the translations by language code
+    const translationFields = target
+      ? { translation: translated.translation, targetLanguage: target.name, targetLanguageCode: target.code }
+      : { translations: translated.translations };
+
+    // The translation model reads the language from the text, the speech provider only reports it for some formats
+    const sourceLanguage = translated.sourceLanguageCode
+      ? { code: translated.sourceLanguageCode, name: translated.sourceLanguage }
+      : findLanguage(transcriptionLanguage);
+
+    const historyId = recordHistory({
+      type: 'translation',
+      text: transcription,
+      ...(target
+        ? { translation: translated.translation, targetLanguage: target.name }
+        : summarizeTranslations(translated.translations)),
+      language: sourceLanguage?.code,
+      metadata: { transcription_model: transcriptionModel, translation_model: translationModel }
+    }, { audio: content ? null : audio, saveAudio });
     
     // Return both the original transcription and the translation
     res.status(200).json({
       success: true,
       originalTranscription: transcription,
-      translation: translation,
-      targetLanguage: finalTargetLanguage,
+      sourceLanguage: sourceLanguage?.name || null,
+      sourceLanguageCode: sourceLanguage?.code || null,
+      ...translationFields,
       metadata: {
         processed_at: new Date().toISOString(),
-        transcription_model: 'whisper-1',
-        translation_model: 'gpt-4'
+        transcription_model: transcriptionModel,
+        translation_model: translationModel,
+        format: audio && !content ? audio.format : null,
+        duration: audio && !content ? audio.duration : null,
+        // Cached when no step had to call a provider
+        cached: transcriptionCached !== false && translationCached,
+        transcription_cached: transcriptionCached,
+        translation_cached: translationCached,
+        glossaryId: glossary ? glossary.id : null,
+        historyId,
+        usage: getRequestUsage()
       }
     });
     
   } catch (error) {
     console.error('API Error:', error.response?.data || error.message);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       success: false,
       error: error.message,
-      details: error.response?.data || "Unknown error"
+      details: error.details || error.response?.data || "Unknown error"
     });
   }
 };
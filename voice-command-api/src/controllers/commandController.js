@@ -0,0 +1,64 @@
+const commandService = require('../services/commands');
+const { getRequestUsage } = require('../services/requestContext');
+const { recordHistory } = require('../services/transcriptionHistory');
+const { resolveGlossary } = require('../services/glossaries');
+const { summarizeTranslations } = require('../services/translation');
+
+/**
+ * Controller for server-side voice commands
+ */
+
+/**
+ * Transcribe audio (or take text), parse the command and execute it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.analyzeCommand = async (req, res) => {
+  try {
+    // Audio parsed by the audioUpload middleware from the upload or the request body
+    const audio = req.audio;
+    const { text, provider, language, execute, saveAudio, glossaryId } = req.body;
+
+    if (!audio && !text) {
+      return res.status(400).json({
+        success: false,
+        error: "Either audio data or text must be provided"
+      });
+    }
+
+    const result = await commandService.analyzeCommand({ audio, text }, {
+      provider,
+      language,
+      glossary: resolveGlossary(glossaryId, req.apiKey?.id),
+      // Form fields and query parameters arrive as strings
+      execute: execute !== false && execute !== 'false'
+    });
+
+    const commandResult = result.execution?.success ? result.execution.result : null;
+    const historyId = recordHistory({
+      type: 'command',
+      text: result.transcription,
+      translation: commandResult?.translation,
+      targetLanguage: commandResult?.targetLanguage,
+      // Translations to several languages are kept together in the entry
+      ...(commandResult?.translations && summarizeTranslations(commandResult.translations)),
+      language: commandResult?.sourceLanguageCode || result.metadata.transcription?.language || language,
+      commandType: result.intent.commandType,
+      metadata: { intent: result.intent, intent_source: result.metadata.intent_source }
+    }, { audio, saveAudio });
+
+    res.status(200).json({
+      success: true,
+      ...result,
+      metadata: { ...result.metadata, historyId, usage: getRequestUsage() }
+    });
+
+  } catch (error) {
+    console.error('Voice Command Error:', error.response?.data || error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || error.response?.data || "Unknown error"
+    });
+  }
+};
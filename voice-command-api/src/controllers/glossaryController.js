@@ -0,0 +1,138 @@
+const { getGlossaryStore } = require('../services/glossaries');
+
+/**
+ * Controller for glossaries of custom vocabulary
+ *
+ * Glossaries created with the admin key, or while keys are not required, are shared
+ * with every key; issued keys also see the glossaries they created, and only those
+ * can they change.
+ */
+
+/**
+ * Respond with a 404 for an unknown glossary, or one of another key
+ * @param {Object} res - Express response object
+ * @param {string} id - Requested glossary id
+ */
+function glossaryNotFound(res, id) {
+  return res.status(404).json({
+    success: false,
+    error: `Glossary not found: ${id}`
+  });
+}
+
+// Issued keys own the glossaries they create, the admin's are shared
+const ownerOf = (req) => req.apiKey?.id || null;
+
+/**
+ * Create a glossary
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createGlossary = (req, res) => {
+  try {
+    const { name, description, terms, replacements } = req.body;
+    const glossary = getGlossaryStore().create({ name, description, terms, replacements }, ownerOf(req));
+
+    res.status(201)
+      .location(`${req.baseUrl}/${glossary.id}`)
+      .json({
+        success: true,
+        glossary
+      });
+
+  } catch (error) {
+    console.error('Glossary Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || "Unknown error"
+    });
+  }
+};
+
+/**
+ * List the glossaries available to the caller
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listGlossaries = (req, res) => {
+  res.status(200).json({
+    success: true,
+    glossaries: getGlossaryStore().list(ownerOf(req))
+  });
+};
+
+/**
+ * Get one glossary
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getGlossary = (req, res) => {
+  const glossary = getGlossaryStore().get(req.params.id, ownerOf(req));
+
+  if (!glossary) {
+    return glossaryNotFound(res, req.params.id);
+  }
+
+  res.status(200).json({
+    success: true,
+    glossary
+  });
+};
+
+/**
+ * Rename a glossary or replace its terms or replacement rules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateGlossary = (req, res) => {
+  try {
+    const { name, description, terms, replacements } = req.body;
+    const glossary = getGlossaryStore().update(req.params.id, { name, description, terms, replacements }, ownerOf(req));
+
+    if (!glossary) {
+      return glossaryNotFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      glossary
+    });
+
+  } catch (error) {
+    console.error('Glossary Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || "Unknown error"
+    });
+  }
+};
+
+/**
+ * Delete a glossary
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteGlossary = (req, res) => {
+  try {
+    const glossary = getGlossaryStore().remove(req.params.id, ownerOf(req));
+
+    if (!glossary) {
+      return glossaryNotFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      glossary
+    });
+
+  } catch (error) {
+    console.error('Glossary Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || "Unknown error"
+    });
+  }
+};
@@ -0,0 +1,178 @@
+const speechProviders = require('../services/speech');
+const transcriptionService = require('../services/transcription');
+const { createJobQueue } = require('../services/jobQueue');
+const { getRequestUsage } = require('../services/requestContext');
+const { recordHistory } = require('../services/transcriptionHistory');
+const { resolveGlossary } = require('../services/glossaries');
+
+/**
+ * Controller for asynchronous transcription jobs
+ *
+ * Issued API keys only see the jobs they queued; the admin key, and every client
+ * when keys are not required, sees all of them.
+ */
+
+// Job results are JSON, caption files are only rendered by the transcribe route
+const JOB_RESPONSE_FORMATS = ['json', 'verbose_json'];
+
+const jobQueue = createJobQueue({
+  concurrency: Number(process.env.TRANSCRIPTION_JOB_CONCURRENCY) || 2
+});
+
+/**
+ * Respond with a 404 for an unknown or expired job
+ * @param {Object} res - Express response object
+ * @param {string} id - Requested job id
+ */
+function jobNotFound(res, id) {
+  return res.status(404).json({
+    success: false,
+    error: `Job not found: ${id}`
+  });
+}
+
+// Issued keys are limited to their own jobs
+const ownerOf = (req) => req.apiKey?.id || null;
+
+/**
+ * Queue a transcription job for the uploaded audio
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createTranscriptionJob = (req, res) => {
+  try {
+    // Audio parsed by the audioUpload middleware from the upload or the request body
+    const audio = req.audio;
+    const { language, prompt, provider, responseFormat = 'json', saveAudio, glossaryId } = req.body;
+
+    if (!audio) {
+      return res.status(400).json({
+        success: false,
+        error: "No audio data provided"
+      });
+    }
+
+    if (!JOB_RESPONSE_FORMATS.includes(responseFormat)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported response format for jobs: ${responseFormat}`,
+        details: { responseFormats: JOB_RESPONSE_FORMATS }
+      });
+    }
+
+    // Reject unknown providers and glossaries now rather than in a failed job
+    speechProviders.getProvider(provider);
+    const glossary = resolveGlossary(glossaryId, req.apiKey?.id);
+
+    const job = jobQueue.enqueue('transcription', async ({ reportProgress, signal }) => {
+      const result = await transcriptionService.transcribe(audio, {
+        provider,
+        language,
+        prompt,
+        glossary,
+        timestamps: responseFormat === 'verbose_json',
+        onProgress: reportProgress,
+        signal
+      });
+
+      const historyId = recordHistory({
+        type: 'transcription',
+        text: result.transcription,
+        language: result.metadata.language,
+        metadata: { provider: result.metadata.provider, model: result.metadata.model }
+      }, { audio, saveAudio });
+
+      // Jobs run in the context of the request that created them, which is metered with them
+      return { ...result, metadata: { ...result.metadata, historyId, usage: getRequestUsage() } };
+    }, { apiKeyId: ownerOf(req) });
+
+    res.status(202)
+      .location(`${req.baseUrl}/jobs/${job.id}`)
+      .json({
+        success: true,
+        job
+      });
+
+  } catch (error) {
+    console.error('Job Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || "Unknown error"
+    });
+  }
+};
+
+/**
+ * Get the status, progress and result of a job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getJob = (req, res) => {
+  const job = jobQueue.get(req.params.id, ownerOf(req));
+
+  if (!job) {
+    return jobNotFound(res, req.params.id);
+  }
+
+  res.status(200).json({
+    success: true,
+    job
+  });
+};
+
+/**
+ * Cancel a job if it is still queued or running, and remove it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteJob = (req, res) => {
+  const job = jobQueue.remove(req.params.id, ownerOf(req));
+
+  if (!job) {
+    return jobNotFound(res, req.params.id);
+  }
+
+  res.status(200).json({
+    success: true,
+    job
+  });
+};
+
+/**
+ * Stream job updates as Server-Sent Events until the job finishes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.streamJobEvents = (req, res) => {
+  const job = jobQueue.get(req.params.id, ownerOf(req));
+
+  if (!job) {
+    return jobNotFound(res, req.params.id);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const sendUpdate = (update) => {
+    if (update.id !== job.id) return;
+
+    res.write(`event: job\ndata: ${JSON.stringify(update)}\n\n`);
+
+    if (jobQueue.isTerminal(update.status)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  const cleanup = () => jobQueue.events.off('update', sendUpdate);
+
+  jobQueue.events.on('update', sendUpdate);
+  req.on('close', cleanup);
+
+  // Send the current state straight away, which also ends the stream for finished jobs
+  sendUpdate(job);
+};
@@ -0,0 +1,78 @@
+const { getApiKeyStore } = require('../services/apiKeys');
+
+/**
+ * Controller for managing API keys, available with the admin key
+ */
+
+/**
+ * Respond with a 404 for an unknown key
+ * @param {Object} res - Express response object
+ * @param {string} id - Requested key id
+ */
+function keyNotFound(res, id) {
+  return res.status(404).json({
+    success: false,
+    error: `API key not found: ${id}`
+  });
+}
+
+/**
+ * Issue a new API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createApiKey = (req, res) => {
+  try {
+    const { name, rateLimit, quotas } = req.body;
+    const { key, apiKey } = getApiKeyStore().create({ name, rateLimit, quotas });
+
+    console.log(`Issued API key ${apiKey.id} (${apiKey.name})`);
+
+    res.status(201)
+      .location(`${req.baseUrl}/${apiKey.id}`)
+      .json({
+        success: true,
+        key,
+        apiKey
+      });
+  } catch (error) {
+    console.error('API Key Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || "Unknown error"
+    });
+  }
+};
+
+/**
+ * List the issued keys with their limits and usage this month
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listApiKeys = (req, res) => {
+  res.status(200).json({
+    success: true,
+    apiKeys: getApiKeyStore().list()
+  });
+};
+
+/**
+ * Revoke an API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeApiKey = (req, res) => {
+  const apiKey = getApiKeyStore().revoke(req.params.id);
+
+  if (!apiKey) {
+    return keyNotFound(res, req.params.id);
+  }
+
+  console.log(`Revoked API key ${apiKey.id} (${apiKey.name})`);
+
+  res.status(200).json({
+    success: true,
+    apiKey
+  });
+};
@@ -1,55 +1,80 @@
-const axios = require('axios');
-const swaggerDocs = require('../config/swagger');
+const { executeAction } = require('../services/llmActions');
+const { runToolConversation } = require('../services/llmTools');
+const { createSessionStore } = require('../services/llmSessions');
+const { selectOperations, listOperationSummaries } = require('../services/specIndex');
+const { getRequestUsage } = require('../services/requestContext');
 
 /**
  * Controller for LLM integration that allows autonomous API usage
+ *
+ * Issued API keys only see the conversation sessions they started; the admin key,
+ * and every client when keys are not required, sees all of them.
  */
 
+const sessionStore = createSessionStore({
+  tokenBudget: Number(process.env.LLM_SESSION_TOKEN_BUDGET) || 2000
+});
+
 /**
- * Sends a message to OpenAI API for LLM assistance
+ * Sends a message to the LLM, which may call the API's operations as tools
  * @param {string} message - User query for the LLM
- * @param {object} apiSpec - OpenAPI specification (optional, will use the system's spec if not provided)
- * @returns {Promise<object>} - LLM response with recommended API actions
+ * @param {object} options - Conversation options
+ * @param {string} options.baseUrl - Base URL this API is reachable on, for executing tool calls
+ * @param {boolean} options.execute - Execute tool calls (default true); when false they are returned as proposed actions
+ * @param {Array<object>} options.history - Earlier `{ role, content }` messages of the conversation
+ * @param {object} options.events - Streaming callbacks and abort signal ({ onDelta, onToolCall, signal })
+ * @returns {Promise<object>} - LLM answer with the structured tool calls it made or proposed
  */
-async function getLLMResponse(message, apiSpec = null) {
+async function getLLMResponse(message, { baseUrl, execute = true, history = [], events = {} }) {
   try {
-    const spec = apiSpec || swaggerDocs;
-    const openaiEndpoint = 'https://api.openai.com/v1/chat/completions';
+    // Only the operations relevant to the question go into the prompt; a follow-up
+    // is matched together with the question before it, which it usually refers to
+    const previousQuestion = [...history].reverse().find(entry => entry.role === 'user');
+    const operations = await selectOperations([previousQuestion?.content, message].filter(Boolean).join('\n'));
+
+    // Create system prompt with the relevant part of the OpenAPI spec
+    const apiDescription = operations.length > 0
+      ? `These are the API operations relevant to the question (* marks required fields):
+${operations.map(operation => operation.summary).join('\n\n')}`
+      : `The API has these operations:
+${listOperationSummaries()}`;
 
-    // Create system prompt with the OpenAPI spec
     const systemPrompt = `You are an AI assistant that helps users interact with an Audio Transcription API.
-The API has the following OpenAPI specification. Use this to determine which endpoints to call:
-${JSON.stringify(spec, null, 2)}
-Always analyze the API spec to determine the correct endpoints, parameters, and response formats. When recommending actions, 
-provide the exact endpoint URL, HTTP method, required parameters, and explain why this endpoint is appropriate.`;
-
-    const response = await axios.post(openaiEndpoint, {
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: systemPrompt
-        },
-        {
-          role: "user",
-          content: message
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 800
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
+${apiDescription}
+The full OpenAPI specification is served at GET /api-spec.
+Call the provided tools to run API operations when the answer depends on live data or the user asks for an action.
+For operations you cannot call, such as audio uploads, explain the exact endpoint URL, HTTP method and required parameters to use.`;
+
+    const conversation = await runToolConversation([
+      {
+        role: "system",
+        content: systemPrompt
+      },
+      ...history,
+      {
+        role: "user",
+        content: message
       }
+    ], {
+      baseUrl,
+      execute,
+      operationIds: operations.length > 0 ? operations.map(operation => operation.operationId) : null,
+      completion: {
+        temperature: 0.7,
+        max_tokens: 800
+      },
+      ...events
     });
 
     return {
       success: true,
-      result: response.data.choices[0].message.content,
+      result: conversation.answer,
+      toolCalls: conversation.toolCalls,
       metadata: {
-        model: response.data.model,
-        processed_at: new Date().toISOString()
+        model: conversation.model,
+        processed_at: new Date().toISOString(),
+        operations: operations.map(operation => operation.operationId),
+        usage: getRequestUsage()
       }
     };
     
@@ -59,27 +84,90 @@ provide the exact endpoint URL, HTTP method, required parameters, and explain wh
   }
 }
 
+/**
+ * Base URL of this API for requests made on behalf of the client
+ * @param {Object} req - Express request
+ * @returns {string} - Loopback URL on the port the request arrived on
+ */
+const getBaseUrl = (req) => `http://127.0.0.1:${req.socket.localPort}`;
+
+/**
+ * Whether the client asked for the answer as a Server-Sent Events stream
+ * @param {Object} req - Express request
+ * @returns {boolean} - True for `Accept: text/event-stream`
+ */
+const wantsEventStream = (req) => req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream';
+
+/**
+ * Answer as a Server-Sent Events stream
+ * Emits `delta` events with pieces of the answer as they are generated, `tool_call` events
+ * for each API call the LLM made, then `done` with the same body as the JSON response, or
+ * `error`. Closing the connection stops the LLM request.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} answer - Async function given `{ onDelta, onToolCall, signal }`, resolving to the response body
+ */
+async function sendEventStream(req, res, answer) {
+  const controller = new AbortController();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    const body = await answer({
+      onDelta: (content) => send('delta', { content }),
+      onToolCall: (toolCall) => send('tool_call', toolCall),
+      signal: controller.signal
+    });
+    send('done', body);
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('LLM Stream Error:', error.message);
+      send('error', {
+        success: false,
+        error: error.message,
+        details: error.details || error.response?.data || "Unknown error"
+      });
+    }
+  } finally {
+    res.end();
+  }
+}
+
 /**
  * Query the LLM with the API spec for autonomous usage
  */
 exports.queryLLM = async (req, res) => {
   try {
     const { query } = req.body;
-    
-    if (!query) {
-      return res.status(400).json({ 
-        success: false,
-        error: "No query provided" 
-      });
+
+    const answer = async (events) => {
+      const llmResponse = await getLLMResponse(query, { baseUrl: getBaseUrl(req), events });
+
+      return {
+        success: true,
+        response: llmResponse.result,
+        toolCalls: llmResponse.toolCalls,
+        metadata: llmResponse.metadata
+      };
+    };
+
+    if (wantsEventStream(req)) {
+      return sendEventStream(req, res, answer);
     }
 
-    const llmResponse = await getLLMResponse(query);
-    
-    res.status(200).json({
-      success: true,
-      response: llmResponse.result,
-      metadata: llmResponse.metadata
-    });
+    res.status(200).json(await answer());
     
   } catch (error) {
     console.error('LLM Error:', error.message);
@@ -97,44 +185,161 @@ exports.queryLLM = async (req, res) => {
 exports.executeLLMAction = async (req, res) => {
   try {
     const { query, action } = req.body;
-    
-    if (!query) {
-      return res.status(400).json({ 
-        success: false,
-        error: "No query provided" 
-      });
-    }
 
     // First get LLM recommendation if action not provided
     let actionToExecute = action;
     if (!actionToExecute) {
-      const llmResponse = await getLLMResponse(query);
-      // Here we could parse the LLM response to extract the recommended action
-      // For now we'll just return the recommendation
+      // The tool calls the model proposes are returned as actions rather than executed
+      const llmResponse = await getLLMResponse(query, { baseUrl: getBaseUrl(req), execute: false });
       return res.status(200).json({
         success: true,
         recommendation: llmResponse.result,
+        actions: llmResponse.toolCalls.map(toolCall => toolCall.action),
         metadata: {
-          note: "To execute this action, call this endpoint again with the 'action' parameter containing execution details"
+          ...llmResponse.metadata,
+          note: "To execute an action, call this endpoint again with it as the 'action' parameter"
         }
       });
     }
 
-    // Execute the action (in a production environment, you would implement a safe way to execute API actions)
+    // Dispatch the action to the API itself
+    const execution = await executeAction(actionToExecute, { baseUrl: getBaseUrl(req) });
+
     res.status(200).json({
-      success: true,
+      success: execution.status < 400,
       executed: true,
-      action: actionToExecute,
-      result: "Action execution simulated successfully",
-      note: "This is a placeholder. In production, implement secure action execution logic."
+      action: execution.operation,
+      result: {
+        status: execution.status,
+        data: execution.data
+      }
     });
     
   } catch (error) {
     console.error('LLM Action Error:', error.message);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       success: false,
       error: error.message,
-      details: error.response?.data || "Unknown error"
+      details: error.details || error.response?.data || "Unknown error"
     });
   }
 };
+
+// Issued keys are limited to their own sessions
+const ownerOf = (req) => req.apiKey?.id || null;
+
+/**
+ * Respond with a 404 for an unknown or expired session, or one of another key
+ * @param {Object} res - Express response object
+ * @param {string} id - Requested session id
+ */
+function sessionNotFound(res, id) {
+  return res.status(404).json({
+    success: false,
+    error: `Session not found: ${id}`
+  });
+}
+
+/**
+ * Start a conversation session with the LLM assistant
+ */
+exports.createSession = (req, res) => {
+  const session = sessionStore.create({ apiKeyId: ownerOf(req) });
+
+  res.status(201)
+    .location(`${req.baseUrl}/sessions/${session.id}`)
+    .json({
+      success: true,
+      session
+    });
+};
+
+/**
+ * Ask a question in a session, with the earlier turns as context
+ */
+exports.sendSessionMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { query } = req.body;
+
+    const context = sessionStore.context(id, ownerOf(req));
+
+    if (!context) {
+      return sessionNotFound(res, id);
+    }
+
+    const answer = async (events) => {
+      const llmResponse = await getLLMResponse(query, {
+        baseUrl: getBaseUrl(req),
+        history: context.messages,
+        events
+      });
+
+      // Only answered questions join the history, so a failed or stopped request can simply be retried
+      sessionStore.append(id, [
+        { role: 'user', content: query },
+        { role: 'assistant', content: llmResponse.result, toolCalls: llmResponse.toolCalls }
+      ], ownerOf(req));
+
+      return {
+        success: true,
+        sessionId: id,
+        response: llmResponse.result,
+        toolCalls: llmResponse.toolCalls,
+        metadata: {
+          ...llmResponse.metadata,
+          history: {
+            included: context.messages.length,
+            trimmed: context.trimmed
+          }
+        }
+      };
+    };
+
+    if (wantsEventStream(req)) {
+      return sendEventStream(req, res, answer);
+    }
+
+    res.status(200).json(await answer());
+
+  } catch (error) {
+    console.error('LLM Session Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || error.response?.data || "Unknown error"
+    });
+  }
+};
+
+/**
+ * Get a session with its full message history
+ */
+exports.getSession = (req, res) => {
+  const session = sessionStore.get(req.params.id, ownerOf(req));
+
+  if (!session) {
+    return sessionNotFound(res, req.params.id);
+  }
+
+  res.status(200).json({
+    success: true,
+    session
+  });
+};
+
+/**
+ * End a session and discard its history
+ */
+exports.deleteSession = (req, res) => {
+  const session = sessionStore.remove(req.params.id, ownerOf(req));
+
+  if (!session) {
+    return sessionNotFound(res, req.params.id);
+  }
+
+  res.status(200).json({
+    success: true,
+    session
+  });
+};
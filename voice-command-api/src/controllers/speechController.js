@@ -0,0 +1,57 @@
+const { synthesize } = require('../services/speechSynthesis');
+const ttsProviders = require('../services/tts');
+
+/**
+ * Controller for text-to-speech
+ */
+
+/**
+ * Synthesise speech from text and respond with the audio
+ * The provider, voice and model that spoke it are reported in X-Speech-* headers.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.speakText = async (req, res) => {
+  try {
+    const { text, provider, voice, format, language, speed } = req.body;
+    const speech = await synthesize(text, { provider, voice, format, language, speed });
+
+    res.status(200).set({
+      'Content-Type': speech.mimeType,
+      'X-Speech-Provider': speech.provider,
+      'X-Speech-Voice': speech.voice,
+      'X-Speech-Model': speech.model
+    });
+
+    if (speech.language) {
+      res.set('Content-Language', speech.language);
+    }
+
+    res.send(speech.audio);
+
+  } catch (error) {
+    console.error('Speech Error:', error.response?.data || error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || error.response?.data || "Unknown error"
+    });
+  }
+};
+
+/**
+ * List the text-to-speech providers and their voices
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getVoices = (req, res) => {
+  try {
+    res.status(200).json({
+      providers: ttsProviders.listTtsProviders()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve text-to-speech providers'
+    });
+  }
+};
@@ -0,0 +1,70 @@
+const { summarizeText } = require('../services/summarization');
+const { getHistoryStore } = require('../services/transcriptionHistory');
+const { getRequestUsage } = require('../services/requestContext');
+const { resolveGlossary } = require('../services/glossaries');
+
+/**
+ * Controller for meeting notes
+ */
+
+/**
+ * Summarize a transcript, given as text or as the id of a history entry, into meeting notes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.summarizeTranscript = async (req, res) => {
+  try {
+    const { content, historyId, glossaryId } = req.body;
+
+    if (content !== undefined && historyId !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "Send either content or historyId, not both"
+      });
+    }
+
+    // Issued keys only summarize their own entries
+    const entry = historyId !== undefined ? getHistoryStore().get(historyId, req.apiKey?.id) : null;
+    if (historyId !== undefined && !entry) {
+      return res.status(404).json({
+        success: false,
+        error: `Transcription not found: ${historyId}`
+      });
+    }
+
+    const transcript = entry ? entry.text : content;
+    if (!transcript || !transcript.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "The transcript to summarize is empty"
+      });
+    }
+
+    const glossary = resolveGlossary(glossaryId, req.apiKey?.id);
+    const { summary, keyPoints, actionItems, model, cached } = await summarizeText(transcript, { glossary });
+
+    res.status(200).json({
+      success: true,
+      transcript,
+      summary,
+      keyPoints,
+      actionItems,
+      metadata: {
+        processed_at: new Date().toISOString(),
+        summary_model: model,
+        cached,
+        historyId: entry ? entry.id : null,
+        glossaryId: glossary ? glossary.id : null,
+        usage: getRequestUsage()
+      }
+    });
+
+  } catch (error) {
+    console.error('Summary Error:', error.response?.data || error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || error.response?.data || "Unknown error"
+    });
+  }
+};
@@ -0,0 +1,152 @@
+const { getHistoryStore } = require('../services/transcriptionHistory');
+
+/**
+ * Controller for the history of past transcriptions, translations and voice commands
+ *
+ * Issued API keys only see the entries they created; the admin key, and every client
+ * when keys are not required, sees all of them.
+ */
+
+/**
+ * Respond with a 404 for an unknown entry, or one of another key
+ * @param {Object} res - Express response object
+ * @param {string} id - Requested entry id
+ */
+function entryNotFound(res, id) {
+  return res.status(404).json({
+    success: false,
+    error: `Transcription not found: ${id}`
+  });
+}
+
+// Issued keys are limited to their own entries; requests without one see every entry
+const ownerOf = (req) => req.apiKey?.id;
+
+/**
+ * Search the history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listTranscriptions = (req, res) => {
+  try {
+    const { q, type, language, commandType, tag, from, to, limit, offset } = req.query;
+
+    const { total, entries } = getHistoryStore().search({
+      q,
+      type,
+      language,
+      commandType,
+      tag,
+      from,
+      to,
+      apiKeyId: ownerOf(req),
+      // Query parameters arrive as strings
+      limit: limit === undefined ? undefined : Number(limit),
+      offset: offset === undefined ? undefined : Number(offset)
+    });
+
+    res.status(200).json({
+      success: true,
+      total,
+      transcriptions: entries
+    });
+
+  } catch (error) {
+    console.error('Transcription History Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || "Unknown error"
+    });
+  }
+};
+
+/**
+ * Get one entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getTranscription = (req, res) => {
+  const entry = getHistoryStore().get(req.params.id, ownerOf(req));
+
+  if (!entry) {
+    return entryNotFound(res, req.params.id);
+  }
+
+  res.status(200).json({
+    success: true,
+    transcription: entry
+  });
+};
+
+/**
+ * Edit the title, text or translation of an entry, or replace its tags
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateTranscription = (req, res) => {
+  try {
+    const { title, text, translation, tags } = req.body;
+    const entry = getHistoryStore().update(req.params.id, { title, text, translation, tags }, ownerOf(req));
+
+    if (!entry) {
+      return entryNotFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      transcription: entry
+    });
+
+  } catch (error) {
+    console.error('Transcription History Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || "Unknown error"
+    });
+  }
+};
+
+/**
+ * Delete an entry along with its audio
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteTranscription = (req, res) => {
+  const entry = getHistoryStore().remove(req.params.id, ownerOf(req));
+
+  if (!entry) {
+    return entryNotFound(res, req.params.id);
+  }
+
+  res.status(200).json({
+    success: true,
+    transcription: entry
+  });
+};
+
+/**
+ * Download the source audio of an entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getTranscriptionAudio = (req, res) => {
+  const store = getHistoryStore();
+  const entry = store.get(req.params.id, ownerOf(req));
+
+  if (!entry) {
+    return entryNotFound(res, req.params.id);
+  }
+
+  const audio = store.readAudio(entry);
+
+  if (!audio) {
+    return res.status(404).json({
+      success: false,
+      error: `No audio was kept for transcription ${entry.id}`
+    });
+  }
+
+  res.status(200).type(entry.audio.mimeType).send(audio);
+};
@@ -0,0 +1,51 @@
+const { getApiKeyStore } = require('../services/apiKeys');
+const { getUsageLedger } = require('../services/usage');
+
+/**
+ * Controller for usage reports
+ */
+
+/**
+ * Summarise metered usage over a period, optionally grouped
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getUsage = (req, res) => {
+  try {
+    const { from = null, to = null } = req.query;
+    const groupBy = req.query.groupBy ? [...new Set(req.query.groupBy.split(','))] : [];
+    let apiKeyId = req.query.apiKeyId || null;
+
+    // Issued keys see their own usage only
+    if (req.apiKey) {
+      if (apiKeyId && apiKeyId !== req.apiKey.id) {
+        return res.status(403).json({
+          success: false,
+          error: "API keys can only read their own usage"
+        });
+      }
+      apiKeyId = req.apiKey.id;
+    }
+
+    const { totals, groups } = getUsageLedger().summarize({ from, to, apiKeyId, groupBy });
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      groupBy,
+      totals,
+      groups: groupBy.includes('apiKey')
+        ? groups.map(group => ({ ...group, apiKeyName: group.apiKey && (getApiKeyStore().get(group.apiKey)?.name || null) }))
+        : groups
+    });
+
+  } catch (error) {
+    console.error('Usage Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || "Unknown error"
+    });
+  }
+};
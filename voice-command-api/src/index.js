@@ -3,6 +3,7 @@ const cors = require('cors');
 const path = require('path');
 const swaggerUi = require('swagger-ui-express');
 const swaggerDocs = require('./config/swagger');
+const { getProviderMode, getFixturesDir } = require('./services/fixtures');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 const app = express();
@@ -11,14 +12,28 @@ const PORT = process.env.PORT || 3000;
 // Import routes
 const audioRoutes = require('./routes/audioRoutes');
 const llmRoutes = require('./routes/llmRoutes');
+const commandRoutes = require('./routes/commandRoutes');
+const keyRoutes = require('./routes/keyRoutes');
+const usageRoutes = require('./routes/usageRoutes');
+const transcriptionRoutes = require('./routes/transcriptionRoutes');
+const glossaryRoutes = require('./routes/glossaryRoutes');
+const { attachTranscriptionStream, STREAM_PATH } = require('./services/transcriptionStream');
+const { warmOperationEmbeddings } = require('./services/specIndex');
+const { validateRequest } = require('./middleware/validateRequest');
+const { authenticate } = require('./middleware/apiKeyAuth');
+const { isAuthRequired } = require('./services/apiKeys');
 
-// Check if OpenAI API key is set
-if (!process.env.OPENAI_API_KEY) {
+// Check if OpenAI API key is set (fake mode serves fixtures and does not need one)
+if (!process.env.OPENAI_API_KEY && getProviderMode() !== 'fake') {
   console.warn('Warning: OPENAI_API_KEY environment variable not set');
 }
 
+if (!isAuthRequired()) {
+  console.warn('Warning: ADMIN_API_KEY not set, the API is open to anyone without an API key');
+}
+
 // Middlewares
-app.use(cors()); // Enable CORS for frontend requests
+app.use(cors({ exposedHeaders: ['Retry-After'] })); // Enable CORS for frontend requests
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -33,17 +48,28 @@ app.get('/api-spec', (req, res) => {
   res.json(swaggerDocs);
 });
 
+// Requests to the API routes need an API key and must match the OpenAPI spec
+app.use(authenticate);
+app.use(validateRequest);
+
 // API Routes
 app.use('/api/audio', audioRoutes);
 app.use('/api/llm', llmRoutes);
+app.use('/api/commands', commandRoutes);
+app.use('/api/keys', keyRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/transcriptions', transcriptionRoutes);
+app.use('/api/glossaries', glossaryRoutes);
 
 /**
  * @swagger
  * /api/health:
  *   get:
  *     summary: Check API health
+ *     operationId: getHealth
  *     tags: [Health]
  *     description: Returns the health status of the API
+ *     security: []
  *     responses:
  *       200:
  *         description: API is running properly
@@ -57,9 +83,22 @@ app.get('/api/health', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Audio API Backend server running on port ${PORT}`);
   console.log(`API available at http://localhost:${PORT}/api/audio`);
+  console.log(`Streaming transcription at ws://localhost:${PORT}${STREAM_PATH}`);
   console.log(`API documentation available at http://localhost:${PORT}/api-docs`);
   console.log(`OpenAPI specification at http://localhost:${PORT}/api-spec`);
+  if (getProviderMode() !== 'live') {
+    console.log(`Provider mode: ${getProviderMode()} (fixtures in ${getFixturesDir()})`);
+  }
 });
+
+// Real-time transcription over WebSocket shares the HTTP server
+attachTranscriptionStream(server);
+
+// Embed the API's operations for LLM prompts now rather than in the first request that needs them
+warmOperationEmbeddings();
+
+// Exit on Ctrl+C and from process managers through process.exit, so 'exit' handlers write what is kept in memory
+['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => process.exit(0)));
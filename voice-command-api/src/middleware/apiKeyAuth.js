@@ -0,0 +1,96 @@
+const { findOperation } = require('../services/apiOperations');
+const { authorize, checkQuota } = require('../services/apiKeys');
+const { runWithContext } = require('../services/requestContext');
+const { createMeteredContext } = require('../services/usage');
+const { bypassesCache } = require('../services/resultCache');
+
+/**
+ * Middleware enforcing API keys, rate limits and quotas
+ *
+ * `authenticate` runs for every request. Which operations need a key comes from the
+ * OpenAPI spec: operations declaring `security: []` are public, `AdminKeyAuth` ones
+ * need the admin key and all others an issued key. The rest of the request runs in a
+ * request context so the audio and tokens it uses are metered and charged to its key.
+ *
+ * `requireQuota` is added to the routes that spend a quota, and rejects keys that
+ * have used it up this month.
+ */
+
+/**
+ * Respond with an authorization error, with Retry-After for rate limits and quotas
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error from authorize or checkQuota
+ */
+function rejectRequest(res, error) {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    details: error.details || "Unknown error"
+  });
+}
+
+/**
+ * Express middleware that authenticates requests and counts them against their key's rate limit
+ * The key is exposed as `req.apiKey`, null for the admin key and when keys are not required,
+ * and the operation as `req.operation`, null for paths outside the spec.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function authenticate(req, res, next) {
+  const operation = findOperation({ method: req.method, path: req.path });
+  let access = { apiKey: null, admin: false, credentials: null };
+
+  // Paths outside the spec, such as the docs, and public operations need no key
+  if (operation && operation.security.length > 0) {
+    try {
+      access = authorize(req, {
+        admin: operation.security.some(requirement => 'AdminKeyAuth' in requirement)
+      });
+    } catch (error) {
+      return rejectRequest(res, error);
+    }
+  }
+
+  req.apiKey = access.apiKey;
+  req.operation = operation;
+
+  const context = createMeteredContext({
+    endpoint: operation ? `${operation.method} ${operation.path}` : `${req.method} ${req.path}`,
+    apiKey: access.apiKey,
+    credentials: access.credentials
+  });
+
+  // Carried along with the key so result caches deep in the request can honour it
+  runWithContext({ ...context, bypassCache: bypassesCache(req) }, next);
+}
+
+/**
+ * Create middleware rejecting keys that have used up a monthly quota
+ * @param {...string} quotas - Quotas the route spends: `audioMinutes`, `llmTokens`, `speechCharacters`
+ * @returns {Function} - Express middleware
+ */
+function requireQuota(...quotas) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    try {
+      checkQuota(req.apiKey, quotas);
+    } catch (error) {
+      return rejectRequest(res, error);
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireQuota
+};
@@ -0,0 +1,97 @@
+const { AsyncResource } = require('async_hooks');
+const express = require('express');
+const multer = require('multer');
+const { describeAudio } = require('../utils/audioFormat');
+
+/**
+ * Middleware accepting audio as a binary upload in addition to base64 JSON
+ *
+ * - multipart/form-data: the file is read from the `audio` field and the other
+ *   form fields (language, prompt, ...) end up in `req.body`
+ * - audio/* bodies: the raw bytes are the audio and parameters are read from
+ *   the query string, which is copied into `req.body`
+ * - application/json: base64 `audioData` (optionally a data URL) is decoded
+ *
+ * Either way the container is sniffed from the audio's magic bytes, unsupported formats are
+ * rejected with a 415, and the audio is exposed as
+ * `req.audio = { buffer, filename, mimeType, format, duration }`.
+ * `req.audio` is left undefined when the request carries no audio.
+ */
+
+// Keep the same ceiling as the JSON body parser
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES }
+});
+
+const parseRawAudio = express.raw({ type: 'audio/*', limit: MAX_UPLOAD_BYTES });
+
+/**
+ * Expose uploaded bytes as `req.audio`, rejecting containers the providers cannot read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ * @param {Buffer} [buffer] - Uploaded audio, if any
+ */
+function attachAudio(req, res, next, buffer) {
+  if (buffer && buffer.length > 0) {
+    try {
+      req.audio = describeAudio(buffer);
+    } catch (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        error: error.message,
+        details: error.details || "Unknown error"
+      });
+    }
+  }
+
+  next();
+}
+
+/**
+ * Express middleware that parses multipart, raw and base64 JSON audio
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function audioUpload(req, res, next) {
+  if (req.is('multipart/form-data')) {
+    // Parsers call back from stream events, so bind the callbacks to keep the request context
+    return upload.single('audio')(req, res, AsyncResource.bind((error) => {
+      if (error) {
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          success: false,
+          error: `Invalid audio upload: ${error.message}`,
+          details: error.code || "Unknown error"
+        });
+      }
+
+      attachAudio(req, res, next, req.file?.buffer);
+    }));
+  }
+
+  if (req.is('audio/*')) {
+    return parseRawAudio(req, res, AsyncResource.bind((error) => {
+      if (error) {
+        return res.status(error.status || 400).json({
+          success: false,
+          error: `Invalid audio upload: ${error.message}`,
+          details: error.type || "Unknown error"
+        });
+      }
+
+      const buffer = Buffer.isBuffer(req.body) ? req.body : null;
+      req.body = { ...req.query };
+      attachAudio(req, res, next, buffer);
+    }));
+  }
+
+  // Base64 in a JSON body, optionally as a data URL
+  const audioData = req.body && typeof req.body.audioData === 'string' ? req.body.audioData : '';
+  attachAudio(req, res, next, Buffer.from(audioData.replace(/^data:[^,]*,/, ''), 'base64'));
+}
+
+module.exports = audioUpload;
@@ -0,0 +1,95 @@
+const { findOperation, validateParameters, validateBody } = require('../services/apiOperations');
+
+/**
+ * Middleware validating requests against the OpenAPI specification
+ *
+ * `validateRequest` runs for every request: it finds the operation in the spec by
+ * method and path, then checks the path and query parameters, the body's content
+ * type and JSON bodies against it. Multipart forms are only parsed by the route's
+ * audioUpload middleware, so `validateUpload` checks their fields once parsed.
+ * Requests that do not match are rejected with a 400 listing every violation in
+ * `details.validationErrors`; paths the spec does not describe, such as the docs,
+ * are passed through.
+ */
+
+/**
+ * Reject a request that does not match the specification
+ * @param {Object} res - Express response object
+ * @param {Array<string>} validationErrors - Violations found
+ */
+function rejectRequest(res, validationErrors) {
+  res.status(400).json({
+    success: false,
+    error: 'Request does not match the API specification',
+    details: { validationErrors }
+  });
+}
+
+/**
+ * Express middleware that validates parameters, content types and JSON bodies
+ * The matched operation is exposed as `req.operation`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function validateRequest(req, res, next) {
+  // Already looked up when the request was authenticated
+  const operation = req.operation !== undefined ? req.operation : findOperation({ method: req.method, path: req.path });
+
+  if (!operation) {
+    return next();
+  }
+
+  req.operation = operation;
+
+  // Validate copies so the handlers still see the request as sent
+  const errors = validateParameters(operation, { params: { ...operation.pathParams }, query: { ...req.query } });
+
+  // req.is() is null when the request has no body at all
+  if (req.is('*/*') === null) {
+    errors.push(...validateBody(operation, undefined));
+  } else if (operation.requestBody) {
+    const mediaTypes = Object.keys(operation.requestBody.content || {});
+    const mediaType = mediaTypes.find(type => req.is(type));
+
+    if (!mediaType) {
+      errors.push(`body content type ${req.get('Content-Type') || '(none)'} is not supported, expected one of ${mediaTypes.join(', ')}`);
+    } else if (mediaType === 'application/json') {
+      // Multipart forms and raw audio are parsed later, by the route's audioUpload middleware
+      errors.push(...validateBody(operation, req.body, mediaType));
+    }
+  }
+
+  if (errors.length > 0) {
+    return rejectRequest(res, errors);
+  }
+
+  next();
+}
+
+/**
+ * Express middleware that validates multipart form fields, after audioUpload has parsed them
+ * The uploaded file counts as the form's file field.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function validateUpload(req, res, next) {
+  if (!req.operation || !req.is('multipart/form-data')) {
+    return next();
+  }
+
+  const fields = { ...req.body, ...(req.file && { [req.file.fieldname]: '' }) };
+  const errors = validateBody(req.operation, fields, 'multipart/form-data');
+
+  if (errors.length > 0) {
+    return rejectRequest(res, errors);
+  }
+
+  next();
+}
+
+module.exports = {
+  validateRequest,
+  validateUpload
+};
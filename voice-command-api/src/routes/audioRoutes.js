@@ -1,20 +1,86 @@
 const express = require('express');
 const router = express.Router();
 const audioController = require('../controllers/audioController');
+const jobController = require('../controllers/jobController');
+const speechController = require('../controllers/speechController');
+const summaryController = require('../controllers/summaryController');
+const audioUpload = require('../middleware/audioUpload');
+const { validateUpload } = require('../middleware/validateRequest');
+const { requireQuota } = require('../middleware/apiKeyAuth');
 
 /**
  * @swagger
  * /api/audio/transcribe:
  *   post:
  *     summary: Transcribe audio to text
+ *     operationId: transcribeAudio
  *     tags: [Audio]
- *     description: Converts spoken audio to text using OpenAI's Whisper model
+ *     description: |
+ *       Converts spoken audio to text using the selected speech provider (OpenAI Whisper by default).
+ *       Audio can be sent as base64 in JSON, as an `audio` file in a multipart form, or as a raw `audio/*`
+ *       body with the other parameters in the query string.
+ *
+ *       `responseFormat` selects the response: `json` (default), `verbose_json` with segment and word
+ *       timestamps, the plain `text`, or `srt` / `vtt` caption files.
+ *
+ *       `glossaryId` selects a glossary of custom vocabulary (see /api/glossaries): its terms are added to
+ *       the prompt and the transcript is corrected with its spellings and replacement rules.
+ *
+ *       Results are cached by the audio bytes, provider, model, language, prompt and glossary, so the same recording
+ *       is only transcribed once; `metadata.cached` is true for a cached result.
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-z]{2}$'
+ *         description: Language code (ISO 639-1), for raw audio/* bodies
+ *       - in: query
+ *         name: prompt
+ *         schema:
+ *           type: string
+ *         description: Prompt to guide the transcription, for raw audio/* bodies
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [openai, assemblyai, local]
+ *         description: Speech provider to use, for raw audio/* bodies
+ *       - in: query
+ *         name: responseFormat
+ *         schema:
+ *           type: string
+ *           enum: [json, verbose_json, text, srt, vtt]
+ *         description: Response format, for raw audio/* bodies
+ *       - in: query
+ *         name: saveAudio
+ *         schema:
+ *           type: boolean
+ *         description: Keep the audio with the history entry, for raw audio/* bodies
+ *       - in: query
+ *         name: glossaryId
+ *         schema:
+ *           type: string
+ *         description: Glossary to use (see /api/glossaries), for raw audio/* bodies
+ *       - in: header
+ *         name: Cache-Control
+ *         schema:
+ *           type: string
+ *           example: no-cache
+ *         description: Send no-cache to transcribe again rather than return a cached result
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             $ref: '#/components/schemas/TranscriptionRequest'
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/TranscriptionUpload'
+ *         audio/*:
+ *           schema:
+ *             type: string
+ *             format: binary
  *     responses:
  *       200:
  *         description: Audio successfully transcribed
@@ -22,12 +88,36 @@ const audioController = require('../controllers/audioController');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/TranscriptionResponse'
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: Hello world, this is a test transcription.
+ *           application/x-subrip:
+ *             schema:
+ *               type: string
+ *               example: "1\n00:00:00,000 --> 00:00:02,400\nHello world, this is a test transcription.\n"
+ *           text/vtt:
+ *             schema:
+ *               type: string
+ *               example: "WEBVTT\n\n00:00:00.000 --> 00:00:02.400\nHello world, this is a test transcription.\n"
  *       400:
  *         description: Invalid request parameters
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: Uploaded audio exceeds the 50MB limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       415:
+ *         description: Unsupported audio format (supported containers are WAV, WebM, Ogg, MP3, MP4/M4A and FLAC)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error during transcription
  *         content:
@@ -35,21 +125,78 @@ const audioController = require('../controllers/audioController');
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/transcribe', audioController.transcribeAudio);
+router.post('/transcribe', requireQuota('audioMinutes'), audioUpload, validateUpload, audioController.transcribeAudio);
 
 /**
  * @swagger
  * /api/audio/translate:
  *   post:
  *     summary: Translate audio to a different language
+ *     operationId: translateAudio
  *     tags: [Audio]
- *     description: Transcribes audio using Whisper and translates the text to a target language using OpenAI
+ *     description: |
+ *       Transcribes audio using the selected speech provider and translates the text to a target language using OpenAI.
+ *       Audio can be sent as base64 in JSON, as an `audio` file in a multipart form, or as a raw `audio/*`
+ *       body with the other parameters in the query string.
+ *
+ *       `targetLanguage` is an ISO 639-1 code or a language name from /api/audio/languages (English by default);
+ *       other values are rejected with a 400. The response names the detected source language.
+ *
+ *       To translate to several languages at once, send `targetLanguages` instead: the audio is transcribed once,
+ *       the translations run concurrently and come back in `translations`, keyed by language code. A language
+ *       that is unsupported or fails to translate gets an entry with its error while the others succeed; the
+ *       request only fails when none of the languages is supported or every translation failed.
+ *
+ *       With `glossaryId`, the transcription uses the glossary as the transcribe endpoint does and the
+ *       translation keeps its terms untranslated.
+ *     parameters:
+ *       - in: query
+ *         name: targetLanguage
+ *         schema:
+ *           type: string
+ *         description: Target language (ISO 639-1 code or name, see /api/audio/languages), for raw audio/* bodies
+ *       - in: query
+ *         name: targetLanguages
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         description: Several target languages, repeated or separated by commas, for raw audio/* bodies
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [openai, assemblyai, local]
+ *         description: Speech provider to use, for raw audio/* bodies
+ *       - in: query
+ *         name: saveAudio
+ *         schema:
+ *           type: boolean
+ *         description: Keep the audio with the history entry, for raw audio/* bodies
+ *       - in: query
+ *         name: glossaryId
+ *         schema:
+ *           type: string
+ *         description: Glossary to use (see /api/glossaries), for raw audio/* bodies
+ *       - in: header
+ *         name: Cache-Control
+ *         schema:
+ *           type: string
+ *           example: no-cache
+ *         description: Send no-cache to transcribe and translate again rather than return cached results
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             $ref: '#/components/schemas/TranslationRequest'
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/TranslationUpload'
+ *         audio/*:
+ *           schema:
+ *             type: string
+ *             format: binary
  *     responses:
  *       200:
  *         description: Audio successfully translated
@@ -58,7 +205,19 @@ router.post('/transcribe', audioController.transcribeAudio);
  *             schema:
  *               $ref: '#/components/schemas/TranslationResponse'
  *       400:
- *         description: Invalid request parameters
+ *         description: Invalid request parameters, unsupported target language or too many target languages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: Uploaded audio exceeds the 50MB limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       415:
+ *         description: Unsupported audio format (supported containers are WAV, WebM, Ogg, MP3, MP4/M4A and FLAC)
  *         content:
  *           application/json:
  *             schema:
@@ -70,13 +229,70 @@ router.post('/transcribe', audioController.transcribeAudio);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/translate', audioController.translateAudio);
+router.post('/translate', requireQuota('audioMinutes', 'llmTokens'), audioUpload, validateUpload, audioController.translateAudio);
+
+/**
+ * @swagger
+ * /api/audio/summarize:
+ *   post:
+ *     summary: Summarize a transcript into meeting notes
+ *     operationId: summarizeTranscript
+ *     tags: [Audio]
+ *     description: |
+ *       Turns a transcript, such as a recorded stand-up, into meeting notes: a summary, the key points and the
+ *       action items with their owners and due dates. Send the transcript as `content`, or the `historyId` of a
+ *       transcription in the history (see /api/transcriptions).
+ *
+ *       Due dates said relative to the day ("by Friday") are resolved against the date of the request; owners and
+ *       due dates the transcript does not mention are null. With `glossaryId`, the glossary's terms are written as
+ *       they are. Notes are cached by the transcript, the date and the model.
+ *     parameters:
+ *       - in: header
+ *         name: Cache-Control
+ *         schema:
+ *           type: string
+ *           example: no-cache
+ *         description: Send no-cache to summarize again rather than return cached notes
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SummaryRequest'
+ *     responses:
+ *       200:
+ *         description: Meeting notes of the transcript
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SummaryResponse'
+ *       400:
+ *         description: Invalid request parameters or an empty transcript
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: No history entry with this id, or one of another API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error during summarization
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/summarize', requireQuota('llmTokens'), summaryController.summarizeTranscript);
 
 /**
  * @swagger
  * /api/audio/models:
  *   get:
  *     summary: Get available transcription models
+ *     operationId: getAvailableModels
  *     tags: [Audio]
  *     description: Returns a list of available speech-to-text models
  *     responses:
@@ -104,4 +320,318 @@ router.post('/translate', audioController.translateAudio);
  */
 router.get('/models', audioController.getAvailableModels);
 
+/**
+ * @swagger
+ * /api/audio/providers:
+ *   get:
+ *     summary: Get available speech-to-text providers
+ *     operationId: getProviders
+ *     tags: [Audio]
+ *     description: Returns the registered speech providers, their capabilities and which one is the deployment default. Pass a provider id as `provider` in a transcription or translation request to select it.
+ *     responses:
+ *       200:
+ *         description: List of speech providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 providers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SpeechProvider'
+ */
+router.get('/providers', audioController.getProviders);
+
+/**
+ * @swagger
+ * /api/audio/languages:
+ *   get:
+ *     summary: Get supported languages
+ *     operationId: getLanguages
+ *     tags: [Audio]
+ *     description: |
+ *       Returns the languages translations can target, by ISO 639-1 code. `targetLanguage` accepts the code,
+ *       the English name or the native name, in any case; detected source languages are reported from the
+ *       same list.
+ *     responses:
+ *       200:
+ *         description: List of supported languages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 languages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Language'
+ */
+router.get('/languages', audioController.getLanguages);
+
+/**
+ * @swagger
+ * /api/audio/speak:
+ *   post:
+ *     summary: Synthesise speech from text
+ *     operationId: speakText
+ *     tags: [Audio]
+ *     description: |
+ *       Speaks the text with the selected text-to-speech provider and responds with the audio. The `local`
+ *       provider is an offline stand-in that renders the text as a WAV of tones, one per word, for
+ *       development without a speech service.
+ *
+ *       Set `language` to the language of the text, such as the target language of a translation; OpenAI reads
+ *       the language from the text itself, so any of its voices speaks any language. The provider, voice and
+ *       model that spoke the text are returned in the `X-Speech-Provider`, `X-Speech-Voice` and `X-Speech-Model`
+ *       headers.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SpeechRequest'
+ *     responses:
+ *       200:
+ *         description: The spoken text
+ *         headers:
+ *           Content-Language:
+ *             description: ISO 639-1 code of the language, when given
+ *             schema:
+ *               type: string
+ *           X-Speech-Provider:
+ *             schema:
+ *               type: string
+ *           X-Speech-Voice:
+ *             schema:
+ *               type: string
+ *           X-Speech-Model:
+ *             schema:
+ *               type: string
+ *         content:
+ *           audio/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid request, or a voice, format or language the provider does not offer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error during synthesis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/speak', requireQuota('speechCharacters'), speechController.speakText);
+
+/**
+ * @swagger
+ * /api/audio/voices:
+ *   get:
+ *     summary: Get available text-to-speech providers and voices
+ *     operationId: getVoices
+ *     tags: [Audio]
+ *     description: Returns the registered text-to-speech providers, their voices and formats, and which one is the deployment default. Pass a provider id as `provider` to /api/audio/speak to select it.
+ *     responses:
+ *       200:
+ *         description: List of text-to-speech providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 providers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TtsProvider'
+ */
+router.get('/voices', speechController.getVoices);
+
+/**
+ * @swagger
+ * /api/audio/jobs:
+ *   post:
+ *     summary: Submit an asynchronous transcription job
+ *     operationId: createTranscriptionJob
+ *     tags: [Audio]
+ *     description: |
+ *       Queues audio for transcription and returns immediately with a job id. Use this for long recordings
+ *       instead of holding a request open for the whole transcription. Accepts the same JSON, multipart and raw
+ *       `audio/*` bodies as `/api/audio/transcribe`. Poll `GET /api/audio/jobs/{id}` or subscribe to
+ *       `GET /api/audio/jobs/{id}/events` for completion.
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-z]{2}$'
+ *         description: Language code (ISO 639-1), for raw audio/* bodies
+ *       - in: query
+ *         name: prompt
+ *         schema:
+ *           type: string
+ *         description: Prompt to guide the transcription, for raw audio/* bodies
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [openai, assemblyai, local]
+ *         description: Speech provider to use, for raw audio/* bodies
+ *       - in: query
+ *         name: responseFormat
+ *         schema:
+ *           type: string
+ *           enum: [json, verbose_json]
+ *         description: Use verbose_json to include segment and word timestamps in the result, for raw audio/* bodies
+ *       - in: query
+ *         name: saveAudio
+ *         schema:
+ *           type: boolean
+ *         description: Keep the audio with the history entry, for raw audio/* bodies
+ *       - in: query
+ *         name: glossaryId
+ *         schema:
+ *           type: string
+ *         description: Glossary to use (see /api/glossaries), for raw audio/* bodies
+ *       - in: header
+ *         name: Cache-Control
+ *         schema:
+ *           type: string
+ *           example: no-cache
+ *         description: Send no-cache to transcribe again rather than return a cached result
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TranscriptionRequest'
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/TranscriptionUpload'
+ *         audio/*:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       202:
+ *         description: Job queued
+ *         headers:
+ *           Location:
+ *             description: URL of the job resource
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TranscriptionJobResponse'
+ *       400:
+ *         description: Invalid request parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: Uploaded audio exceeds the 50MB limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       415:
+ *         description: Unsupported audio format (supported containers are WAV, WebM, Ogg, MP3, MP4/M4A and FLAC)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/jobs', requireQuota('audioMinutes'), audioUpload, validateUpload, jobController.createTranscriptionJob);
+
+/**
+ * @swagger
+ * /api/audio/jobs/{id}:
+ *   get:
+ *     summary: Get a transcription job
+ *     operationId: getJob
+ *     tags: [Audio]
+ *     description: Returns the job's status, progress and, once it has succeeded, its transcription result
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TranscriptionJobResponse'
+ *       404:
+ *         description: Job not found, expired or queued with another API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Cancel and remove a transcription job
+ *     operationId: deleteJob
+ *     tags: [Audio]
+ *     description: Cancels the job if it is still queued or running, then removes it
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The removed job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TranscriptionJobResponse'
+ *       404:
+ *         description: Job not found, expired or queued with another API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/jobs/:id', jobController.getJob);
+router.delete('/jobs/:id', jobController.deleteJob);
+
+/**
+ * @swagger
+ * /api/audio/jobs/{id}/events:
+ *   get:
+ *     summary: Subscribe to transcription job updates
+ *     operationId: streamJobEvents
+ *     tags: [Audio]
+ *     description: Server-Sent Events stream emitting a `job` event with the job on every change. The stream ends when the job succeeds, fails or is cancelled.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event stream of job updates
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Job not found, expired or queued with another API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/jobs/:id/events', jobController.streamJobEvents);
+
 module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const commandController = require('../controllers/commandController');
+const audioUpload = require('../middleware/audioUpload');
+const { validateUpload } = require('../middleware/validateRequest');
+const { requireQuota } = require('../middleware/apiKeyAuth');
+
+/**
+ * @swagger
+ * /api/commands/analyze:
+ *   post:
+ *     summary: Analyze and execute a voice command
+ *     operationId: analyzeCommand
+ *     tags: [Voice Commands]
+ *     description: |
+ *       Transcribes the audio (or takes `text` instead), parses the command into an intent validated against the
+ *       `CommandIntent` schema, and executes it. Common phrasings are matched by a rule-based grammar and only
+ *       other speech is sent to the LLM. Speech that is not a command comes back as an `unknown`
+ *       intent with the whole transcription as content. This is the same pipeline the web UI uses.
+ *       Audio can be sent as base64 in JSON, as an `audio` file in a multipart form, or as a raw `audio/*`
+ *       body with the other parameters in the query string.
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-z]{2}$'
+ *         description: Language code (ISO 639-1), for raw audio/* bodies
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [openai, assemblyai, local]
+ *         description: Speech provider to use, for raw audio/* bodies
+ *       - in: query
+ *         name: execute
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to only parse the command, for raw audio/* bodies
+ *       - in: query
+ *         name: saveAudio
+ *         schema:
+ *           type: boolean
+ *         description: Keep the audio with the history entry, for raw audio/* bodies
+ *       - in: query
+ *         name: glossaryId
+ *         schema:
+ *           type: string
+ *         description: Glossary to use (see /api/glossaries), for raw audio/* bodies
+ *       - in: header
+ *         name: Cache-Control
+ *         schema:
+ *           type: string
+ *           example: no-cache
+ *         description: Send no-cache to transcribe and translate again rather than return cached results
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommandAnalysisRequest'
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/CommandAnalysisUpload'
+ *         audio/*:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Command analyzed, and executed unless `execute` was false
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CommandAnalysisResponse'
+ *       400:
+ *         description: Invalid request parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: Uploaded audio exceeds the 50MB limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       415:
+ *         description: Unsupported audio format (supported containers are WAV, WebM, Ogg, MP3, MP4/M4A and FLAC)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error during transcription or command parsing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/analyze', requireQuota('audioMinutes', 'llmTokens'), audioUpload, validateUpload, commandController.analyzeCommand);
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const glossaryController = require('../controllers/glossaryController');
+
+/**
+ * @swagger
+ * /api/glossaries:
+ *   post:
+ *     summary: Create a glossary
+ *     operationId: createGlossary
+ *     tags: [Glossaries]
+ *     description: |
+ *       Creates a glossary of terms in their preferred spelling and replacement rules for misheard phrases.
+ *       Select it with `glossaryId` on the transcribe, translate, job and command endpoints: its terms are
+ *       added to the transcription prompt, the transcript is corrected with it, and translations keep its
+ *       terms untranslated. Glossaries created with the admin key are shared with every key; those of an
+ *       issued key are its own.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GlossaryRequest'
+ *     responses:
+ *       201:
+ *         description: The new glossary
+ *         headers:
+ *           Location:
+ *             description: URL of the glossary
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 glossary:
+ *                   $ref: '#/components/schemas/Glossary'
+ *       400:
+ *         description: Invalid glossary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   get:
+ *     summary: List glossaries
+ *     operationId: listGlossaries
+ *     tags: [Glossaries]
+ *     description: Lists the shared glossaries and those of the calling key, by name.
+ *     responses:
+ *       200:
+ *         description: The glossaries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 glossaries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Glossary'
+ */
+router.post('/', glossaryController.createGlossary);
+router.get('/', glossaryController.listGlossaries);
+
+/**
+ * @swagger
+ * /api/glossaries/{id}:
+ *   get:
+ *     summary: Get a glossary
+ *     operationId: getGlossary
+ *     tags: [Glossaries]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The glossary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 glossary:
+ *                   $ref: '#/components/schemas/Glossary'
+ *       404:
+ *         description: Glossary not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   patch:
+ *     summary: Edit a glossary
+ *     operationId: updateGlossary
+ *     tags: [Glossaries]
+ *     description: Renames a glossary or replaces its terms or replacement rules. Shared glossaries can only be changed with the admin key.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GlossaryUpdate'
+ *     responses:
+ *       200:
+ *         description: The updated glossary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 glossary:
+ *                   $ref: '#/components/schemas/Glossary'
+ *       400:
+ *         description: Invalid changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: The glossary is shared and the key is not the admin key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Glossary not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Delete a glossary
+ *     operationId: deleteGlossary
+ *     tags: [Glossaries]
+ *     description: Shared glossaries can only be deleted with the admin key.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The deleted glossary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 glossary:
+ *                   $ref: '#/components/schemas/Glossary'
+ *       403:
+ *         description: The glossary is shared and the key is not the admin key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Glossary not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', glossaryController.getGlossary);
+router.patch('/:id', glossaryController.updateGlossary);
+router.delete('/:id', glossaryController.deleteGlossary);
+
+module.exports = router;
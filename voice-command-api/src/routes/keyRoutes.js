@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const keyController = require('../controllers/keyController');
+
+/**
+ * @swagger
+ * /api/keys:
+ *   post:
+ *     summary: Issue an API key
+ *     operationId: createApiKey
+ *     tags: [API Keys]
+ *     description: |
+ *       Issues a key for a client, optionally with its own rate limit and monthly quotas; limits left out
+ *       follow the server defaults. The key is only returned in this response, so store it safely.
+ *       Requires the admin key.
+ *     security:
+ *       - AdminKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiKeyRequest'
+ *     responses:
+ *       201:
+ *         description: The new key
+ *         headers:
+ *           Location:
+ *             description: URL of the key
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 key:
+ *                   type: string
+ *                   description: The API key to send in the X-API-Key header
+ *                   example: vca_J3k9d2XaQ7...
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Missing or invalid key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not the admin key, or key management is disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   get:
+ *     summary: List API keys
+ *     operationId: listApiKeys
+ *     tags: [API Keys]
+ *     description: Lists issued keys, including revoked ones, with their limits and usage this month. Requires the admin key.
+ *     security:
+ *       - AdminKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: The issued keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 apiKeys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Missing or invalid key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not the admin key, or key management is disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', keyController.createApiKey);
+router.get('/', keyController.listApiKeys);
+
+/**
+ * @swagger
+ * /api/keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     operationId: revokeApiKey
+ *     tags: [API Keys]
+ *     description: Revoked keys are rejected from then on but stay listed with their usage. Requires the admin key.
+ *     security:
+ *       - AdminKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The revoked key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:id', keyController.revokeApiKey);
+
+module.exports = router;
@@ -1,14 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const llmController = require('../controllers/llmController');
+const { requireQuota } = require('../middleware/apiKeyAuth');
 
 /**
  * @swagger
  * /api/llm/query:
  *   post:
  *     summary: Query the LLM with your question about the API
+ *     operationId: queryLLM
  *     tags: [LLM]
- *     description: Ask a question about how to use the API and get AI-generated guidance
+ *     description: |
+ *       Ask a question about how to use the API and get AI-generated guidance. The LLM may call allowlisted
+ *       API operations as tools (see LLM_ALLOWED_OPERATIONS) and answers from their results.
+ *
+ *       Send `Accept: text/event-stream` to receive the answer as Server-Sent Events while it is generated: `delta` events
+ *       carry `{ content }` pieces of the answer, `tool_call` events each API call the LLM made, and a final `done` event
+ *       the same body as the JSON response (or `error`). Closing the connection stops the LLM request.
  *     requestBody:
  *       required: true
  *       content:
@@ -20,6 +28,7 @@ const llmController = require('../controllers/llmController');
  *             properties:
  *               query:
  *                 type: string
+ *                 minLength: 1
  *                 description: The question or task you want help with regarding the API
  *                 example: "How can I transcribe an audio file?"
  *     responses:
@@ -35,7 +44,13 @@ const llmController = require('../controllers/llmController');
  *                   example: true
  *                 response:
  *                   type: string
- *                   description: LLM's response with API guidance
+ *                   nullable: true
+ *                   description: LLM's final answer, written after any tool calls
+ *                 toolCalls:
+ *                   type: array
+ *                   description: API operations the LLM called while answering, in order
+ *                   items:
+ *                     $ref: '#/components/schemas/LLMToolCall'
  *                 metadata:
  *                   type: object
  *                   properties:
@@ -45,6 +60,17 @@ const llmController = require('../controllers/llmController');
  *                     processed_at:
  *                       type: string
  *                       format: date-time
+ *                     operations:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: operationIds of the operations selected as relevant and described to the LLM; empty when none matched and only the list of operations was sent
+ *                     usage:
+ *                       $ref: '#/components/schemas/RequestUsage'
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               description: "Server-Sent Events, sent with Accept: text/event-stream"
  *       400:
  *         description: Invalid request parameters
  *         content:
@@ -58,13 +84,14 @@ const llmController = require('../controllers/llmController');
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/query', llmController.queryLLM);
+router.post('/query', requireQuota('llmTokens'), llmController.queryLLM);
 
 /**
  * @swagger
  * /api/llm/execute:
  *   post:
  *     summary: Execute API action based on LLM recommendation
+ *     operationId: executeLLMAction
  *     tags: [LLM]
  *     description: Describe what you want to do with the API and this endpoint will execute the appropriate API action
  *     requestBody:
@@ -78,11 +105,11 @@ router.post('/query', llmController.queryLLM);
  *             properties:
  *               query:
  *                 type: string
+ *                 minLength: 1
  *                 description: What you want to do with the API
  *                 example: "Transcribe an audio recording of my meeting"
  *               action:
- *                 type: object
- *                 description: Action details for execution (optional, if not provided will return recommendation)
+ *                 $ref: '#/components/schemas/LLMAction'
  *     responses:
  *       200:
  *         description: Action execution result or recommendation
@@ -93,17 +120,50 @@ router.post('/query', llmController.queryLLM);
  *               properties:
  *                 success:
  *                   type: boolean
+ *                   description: Whether the executed operation succeeded (status below 400)
  *                   example: true
  *                 executed:
  *                   type: boolean
  *                 recommendation:
  *                   type: string
+ *                   nullable: true
  *                   description: LLM's recommendation if action not provided
+ *                 actions:
+ *                   type: array
+ *                   description: Actions the LLM proposes if action not provided; each can be sent back as action
+ *                   items:
+ *                     $ref: '#/components/schemas/LLMAction'
+ *                 action:
+ *                   type: object
+ *                   description: The operation that was executed
+ *                   properties:
+ *                     operationId:
+ *                       type: string
+ *                       example: "getAvailableModels"
+ *                     method:
+ *                       type: string
+ *                       example: "GET"
+ *                     path:
+ *                       type: string
+ *                       example: "/api/audio/models"
  *                 result:
- *                   type: string
- *                   description: Result of the executed action
+ *                   type: object
+ *                   description: Response of the executed operation
+ *                   properties:
+ *                     status:
+ *                       type: integer
+ *                       description: HTTP status of the operation
+ *                       example: 200
+ *                     data:
+ *                       description: Response body of the operation
  *       400:
- *         description: Invalid request parameters
+ *         description: Invalid request, unknown operation, or parameters that do not match the operation schema (listed in details.validationErrors)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Operation is not on the LLM action allowlist (allowed operations listed in details.allowedOperations)
  *         content:
  *           application/json:
  *             schema:
@@ -115,6 +175,186 @@ router.post('/query', llmController.queryLLM);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/execute', llmController.executeLLMAction);
+router.post('/execute', requireQuota('llmTokens'), llmController.executeLLMAction);
+
+/**
+ * @swagger
+ * /api/llm/sessions:
+ *   post:
+ *     summary: Start a conversation with the LLM assistant
+ *     operationId: createLLMSession
+ *     tags: [LLM]
+ *     description: Creates a session that keeps the conversation history server-side, so follow-up questions are answered in context. Sessions expire after an hour without activity.
+ *     responses:
+ *       201:
+ *         description: The new session
+ *         headers:
+ *           Location:
+ *             description: URL of the session
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LLMSessionResponse'
+ */
+router.post('/sessions', llmController.createSession);
+
+/**
+ * @swagger
+ * /api/llm/sessions/{id}:
+ *   get:
+ *     summary: Get a conversation with its message history
+ *     operationId: getLLMSession
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LLMSessionResponse'
+ *       404:
+ *         description: Session not found, expired or started with another API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: End a conversation and discard its history
+ *     operationId: deleteLLMSession
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The removed session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LLMSessionResponse'
+ *       404:
+ *         description: Session not found, expired or started with another API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/sessions/:id', llmController.getSession);
+router.delete('/sessions/:id', llmController.deleteSession);
+
+/**
+ * @swagger
+ * /api/llm/sessions/{id}/messages:
+ *   post:
+ *     summary: Ask a question in a conversation
+ *     operationId: sendLLMSessionMessage
+ *     tags: [LLM]
+ *     description: |
+ *       Answers like /api/llm/query, with the earlier turns of the session as context. The oldest turns are left
+ *       out of the context once the history exceeds LLM_SESSION_TOKEN_BUDGET tokens; the question and answer are
+ *       then added to the history. Send `Accept: text/event-stream` to stream the answer as for /api/llm/query;
+ *       a stopped answer is not added to the history.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - query
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 minLength: 1
+ *                 description: The next question in the conversation
+ *                 example: "And how do I get timestamps for it?"
+ *     responses:
+ *       200:
+ *         description: LLM answer in the context of the conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 sessionId:
+ *                   type: string
+ *                 response:
+ *                   type: string
+ *                   nullable: true
+ *                   description: LLM's answer
+ *                 toolCalls:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LLMToolCall'
+ *                 metadata:
+ *                   type: object
+ *                   properties:
+ *                     model:
+ *                       type: string
+ *                       example: "gpt-3.5-turbo"
+ *                     processed_at:
+ *                       type: string
+ *                       format: date-time
+ *                     operations:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: operationIds of the operations selected as relevant and described to the LLM; empty when none matched and only the list of operations was sent
+ *                     usage:
+ *                       $ref: '#/components/schemas/RequestUsage'
+ *                     history:
+ *                       type: object
+ *                       description: How much of the history was sent as context
+ *                       properties:
+ *                         included:
+ *                           type: integer
+ *                           description: Earlier messages sent to the LLM
+ *                         trimmed:
+ *                           type: integer
+ *                           description: Older messages left out to fit the token budget
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               description: "Server-Sent Events, sent with Accept: text/event-stream"
+ *       400:
+ *         description: No query provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Session not found, expired or started with another API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error processing LLM request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/sessions/:id/messages', requireQuota('llmTokens'), llmController.sendSessionMessage);
 
 module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const transcriptionController = require('../controllers/transcriptionController');
+
+/**
+ * @swagger
+ * /api/transcriptions:
+ *   get:
+ *     summary: Search past transcriptions, translations and voice commands
+ *     operationId: listTranscriptions
+ *     tags: [History]
+ *     description: |
+ *       Lists the history recorded by the transcribe, translate, job and command endpoints, newest first.
+ *       With `q`, only entries whose title, text, translation or tags contain every word are returned,
+ *       best match first; matching ignores case and accents. Issued API keys only see their own entries.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Words to search for
+ *         schema:
+ *           type: string
+ *           example: meeting notes
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [transcription, translation, command]
+ *       - in: query
+ *         name: language
+ *         description: Language code (ISO 639-1) of the speech
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-z]{2}$'
+ *       - in: query
+ *         name: commandType
+ *         description: Command type of voice command entries
+ *         schema:
+ *           $ref: '#/components/schemas/CommandType'
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Earliest creation time, a UTC date or date-time (inclusive)
+ *         schema:
+ *           type: string
+ *           pattern: '^\d{4}-\d{2}-\d{2}'
+ *       - in: query
+ *         name: to
+ *         description: Latest creation time, a UTC date or date-time (exclusive)
+ *         schema:
+ *           type: string
+ *           pattern: '^\d{4}-\d{2}-\d{2}'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Matching entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching entries, of which this page is a part
+ *                   example: 42
+ *                 transcriptions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HistoryEntry'
+ *       400:
+ *         description: Invalid request parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', transcriptionController.listTranscriptions);
+
+/**
+ * @swagger
+ * /api/transcriptions/{id}:
+ *   get:
+ *     summary: Get a past transcription
+ *     operationId: getTranscription
+ *     tags: [History]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 transcription:
+ *                   $ref: '#/components/schemas/HistoryEntry'
+ *       404:
+ *         description: Entry not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   patch:
+ *     summary: Edit or tag a past transcription
+ *     operationId: updateTranscription
+ *     tags: [History]
+ *     description: Corrects the text or translation, sets a title, or replaces the tags of an entry.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HistoryEntryUpdate'
+ *     responses:
+ *       200:
+ *         description: The updated entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 transcription:
+ *                   $ref: '#/components/schemas/HistoryEntry'
+ *       400:
+ *         description: Invalid request parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Entry not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Delete a past transcription
+ *     operationId: deleteTranscription
+ *     tags: [History]
+ *     description: Deletes the entry and its audio, if it was kept.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The deleted entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 transcription:
+ *                   $ref: '#/components/schemas/HistoryEntry'
+ *       404:
+ *         description: Entry not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', transcriptionController.getTranscription);
+router.patch('/:id', transcriptionController.updateTranscription);
+router.delete('/:id', transcriptionController.deleteTranscription);
+
+/**
+ * @swagger
+ * /api/transcriptions/{id}/audio:
+ *   get:
+ *     summary: Download the source audio of a past transcription
+ *     operationId: getTranscriptionAudio
+ *     tags: [History]
+ *     description: Only available when the audio was kept, see `saveAudio` on the transcribe, translate, job and command endpoints.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The recording as it was uploaded
+ *         content:
+ *           audio/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Entry not found, or its audio was not kept
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id/audio', transcriptionController.getTranscriptionAudio);
+
+module.exports = router;
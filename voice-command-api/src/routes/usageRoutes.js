@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const usageController = require('../controllers/usageController');
+
+/**
+ * @swagger
+ * /api/usage:
+ *   get:
+ *     summary: Get metered usage and estimated costs
+ *     operationId: getUsage
+ *     tags: [Usage]
+ *     description: |
+ *       Adds up the audio and tokens requests used and their estimated cost at list prices, optionally
+ *       grouped by day (UTC), endpoint, model and API key. Issued keys only see their own usage; the
+ *       admin key sees every key's and can filter by apiKeyId. Usage is totalled by the hour, so a
+ *       date-time within an hour includes the whole hour. Each request counts once, in the group of
+ *       its first metered call.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         description: Start of the period, a UTC date or date-time (inclusive)
+ *         schema:
+ *           type: string
+ *           pattern: '^\d{4}-\d{2}-\d{2}'
+ *           example: '2026-10-01'
+ *       - in: query
+ *         name: to
+ *         description: End of the period, a UTC date or date-time (exclusive)
+ *         schema:
+ *           type: string
+ *           pattern: '^\d{4}-\d{2}-\d{2}'
+ *           example: '2026-11-01'
+ *       - in: query
+ *         name: groupBy
+ *         description: Comma-separated dimensions to group by, in order
+ *         schema:
+ *           type: string
+ *           pattern: '^(day|endpoint|model|apiKey)(,(day|endpoint|model|apiKey))*$'
+ *           example: day,endpoint
+ *       - in: query
+ *         name: apiKeyId
+ *         description: Only usage of this API key; issued keys can only ask for their own
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Usage totals and groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UsageReport'
+ *       400:
+ *         description: Invalid request parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: An issued key asked for another key's usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', usageController.getUsage);
+
+module.exports = router;
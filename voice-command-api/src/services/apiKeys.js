@@ -0,0 +1,406 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * API keys with per-key rate limits and monthly quotas
+ *
+ * Keys are required once ADMIN_API_KEY is set; without it the API stays open, as in
+ * development. Clients send a key in the `X-API-Key` header or as a bearer token, or
+ * in the `apiKey` query parameter where headers cannot be set (EventSource, WebSocket).
+ * The admin key manages keys and is not limited.
+ *
+ * Keys are stored hashed in API_KEYS_FILE along with their usage this month: minutes
+ * of audio transcribed, LLM tokens used and characters of text spoken, reset at the start of each UTC month.
+ * Usage changes on every provider call, so it is counted in memory and written to the
+ * file at most every few seconds, and when the process exits.
+ */
+
+const KEY_PREFIX = 'vca_';
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const DEFAULT_RATE_LIMIT = 60;
+
+const QUOTAS = ['audioMinutes', 'llmTokens', 'speechCharacters'];
+
+const USAGE_SAVE_DELAY_MS = 5000;
+
+function getAdminKey() {
+  return process.env.ADMIN_API_KEY || null;
+}
+
+/**
+ * Whether requests need an API key
+ * @returns {boolean} - True once ADMIN_API_KEY is set
+ */
+function isAuthRequired() {
+  return Boolean(getAdminKey());
+}
+
+function getKeysFile() {
+  return process.env.API_KEYS_FILE || path.join(__dirname, '../../data/api-keys.json');
+}
+
+/**
+ * Limits applied to keys created without their own
+ * @returns {Object} - `{ rateLimit, quotas: { audioMinutes, llmTokens, speechCharacters } }`; a null quota is unlimited
+ */
+function getDefaultLimits() {
+  return {
+    rateLimit: Number(process.env.API_KEY_RATE_LIMIT) || DEFAULT_RATE_LIMIT,
+    quotas: {
+      audioMinutes: Number(process.env.API_KEY_MONTHLY_AUDIO_MINUTES) || null,
+      llmTokens: Number(process.env.API_KEY_MONTHLY_LLM_TOKENS) || null,
+      speechCharacters: Number(process.env.API_KEY_MONTHLY_SPEECH_CHARACTERS) || null
+    }
+  };
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+/**
+ * When monthly usage resets
+ * @returns {Date} - Start of the next UTC month
+ */
+function nextMonthStart() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Create an API key store backed by a JSON file
+ * @param {Object} options - Store options
+ * @param {string} options.file - Path of the JSON file keys are kept in
+ * @returns {Object} - API key store
+ */
+function createApiKeyStore({ file }) {
+  let keys = null;
+  let saveTimer = null;
+
+  function load() {
+    if (!keys) {
+      keys = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).keys : [];
+    }
+    return keys;
+  }
+
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify({ keys }, null, 2)}\n`);
+  }
+
+  // Write usage once the calls of a request or a burst of requests are counted
+  function saveLater() {
+    if (saveTimer) return;
+
+    saveTimer = setTimeout(() => {
+      try {
+        save();
+      } catch (error) {
+        console.error('API key usage could not be saved:', error.message);
+      }
+    }, USAGE_SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  // Usage this month, starting over when the month has changed
+  function monthlyUsage(record) {
+    if (record.usage?.month !== currentMonth()) {
+      record.usage = { month: currentMonth(), audioSeconds: 0, llmTokens: 0, speechCharacters: 0 };
+    }
+    // Usage saved before speech was metered
+    record.usage.speechCharacters ??= 0;
+    return record.usage;
+  }
+
+  /**
+   * Public view of a key, with the limits in effect and without the key itself
+   */
+  function toJSON(record) {
+    const defaults = getDefaultLimits();
+    const usage = monthlyUsage(record);
+
+    return {
+      id: record.id,
+      name: record.name,
+      prefix: record.prefix,
+      createdAt: record.createdAt,
+      revokedAt: record.revokedAt,
+      rateLimit: record.rateLimit || defaults.rateLimit,
+      quotas: {
+        audioMinutes: record.quotas.audioMinutes ?? defaults.quotas.audioMinutes,
+        llmTokens: record.quotas.llmTokens ?? defaults.quotas.llmTokens,
+        speechCharacters: record.quotas.speechCharacters ?? defaults.quotas.speechCharacters
+      },
+      usage: {
+        month: usage.month,
+        audioMinutes: Math.round((usage.audioSeconds / 60) * 100) / 100,
+        llmTokens: usage.llmTokens,
+        speechCharacters: usage.speechCharacters
+      }
+    };
+  }
+
+  return {
+    /**
+     * Issue a new key
+     * @param {Object} options - Key options
+     * @param {string} options.name - Who or what the key is for
+     * @param {number} [options.rateLimit] - Requests per minute, defaults to API_KEY_RATE_LIMIT
+     * @param {Object} [options.quotas] - Monthly `audioMinutes`, `llmTokens` and `speechCharacters`, defaulting to the
+     *   API_KEY_MONTHLY_* settings
+     * @returns {Object} - `{ key, apiKey }`; the key itself is only ever returned here
+     */
+    create({ name, rateLimit = null, quotas = {} }) {
+      const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+      const record = {
+        id: crypto.randomUUID(),
+        name,
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        hash: hashKey(key),
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+        rateLimit,
+        quotas: {
+          audioMinutes: quotas.audioMinutes ?? null,
+          llmTokens: quotas.llmTokens ?? null,
+          speechCharacters: quotas.speechCharacters ?? null
+        },
+        usage: null
+      };
+
+      load().push(record);
+      save();
+
+      return { key, apiKey: toJSON(record) };
+    },
+
+    /**
+     * List all keys, including revoked ones
+     * @returns {Array<Object>} - Public key views
+     */
+    list() {
+      return load().map(toJSON);
+    },
+
+    /**
+     * Get a key by id
+     * @param {string} id - Key id
+     * @returns {Object|null} - Public key view, or null if unknown
+     */
+    get(id) {
+      const record = load().find(candidate => candidate.id === id);
+      return record ? toJSON(record) : null;
+    },
+
+    /**
+     * Look up an active key from the key a client sent
+     * @param {string} key - Key as sent by the client
+     * @returns {Object|null} - Public key view, or null if unknown or revoked
+     */
+    findByKey(key) {
+      const hash = hashKey(key);
+      const record = load().find(candidate => candidate.hash === hash && !candidate.revokedAt);
+      return record ? toJSON(record) : null;
+    },
+
+    /**
+     * Revoke a key; it is kept so its usage stays on record
+     * @param {string} id - Key id
+     * @returns {Object|null} - Public view of the revoked key, or null if unknown
+     */
+    revoke(id) {
+      const record = load().find(candidate => candidate.id === id);
+      if (!record) {
+        return null;
+      }
+
+      if (!record.revokedAt) {
+        record.revokedAt = new Date().toISOString();
+        save();
+      }
+
+      return toJSON(record);
+    },
+
+    /**
+     * Add to a key's usage this month
+     * @param {string} id - Key id
+     * @param {Object} usage - `{ audioSeconds, tokens, speechCharacters }`
+     */
+    recordUsage(id, { audioSeconds = 0, tokens = 0, speechCharacters = 0 }) {
+      const record = load().find(candidate => candidate.id === id);
+      if (!record) {
+        return;
+      }
+
+      const usage = monthlyUsage(record);
+      usage.audioSeconds += audioSeconds;
+      usage.llmTokens += tokens;
+      usage.speechCharacters += speechCharacters;
+      saveLater();
+    },
+
+    /**
+     * Write usage not saved yet
+     */
+    flush() {
+      if (saveTimer) {
+        save();
+      }
+    }
+  };
+}
+
+let store = null;
+
+/**
+ * The key store shared by the API, kept in API_KEYS_FILE (default `voice-command-api/data/api-keys.json`)
+ * @returns {Object} - API key store
+ */
+function getApiKeyStore() {
+  if (!store) {
+    store = createApiKeyStore({ file: getKeysFile() });
+    process.once('exit', () => store.flush());
+  }
+  return store;
+}
+
+// Request times per key within the last rate limit window
+const recentRequests = new Map();
+
+/**
+ * Count a request against a key's rate limit
+ * @param {Object} apiKey - Public key view
+ * @returns {number} - 0 if the request is allowed, otherwise seconds until it would be
+ */
+function takeRequest(apiKey) {
+  const now = Date.now();
+  const times = (recentRequests.get(apiKey.id) || []).filter(time => time > now - RATE_LIMIT_WINDOW_MS);
+
+  if (times.length >= apiKey.rateLimit) {
+    recentRequests.set(apiKey.id, times);
+    return Math.ceil((times[0] + RATE_LIMIT_WINDOW_MS - now) / 1000);
+  }
+
+  times.push(now);
+  recentRequests.set(apiKey.id, times);
+  return 0;
+}
+
+/**
+ * Read the key a client sent
+ * @param {http.IncomingMessage} request - HTTP request, or the upgrade request of a WebSocket
+ * @returns {string|null} - The key, or null if none was sent
+ */
+function readCredentials(request) {
+  const header = request.headers['x-api-key'];
+  if (header) {
+    return header;
+  }
+
+  const bearer = (request.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (bearer) {
+    return bearer[1];
+  }
+
+  return new URL(request.url, 'http://localhost').searchParams.get('apiKey');
+}
+
+function isAdminKey(key) {
+  const expected = Buffer.from(hashKey(getAdminKey()), 'hex');
+  return crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), expected);
+}
+
+/**
+ * Authenticate a request and count it against its key's rate limit
+ * @param {http.IncomingMessage} request - HTTP request, or the upgrade request of a WebSocket
+ * @param {Object} options - Authorization options
+ * @param {boolean} [options.admin=false] - Whether the operation requires the admin key
+ * @returns {Object} - `{ apiKey, admin, credentials }`; apiKey is null for the admin key and when
+ *   keys are not required
+ * @throws {Error} - 401 for missing or invalid keys, 403 for admin operations, 429 with `retryAfter`
+ *   when the rate limit is exceeded
+ */
+function authorize(request, { admin = false } = {}) {
+  if (!isAuthRequired()) {
+    if (admin) {
+      throw createHttpError(403, 'API key management is disabled; set ADMIN_API_KEY to enable it');
+    }
+    return { apiKey: null, admin: false, credentials: null };
+  }
+
+  const credentials = readCredentials(request);
+
+  if (!credentials) {
+    throw createHttpError(401, 'API key required', 'Send the key in the X-API-Key header');
+  }
+
+  if (isAdminKey(credentials)) {
+    return { apiKey: null, admin: true, credentials };
+  }
+
+  const apiKey = getApiKeyStore().findByKey(credentials);
+
+  if (!apiKey) {
+    throw createHttpError(401, 'Invalid or revoked API key');
+  }
+
+  if (admin) {
+    throw createHttpError(403, 'This operation requires the admin API key');
+  }
+
+  const retryAfter = takeRequest(apiKey);
+  if (retryAfter > 0) {
+    const error = createHttpError(429, 'Rate limit exceeded', {
+      limit: apiKey.rateLimit,
+      windowSeconds: RATE_LIMIT_WINDOW_MS / 1000
+    });
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+
+  return { apiKey, admin: false, credentials };
+}
+
+/**
+ * Check that a key has quota left this month
+ * @param {Object} apiKey - Public key view
+ * @param {Array<string>} quotas - Quotas the request spends, from QUOTAS
+ * @throws {Error} - 429 with `retryAfter` if one of them is used up
+ */
+function checkQuota(apiKey, quotas) {
+  // Usage changes with every request, so read it fresh rather than from the authenticated view
+  const current = getApiKeyStore().get(apiKey.id) || apiKey;
+
+  for (const quota of quotas) {
+    const limit = current.quotas[quota];
+
+    if (limit && current.usage[quota] >= limit) {
+      const resetsAt = nextMonthStart();
+      const error = createHttpError(429, `Monthly quota exceeded: ${quota}`, {
+        quota,
+        limit,
+        used: current.usage[quota],
+        resetsAt: resetsAt.toISOString()
+      });
+      error.retryAfter = Math.ceil((resetsAt.getTime() - Date.now()) / 1000);
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  QUOTAS,
+  isAuthRequired,
+  createApiKeyStore,
+  getApiKeyStore,
+  authorize,
+  checkQuota
+};
@@ -0,0 +1,250 @@
+const Ajv = require('ajv');
+const swaggerDocs = require('../config/swagger');
+
+/**
+ * Operations of this API as described by its OpenAPI specification
+ *
+ * Looks up operations by operationId or by method and path, resolves schema
+ * references, and validates request parameters and bodies against the
+ * operation's schemas.
+ */
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// The spec is OpenAPI 3.0, whose schemas carry keywords such as `example` that are not JSON Schema
+const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+
+// Parameters arrive as strings in paths and query strings, and as a single value when an array has one item
+const parameterAjv = new Ajv({ allErrors: true, strict: false, validateFormats: false, coerceTypes: 'array' });
+
+const validators = new Map();
+
+// The spec does not change after startup, so its operations are listed once
+let operations = null;
+
+/**
+ * List the operations in the specification
+ * The list is shared between callers, which must not change it.
+ * @returns {Array<Object>} - `{ operationId, method, path, summary, description, tags, parameters, requestBody, security }`;
+ *   security is the operation's own requirements or the spec's default, empty for public operations
+ */
+function listOperations() {
+  if (operations) {
+    return operations;
+  }
+
+  operations = [];
+
+  for (const [path, pathItem] of Object.entries(swaggerDocs.paths || {})) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (operation) {
+        operations.push({
+          operationId: operation.operationId,
+          method: method.toUpperCase(),
+          path,
+          summary: operation.summary,
+          description: operation.description || '',
+          tags: operation.tags || [],
+          parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])],
+          requestBody: operation.requestBody || null,
+          security: operation.security || swaggerDocs.security || []
+        });
+      }
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Inline `#/components` references and drop keywords the model does not need
+ * @param {Object} schema - Schema from the specification
+ * @param {Set<string>} seen - References already being resolved, to stop on cycles
+ * @returns {Object} - Self-contained JSON schema
+ */
+function resolveSchema(schema, seen = new Set()) {
+  if (Array.isArray(schema)) {
+    return schema.map(item => resolveSchema(item, seen));
+  }
+
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  if (schema.$ref) {
+    if (seen.has(schema.$ref)) {
+      return { type: 'object' };
+    }
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], swaggerDocs);
+    return resolveSchema(target, new Set([...seen, schema.$ref]));
+  }
+
+  const resolved = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key !== 'example') {
+      resolved[key] = resolveSchema(value, seen);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Match a concrete path against a templated path such as `/api/audio/jobs/{id}`
+ * @param {string} template - Path from the specification
+ * @param {string} path - Requested path
+ * @returns {Object|null} - Path parameters, or null if the path does not match
+ */
+function matchPath(template, path) {
+  const names = [];
+  const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  const match = path.match(new RegExp(`^${pattern}$`));
+
+  if (!match) {
+    return null;
+  }
+
+  return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+}
+
+/**
+ * Find an operation by operationId, or by method and path
+ * @param {Object} reference - `{ operationId }` or `{ method, path }`; path may be a template or a concrete path
+ * @returns {Object|null} - The operation with `pathParams` taken from a concrete path, or null if unknown
+ */
+function findOperation({ operationId, method, path }) {
+  if (operationId) {
+    const operation = listOperations().find(candidate => candidate.operationId === operationId);
+    return operation ? { ...operation, pathParams: {} } : null;
+  }
+
+  if (!method || !path) {
+    return null;
+  }
+
+  for (const operation of listOperations()) {
+    if (operation.method !== method.toUpperCase()) continue;
+
+    if (operation.path === path) {
+      return { ...operation, pathParams: {} };
+    }
+
+    const pathParams = matchPath(operation.path, path);
+    if (pathParams) {
+      return { ...operation, pathParams };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compile a schema from the specification, resolving `#/components` references against the spec
+ * @param {string} key - Cache key
+ * @param {Object} schema - Schema from the specification
+ * @param {Ajv} validator - Ajv instance to compile with
+ * @returns {Function} - Ajv validate function
+ */
+function compile(key, schema, validator) {
+  if (!validators.has(key)) {
+    validators.set(key, validator.compile({ allOf: [schema], components: swaggerDocs.components }));
+  }
+  return validators.get(key);
+}
+
+const formatErrors = (errors, location) =>
+  errors.map(error => `${location}${error.instancePath} ${error.message}`);
+
+/**
+ * Validate path and query parameters against an operation's parameters
+ * Values are coerced to their schema types in place.
+ * @param {Object} operation - Operation from findOperation
+ * @param {Object} request - `{ params, query }`
+ * @returns {Array<string>} - Validation errors, empty if the parameters are valid
+ */
+function validateParameters(operation, { params = {}, query = {} } = {}) {
+  const errors = [];
+  const sources = { path: params, query };
+  const key = `${operation.method} ${operation.path}`;
+
+  for (const parameter of operation.parameters) {
+    const values = sources[parameter.in];
+    if (!values) continue;
+
+    if (values[parameter.name] === undefined) {
+      if (parameter.required) {
+        errors.push(`${parameter.in}.${parameter.name} is required`);
+      }
+      continue;
+    }
+
+    if (parameter.schema) {
+      // Validate a wrapper object so coercion can replace the value
+      const wrapper = { value: values[parameter.name] };
+      const validate = compile(`${key} ${parameter.in}.${parameter.name}`, {
+        type: 'object',
+        properties: { value: parameter.schema }
+      }, parameterAjv);
+
+      if (validate(wrapper)) {
+        values[parameter.name] = wrapper.value;
+      } else {
+        const valueErrors = validate.errors.map(error => ({ ...error, instancePath: error.instancePath.replace(/^\/value/, '') }));
+        errors.push(...formatErrors(valueErrors, `${parameter.in}.${parameter.name}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a request body against the operation's schema for its media type
+ * Form fields arrive as strings, so multipart bodies are coerced to their schema types in place.
+ * Media types without an object schema, such as raw audio, are only checked for presence.
+ * @param {Object} operation - Operation from findOperation
+ * @param {*} body - Parsed request body, undefined if the request has none
+ * @param {string} [mediaType='application/json'] - Media type of the body, as listed in the specification
+ * @returns {Array<string>} - Validation errors, empty if the body is valid
+ */
+function validateBody(operation, body, mediaType = 'application/json') {
+  if (body === undefined) {
+    return operation.requestBody?.required ? ['body is required'] : [];
+  }
+
+  const schema = operation.requestBody?.content?.[mediaType]?.schema;
+  if (!schema || mediaType.startsWith('audio/')) {
+    return [];
+  }
+
+  const multipart = mediaType === 'multipart/form-data';
+  const validate = compile(`${operation.method} ${operation.path} body ${mediaType}`, schema, multipart ? parameterAjv : ajv);
+
+  return validate(body) ? [] : formatErrors(validate.errors, 'body');
+}
+
+/**
+ * Validate a request against an operation's parameters and JSON request body
+ * Path and query values are coerced to their schema types in place.
+ * @param {Object} operation - Operation from findOperation
+ * @param {Object} request - `{ params, query, body }`
+ * @returns {Array<string>} - Validation errors, empty if the request is valid
+ */
+function validateOperationRequest(operation, { params = {}, query = {}, body } = {}) {
+  return [
+    ...validateParameters(operation, { params, query }),
+    ...validateBody(operation, body)
+  ];
+}
+
+module.exports = {
+  listOperations,
+  resolveSchema,
+  findOperation,
+  validateParameters,
+  validateBody,
+  validateOperationRequest
+};
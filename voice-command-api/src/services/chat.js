@@ -0,0 +1,146 @@
+const axios = require('axios');
+const { withFixture } = require('./fixtures');
+const { recordUsage } = require('./requestContext');
+
+/**
+ * Chat completion client shared by the controllers
+ *
+ * The tokens each completion uses are recorded against the current request.
+ */
+
+const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
+
+/**
+ * Fixture key of a chat completion request
+ * @param {Object} request - Chat completion request body
+ * @returns {Object} - The parts of the request that determine the response
+ */
+function fixtureRequest(request) {
+  return {
+    model: request.model,
+    messages: request.messages,
+    // Only part of the key when present, so fixtures recorded without tools still match
+    ...(request.tools && { tools: request.tools })
+  };
+}
+
+/**
+ * Request a chat completion from OpenAI (or its fixture in fake/record mode)
+ * @param {Object} request - Chat completion request body ({ model, messages, tools, temperature, max_tokens })
+ * @returns {Promise<Object>} - OpenAI chat completion response body
+ */
+async function createChatCompletion(request) {
+  const response = await withFixture('chat', fixtureRequest(request), async () => {
+    const response = await axios.post(OPENAI_CHAT_URL, request, {
+      headers: {
+        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    return response.data;
+  });
+
+  recordUsage({
+    model: response.model,
+    promptTokens: response.usage?.prompt_tokens,
+    completionTokens: response.usage?.completion_tokens
+  });
+  return response;
+}
+
+/**
+ * Request a chat completion as a stream, reporting the answer text as it is generated
+ * The streamed chunks are assembled into the same body createChatCompletion returns, which
+ * is also what fake/record mode replays and saves; a replayed answer arrives as one delta.
+ * @param {Object} request - Chat completion request body
+ * @param {Object} options - Streaming options
+ * @param {Function} options.onDelta - Called with each piece of answer text
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @returns {Promise<Object>} - OpenAI chat completion response body
+ */
+async function streamChatCompletion(request, { onDelta = () => {}, signal } = {}) {
+  let streamed = false;
+
+  const response = await withFixture('chat', fixtureRequest(request), async () => {
+    // Usage only comes with streamed completions when asked for, in a last chunk without choices
+    const upstream = await axios.post(OPENAI_CHAT_URL, { ...request, stream: true, stream_options: { include_usage: true } }, {
+      headers: {
+        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      responseType: 'stream',
+      signal
+    });
+
+    let model = request.model;
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    const toolCalls = [];
+    let buffer = '';
+
+    for await (const chunk of upstream.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+        if (!data || data === '[DONE]') continue;
+
+        const event = JSON.parse(data);
+        const choice = event.choices?.[0] || {};
+        const delta = choice.delta || {};
+        model = event.model || model;
+        usage = event.usage || usage;
+        finishReason = choice.finish_reason || finishReason;
+
+        if (delta.content) {
+          content += delta.content;
+          streamed = true;
+          onDelta(delta.content);
+        }
+
+        // Tool calls arrive in fragments keyed by index; names and arguments are concatenated
+        for (const fragment of delta.tool_calls || []) {
+          const call = toolCalls[fragment.index] ||= { id: fragment.id, type: 'function', function: { name: '', arguments: '' } };
+          call.id = fragment.id || call.id;
+          call.function.name += fragment.function?.name || '';
+          call.function.arguments += fragment.function?.arguments || '';
+        }
+      }
+    }
+
+    return {
+      object: 'chat.completion',
+      model,
+      choices: [
+        {
+          index: 0,
+          message: {
+            role: 'assistant',
+            content: content || null,
+            ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+          },
+          finish_reason: finishReason
+        }
+      ],
+      ...(usage && { usage })
+    };
+  });
+
+  const { content } = response.choices[0].message;
+  if (!streamed && content) {
+    onDelta(content);
+  }
+
+  recordUsage({
+    model: response.model,
+    promptTokens: response.usage?.prompt_tokens,
+    completionTokens: response.usage?.completion_tokens
+  });
+  return response;
+}
+
+module.exports = { createChatCompletion, streamChatCompletion };
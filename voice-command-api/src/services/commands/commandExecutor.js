@@ -0,0 +1,91 @@
+const { translateText, translateToLanguages } = require('../translation');
+const { summarizeText, findLatestTranscript } = require('../summarization');
+const { getRequestContext } = require('../requestContext');
+const { AVAILABLE_MODELS } = require('../../config/models');
+const { createHttpError } = require('../../utils/httpError');
+
+/**
+ * Execution of parsed voice commands
+ *
+ * Each handler receives a validated intent and resolves to the data the client
+ * needs to present the outcome.
+ */
+
+const HELP_COMMANDS = [
+  { phrase: 'Transcribe this: [your content]', description: 'Transcribe specific content' },
+  { phrase: 'Translate to [language]: [your content]', description: 'Translate to a specific language' },
+  { phrase: 'Translate to [language] and [language]: [your content]', description: 'Translate to several languages at once' },
+  { phrase: 'Translate this for me', description: 'Translate to English (default)' },
+  { phrase: 'Summarize this: [your content]', description: 'Meeting notes: summary, key points and action items' },
+  { phrase: 'Summarize this', description: 'Meeting notes of your last recording' },
+  { phrase: 'Give me the action items', description: 'Action items of your last recording, with owners and due dates' },
+  { phrase: 'List models', description: 'Lists transcription models' },
+  { phrase: 'Help', description: 'Shows this help information' }
+];
+
+const handlers = {
+  transcribe: async (intent) => ({ text: intent.content }),
+
+  translate: async (intent, { glossary }) => {
+    if (!intent.content) {
+      throw createHttpError(422, 'No content provided for translation');
+    }
+
+    if (intent.targetLanguages) {
+      // Unsupported languages and failed translations are reported per language
+      const { translations, sourceLanguage, sourceLanguageCode, model, cached } =
+        await translateToLanguages(intent.content, intent.targetLanguages, { glossary });
+      return { originalText: intent.content, translations, sourceLanguage, sourceLanguageCode, model, cached };
+    }
+
+    // Unsupported target languages fail the execution with a 400
+    const { translation, sourceLanguage, sourceLanguageCode, targetLanguage, targetLanguageCode, model, cached } =
+      await translateText(intent.content, intent.targetLanguage, { glossary });
+    return { originalText: intent.content, translation, sourceLanguage, sourceLanguageCode, targetLanguage, targetLanguageCode, model, cached };
+  },
+
+  summarize: async (intent, { glossary }) => {
+    // Without content the command is about the meeting recorded before it
+    const transcript = intent.content ? null : findLatestTranscript(getRequestContext()?.apiKey?.id);
+    const text = intent.content || transcript?.text;
+
+    if (!text) {
+      throw createHttpError(422, 'No content provided to summarize, and no earlier transcript to summarize');
+    }
+
+    const { summary, keyPoints, actionItems, model, cached } = await summarizeText(text, { glossary });
+    return {
+      originalText: text,
+      sourceHistoryId: transcript ? transcript.id : null,
+      focus: intent.focus || 'summary',
+      summary,
+      keyPoints,
+      actionItems,
+      model,
+      cached
+    };
+  },
+
+  list_models: async () => ({ models: AVAILABLE_MODELS }),
+
+  help: async () => ({ commands: HELP_COMMANDS }),
+
+  // Not a command, the speech itself is the result
+  unknown: async (intent) => ({ text: intent.content })
+};
+
+/**
+ * Execute a voice command
+ * @param {Object} intent - Intent validated against the intent schema
+ * @param {Object} [options] - Execution options
+ * @param {Object} [options.glossary] - Glossary whose terms translations keep
+ * @returns {Promise<Object>} - Command result
+ */
+async function executeCommand(intent, { glossary = null } = {}) {
+  return handlers[intent.commandType](intent, { glossary });
+}
+
+module.exports = {
+  HELP_COMMANDS,
+  executeCommand
+};
@@ -0,0 +1,106 @@
+const transcriptionService = require('../transcription');
+const { parseIntent } = require('./intentParser');
+const { matchIntent } = require('./intentGrammar');
+const { executeCommand } = require('./commandExecutor');
+
+/**
+ * Voice command pipeline: transcription, intent parsing and execution
+ *
+ * This is the server-side counterpart of the browser's command analyzer, so every
+ * client gets the same behaviour. Speech that is not recognised as a command is
+ * returned as an `unknown` intent carrying the whole transcription.
+ *
+ * The rule-based grammar runs first and the LLM is only asked when no rule matches
+ * confidently, so common commands need no LLM round-trip and still work when it is down.
+ */
+
+// Grammar matches below this confidence are passed to the LLM
+const GRAMMAR_CONFIDENCE_THRESHOLD = 0.8;
+
+/**
+ * Intent used when the transcription could not be parsed into a valid command
+ * @param {string} transcription - Transcribed speech
+ * @returns {Object} - Intent treating the whole transcription as content
+ */
+function unknownIntent(transcription) {
+  return { commandType: 'unknown', command: '', content: transcription };
+}
+
+/**
+ * Resolve the intent of a transcription, from the grammar when it is confident and the LLM otherwise
+ * @param {string} transcription - Transcribed speech
+ * @returns {Promise<Object>} - `{ intent, source, model, errors }`; source is `grammar`, `llm` or `fallback`
+ */
+async function resolveIntent(transcription) {
+  const match = matchIntent(transcription);
+  if (match && match.confidence >= GRAMMAR_CONFIDENCE_THRESHOLD) {
+    return { intent: match.intent, source: 'grammar', model: null, errors: [] };
+  }
+
+  let parsed;
+  try {
+    parsed = await parseIntent(transcription);
+  } catch (error) {
+    // Without the LLM, uncertain speech is treated as plain speech rather than guessed at
+    console.error('Intent parsing error:', error.response?.data || error.message);
+    return { intent: unknownIntent(transcription), source: 'fallback', model: null, errors: [`LLM unavailable: ${error.message}`] };
+  }
+
+  if (!parsed.intent) {
+    console.warn('Could not parse voice command:', parsed.errors.join('; '));
+    return { intent: unknownIntent(transcription), source: 'fallback', model: parsed.model, errors: parsed.errors };
+  }
+
+  return { intent: parsed.intent, source: 'llm', model: parsed.model, errors: [] };
+}
+
+/**
+ * Analyze a spoken or typed command and optionally execute it
+ * @param {Object} input - Command input
+ * @param {Object} [input.audio] - Audio input ({ buffer, filename, mimeType, format, duration })
+ * @param {string} [input.text] - Command text, used instead of transcribing audio
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.provider] - Speech provider id
+ * @param {string} [options.language] - Language code hint for transcription
+ * @param {Object} [options.glossary] - Glossary for the transcription and any translation
+ * @param {boolean} [options.execute=true] - Whether to execute the parsed command
+ * @returns {Promise<Object>} - `{ transcription, intent, execution, metadata }`
+ */
+async function analyzeCommand({ audio, text }, { provider, language, glossary, execute = true } = {}) {
+  let transcription = text;
+  let transcriptionMetadata = null;
+
+  if (!transcription) {
+    const transcriptionResult = await transcriptionService.transcribe(audio, { provider, language, glossary });
+    transcription = transcriptionResult.transcription;
+    transcriptionMetadata = transcriptionResult.metadata;
+  }
+
+  const { intent, source, model, errors } = await resolveIntent(transcription);
+
+  let execution = null;
+  if (execute) {
+    try {
+      execution = { success: true, result: await executeCommand(intent, { glossary }) };
+    } catch (error) {
+      // The transcript and intent are still useful when execution fails
+      console.error('Command execution error:', error.response?.data || error.message);
+      execution = { success: false, error: error.message };
+    }
+  }
+
+  return {
+    transcription,
+    intent,
+    execution,
+    metadata: {
+      processed_at: new Date().toISOString(),
+      intent_source: source,
+      intent_model: model,
+      intent_errors: errors,
+      transcription: transcriptionMetadata
+    }
+  };
+}
+
+module.exports = { analyzeCommand };
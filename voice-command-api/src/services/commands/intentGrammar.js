@@ -0,0 +1,176 @@
+const { findLanguage } = require('../languages');
+
+/**
+ * Rule-based voice command grammar
+ *
+ * Matches the common phrasings of each command type without an LLM round-trip.
+ * Rules are anchored at the start of the utterance (after an optional polite opener)
+ * so a command word in the middle of ordinary speech is not mistaken for a command.
+ * Each match carries a confidence; the pipeline only asks the LLM when no rule
+ * matches confidently.
+ */
+
+const POLITE_OPENER = String.raw`(?:(?:hey|ok|okay|so)[,\s]+)?(?:(?:can|could|would|will) you\s+)?(?:please\s+)?`;
+
+// Separator between a command phrase and its content
+const SEPARATOR = String.raw`[\s:,.!?\-–—]*`;
+
+// Separator between the languages of "translate to Spanish, French and German"
+const LANGUAGE_SEPARATOR = String.raw`\s*,\s*(?:and\s+)?|\s+and\s+`;
+
+// End of a command word, so "helpful" or "translated" are not read as "help" or "translate"
+const WORD_END = String.raw`(?![\p{L}\p{N}])`;
+
+// Translate command phrase, before the target language(s)
+const TRANSLATE = String.raw`translate${WORD_END}(?:\s+(?:this|that|it|the following))?(?:\s+for me)?`;
+
+/**
+ * Find a language named after "translate to"
+ * Spoken two-letter words ("to it", "to no") are not codes.
+ * @param {string} name - Spoken language name
+ * @returns {Object|null} - Table entry, or null if the name is not a known language
+ */
+const findSpokenLanguage = (name) => (name.length > 2 ? findLanguage(name) : null);
+
+// Languages named after the content, as in "translate good morning to French and German"
+const TRAILING_LANGUAGES = new RegExp(String.raw`^(.*?)\s+(?:to|into)\s+([\p{L}]+(?:(?:${LANGUAGE_SEPARATOR})[\p{L}]+)*)[\s.!?]*$`, 'iu');
+
+/**
+ * Split the languages named after the content from it
+ * @param {string} content - Content of a translate command that named no language before it
+ * @returns {Object|null} - `{ content, languages }` with the table entries, distinct, or null when the content
+ *   does not end with "to <language>"; languages is null when a name is not a known language
+ */
+function splitTrailingLanguages(content) {
+  const match = content.match(TRAILING_LANGUAGES);
+  if (!match) {
+    return null;
+  }
+
+  const languages = match[2].split(new RegExp(LANGUAGE_SEPARATOR, 'iu')).map(findSpokenLanguage);
+  if (languages.some(language => !language)) {
+    return { content: match[1], languages: null };
+  }
+
+  return { content: match[1], languages: [...new Map(languages.map(language => [language.code, language])).values()] };
+}
+
+/**
+ * Grammar rules, tried in order
+ * `build` turns the regular expression match into an intent and confidence, or null
+ * to leave the utterance to the following rules
+ */
+const RULES = [
+  {
+    // Several languages, all of them known; otherwise the words after the first may be content
+    pattern: new RegExp(String.raw`^${POLITE_OPENER}(${TRANSLATE}\s+(?:to|into)\s+([\p{L}]+(?:(?:${LANGUAGE_SEPARATOR})[\p{L}]+)+))${SEPARATOR}(.*)$`, 'iu'),
+    build: ([, command, list, content]) => {
+      const languages = list.split(new RegExp(LANGUAGE_SEPARATOR, 'iu')).map(findSpokenLanguage);
+      if (languages.some(language => !language)) {
+        return null;
+      }
+
+      const names = [...new Set(languages.map(language => language.name))];
+      return {
+        intent: {
+          commandType: 'translate',
+          command,
+          content,
+          ...(names.length > 1 ? { targetLanguages: names } : { targetLanguage: names[0] })
+        },
+        confidence: 0.95
+      };
+    }
+  },
+  {
+    pattern: new RegExp(String.raw`^${POLITE_OPENER}(${TRANSLATE}(?:\s+(?:to|into)\s+([\p{L}]+))?)${WORD_END}${SEPARATOR}(.*)$`, 'iu'),
+    build: ([, command, language, content]) => {
+      const trailing = language ? null : splitTrailingLanguages(content);
+
+      if (trailing) {
+        // "translate hello to French"; "translate this: I want to go to school" is left to the LLM
+        const names = (trailing.languages || []).map(entry => entry.name);
+        return {
+          intent: {
+            commandType: 'translate',
+            command,
+            content: trailing.languages ? trailing.content : content,
+            ...(names.length > 1 ? { targetLanguages: names } : { targetLanguage: names[0] || 'English' })
+          },
+          confidence: trailing.languages ? 0.95 : 0.5
+        };
+      }
+
+      // Languages recognised after "translate to" by name; anything else lowers the confidence
+      const known = language && findSpokenLanguage(language);
+      return {
+        intent: {
+          commandType: 'translate',
+          command,
+          content,
+          targetLanguage: known ? known.name : language || 'English'
+        },
+        // "translate to the team that ..." is more likely speech than a command
+        confidence: !language || known ? 0.95 : 0.5
+      };
+    }
+  },
+  {
+    pattern: new RegExp(String.raw`^${POLITE_OPENER}(summari[sz]e(?:\s+(?:this|that|it|the following|the (?:meeting|call|stand-?up)))?(?:\s+for me)?|(?:give me|show me|write up)\s+(?:the\s+)?(?:meeting\s+)?notes)${WORD_END}${SEPARATOR}(.*)$`, 'iu'),
+    build: ([, command, content]) => ({
+      intent: { commandType: 'summarize', command, content, focus: 'summary' },
+      confidence: 0.95
+    })
+  },
+  {
+    pattern: new RegExp(String.raw`^${POLITE_OPENER}((?:give me|show me|list|tell me|what are)(?:\s+(?:all|the))*\s+(?:action items|to-?dos|next steps))${WORD_END}${SEPARATOR}(.*)$`, 'iu'),
+    build: ([, command, content]) => ({
+      intent: { commandType: 'summarize', command, content, focus: 'action_items' },
+      confidence: 0.9
+    })
+  },
+  {
+    pattern: new RegExp(String.raw`^${POLITE_OPENER}(transcribe(?:\s+(?:this|that|the following))?)${WORD_END}${SEPARATOR}(.*)$`, 'iu'),
+    build: ([, command, content]) => ({
+      intent: { commandType: 'transcribe', command, content },
+      confidence: 0.95
+    })
+  },
+  {
+    pattern: new RegExp(String.raw`^${POLITE_OPENER}((?:list|show|show me|tell me|what are)(?:\s+(?:all|the))*(?:\s+available)?(?:\s+(?:transcription|speech))?\s+models(?:\s+(?:are\s+)?available)?|(?:what|which) models (?:are available|do you have|can i use))${SEPARATOR}$`, 'iu'),
+    build: ([, command]) => ({
+      intent: { commandType: 'list_models', command, content: '' },
+      confidence: 0.95
+    })
+  },
+  {
+    pattern: new RegExp(String.raw`^${POLITE_OPENER}(help|what commands can i (?:use|say)|what can i say)${WORD_END}${SEPARATOR}(.*)$`, 'iu'),
+    build: ([, command, content]) => ({
+      intent: { commandType: 'help', command, content },
+      confidence: 0.9
+    })
+  }
+];
+
+/**
+ * Match an utterance against the grammar
+ * @param {string} text - Transcribed or typed command
+ * @returns {Object|null} - `{ intent, confidence }` for the first rule that matches and builds an intent, or null
+ */
+function matchIntent(text) {
+  const utterance = text.trim();
+
+  for (const rule of RULES) {
+    const match = utterance.match(rule.pattern);
+    const built = match && rule.build(match);
+    if (built) {
+      return built;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  matchIntent
+};
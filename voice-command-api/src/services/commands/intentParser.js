@@ -0,0 +1,94 @@
+const { createChatCompletion } = require('../chat');
+const { COMMAND_TYPES, SUMMARY_FOCUSES, INTENT_SCHEMA, validateIntent } = require('./intentSchema');
+
+/**
+ * Parse a transcription into a voice command intent with the chat model
+ */
+
+const INTENT_MODEL = 'gpt-3.5-turbo';
+
+// The model reports the intent as a call to this function, whose arguments follow the intent schema
+const INTENT_TOOL = {
+  type: 'function',
+  function: {
+    name: 'set_command_intent',
+    description: 'Report the voice command found in the transcription',
+    parameters: INTENT_SCHEMA
+  }
+};
+
+const SYSTEM_PROMPT = `You identify voice commands in audio transcriptions.
+A transcription may contain both a command and content. Identify if there's a command like:
+- "transcribe this:" or similar phrases indicating transcription, followed by content to transcribe
+- Any translation-related phrase like "translate", "translate for me", "translate this", "translate to [language]", "can you translate", etc.
+- "summarize this", "give me the meeting notes", "what are the action items" or similar phrases asking for a summary or notes
+- "list models" or "show me available models" or similar phrases asking to see available models
+- "help" or any requests for assistance
+
+Report the command by calling set_command_intent with:
+1. commandType: one of ${COMMAND_TYPES.map(type => `"${type}"`).join(', ')}
+2. command: The specific command detected
+3. content: The actual content to transcribe, translate or summarize, or an empty string
+4. targetLanguage: The target language, only for translate commands
+   - If a specific language is mentioned (e.g., "translate to Spanish"), extract that language
+   - If no language is specified, use "English"
+5. targetLanguages: Instead of targetLanguage, when a translate command names several languages (e.g., "translate to Spanish and French")
+6. focus: Only for summarize commands, one of ${SUMMARY_FOCUSES.map(focus => `"${focus}"`).join(', ')}
+   - "action_items" when only the action items or to-dos are asked for, otherwise "summary"
+
+Be very flexible in command detection. Users might phrase things in many different ways.
+
+Examples:
+- "transcribe this: Hello world" → { "commandType": "transcribe", "command": "transcribe this", "content": "Hello world" }
+- "translate this to Spanish: Hello how are you?" → { "commandType": "translate", "command": "translate this to Spanish", "content": "Hello how are you?", "targetLanguage": "Spanish" }
+- "translate to German, Italian and Dutch: see you tomorrow" → { "commandType": "translate", "command": "translate to German, Italian and Dutch", "content": "see you tomorrow", "targetLanguages": ["German", "Italian", "Dutch"] }
+- "can you translate the following to Japanese" → { "commandType": "translate", "command": "translate to Japanese", "content": "the following", "targetLanguage": "Japanese" }
+- "summarize this: we agreed to ship on Friday" → { "commandType": "summarize", "command": "summarize this", "content": "we agreed to ship on Friday", "focus": "summary" }
+- "give me the action items" → { "commandType": "summarize", "command": "give me the action items", "content": "", "focus": "action_items" }
+- "show me the available models" → { "commandType": "list_models", "command": "show me the available models", "content": "" }
+- "help me understand how this works" → { "commandType": "help", "command": "help", "content": "me understand how this works" }
+- "the meeting is moved to Thursday" → { "commandType": "unknown", "command": "", "content": "the meeting is moved to Thursday" }`;
+
+/**
+ * Ask the chat model for the intent of a transcription
+ * @param {string} transcription - Transcribed speech
+ * @returns {Promise<Object>} - `{ intent, errors, model }`; `intent` is null when the reply is not a valid intent
+ */
+async function parseIntent(transcription) {
+  const response = await createChatCompletion({
+    model: INTENT_MODEL,
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: transcription }
+    ],
+    tools: [INTENT_TOOL],
+    tool_choice: { type: 'function', function: { name: INTENT_TOOL.function.name } },
+    temperature: 0
+  });
+
+  const message = response.choices[0].message;
+  const toolCall = message.tool_calls?.find(call => call.function.name === INTENT_TOOL.function.name);
+
+  // Fixtures and compatible servers without tool support may reply with the JSON as text instead
+  const reply = toolCall ? toolCall.function.arguments : (message.content || '');
+
+  let intent;
+  try {
+    intent = JSON.parse(reply.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+  } catch (error) {
+    return { intent: null, errors: [`reply is not JSON: ${error.message}`], model: response.model };
+  }
+
+  if (intent && intent.commandType === 'translate' && !intent.targetLanguage && !intent.targetLanguages) {
+    intent.targetLanguage = 'English';
+  }
+
+  if (intent && intent.commandType === 'summarize' && !intent.focus) {
+    intent.focus = 'summary';
+  }
+
+  const errors = validateIntent(intent);
+  return { intent: errors.length === 0 ? intent : null, errors, model: response.model };
+}
+
+module.exports = { parseIntent };
@@ -0,0 +1,56 @@
+const Ajv = require('ajv');
+const { MAX_TARGET_LANGUAGES } = require('../languages');
+
+/**
+ * JSON schema for a parsed voice command
+ *
+ * Intents come from the LLM, so they are validated before anything acts on them.
+ * Keep in sync with the `CommandIntent` schema in config/swagger.js.
+ */
+
+const COMMAND_TYPES = ['transcribe', 'translate', 'summarize', 'list_models', 'help', 'unknown'];
+
+// What a summarize command asks for: the meeting notes, or only their action items
+const SUMMARY_FOCUSES = ['summary', 'action_items'];
+
+const INTENT_SCHEMA = {
+  type: 'object',
+  required: ['commandType', 'command', 'content'],
+  properties: {
+    commandType: { type: 'string', enum: COMMAND_TYPES },
+    command: { type: 'string' },
+    content: { type: 'string' },
+    targetLanguage: { type: 'string', minLength: 1 },
+    // Translate commands naming several languages, instead of targetLanguage
+    targetLanguages: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      minItems: 2,
+      maxItems: MAX_TARGET_LANGUAGES
+    },
+    focus: { type: 'string', enum: SUMMARY_FOCUSES }
+  },
+  additionalProperties: false
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(INTENT_SCHEMA);
+
+/**
+ * Validate a parsed intent against the schema
+ * @param {*} intent - Candidate intent
+ * @returns {Array<string>} - Validation errors, empty if the intent is valid
+ */
+function validateIntent(intent) {
+  if (validate(intent)) {
+    return [];
+  }
+  return validate.errors.map(error => `${error.instancePath || 'intent'} ${error.message}`);
+}
+
+module.exports = {
+  COMMAND_TYPES,
+  SUMMARY_FOCUSES,
+  INTENT_SCHEMA,
+  validateIntent
+};
@@ -0,0 +1,112 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { withFixture } = require('./fixtures');
+const { recordUsage } = require('./requestContext');
+
+/**
+ * Text embeddings for similarity scoring
+ *
+ * LLM_EMBEDDINGS selects the provider:
+ *   - none:   no embeddings; callers fall back to keyword scoring (default)
+ *   - local:  hashed character trigram vectors computed in process, no network or API key
+ *   - openai: OpenAI embeddings (or their fixtures in fake/record mode)
+ */
+
+const EMBEDDING_PROVIDERS = ['none', 'local', 'openai'];
+
+const OPENAI_EMBEDDINGS_URL = 'https://api.openai.com/v1/embeddings';
+const OPENAI_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+const LOCAL_DIMENSIONS = 512;
+
+/**
+ * Get the configured embedding provider
+ * @returns {string} - One of EMBEDDING_PROVIDERS
+ */
+function getEmbeddingProvider() {
+  const provider = (process.env.LLM_EMBEDDINGS || 'none').toLowerCase();
+  return EMBEDDING_PROVIDERS.includes(provider) ? provider : 'none';
+}
+
+/**
+ * Embed text as counts of its hashed character trigrams
+ * A stand-in for a real embedding model: texts sharing word fragments score as similar.
+ * @param {string} text - Text to embed
+ * @returns {Array<number>} - Unit-length vector
+ */
+function localEmbedding(text) {
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  for (const word of words) {
+    const padded = ` ${word} `;
+    for (let index = 0; index + 3 <= padded.length; index++) {
+      const digest = crypto.createHash('md5').update(padded.slice(index, index + 3)).digest();
+      vector[digest.readUInt32LE(0) % LOCAL_DIMENSIONS] += 1;
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+/**
+ * Embed texts with the configured provider
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>|null>} - One vector per text, or null when embeddings are off
+ */
+async function embed(texts) {
+  const provider = getEmbeddingProvider();
+
+  if (provider === 'none') {
+    return null;
+  }
+
+  if (provider === 'local') {
+    return texts.map(localEmbedding);
+  }
+
+  const request = { model: OPENAI_EMBEDDING_MODEL, input: texts };
+  const response = await withFixture('embeddings', request, async () => {
+    const { data } = await axios.post(OPENAI_EMBEDDINGS_URL, request, {
+      headers: {
+        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    return data;
+  });
+
+  recordUsage({ model: response.model || OPENAI_EMBEDDING_MODEL, promptTokens: response.usage?.prompt_tokens });
+
+  return response.data
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.embedding);
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} - Similarity between -1 and 1
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let index = 0; index < a.length; index++) {
+    dot += a[index] * b[index];
+    normA += a[index] * a[index];
+    normB += b[index] * b[index];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = {
+  EMBEDDING_PROVIDERS,
+  getEmbeddingProvider,
+  embed,
+  cosineSimilarity
+};
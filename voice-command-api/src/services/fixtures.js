@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Record/replay fixtures for outside services
+ *
+ * PROVIDER_MODE selects how calls to speech, text-to-speech and chat providers are served:
+ *   - live:   call the real provider (default)
+ *   - fake:   serve responses from fixture files, no network or API key needed
+ *   - record: call the real provider and save each request/response pair as a fixture
+ *
+ * Fixtures live in FIXTURES_DIR (default `voice-command-api/fixtures`) as
+ * `<kind>/<key>.json`, where the key is a hash of the request. In fake mode a
+ * request without a matching fixture is served `<kind>/default.json`.
+ */
+
+const PROVIDER_MODES = ['live', 'fake', 'record'];
+
+/**
+ * Get the configured provider mode
+ * @returns {string} - One of PROVIDER_MODES
+ */
+function getProviderMode() {
+  const mode = (process.env.PROVIDER_MODE || 'live').toLowerCase();
+  return PROVIDER_MODES.includes(mode) ? mode : 'live';
+}
+
+function getFixturesDir() {
+  return process.env.FIXTURES_DIR || path.join(__dirname, '../../fixtures');
+}
+
+/**
+ * Hash a value for use in fixture keys
+ * @param {Buffer|string|Object} value - Value to hash; objects are JSON serialised
+ * @returns {string} - Hex encoded SHA-256 digest
+ */
+function hash(value) {
+  const data = Buffer.isBuffer(value) || typeof value === 'string' ? value : JSON.stringify(value);
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function fixturePath(kind, key) {
+  return path.join(getFixturesDir(), kind, `${key}.json`);
+}
+
+function readFixture(kind, key) {
+  const filePath = fixturePath(kind, key);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeFixture(kind, key, fixture) {
+  const filePath = fixturePath(kind, key);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(fixture, null, 2)}\n`);
+  console.log(`Recorded ${kind} fixture: ${filePath}`);
+}
+
+/**
+ * Serve a provider call according to the provider mode
+ * @param {string} kind - Fixture group: `transcribe`, `translate`, `speak`, `chat` or `embeddings`
+ * @param {Object} request - Serialisable description of the request, used as the fixture key
+ * @param {Function} liveCall - Performs the real call and resolves to a serialisable response
+ * @returns {Promise<Object>} - The live or recorded response
+ */
+async function withFixture(kind, request, liveCall) {
+  const mode = getProviderMode();
+
+  if (mode === 'live') {
+    return liveCall();
+  }
+
+  const key = hash(request);
+
+  if (mode === 'record') {
+    const response = await liveCall();
+    writeFixture(kind, key, {
+      kind,
+      key,
+      recordedAt: new Date().toISOString(),
+      request,
+      response
+    });
+    return response;
+  }
+
+  const fixture = readFixture(kind, key) || readFixture(kind, 'default');
+
+  if (!fixture) {
+    throw createHttpError(500, `No ${kind} fixture found for request ${key} and no default fixture`, {
+      fixturesDir: getFixturesDir()
+    });
+  }
+
+  return fixture.response;
+}
+
+module.exports = {
+  PROVIDER_MODES,
+  getProviderMode,
+  getFixturesDir,
+  hash,
+  withFixture
+};
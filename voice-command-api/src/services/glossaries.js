@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Glossaries of custom vocabulary for transcription and translation
+ *
+ * A glossary holds the terms a domain uses, such as product names and jargon, in
+ * their preferred spelling, and replacement rules for phrases the speech provider is
+ * known to mishear. Requests select one with `glossaryId`: its terms are added to the
+ * transcription prompt, the transcript is corrected with its replacements and
+ * spellings afterwards, and translations keep its terms as they are.
+ *
+ * Glossaries are kept in GLOSSARIES_FILE. Those created with the admin key, or while
+ * keys are not required, are shared with every key and only the admin can change
+ * them; issued keys can also create their own, which only they see.
+ */
+
+// Whisper only reads the last 224 tokens of a prompt, which it shares with the caller's prompt
+const MAX_PROMPT_CHARS = 300;
+
+function getGlossariesFile() {
+  return process.env.GLOSSARIES_FILE || path.join(__dirname, '../../data/glossaries.json');
+}
+
+/**
+ * Trim terms and drop empty and repeated ones, ignoring case
+ * @param {Array<string>} terms - Terms as given
+ * @returns {Array<string>} - Distinct terms in their first spelling
+ */
+function cleanTerms(terms) {
+  const seen = new Set();
+
+  return terms
+    .map(term => term.trim())
+    .filter(term => {
+      const key = term.toLowerCase();
+      if (!term || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Create a glossary store backed by a JSON file
+ * @param {Object} options - Store options
+ * @param {string} options.file - Path of the JSON file glossaries are kept in
+ * @returns {Object} - Glossary store
+ */
+function createGlossaryStore({ file }) {
+  let glossaries = null;
+
+  function load() {
+    if (!glossaries) {
+      glossaries = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).glossaries : [];
+    }
+    return glossaries;
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify({ glossaries }, null, 2)}\n`);
+  }
+
+  // Other keys' glossaries are reported as missing rather than forbidden
+  const visibleTo = (apiKeyId) => (glossary) => !apiKeyId || !glossary.apiKeyId || glossary.apiKeyId === apiKeyId;
+
+  const find = (id, apiKeyId) => load().filter(visibleTo(apiKeyId)).find(glossary => glossary.id === id) || null;
+
+  // Shared glossaries are visible to every key but only the admin may change them
+  function findEditable(id, apiKeyId) {
+    const record = find(id, apiKeyId);
+
+    if (record && apiKeyId && record.apiKeyId !== apiKeyId) {
+      throw createHttpError(403, 'Shared glossaries can only be changed with the admin key');
+    }
+
+    return record;
+  }
+
+  return {
+    /**
+     * Create a glossary
+     * @param {Object} glossary - `{ name, description, terms, replacements }`
+     * @param {string} [apiKeyId] - Key the glossary belongs to; shared with every key when null
+     * @returns {Object} - The stored glossary
+     */
+    create({ name, description = null, terms = [], replacements = [] }, apiKeyId = null) {
+      const now = new Date().toISOString();
+      const record = {
+        id: crypto.randomUUID(),
+        name,
+        description,
+        terms: cleanTerms(terms),
+        replacements: replacements.map(({ from, to }) => ({ from: from.trim(), to: to.trim() })),
+        apiKeyId,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      load().push(record);
+      save();
+      return record;
+    },
+
+    /**
+     * List the glossaries a key can use, by name
+     * @param {string} [apiKeyId] - Only shared glossaries and those of this API key
+     * @returns {Array<Object>} - Glossaries
+     */
+    list(apiKeyId = null) {
+      return load().filter(visibleTo(apiKeyId)).sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Get a glossary
+     * @param {string} id - Glossary id
+     * @param {string} [apiKeyId] - Only a shared glossary or one of this API key
+     * @returns {Object|null} - The glossary, or null if unknown
+     */
+    get(id, apiKeyId = null) {
+      return find(id, apiKeyId);
+    },
+
+    /**
+     * Edit a glossary
+     * @param {string} id - Glossary id
+     * @param {Object} changes - Any of `{ name, description, terms, replacements }`; lists replace the existing ones
+     * @param {string} [apiKeyId] - Only a glossary of this API key
+     * @returns {Object|null} - The updated glossary, or null if unknown
+     * @throws {Error} - 403 when a key tries to change a shared glossary
+     */
+    update(id, changes, apiKeyId = null) {
+      const record = findEditable(id, apiKeyId);
+      if (!record) {
+        return null;
+      }
+
+      for (const field of ['name', 'description']) {
+        if (changes[field] !== undefined) {
+          record[field] = changes[field];
+        }
+      }
+
+      if (changes.terms) {
+        record.terms = cleanTerms(changes.terms);
+      }
+
+      if (changes.replacements) {
+        record.replacements = changes.replacements.map(({ from, to }) => ({ from: from.trim(), to: to.trim() }));
+      }
+
+      record.updatedAt = new Date().toISOString();
+      save();
+      return record;
+    },
+
+    /**
+     * Delete a glossary
+     * @param {string} id - Glossary id
+     * @param {string} [apiKeyId] - Only a glossary of this API key
+     * @returns {Object|null} - The deleted glossary, or null if unknown
+     * @throws {Error} - 403 when a key tries to delete a shared glossary
+     */
+    remove(id, apiKeyId = null) {
+      const record = findEditable(id, apiKeyId);
+      if (!record) {
+        return null;
+      }
+
+      glossaries = load().filter(glossary => glossary !== record);
+      save();
+      return record;
+    }
+  };
+}
+
+let store = null;
+
+/**
+ * The glossary store shared by the API, kept in GLOSSARIES_FILE (default `voice-command-api/data/glossaries.json`)
+ * @returns {Object} - Glossary store
+ */
+function getGlossaryStore() {
+  if (!store) {
+    store = createGlossaryStore({ file: getGlossariesFile() });
+  }
+  return store;
+}
+
+/**
+ * Look up the glossary a request selected
+ * @param {string} [id] - The request's `glossaryId`
+ * @param {string} [apiKeyId] - Key of the request, null for the admin key and open requests
+ * @returns {Object|null} - The glossary, or null if the request selected none
+ * @throws {Error} - 404 if the glossary is unknown or another key's
+ */
+function resolveGlossary(id, apiKeyId = null) {
+  if (!id) {
+    return null;
+  }
+
+  const glossary = getGlossaryStore().get(id, apiKeyId);
+  if (!glossary) {
+    throw createHttpError(404, `Glossary not found: ${id}`);
+  }
+  return glossary;
+}
+
+/**
+ * Build the transcription prompt listing a glossary's terms
+ * Whisper follows the spelling of words it has seen in the prompt; terms that do not
+ * fit are left to the correction pass.
+ * @param {Object} glossary - Glossary
+ * @returns {string|undefined} - Prompt, or undefined if the glossary has no terms
+ */
+function glossaryPrompt(glossary) {
+  let prompt = '';
+
+  for (const term of glossary.terms) {
+    const next = prompt ? `${prompt}, ${term}` : term;
+    if (next.length > MAX_PROMPT_CHARS) {
+      break;
+    }
+    prompt = next;
+  }
+
+  return prompt ? `${prompt}.` : undefined;
+}
+
+// Matches a phrase as whole words, ignoring case, with any whitespace between its words
+function phrasePattern(phrase) {
+  const words = phrase.split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words.join('\\s+')}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Correct a transcript with a glossary
+ * Replacement rules are applied first, then terms heard with another capitalisation
+ * or spacing are given their preferred spelling.
+ * @param {string} text - Transcript
+ * @param {Object} glossary - Glossary
+ * @returns {string} - Corrected transcript
+ */
+function correctTranscript(text, glossary) {
+  const corrected = glossary.replacements.reduce(
+    (result, { from, to }) => result.replace(phrasePattern(from), () => to),
+    text
+  );
+
+  return glossary.terms.reduce(
+    (result, term) => result.replace(phrasePattern(term), () => term),
+    corrected
+  );
+}
+
+module.exports = {
+  createGlossaryStore,
+  getGlossaryStore,
+  resolveGlossary,
+  glossaryPrompt,
+  correctTranscript
+};
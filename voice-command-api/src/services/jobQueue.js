@@ -0,0 +1,193 @@
+const { AsyncResource } = require('async_hooks');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * In-process job queue with bounded concurrency
+ *
+ * Jobs move through queued → running → succeeded | failed, or cancelled when
+ * removed before finishing. Tasks receive `{ reportProgress, signal }` so they can
+ * report a 0-1 progress fraction and stop early once `signal.aborted` is set.
+ * Finished jobs are kept for `retentionMs` so clients can fetch their result.
+ * Jobs belong to the API key that queued them; lookups with a key id only find that
+ * key's jobs, lookups without one find every job.
+ *
+ * The queue emits `update` with the public job view whenever a job changes.
+ */
+
+const TERMINAL_STATES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * Create a job queue
+ * @param {Object} options - Queue options
+ * @param {number} [options.concurrency=2] - Maximum number of jobs running at once
+ * @param {number} [options.retentionMs=3600000] - How long finished jobs are kept
+ * @returns {Object} - Job queue
+ */
+function createJobQueue({ concurrency = 2, retentionMs = 60 * 60 * 1000 } = {}) {
+  const events = new EventEmitter();
+  // Each open job event stream listens for updates, so listeners are bounded by connections rather than leaked
+  events.setMaxListeners(0);
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  const visibleTo = (apiKeyId) => (job) => !apiKeyId || job.apiKeyId === apiKeyId;
+
+  /**
+   * Find a job of an API key
+   * @param {string} id - Job id
+   * @param {string} [apiKeyId] - Only a job of this API key
+   * @returns {Object|null} - The job, or null if unknown, expired or another key's
+   */
+  function find(id, apiKeyId) {
+    const job = jobs.get(id);
+    return job && visibleTo(apiKeyId)(job) ? job : null;
+  }
+
+  /**
+   * Public view of a job, without its task and internal state
+   */
+  function toJSON(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  function update(job, changes) {
+    Object.assign(job, changes);
+    events.emit('update', toJSON(job));
+  }
+
+  function finish(job, changes) {
+    update(job, { ...changes, finishedAt: new Date().toISOString() });
+
+    const timer = setTimeout(() => jobs.delete(job.id), retentionMs);
+    timer.unref();
+  }
+
+  async function run(job) {
+    running++;
+    update(job, { status: 'running', startedAt: new Date().toISOString() });
+
+    try {
+      const result = await job.task({
+        signal: job.controller.signal,
+        reportProgress: (progress) => {
+          if (job.status === 'running') {
+            update(job, { progress: Math.max(0, Math.min(1, progress)) });
+          }
+        }
+      });
+
+      if (job.status === 'running') {
+        finish(job, { status: 'succeeded', progress: 1, result });
+      }
+    } catch (error) {
+      if (job.status === 'running') {
+        console.error(`Job ${job.id} failed:`, error.response?.data || error.message);
+        finish(job, {
+          status: 'failed',
+          error: {
+            message: error.message,
+            status: error.status || 500,
+            details: error.details || error.response?.data || null
+          }
+        });
+      }
+    } finally {
+      running--;
+      drain();
+    }
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length > 0) {
+      run(pending.shift());
+    }
+  }
+
+  return {
+    events,
+
+    /**
+     * Queue a task
+     * @param {string} type - Job type, e.g. `transcription`
+     * @param {Function} task - Async function performing the work
+     * @param {Object} [options] - Job options
+     * @param {string} [options.apiKeyId] - API key the job belongs to
+     * @returns {Object} - Public job view
+     */
+    enqueue(type, task, { apiKeyId = null } = {}) {
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        apiKeyId,
+        status: 'queued',
+        progress: 0,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null,
+        // Run in the context of the request that queued it, whichever job's completion starts it
+        task: AsyncResource.bind(task),
+        controller: new AbortController()
+      };
+
+      jobs.set(job.id, job);
+      pending.push(job);
+      drain();
+
+      return toJSON(job);
+    },
+
+    /**
+     * Get a job by id
+     * @param {string} id - Job id
+     * @param {string} [apiKeyId] - Only a job of this API key
+     * @returns {Object|null} - Public job view, or null if unknown, expired or another key's
+     */
+    get(id, apiKeyId = null) {
+      const job = find(id, apiKeyId);
+      return job ? toJSON(job) : null;
+    },
+
+    /**
+     * Cancel a job if it has not finished and remove it
+     * @param {string} id - Job id
+     * @param {string} [apiKeyId] - Only a job of this API key
+     * @returns {Object|null} - Public view of the removed job, or null if unknown or another key's
+     */
+    remove(id, apiKeyId = null) {
+      const job = find(id, apiKeyId);
+      if (!job) {
+        return null;
+      }
+
+      if (!TERMINAL_STATES.includes(job.status)) {
+        const index = pending.indexOf(job);
+        if (index !== -1) {
+          pending.splice(index, 1);
+        }
+        job.controller.abort();
+        update(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+      }
+
+      jobs.delete(id);
+      return toJSON(job);
+    },
+
+    isTerminal: (status) => TERMINAL_STATES.includes(status)
+  };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,125 @@
+const { LANGUAGES } = require('../config/languages');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Language lookup over the table in config/languages.js
+ *
+ * Clients name translation targets by ISO 639-1 code ("ja") or by name ("Japanese"),
+ * and speech providers report detected languages as codes, locale tags ("en_us") or
+ * lower case names ("english"); all of them resolve to the same table entry.
+ */
+
+const DEFAULT_TARGET_LANGUAGE = 'en';
+
+// Languages one request can translate to at once
+const MAX_TARGET_LANGUAGES = 10;
+
+// Every spelling of a language, lower case, mapped to its entry
+const LOOKUP = new Map(LANGUAGES.flatMap(language => [
+  language.code,
+  language.name,
+  language.nativeName,
+  ...(language.aliases || [])
+].map(spelling => [spelling.toLowerCase(), language])));
+
+/**
+ * Find a language by code, locale tag, name or alias, ignoring case
+ * @param {string} [value] - Language as given
+ * @returns {Object|null} - `{ code, name, nativeName }`, or null if not in the table
+ */
+function findLanguage(value) {
+  if (!value) {
+    return null;
+  }
+
+  const spelling = value.trim().toLowerCase();
+  const language = LOOKUP.get(spelling)
+    // Region and script subtags ("pt-BR", "en_us", "zh-Hant") name the same language
+    || LOOKUP.get(spelling.split(/[-_]/)[0]);
+
+  return language ? { code: language.code, name: language.name, nativeName: language.nativeName } : null;
+}
+
+/**
+ * ISO 639-1 code of a language
+ * @param {string} [value] - Language as given or reported
+ * @returns {string|null} - Code, or null if unknown
+ */
+function toLanguageCode(value) {
+  return findLanguage(value)?.code || null;
+}
+
+/**
+ * Resolve a requested translation target
+ * @param {string} [value] - Code or name; English when not given
+ * @returns {Object} - `{ code, name, nativeName }`
+ * @throws {Error} - 400 if the language is not supported
+ */
+function resolveTargetLanguage(value) {
+  const language = findLanguage(value || DEFAULT_TARGET_LANGUAGE);
+
+  if (!language) {
+    throw createHttpError(400, `Unsupported target language: ${value}`, {
+      hint: 'Use an ISO 639-1 code or an English language name, see /api/audio/languages'
+    });
+  }
+
+  return language;
+}
+
+/**
+ * Resolve a list of requested translation targets
+ * A language named twice, even once by code and once by name, is resolved once.
+ * @param {Array<string>} values - Codes or names
+ * @returns {Object} - `{ languages, unsupported }`; languages are `{ code, name, nativeName }` in the order
+ *   given, unsupported are `{ value, error }` for the values not in the table
+ * @throws {Error} - 400 if no language or more than MAX_TARGET_LANGUAGES are listed, or none is supported
+ */
+function resolveTargetLanguages(values) {
+  if (values.length === 0) {
+    throw createHttpError(400, 'No target languages given');
+  }
+
+  if (values.length > MAX_TARGET_LANGUAGES) {
+    throw createHttpError(400, `Too many target languages: ${values.length}`, {
+      hint: `Translate to at most ${MAX_TARGET_LANGUAGES} languages per request`
+    });
+  }
+
+  const languages = new Map();
+  const unsupported = [];
+
+  for (const value of values) {
+    try {
+      const language = resolveTargetLanguage(value);
+      languages.set(language.code, language);
+    } catch (error) {
+      unsupported.push({ value, error });
+    }
+  }
+
+  if (languages.size === 0) {
+    throw unsupported[0].error;
+  }
+
+  return { languages: [...languages.values()], unsupported };
+}
+
+/**
+ * List the supported languages
+ * @returns {Array<Object>} - `{ code, name, nativeName }` by name
+ */
+function listLanguages() {
+  return LANGUAGES
+    .map(({ code, name, nativeName }) => ({ code, name, nativeName }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  MAX_TARGET_LANGUAGES,
+  findLanguage,
+  toLanguageCode,
+  resolveTargetLanguage,
+  resolveTargetLanguages,
+  listLanguages
+};
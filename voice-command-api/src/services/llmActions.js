@@ -0,0 +1,122 @@
+const axios = require('axios');
+const { findOperation, validateOperationRequest } = require('./apiOperations');
+const { createHttpError } = require('../utils/httpError');
+const { getRequestContext } = require('./requestContext');
+
+/**
+ * Execution of LLM-recommended actions against this API's own operations
+ *
+ * An action names an operation from the OpenAPI spec, by `operationId` or by
+ * `method` and `path`, with its `params` (path), `query` and JSON `body`. It only
+ * runs if the operation is on the allowlist and the request validates against the
+ * operation's schemas; it is then sent to the API over HTTP so it goes through the
+ * same routes and middleware as any other client, with the API key of the request
+ * that asked for it.
+ */
+
+// Read-only operations and text-only work that is safe for the LLM to trigger
+const DEFAULT_ALLOWED_OPERATIONS = [
+  'getAvailableModels',
+  'getProviders',
+  'getJob',
+  'translateAudio',
+  'summarizeTranscript',
+  'analyzeCommand',
+  'getHealth'
+];
+
+// Never dispatched, whatever the allowlist says, so actions cannot trigger further actions
+const BLOCKED_OPERATIONS = ['executeLLMAction'];
+
+const ACTION_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Operations actions may run, from LLM_ALLOWED_OPERATIONS (comma-separated operationIds) or the defaults
+ * @returns {Array<string>} - Allowed operationIds
+ */
+function getAllowedOperations() {
+  const configured = (process.env.LLM_ALLOWED_OPERATIONS || '')
+    .split(',')
+    .map(operationId => operationId.trim())
+    .filter(Boolean);
+
+  return (configured.length > 0 ? configured : DEFAULT_ALLOWED_OPERATIONS)
+    .filter(operationId => !BLOCKED_OPERATIONS.includes(operationId));
+}
+
+/**
+ * Fill a templated path with path parameters
+ * @param {string} template - Path such as `/api/audio/jobs/{id}`
+ * @param {Object} params - Path parameter values
+ * @returns {string} - Concrete path
+ */
+function buildPath(template, params) {
+  return template.replace(/\{([^}]+)\}/g, (match, name) => encodeURIComponent(params[name]));
+}
+
+/**
+ * Validate and run an action
+ * @param {Object} action - `{ operationId }` or `{ method, path }`, plus optional `params`, `query` and `body`
+ * @param {Object} context - Execution context
+ * @param {string} context.baseUrl - Base URL this API is reachable on
+ * @returns {Promise<Object>} - `{ operation: { operationId, method, path }, status, data }` of the downstream response
+ * @throws {Error} - 400 for unknown operations or invalid requests, 403 for operations that are not allowed
+ */
+async function executeAction(action, { baseUrl }) {
+  if (!action || typeof action !== 'object') {
+    throw createHttpError(400, 'Action must be an object naming an operation');
+  }
+
+  const operation = findOperation(action);
+  const allowedOperations = getAllowedOperations();
+
+  if (!operation) {
+    throw createHttpError(400, 'Action does not match an operation in the API specification', {
+      allowedOperations
+    });
+  }
+
+  if (!allowedOperations.includes(operation.operationId)) {
+    throw createHttpError(403, `Operation is not allowed for LLM actions: ${operation.operationId}`, {
+      allowedOperations
+    });
+  }
+
+  const params = { ...operation.pathParams, ...action.params };
+  const query = { ...action.query };
+  const validationErrors = validateOperationRequest(operation, { params, query, body: action.body });
+
+  if (validationErrors.length > 0) {
+    throw createHttpError(400, 'Action does not match the operation schema', { validationErrors });
+  }
+
+  console.log(`Executing LLM action ${operation.operationId} (${operation.method} ${operation.path})`);
+
+  const credentials = getRequestContext()?.credentials;
+
+  const response = await axios({
+    method: operation.method,
+    url: `${baseUrl}${buildPath(operation.path, params)}`,
+    params: query,
+    data: action.body,
+    headers: credentials ? { 'X-API-Key': credentials } : {},
+    timeout: ACTION_TIMEOUT_MS,
+    // Downstream errors are part of the result rather than a failure to execute
+    validateStatus: () => true
+  });
+
+  return {
+    operation: {
+      operationId: operation.operationId,
+      method: operation.method,
+      path: operation.path
+    },
+    status: response.status,
+    data: response.data
+  };
+}
+
+module.exports = {
+  getAllowedOperations,
+  executeAction
+};
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory conversation sessions for the LLM assistant
+ *
+ * A session keeps the user and assistant messages of a conversation so each new
+ * question is answered with the earlier turns as context. The context sent to the
+ * model is trimmed from the oldest message to fit a token budget; the full history
+ * stays available to clients. Sessions expire after `idleMs` without activity.
+ *
+ * Sessions belong to the API key that started them; lookups with a key id only find
+ * that key's sessions, lookups without one find every session.
+ */
+
+// Rough token estimate for English text, good enough to budget the context
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the number of tokens in a message
+ * @param {Object} message - Chat message with string content
+ * @returns {number} - Estimated tokens, including a small per-message overhead
+ */
+function estimateTokens(message) {
+  return Math.ceil((message.content || '').length / CHARS_PER_TOKEN) + 4;
+}
+
+/**
+ * Create a session store
+ * @param {Object} options - Store options
+ * @param {number} [options.idleMs=3600000] - How long a session is kept after its last activity
+ * @param {number} [options.tokenBudget=2000] - Maximum estimated tokens of history sent to the model
+ * @returns {Object} - Session store
+ */
+function createSessionStore({ idleMs = 60 * 60 * 1000, tokenBudget = 2000 } = {}) {
+  const sessions = new Map();
+
+  const visibleTo = (apiKeyId) => (session) => !apiKeyId || session.apiKeyId === apiKeyId;
+
+  /**
+   * Find a session of an API key
+   * @param {string} id - Session id
+   * @param {string} [apiKeyId] - Only a session of this API key
+   * @returns {Object|null} - The session, or null if unknown, expired or another key's
+   */
+  function find(id, apiKeyId) {
+    const session = sessions.get(id);
+    return session && visibleTo(apiKeyId)(session) ? session : null;
+  }
+
+  /**
+   * Public view of a session
+   */
+  function toJSON(session) {
+    return {
+      id: session.id,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      messages: session.messages
+    };
+  }
+
+  function touch(session) {
+    session.updatedAt = new Date().toISOString();
+
+    clearTimeout(session.timer);
+    session.timer = setTimeout(() => sessions.delete(session.id), idleMs);
+    session.timer.unref();
+  }
+
+  return {
+    /**
+     * Start a new session
+     * @param {Object} [options] - Session options
+     * @param {string} [options.apiKeyId] - API key the session belongs to
+     * @returns {Object} - Public session view
+     */
+    create({ apiKeyId = null } = {}) {
+      const session = {
+        id: crypto.randomUUID(),
+        apiKeyId,
+        createdAt: new Date().toISOString(),
+        updatedAt: null,
+        messages: [],
+        timer: null
+      };
+
+      sessions.set(session.id, session);
+      touch(session);
+
+      return toJSON(session);
+    },
+
+    /**
+     * Get a session by id
+     * @param {string} id - Session id
+     * @param {string} [apiKeyId] - Only a session of this API key
+     * @returns {Object|null} - Public session view, or null if unknown, expired or another key's
+     */
+    get(id, apiKeyId = null) {
+      const session = find(id, apiKeyId);
+      return session ? toJSON(session) : null;
+    },
+
+    /**
+     * Add messages to a session's history
+     * @param {string} id - Session id
+     * @param {Array<Object>} messages - `{ role, content }` messages, with any extra fields to keep for clients
+     * @param {string} [apiKeyId] - Only a session of this API key
+     * @returns {Object|null} - Public session view, or null if unknown, expired or another key's
+     */
+    append(id, messages, apiKeyId = null) {
+      const session = find(id, apiKeyId);
+      if (!session) {
+        return null;
+      }
+
+      const createdAt = new Date().toISOString();
+      session.messages.push(...messages.map(message => ({ ...message, createdAt })));
+      touch(session);
+
+      return toJSON(session);
+    },
+
+    /**
+     * Chat messages of the most recent history that fit the token budget
+     * @param {string} id - Session id
+     * @param {string} [apiKeyId] - Only a session of this API key
+     * @returns {Object|null} - `{ messages, trimmed }` where trimmed counts the older messages left out,
+     *   or null if unknown, expired or another key's
+     */
+    context(id, apiKeyId = null) {
+      const session = find(id, apiKeyId);
+      if (!session) {
+        return null;
+      }
+
+      const messages = [];
+      let tokens = 0;
+
+      for (let index = session.messages.length - 1; index >= 0; index--) {
+        const { role, content } = session.messages[index];
+        const message = { role, content: content || '' };
+
+        tokens += estimateTokens(message);
+        if (tokens > tokenBudget) break;
+
+        messages.unshift(message);
+      }
+
+      // Start on a question so the model does not see an answer without it
+      while (messages.length > 0 && messages[0].role !== 'user') {
+        messages.shift();
+      }
+
+      return { messages, trimmed: session.messages.length - messages.length };
+    },
+
+    /**
+     * End a session and remove it
+     * @param {string} id - Session id
+     * @param {string} [apiKeyId] - Only a session of this API key
+     * @returns {Object|null} - Public view of the removed session, or null if unknown or another key's
+     */
+    remove(id, apiKeyId = null) {
+      const session = find(id, apiKeyId);
+      if (!session) {
+        return null;
+      }
+
+      clearTimeout(session.timer);
+      sessions.delete(id);
+
+      return toJSON(session);
+    }
+  };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,229 @@
+const { createChatCompletion, streamChatCompletion } = require('./chat');
+const { createHttpError } = require('../utils/httpError');
+const { listOperations, resolveSchema } = require('./apiOperations');
+const { getAllowedOperations, executeAction } = require('./llmActions');
+
+/**
+ * LLM tool calling over this API's operations
+ *
+ * Each allowlisted operation in the OpenAPI spec becomes a function tool named by
+ * its operationId, taking `params` (path), `query` and `body` arguments. The chat
+ * model answers with structured tool calls, which are executed as LLM actions and
+ * fed back until the model gives its final answer.
+ */
+
+const TOOL_MODEL = 'gpt-3.5-turbo';
+
+// Rounds of tool calls before the model must answer with what it has
+const MAX_TOOL_ROUNDS = 5;
+
+// Tool results are truncated before being fed back so large responses fit the context
+const MAX_TOOL_RESULT_CHARS = 4000;
+
+/**
+ * Build the schema of one group of operation parameters
+ * @param {Array<Object>} parameters - Operation parameters
+ * @param {string} location - `path` or `query`
+ * @returns {Object|null} - Object schema of the parameters, or null if there are none
+ */
+function parameterGroupSchema(parameters, location) {
+  const group = parameters.filter(parameter => parameter.in === location);
+
+  if (group.length === 0) {
+    return null;
+  }
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(group.map(parameter => [parameter.name, {
+      ...resolveSchema(parameter.schema || { type: 'string' }),
+      description: parameter.description
+    }])),
+    required: group.filter(parameter => parameter.required).map(parameter => parameter.name)
+  };
+}
+
+/**
+ * Turn an operation into a function tool definition
+ * @param {Object} operation - Operation from listOperations
+ * @returns {Object|null} - Chat completion tool, or null if the operation cannot be called with JSON
+ */
+function operationToTool(operation) {
+  const properties = {};
+  const required = [];
+
+  const pathSchema = parameterGroupSchema(operation.parameters, 'path');
+  if (pathSchema) {
+    properties.params = { ...pathSchema, description: 'Path parameters' };
+    required.push('params');
+  }
+
+  const querySchema = parameterGroupSchema(operation.parameters, 'query');
+  if (querySchema) {
+    properties.query = { ...querySchema, description: 'Query string parameters' };
+  }
+
+  if (operation.requestBody) {
+    const bodySchema = operation.requestBody.content?.['application/json']?.schema;
+
+    // Uploads that only accept multipart or raw audio cannot come from the model
+    if (!bodySchema) {
+      return operation.requestBody.required ? null : operationToTool({ ...operation, requestBody: null });
+    }
+
+    properties.body = { ...resolveSchema(bodySchema), description: 'JSON request body' };
+    if (operation.requestBody.required) {
+      required.push('body');
+    }
+  }
+
+  return {
+    type: 'function',
+    function: {
+      name: operation.operationId,
+      description: `${operation.summary} (${operation.method} ${operation.path})`,
+      parameters: { type: 'object', properties, required }
+    }
+  };
+}
+
+/**
+ * Tools for the operations the model may call
+ * @param {Array<string>} operationIds - Only offer these operations, if given
+ * @returns {Array<Object>} - Chat completion tools
+ */
+function getTools(operationIds = null) {
+  const allowedOperations = getAllowedOperations();
+
+  return listOperations()
+    .filter(operation => allowedOperations.includes(operation.operationId))
+    .filter(operation => !operationIds || operationIds.includes(operation.operationId))
+    .map(operationToTool)
+    .filter(Boolean);
+}
+
+/**
+ * Turn a tool call from the model into an LLM action
+ * @param {Object} toolCall - Tool call from a chat completion message
+ * @returns {Object} - `{ operationId, params, query, body }`
+ * @throws {Error} - If the arguments are not a JSON object
+ */
+function toAction(toolCall) {
+  const args = JSON.parse(toolCall.function.arguments || '{}');
+
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new Error('Tool call arguments must be a JSON object');
+  }
+
+  const { params, query, body } = args;
+  return { operationId: toolCall.function.name, params, query, body };
+}
+
+/**
+ * Execute a tool call from the model
+ * Failures are recorded on the call rather than thrown, so the model can react to them.
+ * @param {Object} toolCall - Tool call from a chat completion message
+ * @param {string} baseUrl - Base URL this API is reachable on
+ * @returns {Promise<Object>} - `{ id, action, result: { status, data } }` or `{ id, action, error }`
+ */
+async function runToolCall(toolCall, baseUrl) {
+  let action = { operationId: toolCall.function.name };
+
+  try {
+    action = toAction(toolCall);
+    const execution = await executeAction(action, { baseUrl });
+    return { id: toolCall.id, action, result: { status: execution.status, data: execution.data } };
+  } catch (error) {
+    return {
+      id: toolCall.id,
+      action,
+      error: { status: error.status || 500, message: error.message, details: error.details }
+    };
+  }
+}
+
+function toolMessage(call) {
+  const content = JSON.stringify(call.result || { error: call.error });
+  return {
+    role: 'tool',
+    tool_call_id: call.id,
+    content: content.length > MAX_TOOL_RESULT_CHARS ? `${content.slice(0, MAX_TOOL_RESULT_CHARS)}...` : content
+  };
+}
+
+/**
+ * Run a conversation in which the model may call the API's operations
+ * @param {Array<Object>} messages - Chat messages, starting with the system prompt
+ * @param {Object} options - Conversation options
+ * @param {string} options.baseUrl - Base URL this API is reachable on
+ * @param {boolean} options.execute - Execute tool calls and feed back their results (default true);
+ *   when false, the first tool calls the model makes are returned as proposed actions
+ * @param {Object} options.completion - Extra chat completion parameters such as temperature and max_tokens
+ * @param {Array<string>} options.operationIds - Only offer these operations as tools, if given
+ * @param {Function} options.onDelta - Stream the answer: called with each piece of text as it is generated
+ * @param {Function} options.onToolCall - Called with each tool call once it has been executed
+ * @param {AbortSignal} options.signal - Stops the conversation and aborts the streamed completion
+ * @returns {Promise<Object>} - `{ answer, toolCalls, model }`; each tool call is `{ id, action, result|error }`,
+ *   or `{ id, action }` when not executed
+ */
+async function runToolConversation(messages, { baseUrl, execute = true, completion = {}, operationIds, onDelta, onToolCall, signal }) {
+  const tools = getTools(operationIds);
+  const conversation = [...messages];
+  const toolCalls = [];
+
+  for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+    if (signal?.aborted) {
+      throw createHttpError(499, 'LLM request was stopped');
+    }
+
+    const request = {
+      model: TOOL_MODEL,
+      messages: conversation,
+      ...(tools.length > 0 && {
+        tools,
+        // Once the rounds are used up the model has to answer from the results so far
+        tool_choice: round < MAX_TOOL_ROUNDS ? 'auto' : 'none'
+      }),
+      ...completion
+    };
+
+    const response = onDelta
+      ? await streamChatCompletion(request, { onDelta, signal })
+      : await createChatCompletion(request);
+
+    const message = response.choices[0].message;
+    const calls = message.tool_calls || [];
+
+    if (calls.length === 0) {
+      return { answer: message.content, toolCalls, model: response.model };
+    }
+
+    if (!execute) {
+      const proposed = calls.map(call => {
+        try {
+          return { id: call.id, action: toAction(call) };
+        } catch (error) {
+          return { id: call.id, action: { operationId: call.function.name }, error: { status: 400, message: error.message } };
+        }
+      });
+      return { answer: message.content, toolCalls: proposed, model: response.model };
+    }
+
+    conversation.push(message);
+
+    for (const call of calls) {
+      const executed = await runToolCall(call, baseUrl);
+      toolCalls.push(executed);
+      conversation.push(toolMessage(executed));
+      onToolCall?.(executed);
+    }
+  }
+
+  // Only reached if the model kept calling tools after being told not to
+  return { answer: null, toolCalls, model: TOOL_MODEL };
+}
+
+module.exports = {
+  getTools,
+  runToolConversation
+};
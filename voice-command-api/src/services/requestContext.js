@@ -0,0 +1,101 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { estimateCost } = require('./usage');
+
+/**
+ * Context of the request being served, carried across async calls
+ *
+ * Services deep in a request, such as the chat client, report what they consume
+ * with recordUsage so it is metered and charged to the caller's API key without
+ * threading the key through every call. Outside a request, usage is not recorded.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a callback, and everything it starts, in a request context
+ * @param {Object} context - `{ requestId, endpoint, apiKey, credentials, onUsage }`, as made by
+ *   createMeteredContext, and `bypassCache` when the client asked not to be served cached results;
+ *   apiKey and credentials are null on open requests. A request served in several runs, like a
+ *   streaming session, passes the same `usage` totals to each of them.
+ * @param {Function} callback - Callback to run
+ * @returns {*} - The callback's return value
+ */
+function runWithContext(context, callback) {
+  return storage.run({
+    usage: createUsage(),
+    ...context
+  }, callback);
+}
+
+/**
+ * Empty usage totals for a request
+ * @returns {Object} - `{ audioSeconds, promptTokens, completionTokens, speechCharacters, cost }`
+ */
+function createUsage() {
+  return { audioSeconds: 0, promptTokens: 0, completionTokens: 0, speechCharacters: 0, cost: 0 };
+}
+
+/**
+ * Get the context of the current request
+ * @returns {Object|null} - `{ requestId, endpoint, apiKey, credentials, bypassCache, usage, onUsage }`, or null
+ *   outside a request
+ */
+function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Record one provider call's usage against the current request
+ * @param {Object} usage - Consumed resources
+ * @param {string} [usage.provider] - Speech provider id, for audio
+ * @param {string} [usage.model] - Model used
+ * @param {number} [usage.audioSeconds] - Seconds of audio transcribed
+ * @param {number} [usage.promptTokens] - LLM prompt tokens
+ * @param {number} [usage.completionTokens] - LLM completion tokens
+ * @param {number} [usage.speechCharacters] - Characters of text spoken
+ */
+function recordUsage({ provider = null, model = null, audioSeconds = 0, promptTokens = 0, completionTokens = 0, speechCharacters = 0 }) {
+  const context = storage.getStore();
+  if (!context || (!audioSeconds && !promptTokens && !completionTokens && !speechCharacters)) {
+    return;
+  }
+
+  const entry = { provider, model, audioSeconds, promptTokens, completionTokens, speechCharacters };
+  entry.cost = estimateCost(entry);
+
+  context.usage.audioSeconds += audioSeconds;
+  context.usage.promptTokens += promptTokens;
+  context.usage.completionTokens += completionTokens;
+  context.usage.speechCharacters += speechCharacters;
+  context.usage.cost += entry.cost || 0;
+  context.onUsage?.(entry);
+}
+
+/**
+ * Usage of the current request so far, for response metadata
+ * @returns {Object|null} - `{ audioSeconds, promptTokens, completionTokens, speechCharacters, cost }` with the estimated
+ *   cost in USD, or null outside a request
+ */
+function getRequestUsage() {
+  const context = storage.getStore();
+  if (!context) {
+    return null;
+  }
+
+  const { audioSeconds, promptTokens, completionTokens, speechCharacters, cost } = context.usage;
+  return {
+    audioSeconds: Math.round(audioSeconds * 100) / 100,
+    promptTokens,
+    completionTokens,
+    speechCharacters,
+    cost: Math.round(cost * 1e6) / 1e6
+  };
+}
+
+module.exports = {
+  runWithContext,
+  createUsage,
+  getRequestContext,
+  recordUsage,
+  getRequestUsage
+};
@@ -0,0 +1,119 @@
+const { hash } = require('./fixtures');
+const { getRequestContext } = require('./requestContext');
+
+/**
+ * In-memory caches of provider results, keyed by a hash of what produced them
+ *
+ * Transcriptions are keyed by the audio bytes and the provider, model, language and
+ * prompt, translations by the text and target language, meeting notes by the
+ * transcript and day, so resubmitting the same recording or text is answered
+ * without calling the provider again. Entries expire after RESULT_CACHE_TTL_SECONDS
+ * and each cache keeps at most RESULT_CACHE_MAX_ENTRIES,
+ * dropping the least recently used; a TTL of 0 turns caching off.
+ *
+ * Clients skip the cache for a request with `Cache-Control: no-cache`, which is
+ * carried in the request context; its fresh results are still stored for later requests.
+ */
+
+const DEFAULT_TTL_SECONDS = 60 * 60;
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Create a result cache
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlMs - How long results are kept; 0 keeps none
+ * @param {number} options.maxEntries - Most results kept, least recently used are dropped first
+ * @returns {Object} - Result cache
+ */
+function createResultCache({ ttlMs, maxEntries }) {
+  const entries = new Map();
+
+  return {
+    /**
+     * Get a cached result
+     * @param {Object} key - What the result was produced from; hashed
+     * @returns {*} - The result, or undefined if not cached, expired or the request opted out
+     */
+    get(key) {
+      if (getRequestContext()?.bypassCache) {
+        return undefined;
+      }
+
+      const id = hash(key);
+      const entry = entries.get(id);
+
+      if (!entry) {
+        return undefined;
+      }
+
+      entries.delete(id);
+      if (entry.expiresAt <= Date.now()) {
+        return undefined;
+      }
+
+      // Re-inserted so the Map's order stays least recently used first
+      entries.set(id, entry);
+      return entry.value;
+    },
+
+    /**
+     * Cache a result
+     * @param {Object} key - What the result was produced from; hashed
+     * @param {*} value - The result
+     */
+    set(key, value) {
+      if (ttlMs <= 0 || maxEntries <= 0) {
+        return;
+      }
+
+      const id = hash(key);
+      entries.delete(id);
+      entries.set(id, { value, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    /**
+     * Drop every cached result
+     */
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+const caches = new Map();
+
+/**
+ * A named result cache shared by the API, sized by the RESULT_CACHE_* settings
+ * @param {string} name - Cache name, such as `transcription` or `translation`
+ * @returns {Object} - Result cache
+ */
+function getResultCache(name) {
+  if (!caches.has(name)) {
+    const ttlSeconds = process.env.RESULT_CACHE_TTL_SECONDS;
+
+    caches.set(name, createResultCache({
+      ttlMs: (ttlSeconds === undefined || ttlSeconds === '' ? DEFAULT_TTL_SECONDS : Number(ttlSeconds)) * 1000,
+      maxEntries: Number(process.env.RESULT_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES
+    }));
+  }
+  return caches.get(name);
+}
+
+/**
+ * Whether a client asked not to be served from the cache
+ * @param {http.IncomingMessage} request - HTTP request
+ * @returns {boolean} - True for `Cache-Control: no-cache`
+ */
+function bypassesCache(request) {
+  return /\bno-cache\b/i.test(request.headers['cache-control'] || '');
+}
+
+module.exports = {
+  createResultCache,
+  getResultCache,
+  bypassesCache
+};
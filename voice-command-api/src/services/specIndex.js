@@ -0,0 +1,245 @@
+const { listOperations, resolveSchema } = require('./apiOperations');
+const { getEmbeddingProvider, embed, cosineSimilarity } = require('./embeddings');
+const { runWithContext } = require('./requestContext');
+const { createMeteredContext } = require('./usage');
+
+/**
+ * Searchable index of the API's operations for LLM prompts
+ *
+ * Each operation in the OpenAPI spec is summarised in a few lines, with schema
+ * references resolved, and queries select the operations relevant to them so a
+ * prompt carries only what the question needs rather than the whole spec.
+ * Operations are scored by keyword overlap, blended with embedding similarity
+ * when LLM_EMBEDDINGS is set. The operations are embedded when the server starts, as
+ * work of the server rather than of the request that happens to need them first.
+ */
+
+const DEFAULT_MAX_OPERATIONS = 5;
+
+// Share of the score taken from embedding similarity when embeddings are on
+const EMBEDDING_WEIGHT = 0.5;
+
+// Operations scoring below either of these (0-1) are left out; the relative one is against the best match
+const MIN_SCORE = 0.2;
+const MIN_RELATIVE_SCORE = 0.2;
+
+const MAX_FIELD_DESCRIPTION_CHARS = 80;
+
+// Usage ledger endpoint the operation embeddings are metered under
+const EMBEDDINGS_ENDPOINT = 'internal: operation embeddings';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'get', 'how',
+  'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'the', 'this', 'to', 'use', 'what', 'which',
+  'with', 'you', 'your', 'api'
+]);
+
+/**
+ * Split text into search terms
+ * Words are cut to their first six letters, a crude stem that lets "transcribe",
+ * "transcribing" and "transcription" match while "translate" stays distinct.
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Terms
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(word => word.slice(0, 6));
+}
+
+/**
+ * Describe the fields of an object schema on one line
+ * @param {Object} schema - Resolved schema
+ * @returns {string} - `name* (type) - description; ...`, required fields marked with *
+ */
+function describeFields(schema) {
+  const required = schema.required || [];
+
+  return Object.entries(schema.properties || {}).map(([name, field]) => {
+    const type = field.enum ? field.enum.join('|') : field.type || 'any';
+    const description = (field.description || '').slice(0, MAX_FIELD_DESCRIPTION_CHARS);
+    return `${name}${required.includes(name) ? '*' : ''} (${type})${description ? ` - ${description}` : ''}`;
+  }).join('; ');
+}
+
+/**
+ * Summarise an operation for a prompt
+ * @param {Object} operation - Operation from listOperations
+ * @returns {string} - A few lines naming the operation and its parameters and body
+ */
+function summarizeOperation(operation) {
+  const lines = [`${operation.method} ${operation.path} (${operation.operationId}) - ${operation.summary}`];
+
+  if (operation.description) {
+    // The first sentence is usually enough to tell operations apart
+    lines.push(`  ${operation.description.split(/(?<=\.)\s/)[0].replace(/\s+/g, ' ').trim()}`);
+  }
+
+  for (const location of ['path', 'query']) {
+    const parameters = operation.parameters.filter(parameter => parameter.in === location);
+    if (parameters.length > 0) {
+      const schema = {
+        properties: Object.fromEntries(parameters.map(parameter => [parameter.name, {
+          ...resolveSchema(parameter.schema || {}),
+          description: parameter.description
+        }])),
+        required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+      };
+      lines.push(`  ${location === 'path' ? 'Path' : 'Query'}: ${describeFields(schema)}`);
+    }
+  }
+
+  const content = operation.requestBody?.content || {};
+  const jsonSchema = content['application/json']?.schema;
+
+  if (jsonSchema) {
+    lines.push(`  Body (JSON): ${describeFields(resolveSchema(jsonSchema))}`);
+  }
+
+  const otherTypes = Object.keys(content).filter(type => type !== 'application/json');
+  if (otherTypes.length > 0) {
+    lines.push(`  ${jsonSchema ? 'Also accepts' : 'Body'}: ${otherTypes.join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+let index = null;
+
+/**
+ * Build the index on first use; the spec does not change while the server runs
+ * @returns {Array<Object>} - `{ operation, summary, weights }` per operation, weights being term scores
+ */
+function getIndex() {
+  if (!index) {
+    const operations = listOperations().filter(operation => operation.operationId);
+
+    const entries = operations.map(operation => {
+      const summary = summarizeOperation(operation);
+      // Names and summaries say most about an operation, so their terms count extra
+      const nameTerms = tokenize(`${operation.operationId.replace(/([a-z])([A-Z])/g, '$1 $2')} ${operation.path} ${operation.summary} ${operation.tags.join(' ')}`);
+      return { operation, summary, terms: [...nameTerms, ...nameTerms, ...tokenize(summary)] };
+    });
+
+    // Inverse document frequency: terms shared by every operation say little
+    const documentFrequency = new Map();
+    for (const entry of entries) {
+      for (const term of new Set(entry.terms)) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    index = entries.map(entry => {
+      const counts = new Map();
+      for (const term of entry.terms) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+
+      const weights = new Map();
+      for (const [term, count] of counts) {
+        const idf = Math.log(1 + entries.length / documentFrequency.get(term));
+        weights.set(term, idf * count / (count + 1));
+      }
+
+      return { operation: entry.operation, summary: entry.summary, weights };
+    });
+  }
+
+  return index;
+}
+
+const embeddingCache = new Map();
+
+/**
+ * Embeddings of the operation summaries, computed once per provider
+ * They are metered in a context of their own, so no API key is charged for them.
+ * @returns {Promise<Array<Array<number>>|null>} - One vector per index entry, or null when embeddings are off
+ */
+function getOperationEmbeddings() {
+  const provider = getEmbeddingProvider();
+
+  if (!embeddingCache.has(provider)) {
+    const context = createMeteredContext({ endpoint: EMBEDDINGS_ENDPOINT, apiKey: null, credentials: null });
+    const pending = runWithContext(context, () => embed(getIndex().map(entry => entry.summary)));
+    // A failed call is retried on the next query rather than cached
+    pending.catch(() => embeddingCache.delete(provider));
+    embeddingCache.set(provider, pending);
+  }
+
+  return embeddingCache.get(provider);
+}
+
+/**
+ * Select the operations relevant to a query
+ * @param {string} query - The user's question
+ * @param {Object} options - Selection options
+ * @param {number} options.limit - Maximum number of operations (default LLM_SPEC_MAX_OPERATIONS or 5)
+ * @returns {Promise<Array<Object>>} - `{ operationId, summary, score }`, best first; empty if nothing matches
+ */
+async function selectOperations(query, { limit = Number(process.env.LLM_SPEC_MAX_OPERATIONS) || DEFAULT_MAX_OPERATIONS } = {}) {
+  const entries = getIndex();
+  const queryTerms = new Set(tokenize(query));
+
+  const keywordScores = entries.map(entry =>
+    [...queryTerms].reduce((score, term) => score + (entry.weights.get(term) || 0), 0)
+  );
+  const maxKeywordScore = Math.max(...keywordScores) || 1;
+
+  let similarities = null;
+  try {
+    const operationEmbeddings = await getOperationEmbeddings();
+    if (operationEmbeddings) {
+      const [queryEmbedding] = await embed([query]);
+      similarities = operationEmbeddings.map(vector => Math.max(0, cosineSimilarity(queryEmbedding, vector)));
+    }
+  } catch (error) {
+    // Keyword scoring still gives a usable selection
+    console.error('Embedding Error:', error.response?.data || error.message);
+  }
+
+  const scores = entries.map((entry, position) => {
+    const keywordScore = keywordScores[position] / maxKeywordScore;
+    return similarities
+      ? (1 - EMBEDDING_WEIGHT) * keywordScore + EMBEDDING_WEIGHT * similarities[position]
+      : keywordScore;
+  });
+  const threshold = Math.max(MIN_SCORE, Math.max(...scores) * MIN_RELATIVE_SCORE);
+
+  return entries
+    .map((entry, position) => ({
+      operationId: entry.operation.operationId,
+      summary: entry.summary,
+      score: Number(scores[position].toFixed(3))
+    }))
+    .filter(entry => entry.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Embed the operations ahead of the first query, when embeddings are on
+ * Failures are logged; queries retry them and fall back to keyword scoring meanwhile.
+ * @returns {Promise<void>}
+ */
+async function warmOperationEmbeddings() {
+  try {
+    await getOperationEmbeddings();
+  } catch (error) {
+    console.error('Embedding Error:', error.response?.data || error.message);
+  }
+}
+
+/**
+ * One line per operation, for prompts where no operation matched
+ * @returns {string} - `METHOD path (operationId) - summary` lines
+ */
+function listOperationSummaries() {
+  return getIndex().map(entry => entry.summary.split('\n')[0]).join('\n');
+}
+
+module.exports = {
+  summarizeOperation,
+  selectOperations,
+  warmOperationEmbeddings,
+  listOperationSummaries
+};
@@ -0,0 +1,136 @@
+const axios = require('axios');
+const { createHttpError } = require('../../utils/httpError');
+
+/**
+ * Speech provider for AssemblyAI's asynchronous transcription API
+ */
+
+const ASSEMBLYAI_BASE_URL = 'https://api.assemblyai.com/v2';
+
+// How often and how long to poll for a finished transcript
+const POLL_INTERVAL_MS = 1000;
+const POLL_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Most custom vocabulary terms a transcript request accepts
+const MAX_WORD_BOOST = 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// AssemblyAI reports times in milliseconds
+const toSeconds = (ms) => ms / 1000;
+
+function getHeaders() {
+  return {
+    'Authorization': process.env.ASSEMBLY_AI_API_KEY
+  };
+}
+
+/**
+ * Upload audio and wait for AssemblyAI to finish transcribing it
+ * @param {Object} audio - Audio input ({ buffer, filename, mimeType })
+ * @param {Object} options - Request options ({ language, timestamps, vocabulary })
+ * @returns {Promise<Object>} - Normalised transcription result
+ */
+async function transcribe(audio, options = {}) {
+  console.log('Uploading audio to AssemblyAI...');
+
+  const uploadResponse = await axios.post(`${ASSEMBLYAI_BASE_URL}/upload`, audio.buffer, {
+    headers: {
+      ...getHeaders(),
+      'Content-Type': 'application/octet-stream'
+    }
+  });
+
+  // AssemblyAI has no free-text prompt, so only the language hint is forwarded
+  const transcriptRequest = { audio_url: uploadResponse.data.upload_url };
+  if (options.language) {
+    transcriptRequest.language_code = options.language;
+  } else {
+    transcriptRequest.language_detection = true;
+  }
+  // Custom vocabulary takes the place of a prompt
+  if (options.vocabulary?.length) {
+    transcriptRequest.word_boost = options.vocabulary.slice(0, MAX_WORD_BOOST);
+  }
+
+  const createResponse = await axios.post(`${ASSEMBLYAI_BASE_URL}/transcript`, transcriptRequest, {
+    headers: getHeaders()
+  });
+
+  const transcriptId = createResponse.data.id;
+  const deadline = Date.now() + POLL_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    const pollResponse = await axios.get(`${ASSEMBLYAI_BASE_URL}/transcript/${transcriptId}`, {
+      headers: getHeaders()
+    });
+
+    const { status } = pollResponse.data;
+
+    if (status === 'completed') {
+      const result = {
+        text: pollResponse.data.text,
+        language: pollResponse.data.language_code || options.language || null,
+        model: pollResponse.data.speech_model || 'assemblyai',
+        provider: 'assemblyai'
+      };
+
+      if (options.timestamps) {
+        // Transcripts carry word timings; sentences are the closest thing to segments
+        const sentencesResponse = await axios.get(`${ASSEMBLYAI_BASE_URL}/transcript/${transcriptId}/sentences`, {
+          headers: getHeaders()
+        });
+
+        result.segments = sentencesResponse.data.sentences.map(({ start, end, text }) => ({
+          start: toSeconds(start),
+          end: toSeconds(end),
+          text
+        }));
+        result.words = (pollResponse.data.words || []).map(({ text, start, end }) => ({
+          word: text,
+          start: toSeconds(start),
+          end: toSeconds(end)
+        }));
+      }
+
+      return result;
+    }
+
+    if (status === 'error') {
+      throw createHttpError(502, `AssemblyAI transcription failed: ${pollResponse.data.error}`);
+    }
+
+    await wait(POLL_INTERVAL_MS);
+  }
+
+  throw createHttpError(504, 'Timed out waiting for AssemblyAI transcription');
+}
+
+const assemblyaiProvider = {
+  id: 'assemblyai',
+  name: 'AssemblyAI',
+
+  /**
+   * Describe what this provider supports
+   * @returns {Object} - Capability flags
+   */
+  capabilities() {
+    return {
+      transcribe: true,
+      translate: false,
+      prompt: false,
+      languageHint: true,
+      timestamps: true,
+      models: ['assemblyai'],
+      configured: Boolean(process.env.ASSEMBLY_AI_API_KEY)
+    };
+  },
+
+  transcribe,
+
+  async translate() {
+    throw createHttpError(400, 'The assemblyai provider does not support speech translation');
+  }
+};
+
+module.exports = { assemblyaiProvider };
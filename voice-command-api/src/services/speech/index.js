@@ -0,0 +1,99 @@
+const { openaiProvider } = require('./openaiProvider');
+const { assemblyaiProvider } = require('./assemblyaiProvider');
+const { localProvider } = require('./localProvider');
+const { createHttpError } = require('../../utils/httpError');
+const { withFixture, hash } = require('../fixtures');
+
+/**
+ * Speech-to-text provider registry
+ *
+ * Every provider implements the same interface:
+ *   - id / name: identifier used for selection and a display name
+ *   - capabilities(): flags describing what the provider supports
+ *   - transcribe(audio, options): speech to text in the spoken language
+ *   - translate(audio, options): speech to English text
+ *
+ * `audio` is `{ buffer, filename, mimeType }` and `options` is `{ language, prompt, timestamps, vocabulary }`;
+ * `vocabulary` lists terms to favour, for providers that take them separately from the prompt.
+ * Both methods resolve to `{ text, language, model, provider }`. When `options.timestamps` is set,
+ * providers with the `timestamps` capability also return `segments` (`{ start, end, text }`) and
+ * `words` (`{ word, start, end }`) with times in seconds.
+ */
+
+const DEFAULT_PROVIDER = 'openai';
+
+const providers = new Map();
+
+/**
+ * Route a provider's calls through the fixture store so fake and record modes apply.
+ * The provider id is left out of the fixture key so recordings replay with any provider.
+ * @param {Object} provider - Speech provider
+ * @returns {Object} - Provider with fixture-aware transcribe/translate
+ */
+function withFixtures(provider) {
+  const serve = (operation) => (audio, options = {}) => withFixture(operation, {
+    audio: hash(audio.buffer),
+    language: options.language || null,
+    prompt: options.prompt || null,
+    // Only part of the key when set, so fixtures recorded without timestamps keep their key
+    timestamps: options.timestamps || undefined,
+    vocabulary: options.vocabulary?.length ? options.vocabulary : undefined
+  }, () => provider[operation](audio, options));
+
+  return {
+    ...provider,
+    transcribe: serve('transcribe'),
+    translate: serve('translate')
+  };
+}
+
+/**
+ * Register a speech provider, replacing any provider with the same id
+ * @param {Object} provider - Provider implementing the interface above
+ */
+function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Resolve a provider by id, falling back to the deployment default
+ * @param {string} [id] - Provider id requested by the client
+ * @returns {Object} - The speech provider
+ */
+function getProvider(id) {
+  const providerId = id || process.env.SPEECH_PROVIDER || DEFAULT_PROVIDER;
+  const provider = providers.get(providerId);
+
+  if (!provider) {
+    throw createHttpError(400, `Unknown speech provider: ${providerId}`, {
+      availableProviders: Array.from(providers.keys())
+    });
+  }
+
+  return withFixtures(provider);
+}
+
+/**
+ * List registered providers with their capabilities
+ * @returns {Array<Object>} - Provider descriptions
+ */
+function listProviders() {
+  const defaultProvider = process.env.SPEECH_PROVIDER || DEFAULT_PROVIDER;
+
+  return Array.from(providers.values()).map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    default: provider.id === defaultProvider,
+    capabilities: provider.capabilities()
+  }));
+}
+
+registerProvider(openaiProvider);
+registerProvider(assemblyaiProvider);
+registerProvider(localProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders
+};
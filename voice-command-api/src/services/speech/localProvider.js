@@ -0,0 +1,17 @@
+const { createOpenAICompatibleProvider } = require('./openaiProvider');
+
+/**
+ * Speech provider for a self-hosted, offline speech-to-text server.
+ * Works with any server exposing the OpenAI audio API (e.g. faster-whisper-server,
+ * LocalAI or whisper.cpp's OpenAI-compatible mode), so audio never leaves the machine.
+ */
+const localProvider = createOpenAICompatibleProvider({
+  id: 'local',
+  name: 'Local Whisper server',
+  getBaseUrl: () => process.env.LOCAL_STT_URL || 'http://localhost:8000/v1',
+  getApiKey: () => process.env.LOCAL_STT_API_KEY,
+  getModel: () => process.env.LOCAL_STT_MODEL || 'whisper-1',
+  requiresApiKey: false
+});
+
+module.exports = { localProvider };
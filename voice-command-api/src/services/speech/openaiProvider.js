@@ -0,0 +1,116 @@
+const axios = require('axios');
+const FormData = require('form-data');
+
+/**
+ * Speech provider for OpenAI's Whisper API and servers exposing the same
+ * `/audio/transcriptions` and `/audio/translations` interface.
+ */
+
+/**
+ * Create a provider that talks to an OpenAI-compatible audio API
+ * @param {Object} config - Provider configuration
+ * @param {string} config.id - Provider identifier used for selection
+ * @param {string} config.name - Human readable provider name
+ * @param {Function} config.getBaseUrl - Returns the API base URL (read at call time so .env changes apply)
+ * @param {Function} config.getApiKey - Returns the API key, if the server requires one
+ * @param {Function} config.getModel - Returns the model to request
+ * @param {boolean} [config.requiresApiKey=true] - Whether the provider is unusable without an API key
+ * @returns {Object} - Speech provider
+ */
+function createOpenAICompatibleProvider({ id, name, getBaseUrl, getApiKey, getModel, requiresApiKey = true }) {
+  /**
+   * Send audio to one of the audio endpoints
+   * @param {string} endpoint - `transcriptions` or `translations`
+   * @param {Object} audio - Audio input ({ buffer, filename, mimeType })
+   * @param {Object} options - Request options ({ language, prompt, timestamps })
+   * @returns {Promise<Object>} - Normalised transcription result
+   */
+  async function sendAudio(endpoint, audio, options = {}) {
+    const model = getModel();
+    const formData = new FormData();
+    formData.append('file', audio.buffer, {
+      filename: audio.filename,
+      contentType: audio.mimeType
+    });
+    formData.append('model', model);
+
+    // The translations endpoint always outputs English, so language only applies to transcriptions
+    if (options.language && endpoint === 'transcriptions') {
+      formData.append('language', options.language);
+    }
+
+    if (options.prompt) {
+      formData.append('prompt', options.prompt);
+    }
+
+    // verbose_json adds segment timings, and word timings when requested as a granularity
+    const timestamps = options.timestamps && endpoint === 'transcriptions';
+    if (timestamps) {
+      formData.append('response_format', 'verbose_json');
+      formData.append('timestamp_granularities[]', 'segment');
+      formData.append('timestamp_granularities[]', 'word');
+    }
+
+    const headers = formData.getHeaders();
+    const apiKey = getApiKey();
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    console.log(`Sending ${endpoint} request to ${name}...`);
+
+    const response = await axios.post(`${getBaseUrl()}/audio/${endpoint}`, formData, { headers });
+
+    const result = {
+      text: response.data.text,
+      language: response.data.language || options.language || null,
+      model,
+      provider: id
+    };
+
+    if (timestamps) {
+      result.segments = (response.data.segments || []).map(({ start, end, text }) => ({ start, end, text: text.trim() }));
+      result.words = (response.data.words || []).map(({ word, start, end }) => ({ word, start, end }));
+    }
+
+    return result;
+  }
+
+  return {
+    id,
+    name,
+
+    /**
+     * Describe what this provider supports
+     * @returns {Object} - Capability flags
+     */
+    capabilities() {
+      return {
+        transcribe: true,
+        translate: true,
+        prompt: true,
+        languageHint: true,
+        timestamps: true,
+        models: [getModel()],
+        configured: Boolean(getBaseUrl()) && (!requiresApiKey || Boolean(getApiKey()))
+      };
+    },
+
+    transcribe: (audio, options) => sendAudio('transcriptions', audio, options),
+
+    translate: (audio, options) => sendAudio('translations', audio, options)
+  };
+}
+
+const openaiProvider = createOpenAICompatibleProvider({
+  id: 'openai',
+  name: 'OpenAI Whisper',
+  getBaseUrl: () => 'https://api.openai.com/v1',
+  getApiKey: () => process.env.OPENAI_API_KEY,
+  getModel: () => 'whisper-1'
+});
+
+module.exports = {
+  createOpenAICompatibleProvider,
+  openaiProvider
+};
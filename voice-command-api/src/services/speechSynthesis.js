@@ -0,0 +1,62 @@
+const ttsProviders = require('./tts');
+const { createHttpError } = require('../utils/httpError');
+const { recordUsage } = require('./requestContext');
+const { findLanguage } = require('./languages');
+
+/**
+ * Speech synthesis for the speak route
+ *
+ * The voice and format are checked against what the selected text-to-speech provider
+ * offers, defaulting to its own defaults, and the characters spoken are recorded
+ * against the current request.
+ */
+
+/**
+ * Synthesise speech from text
+ * @param {string} text - Text to speak
+ * @param {Object} [options] - Synthesis options
+ * @param {string} [options.provider] - Text-to-speech provider id; defaults to TTS_PROVIDER
+ * @param {string} [options.voice] - One of the provider's voices; defaults to its default voice
+ * @param {string} [options.format] - One of the provider's output formats; defaults to its default format
+ * @param {string} [options.language] - ISO 639-1 code or name of the text's language
+ * @param {number} [options.speed] - Speaking speed, 1 is normal
+ * @returns {Promise<Object>} - `{ audio, format, mimeType, voice, language, model, provider }`; audio is a Buffer
+ *   and language the ISO 639-1 code, or null when not given
+ * @throws {Error} - 400 if the provider, voice, format or language is not available
+ */
+async function synthesize(text, { provider, voice, format, language, speed } = {}) {
+  const ttsProvider = ttsProviders.getTtsProvider(provider);
+  const capabilities = ttsProvider.capabilities();
+
+  if (voice && !capabilities.voices.includes(voice)) {
+    throw createHttpError(400, `Voice ${voice} is not available from ${ttsProvider.name}`, {
+      availableVoices: capabilities.voices
+    });
+  }
+
+  if (format && !capabilities.formats.includes(format)) {
+    throw createHttpError(400, `${ttsProvider.name} cannot produce ${format} audio`, {
+      availableFormats: capabilities.formats
+    });
+  }
+
+  const spokenLanguage = language ? findLanguage(language) : null;
+  if (language && !spokenLanguage) {
+    throw createHttpError(400, `Unsupported language: ${language}`, {
+      hint: 'Use an ISO 639-1 code or an English language name, see /api/audio/languages'
+    });
+  }
+
+  const speech = await ttsProvider.speak(text, {
+    voice: voice || capabilities.defaultVoice,
+    format: format || capabilities.defaultFormat,
+    language: spokenLanguage ? spokenLanguage.code : null,
+    speed
+  });
+
+  recordUsage({ provider: speech.provider, model: speech.model, speechCharacters: text.length });
+
+  return { ...speech, language: spokenLanguage ? spokenLanguage.code : null };
+}
+
+module.exports = { synthesize };
@@ -0,0 +1,138 @@
+const { createChatCompletion } = require('./chat');
+const { getResultCache } = require('./resultCache');
+const { getHistoryStore } = require('./transcriptionHistory');
+
+/**
+ * Meeting notes from transcripts, shared by the summarize route and voice commands
+ *
+ * The chat model writes a summary, the key points and the action items with their
+ * owners and due dates. Due dates said relative to the day ("by Friday") are resolved
+ * against the date of the request. Notes are cached by the transcript, that date and
+ * the model; a glossary's terms are kept as they are written.
+ */
+
+const SUMMARY_MODEL = 'gpt-4';
+
+// Recent history entries searched for the latest transcript
+const RECENT_ENTRIES = 20;
+
+// Voice commands whose transcription is speech to summarize rather than a command
+const SPEECH_COMMAND_TYPES = ['unknown', 'transcribe'];
+
+/**
+ * Today's date as YYYY-MM-DD, the day relative due dates are counted from
+ * @returns {string} - ISO 8601 date
+ */
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Clean an action item from the model's reply
+ * @param {Object} item - Action item as the model wrote it
+ * @returns {Object|null} - `{ task, owner, dueDate }`, or null without a task
+ */
+function toActionItem(item) {
+  if (!item || typeof item.task !== 'string' || !item.task.trim()) {
+    return null;
+  }
+
+  return {
+    task: item.task.trim(),
+    owner: typeof item.owner === 'string' && item.owner.trim() ? item.owner.trim() : null,
+    dueDate: /^\d{4}-\d{2}-\d{2}$/.test(item.dueDate) ? item.dueDate : null
+  };
+}
+
+/**
+ * Read the model's reply
+ * Replies are asked for as JSON; anything else (fixtures, models that ignore the
+ * instruction) is taken as the summary itself, without key points or action items.
+ * @param {string} reply - Message content
+ * @returns {Object} - `{ summary, keyPoints, actionItems }`
+ */
+function parseReply(reply) {
+  try {
+    const parsed = JSON.parse(reply.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+    if (typeof parsed.summary === 'string') {
+      return {
+        summary: parsed.summary,
+        keyPoints: (Array.isArray(parsed.keyPoints) ? parsed.keyPoints : []).filter(point => typeof point === 'string'),
+        actionItems: (Array.isArray(parsed.actionItems) ? parsed.actionItems : []).map(toActionItem).filter(Boolean)
+      };
+    }
+  } catch (error) {
+    // Not JSON, so the reply is the summary
+  }
+
+  return { summary: reply, keyPoints: [], actionItems: [] };
+}
+
+/**
+ * Summarize a transcript into meeting notes with the chat model
+ * @param {string} text - Transcript to summarize
+ * @param {Object} [options] - Summary options
+ * @param {Object} [options.glossary] - Glossary whose terms are written as they are
+ * @returns {Promise<Object>} - `{ summary, keyPoints, actionItems, model, cached }`; action items are
+ *   `{ task, owner, dueDate }`, owner and dueDate (YYYY-MM-DD) null when the transcript does not say
+ */
+async function summarizeText(text, { glossary } = {}) {
+  const keepTerms = glossary ? glossary.terms : [];
+  const referenceDate = today();
+  const cache = getResultCache('summary');
+  const cacheKey = { text, referenceDate, model: SUMMARY_MODEL, keepTerms };
+
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  console.log('Sending for summary...');
+
+  const summaryResponse = await createChatCompletion({
+    model: SUMMARY_MODEL,
+    messages: [
+      {
+        role: 'system',
+        content: `You take notes of meetings such as stand-ups from their transcripts.
+            Write a short summary, the key points, and the action items: what someone agreed to do,
+            with the person who will do it and the due date when the transcript says so.
+            Today is ${referenceDate}; give due dates as YYYY-MM-DD, resolving relative ones like "by Friday".
+            Write in the language of the transcript and do not invent anything it does not say.${keepTerms.length > 0 ? `
+            Write these terms exactly as they are: ${keepTerms.join(', ')}.` : ''}
+            Reply with JSON only: {"summary": "<summary>", "keyPoints": ["<key point>"],
+            "actionItems": [{"task": "<task>", "owner": "<name or null>", "dueDate": "<YYYY-MM-DD or null>"}]}`
+      },
+      {
+        role: 'user',
+        content: text
+      }
+    ],
+    temperature: 0.2
+  });
+
+  const result = {
+    ...parseReply(summaryResponse.choices[0].message.content),
+    model: SUMMARY_MODEL
+  };
+
+  cache.set(cacheKey, result);
+  return { ...result, cached: false };
+}
+
+/**
+ * Find the latest transcript in an API key's history, to summarize after the meeting was recorded
+ * Voice commands only count when they were plain speech or a transcribe command. Without a key
+ * (the admin key, or keys not required) only entries recorded without one are searched, rather
+ * than every key's.
+ * @param {string} [apiKeyId] - Key whose entries are searched
+ * @returns {Object|null} - The history entry, or null if there is none
+ */
+function findLatestTranscript(apiKeyId) {
+  const { entries } = getHistoryStore().search({ apiKeyId: apiKeyId || null, limit: RECENT_ENTRIES });
+
+  return entries.find(entry => entry.text && (entry.type !== 'command' || SPEECH_COMMAND_TYPES.includes(entry.commandType))) || null;
+}
+
+module.exports = {
+  summarizeText,
+  findLatestTranscript
+};
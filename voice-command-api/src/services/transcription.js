@@ -0,0 +1,162 @@
+const speechProviders = require('./speech');
+const { splitAudio, removeOverlap } = require('../utils/audioSegmenter');
+const { createHttpError } = require('../utils/httpError');
+const { meteredDuration } = require('../utils/audioFormat');
+const { recordUsage } = require('./requestContext');
+const { getResultCache } = require('./resultCache');
+const { hash } = require('./fixtures');
+const { glossaryPrompt, correctTranscript } = require('./glossaries');
+const { toLanguageCode } = require('./languages');
+
+/**
+ * Transcription pipeline shared by the transcribe route, transcription jobs and translation
+ *
+ * Audio too long or too large for one provider request is split into overlapping
+ * segments that are transcribed in order, each prompted with the end of the previous
+ * segment's text so names and sentences carry over, and stitched back together.
+ *
+ * With `timestamps`, provider segment and word timings are shifted by each part's offset,
+ * and timings that fall in the audio repeated from the previous part are dropped.
+ *
+ * A glossary adds its terms to the prompt of every segment, and corrects the transcript
+ * and segment texts afterwards; word timings keep the words as the provider heard them.
+ *
+ * The length of the transcribed audio is recorded against the current request. Results
+ * are cached by the audio bytes and options, and marked with `metadata.cached`; cached
+ * results use no provider time and are not metered.
+ */
+
+// Whisper only reads the last 224 tokens of a prompt
+const MAX_CONTEXT_CHARS = 500;
+
+/**
+ * Build the prompt for a segment from the caller's prompt and the text so far
+ * @param {string} [prompt] - Prompt given by the caller
+ * @param {string} previousText - Transcript of the previous segments
+ * @returns {string|undefined} - Prompt for the provider
+ */
+function segmentPrompt(prompt, previousText) {
+  // Start the context on a whole word
+  const context = previousText.length > MAX_CONTEXT_CHARS
+    ? previousText.slice(-MAX_CONTEXT_CHARS).replace(/^\S*\s/, '')
+    : previousText;
+  return [prompt, context].filter(Boolean).join(' ') || undefined;
+}
+
+/**
+ * Shift provider timings to their position in the whole recording
+ * @param {Array<Object>} items - Segments or words with `start` and `end` relative to the part
+ * @param {number} offset - Start of the part in seconds
+ * @param {number} after - Drop items starting before this time, already covered by the previous part
+ * @returns {Array<Object>} - Items with absolute times
+ */
+function shiftTimings(items = [], offset, after) {
+  const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+  return items
+    .map(item => ({ ...item, start: round(item.start + offset), end: round(item.end + offset) }))
+    .filter(item => item.start >= after);
+}
+
+/**
+ * Transcribe audio with the selected speech provider
+ * @param {Object} audio - Audio input ({ buffer, filename, mimeType, format, duration })
+ * @param {Object} options - Transcription options
+ * @param {string} [options.provider] - Speech provider id, defaults to the deployment provider
+ * @param {string} [options.language] - Language code hint
+ * @param {string} [options.prompt] - Prompt to guide the transcription
+ * @param {boolean} [options.timestamps] - Return provider segment and word timings
+ * @param {Object} [options.glossary] - Glossary to prompt with and correct the transcript by
+ * @param {Function} [options.onProgress] - Called with a 0-1 progress fraction
+ * @param {AbortSignal} [options.signal] - Stops before the next segment once aborted
+ * @returns {Promise<Object>} - `{ transcription, segments, words, metadata }` as returned by the transcribe route;
+ *   `words` is only present with `timestamps`, and `metadata.cached` tells whether the result came from the cache
+ */
+async function transcribe(audio, { provider, language, prompt, timestamps, glossary, onProgress, signal } = {}) {
+  const speechProvider = speechProviders.getProvider(provider);
+
+  if (timestamps && !speechProvider.capabilities().timestamps) {
+    throw createHttpError(400, `The ${speechProvider.id} provider does not support timestamps`);
+  }
+
+  const cache = getResultCache('transcription');
+  const cacheKey = {
+    audio: hash(audio.buffer),
+    provider: speechProvider.id,
+    models: speechProvider.capabilities().models,
+    language: language || null,
+    prompt: prompt || null,
+    timestamps: Boolean(timestamps),
+    // Content as well as id, so results corrected by an older version of an edited glossary are not reused
+    glossary: glossary ? { id: glossary.id, terms: glossary.terms, replacements: glossary.replacements } : null
+  };
+
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    if (onProgress) {
+      onProgress(1);
+    }
+    return { ...cached, metadata: { ...cached.metadata, cached: true } };
+  }
+
+  const basePrompt = [glossary && glossaryPrompt(glossary), prompt].filter(Boolean).join(' ') || undefined;
+  const parts = await splitAudio(audio) || [{ audio, start: 0, end: audio.duration || null }];
+  const segments = [];
+  const words = [];
+  let transcription = '';
+  let result;
+
+  for (const [index, part] of parts.entries()) {
+    if (signal?.aborted) {
+      throw createHttpError(499, 'Transcription cancelled');
+    }
+
+    result = await speechProvider.transcribe(part.audio, {
+      language,
+      prompt: index === 0 ? basePrompt : segmentPrompt(basePrompt, transcription),
+      timestamps,
+      vocabulary: glossary?.terms
+    });
+
+    // Metered as each segment is sent, so a later failure or cancel does not lose what was already used
+    recordUsage({ provider: speechProvider.id, model: result.model, audioSeconds: meteredDuration(part.audio) });
+
+    const text = index === 0 ? result.text.trim() : removeOverlap(transcription, result.text);
+    transcription = [transcription, text].filter(Boolean).join(' ');
+
+    if (timestamps) {
+      const coveredUntil = index === 0 ? 0 : parts[index - 1].end;
+      segments.push(...shiftTimings(result.segments, part.start, coveredUntil));
+      words.push(...shiftTimings(result.words, part.start, coveredUntil));
+    } else {
+      segments.push({ start: part.start, end: part.end, text });
+    }
+
+    if (onProgress) {
+      onProgress((index + 1) / parts.length);
+    }
+  }
+
+  const correct = (text) => glossary && text ? correctTranscript(text, glossary) : text;
+
+  const transcript = {
+    transcription: correct(transcription),
+    segments: segments.map((segment, id) => ({ id, ...segment, text: correct(segment.text) })),
+    ...(timestamps && { words }),
+    metadata: {
+      processed_at: new Date().toISOString(),
+      model: result.model,
+      provider: speechProvider.id,
+      // Providers report names ("english") or locales ("en_us") as well as codes
+      language: language || toLanguageCode(result.language) || result.language || 'auto-detect',
+      format: audio.format || null,
+      duration: audio.duration || null,
+      glossaryId: glossary ? glossary.id : null
+    }
+  };
+
+  cache.set(cacheKey, transcript);
+  return { ...transcript, metadata: { ...transcript.metadata, cached: false } };
+}
+
+module.exports = { transcribe };
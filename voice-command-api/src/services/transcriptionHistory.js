@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getRequestContext } = require('./requestContext');
+
+/**
+ * Persistent history of transcriptions, translations and voice commands
+ *
+ * The transcribe, translate, job and command routes record every result they return,
+ * so past transcripts survive a page reload and can be searched, edited, tagged and
+ * deleted through `/api/transcriptions`. Entries are kept in TRANSCRIPTION_HISTORY_FILE
+ * and belong to the API key that created them. The source audio is kept alongside,
+ * in TRANSCRIPTION_AUDIO_DIR, when the request sets `saveAudio` or
+ * TRANSCRIPTION_HISTORY_AUDIO is on.
+ *
+ * Each key keeps its latest TRANSCRIPTION_HISTORY_MAX_ENTRIES entries; older ones are
+ * dropped with their audio. The file is written in the background after each change,
+ * so requests do not wait for it.
+ */
+
+const HISTORY_TYPES = ['transcription', 'translation', 'command'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+function getHistoryFile() {
+  return process.env.TRANSCRIPTION_HISTORY_FILE || path.join(__dirname, '../../data/transcriptions.json');
+}
+
+function getAudioDir() {
+  return process.env.TRANSCRIPTION_AUDIO_DIR || path.join(__dirname, '../../data/audio');
+}
+
+function getMaxEntries() {
+  return Number(process.env.TRANSCRIPTION_HISTORY_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+}
+
+/**
+ * Whether to keep the source audio of an entry
+ * @param {boolean|string} [saveAudio] - The request's `saveAudio`; form fields and query parameters are strings
+ * @returns {boolean} - The request's choice, or the TRANSCRIPTION_HISTORY_AUDIO default when it made none
+ */
+function shouldSaveAudio(saveAudio) {
+  if (saveAudio === true || saveAudio === 'true') return true;
+  if (saveAudio === false || saveAudio === 'false') return false;
+  return process.env.TRANSCRIPTION_HISTORY_AUDIO === 'true';
+}
+
+/**
+ * Lower case text without accents, so searches match regardless of either
+ * @param {string} text - Text to normalise
+ * @returns {string} - Normalised text
+ */
+function normalize(text) {
+  return (text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Score an entry against search terms
+ * @param {Object} entry - History entry
+ * @param {Array<string>} terms - Normalised search terms
+ * @returns {number} - Occurrences of the terms, 0 unless every term occurs
+ */
+function scoreEntry(entry, terms) {
+  const haystack = normalize([entry.title, entry.text, entry.translation, ...entry.tags].filter(Boolean).join('\n'));
+  let score = 0;
+
+  for (const term of terms) {
+    const occurrences = haystack.split(term).length - 1;
+    if (occurrences === 0) {
+      return 0;
+    }
+    score += occurrences;
+  }
+
+  return score;
+}
+
+/**
+ * Create a history store backed by a JSON file, with audio files in a directory
+ * @param {Object} options - Store options
+ * @param {string} options.file - Path of the JSON file entries are kept in
+ * @param {string} options.audioDir - Directory source audio is kept in, one file per entry
+ * @param {number} [options.maxEntries] - Entries kept per API key, the oldest dropped first
+ * @returns {Object} - History store
+ */
+function createHistoryStore({ file, audioDir, maxEntries = DEFAULT_MAX_ENTRIES }) {
+  let entries = null;
+  let writing = null;
+  let changedWhileWriting = false;
+
+  function load() {
+    if (!entries) {
+      entries = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).entries : [];
+    }
+    return entries;
+  }
+
+  const serialize = () => `${JSON.stringify({ entries })}\n`;
+
+  // Write to a temporary file first, so a crash mid-write leaves the previous history intact
+  async function write() {
+    const temporary = `${file}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(temporary, serialize());
+    await fs.promises.rename(temporary, file);
+  }
+
+  // One write at a time; changes made during a write are saved by another once it is done
+  function save() {
+    if (writing) {
+      changedWhileWriting = true;
+      return;
+    }
+
+    writing = write()
+      .catch(error => console.error('Transcription history could not be saved:', error.message))
+      .finally(() => {
+        writing = null;
+        if (changedWhileWriting) {
+          changedWhileWriting = false;
+          save();
+        }
+      });
+  }
+
+  const audioPath = (id) => path.join(audioDir, id);
+
+  const removeAudio = (record) => {
+    if (record.audio) {
+      fs.rmSync(audioPath(record.id), { force: true });
+    }
+  };
+
+  // Drop the oldest entries of a key beyond maxEntries
+  function prune(apiKeyId) {
+    const owned = load().filter(entry => entry.apiKeyId === apiKeyId);
+    if (owned.length <= maxEntries) {
+      return;
+    }
+
+    const dropped = new Set(owned
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(0, owned.length - maxEntries));
+
+    entries = load().filter(entry => !dropped.has(entry));
+    dropped.forEach(removeAudio);
+  }
+
+  // Undefined sees every entry, null only those recorded without a key; entries of other keys
+  // are reported as missing rather than forbidden
+  const visibleTo = (apiKeyId) => (entry) => apiKeyId === undefined || entry.apiKeyId === apiKeyId;
+
+  const find = (id, apiKeyId) => load().filter(visibleTo(apiKeyId)).find(entry => entry.id === id) || null;
+
+  return {
+    /**
+     * Add an entry
+     * @param {Object} entry - `{ type, text, translation, targetLanguage, language, commandType, endpoint,
+     *   apiKeyId, metadata }`
+     * @param {Object} [audio] - Source audio (`{ buffer, mimeType, format, duration }`) to keep with the entry
+     * @returns {Object} - The stored entry
+     */
+    add(entry, audio = null) {
+      const now = new Date().toISOString();
+      const record = {
+        id: crypto.randomUUID(),
+        type: entry.type,
+        title: null,
+        text: entry.text || '',
+        translation: entry.translation || null,
+        targetLanguage: entry.targetLanguage || null,
+        language: entry.language || null,
+        commandType: entry.commandType || null,
+        tags: [],
+        endpoint: entry.endpoint || null,
+        apiKeyId: entry.apiKeyId || null,
+        createdAt: now,
+        updatedAt: now,
+        metadata: entry.metadata || {},
+        audio: null
+      };
+
+      if (audio) {
+        fs.mkdirSync(audioDir, { recursive: true });
+        fs.writeFileSync(audioPath(record.id), audio.buffer);
+        record.audio = {
+          mimeType: audio.mimeType || 'application/octet-stream',
+          format: audio.format || null,
+          duration: audio.duration || null,
+          size: audio.buffer.length
+        };
+      }
+
+      load().push(record);
+      prune(record.apiKeyId);
+      save();
+      return record;
+    },
+
+    /**
+     * Search entries, newest first or, with a query, best match first
+     * @param {Object} filter - Search filter
+     * @param {string} [filter.q] - Words that must all occur in the title, text, translation or tags
+     * @param {string} [filter.type] - One of HISTORY_TYPES
+     * @param {string} [filter.language] - Language code of the speech
+     * @param {string} [filter.commandType] - Command type of voice commands
+     * @param {string} [filter.tag] - Tag the entry must have
+     * @param {string} [filter.from] - Earliest creation time, inclusive
+     * @param {string} [filter.to] - Latest creation time, exclusive
+     * @param {string|null} [filter.apiKeyId] - Only entries of this API key, or for null only those recorded
+     *   without one (the admin key, or keys not required); every entry if omitted
+     * @param {number} [filter.limit] - Page size, up to 100
+     * @param {number} [filter.offset] - Entries to skip
+     * @returns {Object} - `{ total, entries }`, total counting all matches
+     */
+    search({ q, type, language, commandType, tag, from, to, apiKeyId, limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+      const terms = normalize(q).split(/\s+/).filter(Boolean);
+
+      const matches = load()
+        .filter(visibleTo(apiKeyId))
+        .filter(entry => !type || entry.type === type)
+        .filter(entry => !language || entry.language === language)
+        .filter(entry => !commandType || entry.commandType === commandType)
+        .filter(entry => !tag || entry.tags.includes(tag))
+        .filter(entry => (!from || entry.createdAt >= from) && (!to || entry.createdAt < to))
+        .map(entry => ({ entry, score: terms.length > 0 ? scoreEntry(entry, terms) : 0 }))
+        .filter(match => terms.length === 0 || match.score > 0)
+        .sort((a, b) => b.score - a.score || b.entry.createdAt.localeCompare(a.entry.createdAt));
+
+      return {
+        total: matches.length,
+        entries: matches.slice(offset, offset + Math.min(limit, MAX_LIMIT)).map(match => match.entry)
+      };
+    },
+
+    /**
+     * Get an entry
+     * @param {string} id - Entry id
+     * @param {string|null} [apiKeyId] - Only an entry of this API key, or of none for null; any entry if omitted
+     * @returns {Object|null} - The entry, or null if unknown
+     */
+    get(id, apiKeyId) {
+      return find(id, apiKeyId);
+    },
+
+    /**
+     * Edit an entry
+     * @param {string} id - Entry id
+     * @param {Object} changes - Any of `{ title, text, translation, tags }`; tags replace the existing ones
+     * @param {string|null} [apiKeyId] - Only an entry of this API key, or of none for null; any entry if omitted
+     * @returns {Object|null} - The updated entry, or null if unknown
+     */
+    update(id, changes, apiKeyId) {
+      const record = find(id, apiKeyId);
+      if (!record) {
+        return null;
+      }
+
+      for (const field of ['title', 'text', 'translation']) {
+        if (changes[field] !== undefined) {
+          record[field] = changes[field];
+        }
+      }
+
+      if (changes.tags) {
+        record.tags = [...new Set(changes.tags.map(tag => tag.trim()).filter(Boolean))];
+      }
+
+      record.updatedAt = new Date().toISOString();
+      save();
+      return record;
+    },
+
+    /**
+     * Delete an entry and its audio
+     * @param {string} id - Entry id
+     * @param {string|null} [apiKeyId] - Only an entry of this API key, or of none for null; any entry if omitted
+     * @returns {Object|null} - The deleted entry, or null if unknown
+     */
+    remove(id, apiKeyId) {
+      const record = find(id, apiKeyId);
+      if (!record) {
+        return null;
+      }
+
+      entries = load().filter(entry => entry !== record);
+      save();
+      removeAudio(record);
+
+      return record;
+    },
+
+    /**
+     * Read an entry's source audio
+     * @param {Object} record - Entry with audio
+     * @returns {Buffer|null} - The audio, or null if it was not kept
+     */
+    readAudio(record) {
+      return record.audio && fs.existsSync(audioPath(record.id)) ? fs.readFileSync(audioPath(record.id)) : null;
+    },
+
+    /**
+     * Write changes not saved yet, for when the process exits
+     */
+    flush() {
+      if (writing) {
+        fs.writeFileSync(file, serialize());
+      }
+    }
+  };
+}
+
+let store = null;
+
+/**
+ * The history store shared by the API, kept in TRANSCRIPTION_HISTORY_FILE (default
+ * `voice-command-api/data/transcriptions.json`) and TRANSCRIPTION_AUDIO_DIR (default `data/audio`),
+ * TRANSCRIPTION_HISTORY_MAX_ENTRIES (default 1000) entries per key
+ * @returns {Object} - History store
+ */
+function getHistoryStore() {
+  if (!store) {
+    store = createHistoryStore({ file: getHistoryFile(), audioDir: getAudioDir(), maxEntries: getMaxEntries() });
+    process.once('exit', () => store.flush());
+  }
+  return store;
+}
+
+/**
+ * Record a result in the history of the current request's API key
+ * Failing to record is logged rather than thrown, so it never fails the request itself.
+ * @param {Object} entry - `{ type, text, translation, targetLanguage, language, commandType, metadata }`
+ * @param {Object} [options] - Recording options
+ * @param {Object} [options.audio] - Source audio of the result
+ * @param {boolean|string} [options.saveAudio] - Whether to keep the audio, see shouldSaveAudio
+ * @returns {string|null} - Id of the new entry, or null if it could not be recorded
+ */
+function recordHistory(entry, { audio = null, saveAudio } = {}) {
+  const context = getRequestContext();
+
+  try {
+    const record = getHistoryStore().add({
+      ...entry,
+      // Spoken languages are only filterable as ISO 639-1 codes, not 'auto-detect'
+      language: /^[a-z]{2}$/.test(entry.language || '') ? entry.language : null,
+      endpoint: context?.endpoint,
+      apiKeyId: context?.apiKey?.id
+    }, audio && shouldSaveAudio(saveAudio) ? audio : null);
+
+    return record.id;
+  } catch (error) {
+    console.error('Transcription history error:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  HISTORY_TYPES,
+  createHistoryStore,
+  getHistoryStore,
+  recordHistory
+};
@@ -0,0 +1,280 @@
+const { WebSocketServer } = require('ws');
+const speechProviders = require('./speech');
+const transcriptionService = require('./transcription');
+const { describeAudio, detectFormat, meteredDuration, SUPPORTED_FORMATS } = require('../utils/audioFormat');
+const { authorize, checkQuota } = require('./apiKeys');
+const { runWithContext, createUsage, recordUsage, getRequestUsage } = require('./requestContext');
+const { createMeteredContext } = require('./usage');
+const { resolveGlossary } = require('./glossaries');
+const { recordHistory } = require('./transcriptionHistory');
+
+/**
+ * Real-time transcription over WebSocket
+ *
+ * Clients connect to `/api/audio/stream?language=&prompt=&provider=&glossaryId=&saveAudio=&apiKey=` and send
+ * MediaRecorder chunks as binary messages, then `{ "type": "stop" }` when recording ends.
+ * The server replies with JSON events:
+ *   - { type: 'ready', provider, windowMs }
+ *   - { type: 'partial', window, text, receivedBytes }
+ *   - { type: 'final', text, metadata }
+ *   - { type: 'error', error, final }
+ *
+ * Providers only offer batch transcription, and MediaRecorder chunks after the first are
+ * not playable on their own, so each window re-transcribes all audio received so far.
+ * At most one window runs at a time and a new one starts once `STREAM_WINDOW_MS` has passed.
+ *
+ * The final pass goes through the transcription service like an upload to the transcribe
+ * route: long recordings are split, the glossary applies, the result is cached by the
+ * audio and recorded in the history. A client that also analyzes the recording as a voice
+ * command can send the final text to `POST /api/commands/analyze` rather than the audio,
+ * so each recording is transcribed once.
+ *
+ * Sessions need an API key like other requests. Each session is metered as one request:
+ * the audio of every partial window and of the final pass is charged to the key's audio
+ * quota, and partials stop once the quota is used up.
+ */
+
+const STREAM_PATH = '/api/audio/stream';
+
+const DEFAULT_WINDOW_MS = 3000;
+
+// Partials re-send the whole recording, so stop issuing them past this size and only transcribe the final audio
+const MAX_PARTIAL_BYTES = 5 * 1024 * 1024;
+
+// Keep the same ceiling as uploads
+const MAX_STREAM_BYTES = 50 * 1024 * 1024;
+
+function getWindowMs() {
+  return Number(process.env.STREAM_WINDOW_MS) || DEFAULT_WINDOW_MS;
+}
+
+/**
+ * Handle one streaming transcription session
+ * @param {WebSocket} socket - Client connection
+ * @param {http.IncomingMessage} request - Upgrade request carrying the query parameters
+ */
+function handleConnection(socket, request) {
+  const params = new URL(request.url, 'http://localhost').searchParams;
+  const options = {
+    language: params.get('language') || undefined,
+    prompt: params.get('prompt') || undefined
+  };
+
+  const send = (message) => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  let access;
+  try {
+    access = authorize(request);
+    if (access.apiKey) {
+      checkQuota(access.apiKey, ['audioMinutes']);
+    }
+  } catch (error) {
+    send({ type: 'error', error: error.message, final: true });
+    // 1013 asks the client to try again later; close reasons are fixed, as ws rejects ones over 123 bytes
+    socket.close(error.status === 429 ? 1013 : 1008, error.status === 429 ? 'Limit exceeded' : 'Unauthorized');
+    return;
+  }
+
+  let provider;
+  try {
+    provider = speechProviders.getProvider(params.get('provider') || undefined);
+  } catch (error) {
+    send({ type: 'error', error: error.message, final: true });
+    socket.close(1008, 'Unknown speech provider');
+    return;
+  }
+
+  let glossary;
+  try {
+    glossary = resolveGlossary(params.get('glossaryId'), access.apiKey?.id);
+  } catch (error) {
+    send({ type: 'error', error: error.message, final: true });
+    socket.close(1008, 'Unknown glossary');
+    return;
+  }
+
+  // Windows and the final pass run separately, so the session keeps its own usage totals
+  const context = {
+    ...createMeteredContext({
+      endpoint: `GET ${STREAM_PATH}`,
+      apiKey: access.apiKey,
+      credentials: access.credentials
+    }),
+    usage: createUsage()
+  };
+
+  const chunks = [];
+  let receivedBytes = 0;
+  let transcribedBytes = 0;
+  let lastWindowAt = Date.now();
+  let windowCount = 0;
+  let inFlight = null;
+  let stopped = false;
+  let quotaExceeded = false;
+
+  // The container was already checked on the first chunk, so this cannot reject the format
+  const currentAudio = () => describeAudio(Buffer.concat(chunks));
+
+  // Transcribe everything received so far and emit it as a partial result
+  async function transcribeWindow() {
+    const audio = currentAudio();
+    const window = windowCount++;
+    transcribedBytes = audio.buffer.length;
+    lastWindowAt = Date.now();
+
+    await runWithContext(context, async () => {
+      try {
+        const result = await provider.transcribe(audio, options);
+        recordUsage({ provider: provider.id, model: result.model, audioSeconds: meteredDuration(audio) });
+
+        if (!stopped) {
+          send({ type: 'partial', window, text: result.text, receivedBytes: audio.buffer.length });
+        }
+      } catch (error) {
+        // A failed window is not fatal, the next window or the final pass can still succeed
+        console.error('Streaming transcription error:', error.response?.data || error.message);
+        send({ type: 'error', error: error.message, final: false });
+      }
+    });
+  }
+
+  function maybeTranscribeWindow() {
+    if (inFlight || stopped || quotaExceeded) return;
+    if (receivedBytes === transcribedBytes || receivedBytes > MAX_PARTIAL_BYTES) return;
+    if (Date.now() - lastWindowAt < getWindowMs()) return;
+
+    // Earlier windows may have used up the quota; the final pass still runs
+    if (access.apiKey) {
+      try {
+        checkQuota(access.apiKey, ['audioMinutes']);
+      } catch (error) {
+        quotaExceeded = true;
+        send({ type: 'error', error: error.message, final: false });
+        return;
+      }
+    }
+
+    inFlight = transcribeWindow().finally(() => {
+      inFlight = null;
+    });
+  }
+
+  // Transcribe the complete recording and close the session
+  async function finish() {
+    if (stopped) return;
+    stopped = true;
+
+    if (inFlight) {
+      await inFlight;
+    }
+
+    await runWithContext(context, async () => {
+      try {
+        const audio = receivedBytes > 0 ? currentAudio() : null;
+        if (!audio) {
+          send({ type: 'final', text: '', metadata: { processed_at: new Date().toISOString(), windows: windowCount, receivedBytes } });
+          return;
+        }
+
+        const result = await transcriptionService.transcribe(audio, {
+          provider: provider.id,
+          language: options.language,
+          prompt: options.prompt,
+          glossary
+        });
+
+        const historyId = recordHistory({
+          type: 'transcription',
+          text: result.transcription,
+          language: result.metadata.language,
+          metadata: { provider: result.metadata.provider, model: result.metadata.model }
+        }, { audio, saveAudio: params.get('saveAudio') || undefined });
+
+        send({
+          type: 'final',
+          text: result.transcription,
+          metadata: {
+            ...result.metadata,
+            windows: windowCount,
+            receivedBytes,
+            historyId,
+            usage: getRequestUsage()
+          }
+        });
+      } catch (error) {
+        console.error('Streaming transcription error:', error.response?.data || error.message);
+        send({ type: 'error', error: error.message, final: true });
+      }
+    });
+
+    socket.close(1000);
+  }
+
+  socket.on('message', (data, isBinary) => {
+    if (isBinary) {
+      if (stopped) return;
+
+      if (receivedBytes + data.length > MAX_STREAM_BYTES) {
+        send({ type: 'error', error: 'Stream exceeds the 50MB audio limit', final: true });
+        stopped = true;
+        socket.close(1009, 'Audio too large');
+        return;
+      }
+
+      // The first chunk carries the container header
+      if (chunks.length === 0 && !detectFormat(data)) {
+        send({
+          type: 'error',
+          error: `Unsupported audio format, expected one of: ${Object.keys(SUPPORTED_FORMATS).join(', ')}`,
+          final: true
+        });
+        stopped = true;
+        socket.close(1003, 'Unsupported audio format');
+        return;
+      }
+
+      chunks.push(data);
+      receivedBytes += data.length;
+      maybeTranscribeWindow();
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      send({ type: 'error', error: 'Control messages must be JSON', final: false });
+      return;
+    }
+
+    if (message.type === 'stop') {
+      finish();
+    }
+  });
+
+  socket.on('close', () => {
+    stopped = true;
+  });
+
+  send({ type: 'ready', provider: provider.id, windowMs: getWindowMs() });
+}
+
+/**
+ * Attach the streaming transcription endpoint to an HTTP server
+ * @param {http.Server} server - Server returned by `app.listen`
+ * @returns {WebSocketServer} - The WebSocket server
+ */
+function attachTranscriptionStream(server) {
+  const wss = new WebSocketServer({ server, path: STREAM_PATH });
+  wss.on('connection', handleConnection);
+  return wss;
+}
+
+module.exports = {
+  STREAM_PATH,
+  attachTranscriptionStream
+};
@@ -0,0 +1,173 @@
+const { createChatCompletion } = require('./chat');
+const { getResultCache } = require('./resultCache');
+const { resolveTargetLanguage, resolveTargetLanguages, findLanguage } = require('./languages');
+
+/**
+ * Text translation shared by the translate route and voice commands
+ *
+ * The model also reports the language of the text it translated, which is returned as
+ * the source language. Translations are cached by the text, target language and model.
+ * A glossary's terms are kept as they are in the translation. Text can also be translated
+ * to several languages at once, each translation failing on its own.
+ */
+
+const TRANSLATION_MODEL = 'gpt-4';
+
+/**
+ * Read the model's reply
+ * Replies are asked for as JSON; anything else (fixtures, models that ignore the
+ * instruction) is taken as the translation itself, with an unknown source language.
+ * @param {string} reply - Message content
+ * @returns {Object} - `{ translation, sourceLanguage }`; sourceLanguage is a table entry or null
+ */
+function parseReply(reply) {
+  try {
+    const parsed = JSON.parse(reply.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+    if (typeof parsed.translation === 'string') {
+      return { translation: parsed.translation, sourceLanguage: findLanguage(parsed.sourceLanguage) };
+    }
+  } catch (error) {
+    // Not JSON, so the reply is the translation
+  }
+
+  return { translation: reply, sourceLanguage: null };
+}
+
+/**
+ * Translate text with the chat model
+ * @param {string} text - Text to translate
+ * @param {string} [targetLanguage='en'] - ISO 639-1 code or name of the language to translate to
+ * @param {Object} [options] - Translation options
+ * @param {Object} [options.glossary] - Glossary whose terms must not be translated
+ * @returns {Promise<Object>} - `{ translation, targetLanguage, targetLanguageCode, sourceLanguage, sourceLanguageCode,
+ *   model, cached }`; languages are names with their codes, the source ones null when the model did not say, and
+ *   cached tells whether the translation came from the cache
+ * @throws {Error} - 400 if the target language is not supported
+ */
+async function translateText(text, targetLanguage, { glossary } = {}) {
+  const target = resolveTargetLanguage(targetLanguage);
+  const keepTerms = glossary ? glossary.terms : [];
+  const cache = getResultCache('translation');
+  const cacheKey = { text, targetLanguage: target.code, model: TRANSLATION_MODEL, keepTerms };
+
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  console.log('Sending for translation...');
+
+  // Send to OpenAI's Chat API for translation
+  const translationResponse = await createChatCompletion({
+    model: TRANSLATION_MODEL,
+    messages: [
+      {
+        role: 'system',
+        content: `You are a professional translator fluent in all languages. Translate the following text to ${target.name}.
+            Maintain the tone, meaning, and style as closely as possible.
+            If the text is already in ${target.name}, return it unchanged.${keepTerms.length > 0 ? `
+            Do not translate these terms, keep them exactly as written: ${keepTerms.join(', ')}.` : ''}
+            Reply with JSON only: {"sourceLanguage": "<ISO 639-1 code of the text's language>", "translation": "<the translation>"}`
+      },
+      {
+        role: 'user',
+        content: text
+      }
+    ],
+    temperature: 0.3 // Lower temperature for more accurate translations
+  });
+
+  const { translation, sourceLanguage } = parseReply(translationResponse.choices[0].message.content);
+
+  const result = {
+    translation,
+    targetLanguage: target.name,
+    targetLanguageCode: target.code,
+    sourceLanguage: sourceLanguage ? sourceLanguage.name : null,
+    sourceLanguageCode: sourceLanguage ? sourceLanguage.code : null,
+    model: TRANSLATION_MODEL
+  };
+
+  cache.set(cacheKey, result);
+  return { ...result, cached: false };
+}
+
+/**
+ * Translate text to several languages concurrently
+ * One failed or unsupported language does not fail the others; their entries carry the error instead.
+ * @param {string} text - Text to translate
+ * @param {Array<string>} targetLanguages - ISO 639-1 codes or names of the languages to translate to
+ * @param {Object} [options] - Translation options
+ * @param {Object} [options.glossary] - Glossary whose terms must not be translated
+ * @returns {Promise<Object>} - `{ translations, sourceLanguage, sourceLanguageCode, model, cached }`; translations
+ *   are keyed by language code (unsupported languages by the value given), each `{ success: true, translation,
+ *   targetLanguage, targetLanguageCode, cached }` or `{ success: false, error, details }`, and cached tells
+ *   whether every translation came from the cache
+ * @throws {Error} - 400 if the languages cannot be resolved (see resolveTargetLanguages), or the first error if
+ *   every translation failed
+ */
+async function translateToLanguages(text, targetLanguages, { glossary } = {}) {
+  const { languages, unsupported } = resolveTargetLanguages(targetLanguages);
+
+  const results = await Promise.allSettled(languages.map(language => translateText(text, language.code, { glossary })));
+
+  const translations = {};
+  let source = null;
+
+  results.forEach((result, index) => {
+    const language = languages[index];
+
+    if (result.status === 'rejected') {
+      console.error(`Translation to ${language.name} failed:`, result.reason.message);
+      translations[language.code] = {
+        success: false,
+        targetLanguage: language.name,
+        targetLanguageCode: language.code,
+        error: result.reason.message,
+        details: result.reason.details || result.reason.response?.data || null
+      };
+      return;
+    }
+
+    const { translation, targetLanguage, targetLanguageCode, sourceLanguage, sourceLanguageCode, cached } = result.value;
+    translations[language.code] = { success: true, translation, targetLanguage, targetLanguageCode, cached };
+    source = source || (sourceLanguageCode && { name: sourceLanguage, code: sourceLanguageCode });
+  });
+
+  const succeeded = results.filter(result => result.status === 'fulfilled');
+  if (succeeded.length === 0) {
+    throw results[0].reason;
+  }
+
+  for (const { value, error } of unsupported) {
+    translations[value] = { success: false, error: error.message, details: error.details || null };
+  }
+
+  return {
+    translations,
+    sourceLanguage: source ? source.name : null,
+    sourceLanguageCode: source ? source.code : null,
+    model: TRANSLATION_MODEL,
+    cached: succeeded.every(result => result.value.cached)
+  };
+}
+
+/**
+ * Flatten the successful translations of translateToLanguages for a history entry
+ * @param {Object} translations - Translations by language
+ * @returns {Object} - `{ translation, targetLanguage }`: each translation under its language name, and the names
+ */
+function summarizeTranslations(translations) {
+  const succeeded = Object.values(translations).filter(entry => entry.success);
+
+  return {
+    translation: succeeded.map(entry => `${entry.targetLanguage}: ${entry.translation}`).join('\n\n'),
+    targetLanguage: succeeded.map(entry => entry.targetLanguage).join(', ')
+  };
+}
+
+module.exports = {
+  translateText,
+  translateToLanguages,
+  summarizeTranslations
+};
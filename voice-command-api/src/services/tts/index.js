@@ -0,0 +1,99 @@
+const { openaiTtsProvider } = require('./openaiProvider');
+const { localTtsProvider } = require('./localProvider');
+const { createHttpError } = require('../../utils/httpError');
+const { withFixture } = require('../fixtures');
+
+/**
+ * Text-to-speech provider registry
+ *
+ * Every provider implements the same interface:
+ *   - id / name: identifier used for selection and a display name
+ *   - capabilities(): the provider's `voices` and `formats` with their defaults, and flags
+ *     describing what else it supports
+ *   - speak(text, options): text to speech
+ *
+ * `options` is `{ voice, format, language, speed }`, with the voice and format already checked
+ * against the capabilities; `language` is an ISO 639-1 code or null, for providers with the
+ * `languageHint` capability. speak resolves to `{ audio, format, mimeType, voice, model, provider }`
+ * with the audio as a Buffer.
+ */
+
+const DEFAULT_PROVIDER = 'openai';
+
+const providers = new Map();
+
+/**
+ * Route a provider's calls through the fixture store so fake and record modes apply
+ * Fixtures are JSON, so the audio is kept base64 encoded in them.
+ * @param {Object} provider - Text-to-speech provider
+ * @returns {Object} - Provider with a fixture-aware speak
+ */
+function withFixtures(provider) {
+  return {
+    ...provider,
+    speak: async (text, options) => {
+      const result = await withFixture('speak', {
+        text,
+        voice: options.voice,
+        format: options.format,
+        language: options.language || null,
+        speed: options.speed || null
+      }, async () => {
+        const speech = await provider.speak(text, options);
+        return { ...speech, audio: speech.audio.toString('base64') };
+      });
+
+      return { ...result, audio: Buffer.from(result.audio, 'base64') };
+    }
+  };
+}
+
+/**
+ * Register a text-to-speech provider, replacing any provider with the same id
+ * @param {Object} provider - Provider implementing the interface above
+ */
+function registerTtsProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Resolve a provider by id, falling back to the deployment default
+ * @param {string} [id] - Provider id requested by the client
+ * @returns {Object} - The text-to-speech provider
+ */
+function getTtsProvider(id) {
+  const providerId = id || process.env.TTS_PROVIDER || DEFAULT_PROVIDER;
+  const provider = providers.get(providerId);
+
+  if (!provider) {
+    throw createHttpError(400, `Unknown text-to-speech provider: ${providerId}`, {
+      availableProviders: Array.from(providers.keys())
+    });
+  }
+
+  return withFixtures(provider);
+}
+
+/**
+ * List registered providers with their capabilities
+ * @returns {Array<Object>} - Provider descriptions
+ */
+function listTtsProviders() {
+  const defaultProvider = process.env.TTS_PROVIDER || DEFAULT_PROVIDER;
+
+  return Array.from(providers.values()).map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    default: provider.id === defaultProvider,
+    capabilities: provider.capabilities()
+  }));
+}
+
+registerTtsProvider(openaiTtsProvider);
+registerTtsProvider(localTtsProvider);
+
+module.exports = {
+  registerTtsProvider,
+  getTtsProvider,
+  listTtsProviders
+};
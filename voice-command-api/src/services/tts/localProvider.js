@@ -0,0 +1,117 @@
+const { buildWav } = require('../../utils/audioSegmenter');
+
+/**
+ * Offline stand-in for a text-to-speech service
+ *
+ * Renders text as a WAV of short tones, one per word and as long as the word, with
+ * pauses at punctuation, so spoken responses can be developed and tested without a
+ * speech service or API key. The result sounds like the text's rhythm, not like speech.
+ */
+
+const SAMPLE_RATE = 16000;
+const AMPLITUDE = 0.3 * 32767;
+
+// Base pitch of each voice in Hz; each word is a few semitones above it
+const VOICES = { low: 140, medium: 220, high: 330 };
+
+const SECONDS_PER_CHARACTER = 0.06;
+const MIN_WORD_SECONDS = 0.12;
+const WORD_GAP_SECONDS = 0.05;
+const SENTENCE_PAUSE_SECONDS = 0.3;
+const CLAUSE_PAUSE_SECONDS = 0.15;
+
+// Fade each tone in and out so it starts and stops without a click
+const FADE_SECONDS = 0.01;
+
+/**
+ * Turn text into tones and pauses
+ * @param {string} text - Text to speak
+ * @param {number} pitch - Base frequency in Hz
+ * @returns {Array<Object>} - `{ frequency, seconds }`; a frequency of 0 is silence
+ */
+function toTones(text, pitch) {
+  const tokens = text.match(/[\p{L}\p{N}']+|[.!?;:,]/gu) || [];
+
+  return tokens.flatMap(token => {
+    if (/^[.!?]$/.test(token)) return [{ frequency: 0, seconds: SENTENCE_PAUSE_SECONDS }];
+    if (/^[;:,]$/.test(token)) return [{ frequency: 0, seconds: CLAUSE_PAUSE_SECONDS }];
+
+    const semitones = [...token].reduce((sum, character) => sum + character.codePointAt(0), 0) % 8;
+    return [
+      { frequency: pitch * 2 ** (semitones / 12), seconds: Math.max(MIN_WORD_SECONDS, token.length * SECONDS_PER_CHARACTER) },
+      { frequency: 0, seconds: WORD_GAP_SECONDS }
+    ];
+  });
+}
+
+/**
+ * Render tones as 16-bit mono PCM
+ * @param {Array<Object>} tones - Tones from toTones
+ * @param {number} speed - Playback speed, 1 is normal
+ * @returns {Buffer} - PCM samples
+ */
+function renderTones(tones, speed) {
+  const lengths = tones.map(tone => Math.round((tone.seconds / speed) * SAMPLE_RATE));
+  const data = Buffer.alloc(lengths.reduce((sum, length) => sum + length, 0) * 2);
+  const fade = FADE_SECONDS * SAMPLE_RATE;
+  let offset = 0;
+
+  tones.forEach((tone, index) => {
+    const length = lengths[index];
+
+    if (tone.frequency) {
+      for (let sample = 0; sample < length; sample++) {
+        const envelope = Math.min(1, sample / fade, (length - sample) / fade);
+        const value = Math.sin((2 * Math.PI * tone.frequency * sample) / SAMPLE_RATE) * AMPLITUDE * envelope;
+        data.writeInt16LE(Math.round(value), offset + sample * 2);
+      }
+    }
+
+    offset += length * 2;
+  });
+
+  return data;
+}
+
+const localTtsProvider = {
+  id: 'local',
+  name: 'Local tone synthesiser (stand-in)',
+
+  /**
+   * Describe what this provider supports
+   * @returns {Object} - Capability flags
+   */
+  capabilities() {
+    return {
+      voices: Object.keys(VOICES),
+      defaultVoice: 'medium',
+      formats: ['wav'],
+      defaultFormat: 'wav',
+      speed: true,
+      languageHint: false,
+      models: ['local-tones'],
+      configured: true
+    };
+  },
+
+  /**
+   * Synthesise the tones of a text
+   * @param {string} text - Text to speak
+   * @param {Object} options - `{ voice, format, speed }`
+   * @returns {Promise<Object>} - `{ audio, format, mimeType, voice, model, provider }`
+   */
+  async speak(text, { voice, speed = 1 }) {
+    const data = renderTones(toTones(text, VOICES[voice]), speed);
+
+    return {
+      audio: buildWav(data, { channels: 1, sampleRate: SAMPLE_RATE, bitsPerSample: 16, blockAlign: 2 }),
+      format: 'wav',
+      mimeType: 'audio/wav',
+      voice,
+      model: 'local-tones',
+      provider: 'local'
+    };
+  }
+};
+
+module.exports = { localTtsProvider };
@@ -0,0 +1,86 @@
+const axios = require('axios');
+
+/**
+ * Text-to-speech provider for OpenAI's speech API
+ * The model reads the language from the text, so any language is spoken with any voice.
+ */
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+const VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+
+// Output formats the API produces, with their MIME types
+const FORMATS = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac'
+};
+
+function getModel() {
+  return process.env.OPENAI_TTS_MODEL || 'tts-1';
+}
+
+/**
+ * Synthesise speech
+ * @param {string} text - Text to speak
+ * @param {Object} options - `{ voice, format, speed }`
+ * @returns {Promise<Object>} - `{ audio, format, mimeType, voice, model, provider }`
+ */
+async function speak(text, { voice, format, speed }) {
+  const model = getModel();
+
+  console.log('Sending speech request to OpenAI...');
+
+  try {
+    const response = await axios.post(`${OPENAI_BASE_URL}/audio/speech`, {
+      model,
+      input: text,
+      voice,
+      response_format: format,
+      ...(speed && { speed })
+    }, {
+      headers: { 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` },
+      responseType: 'arraybuffer'
+    });
+
+    return { audio: Buffer.from(response.data), format, mimeType: FORMATS[format], voice, model, provider: 'openai' };
+  } catch (error) {
+    // Errors are JSON, but arrive as bytes like the audio would have
+    if (Buffer.isBuffer(error.response?.data)) {
+      try {
+        error.response.data = JSON.parse(error.response.data.toString('utf8'));
+      } catch (parseError) {
+        error.response.data = error.response.data.toString('utf8');
+      }
+    }
+    throw error;
+  }
+}
+
+const openaiTtsProvider = {
+  id: 'openai',
+  name: 'OpenAI TTS',
+
+  /**
+   * Describe what this provider supports
+   * @returns {Object} - Capability flags
+   */
+  capabilities() {
+    return {
+      voices: VOICES,
+      defaultVoice: 'alloy',
+      formats: Object.keys(FORMATS),
+      defaultFormat: 'mp3',
+      speed: true,
+      languageHint: false,
+      models: [getModel()],
+      configured: Boolean(process.env.OPENAI_API_KEY)
+    };
+  },
+
+  speak
+};
+
+module.exports = { openaiTtsProvider };
@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AUDIO_PRICES_PER_MINUTE, SPEECH_PRICES_PER_1K_CHARACTERS, TOKEN_PRICES_PER_1K } = require('../config/pricing');
+const { getApiKeyStore } = require('./apiKeys');
+
+/**
+ * Usage metering and cost accounting
+ *
+ * Every provider call made for a request (a transcription, a chat completion, an
+ * embedding, synthesised speech) is recorded as one usage entry: the audio seconds,
+ * prompt and completion tokens or characters spoken it used and what that is
+ * estimated to cost at the list prices
+ * in config/pricing.js. Entries are appended to USAGE_FILE as JSON lines, tagged
+ * with the request, its endpoint and API key, and kept as running totals per hour
+ * that GET /api/usage summarises.
+ */
+
+const GROUP_BY = ['day', 'endpoint', 'model', 'apiKey'];
+
+// Costs are fractions of a cent, so they keep more decimals than other figures
+const COST_DECIMALS = 6;
+
+function getUsageFile() {
+  return process.env.USAGE_FILE || path.join(__dirname, '../../data/usage.jsonl');
+}
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Version suffix of a dated model name, as in gpt-4-0613 or gpt-4o-2024-08-06
+const DATED_VERSION = /-(?:\d{4}-\d{2}-\d{2}|\d{4})$/;
+
+/**
+ * Find the price of a model, matching dated versions to the model they belong to
+ * Other suffixes name a different model (gpt-4o-mini is not gpt-4o), which stays unpriced
+ * until it is added to the price list.
+ * @param {string} model - Model name as reported by the provider
+ * @returns {Object|null} - `{ prompt, completion }` per 1,000 tokens, or null if unknown
+ */
+function findTokenPrice(model) {
+  return TOKEN_PRICES_PER_1K[model] || TOKEN_PRICES_PER_1K[model.replace(DATED_VERSION, '')] || null;
+}
+
+/**
+ * Estimate the cost of one provider call
+ * @param {Object} usage - Usage of the call
+ * @param {string} [usage.provider] - Speech provider id, for audio
+ * @param {string} [usage.model] - Model name, for tokens and speech
+ * @param {number} [usage.audioSeconds] - Seconds of audio transcribed
+ * @param {number} [usage.promptTokens] - Prompt tokens
+ * @param {number} [usage.completionTokens] - Completion tokens
+ * @param {number} [usage.speechCharacters] - Characters of text spoken
+ * @returns {number|null} - Cost in USD, or null if the provider or model has no price
+ */
+function estimateCost({ provider, model, audioSeconds = 0, promptTokens = 0, completionTokens = 0, speechCharacters = 0 }) {
+  let cost = 0;
+
+  if (audioSeconds) {
+    const perMinute = AUDIO_PRICES_PER_MINUTE[provider];
+    if (perMinute === undefined) {
+      return null;
+    }
+    cost += (audioSeconds / 60) * perMinute;
+  }
+
+  if (promptTokens || completionTokens) {
+    const price = model && findTokenPrice(model);
+    if (!price) {
+      return null;
+    }
+    cost += (promptTokens / 1000) * price.prompt + (completionTokens / 1000) * price.completion;
+  }
+
+  if (speechCharacters) {
+    const per1k = SPEECH_PRICES_PER_1K_CHARACTERS[model];
+    if (per1k === undefined) {
+      return null;
+    }
+    cost += (speechCharacters / 1000) * per1k;
+  }
+
+  return round(cost, COST_DECIMALS);
+}
+
+// Usage is totalled in memory by the hour, so reports do not read the ledger back
+const HOUR_MS = 60 * 60 * 1000;
+
+const hourOf = (timestamp) => timestamp.slice(0, 13);
+const hourStart = (hour) => Date.parse(`${hour}:00:00.000Z`);
+
+/**
+ * Create a usage ledger backed by a JSON lines file
+ * Entries are appended to the file in the background and added to running totals per hour,
+ * endpoint, model and API key, which the file is read into once.
+ * @param {Object} options - Ledger options
+ * @param {string} options.file - Path of the file entries are appended to
+ * @returns {Object} - Usage ledger
+ */
+function createUsageLedger({ file }) {
+  let totals = null;
+  let pending = [];
+  let writing = null;
+
+  function add(entry, newRequest) {
+    const hour = hourOf(entry.timestamp);
+    const model = entry.model || null;
+    const apiKeyId = entry.apiKeyId || null;
+    const id = JSON.stringify([hour, entry.endpoint, model, apiKeyId]);
+
+    if (!totals.has(id)) {
+      totals.set(id, {
+        hour,
+        endpoint: entry.endpoint,
+        model,
+        apiKeyId,
+        requests: 0,
+        audioSeconds: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        speechCharacters: 0,
+        cost: 0,
+        unpriced: 0
+      });
+    }
+
+    const bucket = totals.get(id);
+    bucket.requests += newRequest ? 1 : 0;
+    bucket.audioSeconds += entry.audioSeconds;
+    bucket.promptTokens += entry.promptTokens;
+    bucket.completionTokens += entry.completionTokens;
+    // Entries recorded before speech was metered have none
+    bucket.speechCharacters += entry.speechCharacters || 0;
+    bucket.cost += entry.cost || 0;
+    bucket.unpriced += entry.cost === null ? 1 : 0;
+  }
+
+  function load() {
+    if (!totals) {
+      totals = new Map();
+      if (fs.existsSync(file)) {
+        const seen = new Set();
+        for (const line of fs.readFileSync(file, 'utf8').split('\n').filter(Boolean)) {
+          const entry = JSON.parse(line);
+          add(entry, !seen.has(entry.requestId));
+          seen.add(entry.requestId);
+        }
+      }
+    }
+    return totals;
+  }
+
+  // One append at a time; entries added during an append are written by the next
+  function save() {
+    if (writing || pending.length === 0) {
+      return;
+    }
+
+    const lines = pending.join('');
+    pending = [];
+    writing = fs.promises.mkdir(path.dirname(file), { recursive: true })
+      .then(() => fs.promises.appendFile(file, lines))
+      .catch(error => console.error('Usage could not be saved:', error.message))
+      .finally(() => {
+        writing = null;
+        save();
+      });
+  }
+
+  return {
+    /**
+     * Append an entry
+     * @param {Object} entry - Usage entry
+     * @param {Object} [options] - Append options
+     * @param {boolean} [options.newRequest] - Whether this is the request's first entry, which counts the request
+     */
+    append(entry, { newRequest = true } = {}) {
+      load();
+      add(entry, newRequest);
+      pending.push(`${JSON.stringify(entry)}\n`);
+      save();
+    },
+
+    /**
+     * Summarise the usage recorded in a period
+     * Periods are counted in whole hours, so a date-time within an hour includes all of it.
+     * @param {Object} filter - Usage filter
+     * @param {string} [filter.from] - Start of the period, inclusive
+     * @param {string} [filter.to] - End of the period, exclusive
+     * @param {string} [filter.apiKeyId] - Only usage of this API key
+     * @param {Array<string>} [filter.groupBy] - Dimensions from GROUP_BY to group by, in order
+     * @returns {Object} - `{ totals, groups }` as from summarizeUsage
+     */
+    summarize({ from, to, apiKeyId, groupBy = [] } = {}) {
+      const buckets = [...load().values()]
+        .filter(bucket => (!from || hourStart(bucket.hour) + HOUR_MS > Date.parse(from)) &&
+          (!to || hourStart(bucket.hour) < Date.parse(to)))
+        .filter(bucket => !apiKeyId || bucket.apiKeyId === apiKeyId);
+
+      return summarizeUsage(buckets, groupBy);
+    },
+
+    /**
+     * Write entries not appended yet, for when the process exits
+     */
+    flush() {
+      if (pending.length > 0) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, pending.join(''));
+        pending = [];
+      }
+    }
+  };
+}
+
+let ledger = null;
+
+/**
+ * The ledger shared by the API, kept in USAGE_FILE (default `voice-command-api/data/usage.jsonl`)
+ * @returns {Object} - Usage ledger
+ */
+function getUsageLedger() {
+  if (!ledger) {
+    ledger = createUsageLedger({ file: getUsageFile() });
+    process.once('exit', () => ledger.flush());
+  }
+  return ledger;
+}
+
+/**
+ * Create the context a request is metered in, for runWithContext
+ * Its usage is appended to the ledger and charged to the API key's monthly quotas.
+ * @param {Object} request - The request being served
+ * @param {string} request.endpoint - `METHOD path` of the operation, as in the spec
+ * @param {Object|null} request.apiKey - Public key view, null for the admin key and open requests
+ * @param {string|null} request.credentials - Key the client sent
+ * @returns {Object} - `{ requestId, endpoint, apiKey, credentials, onUsage }`
+ */
+function createMeteredContext({ endpoint, apiKey, credentials }) {
+  const requestId = crypto.randomUUID();
+  let metered = false;
+
+  return {
+    requestId,
+    endpoint,
+    apiKey,
+    credentials,
+    onUsage(usage) {
+      getUsageLedger().append({
+        requestId,
+        timestamp: new Date().toISOString(),
+        endpoint,
+        apiKeyId: apiKey?.id || null,
+        ...usage
+      }, { newRequest: !metered });
+      metered = true;
+
+      if (apiKey) {
+        getApiKeyStore().recordUsage(apiKey.id, {
+          audioSeconds: usage.audioSeconds,
+          tokens: usage.promptTokens + usage.completionTokens,
+          speechCharacters: usage.speechCharacters
+        });
+      }
+    }
+  };
+}
+
+/**
+ * Add up hourly totals
+ * @param {Array<Object>} buckets - Hourly totals from the ledger
+ * @returns {Object} - `{ requests, audioMinutes, promptTokens, completionTokens, speechCharacters, cost, unpriced }`;
+ *   unpriced counts entries whose provider or model has no price, and which the cost leaves out
+ */
+function totalUsage(buckets) {
+  const totals = buckets.reduce((sum, bucket) => ({
+    requests: sum.requests + bucket.requests,
+    audioSeconds: sum.audioSeconds + bucket.audioSeconds,
+    promptTokens: sum.promptTokens + bucket.promptTokens,
+    completionTokens: sum.completionTokens + bucket.completionTokens,
+    speechCharacters: sum.speechCharacters + bucket.speechCharacters,
+    cost: sum.cost + bucket.cost,
+    unpriced: sum.unpriced + bucket.unpriced
+  }), { requests: 0, audioSeconds: 0, promptTokens: 0, completionTokens: 0, speechCharacters: 0, cost: 0, unpriced: 0 });
+
+  return {
+    requests: totals.requests,
+    audioMinutes: round(totals.audioSeconds / 60),
+    promptTokens: totals.promptTokens,
+    completionTokens: totals.completionTokens,
+    speechCharacters: totals.speechCharacters,
+    cost: round(totals.cost, COST_DECIMALS),
+    unpriced: totals.unpriced
+  };
+}
+
+// Value of hourly totals for each GROUP_BY dimension
+const GROUP_KEYS = {
+  day: bucket => bucket.hour.slice(0, 10),
+  endpoint: bucket => bucket.endpoint,
+  model: bucket => bucket.model,
+  apiKey: bucket => bucket.apiKeyId
+};
+
+/**
+ * Summarise hourly totals, in total and grouped
+ * A request counts once, in the group of its first metered call, so the groups add up to the totals.
+ * @param {Array<Object>} buckets - Hourly totals from the ledger
+ * @param {Array<string>} groupBy - Dimensions from GROUP_BY to group by, in order
+ * @returns {Object} - `{ totals, groups }`; each group is `{ day, endpoint, model, apiKey, ...totals }`
+ *   with only the grouped dimensions, sorted by them
+ */
+function summarizeUsage(buckets, groupBy = []) {
+  const groups = new Map();
+
+  for (const bucket of buckets) {
+    const key = Object.fromEntries(groupBy.map(dimension => [dimension, GROUP_KEYS[dimension](bucket)]));
+    const id = JSON.stringify(key);
+
+    if (!groups.has(id)) {
+      groups.set(id, { key, buckets: [] });
+    }
+    groups.get(id).buckets.push(bucket);
+  }
+
+  return {
+    totals: totalUsage(buckets),
+    groups: groupBy.length === 0 ? [] : [...groups.keys()]
+      .sort()
+      .map(id => ({ ...groups.get(id).key, ...totalUsage(groups.get(id).buckets) }))
+  };
+}
+
+module.exports = {
+  GROUP_BY,
+  estimateCost,
+  createUsageLedger,
+  getUsageLedger,
+  createMeteredContext
+};
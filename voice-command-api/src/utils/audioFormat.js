@@ -0,0 +1,350 @@
+const { createHttpError } = require('./httpError');
+
+/**
+ * Helpers for audio formats
+ *
+ * Containers are detected from their magic bytes rather than the client's
+ * Content-Type or filename, since browsers label MediaRecorder output loosely.
+ */
+
+// Containers accepted by the speech providers
+const SUPPORTED_FORMATS = {
+  wav: { mimeType: 'audio/wav', extension: 'wav' },
+  webm: { mimeType: 'audio/webm', extension: 'webm' },
+  ogg: { mimeType: 'audio/ogg', extension: 'ogg' },
+  mp3: { mimeType: 'audio/mpeg', extension: 'mp3' },
+  mp4: { mimeType: 'audio/mp4', extension: 'm4a' },
+  flac: { mimeType: 'audio/flac', extension: 'flac' }
+};
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+// MPEG audio frame sync, excluding layer bits 00 (used by ADTS AAC)
+const isMpegFrame = (buffer, offset) =>
+  buffer.length > offset + 3 &&
+  buffer[offset] === 0xff &&
+  (buffer[offset + 1] & 0xe0) === 0xe0 &&
+  ((buffer[offset + 1] >> 1) & 0x03) !== 0;
+
+// Size of an ID3v2 tag at the start of the buffer, 0 if there is none
+function id3Size(buffer) {
+  if (buffer.length < 10 || ascii(buffer, 0, 3) !== 'ID3') {
+    return 0;
+  }
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  return 10 + size;
+}
+
+/**
+ * Detect the audio container from its magic bytes
+ * @param {Buffer} buffer - Audio data
+ * @returns {string|null} - Key of SUPPORTED_FORMATS, or null if unsupported
+ */
+function detectFormat(buffer) {
+  if (buffer.length < 12) {
+    return null;
+  }
+
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WAVE') {
+    return 'wav';
+  }
+
+  // EBML header; Matroska files other than WebM are not accepted by the providers
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return ascii(buffer, 0, 64).includes('webm') ? 'webm' : null;
+  }
+
+  if (ascii(buffer, 0, 4) === 'OggS') {
+    return 'ogg';
+  }
+
+  if (ascii(buffer, 0, 4) === 'fLaC') {
+    return 'flac';
+  }
+
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    return 'mp4';
+  }
+
+  if (isMpegFrame(buffer, id3Size(buffer))) {
+    return 'mp3';
+  }
+
+  return null;
+}
+
+// Limits of the WAV layouts we accept, well beyond anything a microphone records
+const MAX_WAV_CHANNELS = 8;
+const MIN_WAV_SAMPLE_RATE = 1000;
+const MAX_WAV_SAMPLE_RATE = 384000;
+const WAV_BITS_PER_SAMPLE = [8, 16, 24, 32];
+
+/**
+ * Read the layout from a WAV fmt chunk
+ *
+ * The rates and sizes in the header are redundant, so any that disagree or are out
+ * of range mark a corrupt or crafted file rather than audio we could play.
+ * @param {Buffer} buffer - WAV data
+ * @param {number} offset - Offset of the fmt chunk
+ * @returns {Object|null} - `{ audioFormat, channels, sampleRate, blockAlign, bitsPerSample }`, or null if invalid
+ */
+function readWavFormat(buffer, offset) {
+  if (offset + 24 > buffer.length) {
+    return null;
+  }
+
+  const format = {
+    audioFormat: buffer.readUInt16LE(offset + 8),
+    channels: buffer.readUInt16LE(offset + 10),
+    sampleRate: buffer.readUInt32LE(offset + 12),
+    blockAlign: buffer.readUInt16LE(offset + 20),
+    bitsPerSample: buffer.readUInt16LE(offset + 22)
+  };
+  const byteRate = buffer.readUInt32LE(offset + 16);
+
+  const valid =
+    format.channels >= 1 && format.channels <= MAX_WAV_CHANNELS &&
+    format.sampleRate >= MIN_WAV_SAMPLE_RATE && format.sampleRate <= MAX_WAV_SAMPLE_RATE &&
+    WAV_BITS_PER_SAMPLE.includes(format.bitsPerSample) &&
+    format.blockAlign === format.channels * (format.bitsPerSample / 8) &&
+    byteRate === format.sampleRate * format.blockAlign;
+
+  return valid ? format : null;
+}
+
+function wavDuration(buffer) {
+  let offset = 12;
+  let format = null;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = ascii(buffer, offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+
+    if (chunkId === 'fmt ') {
+      format = readWavFormat(buffer, offset);
+    } else if (chunkId === 'data') {
+      // Streamed WAVs may declare a placeholder size, so never count past the end of the buffer
+      const dataSize = Math.min(chunkSize, buffer.length - offset - 8);
+      return format ? dataSize / (format.sampleRate * format.blockAlign) : null;
+    }
+
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+}
+
+const MP3_BITRATES = {
+  // MPEG-1 layers III, II, I
+  1: [
+    [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448]
+  ],
+  // MPEG-2 and 2.5 layers III, II, I
+  2: [
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256]
+  ]
+};
+
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000] // MPEG-2.5
+};
+
+function mp3Duration(buffer) {
+  const offset = id3Size(buffer);
+  if (!isMpegFrame(buffer, offset)) {
+    return null;
+  }
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRate = (MP3_SAMPLE_RATES[versionBits] || [])[(buffer[offset + 2] >> 2) & 0x03];
+  const bitrate = MP3_BITRATES[versionBits === 3 ? 1 : 2][layerBits - 1][bitrateIndex];
+
+  if (!sampleRate || !bitrate) {
+    return null;
+  }
+
+  // A Xing/Info header in the first frame gives the exact frame count for VBR files
+  const samplesPerFrame = layerBits === 3 ? 384 : (layerBits === 1 && versionBits !== 3 ? 576 : 1152);
+  const firstFrame = buffer.subarray(offset, offset + 200);
+  const xingOffset = Math.max(firstFrame.indexOf('Xing'), firstFrame.indexOf('Info'));
+
+  if (xingOffset !== -1 && (firstFrame.readUInt32BE(xingOffset + 4) & 0x01)) {
+    const frames = firstFrame.readUInt32BE(xingOffset + 8);
+    return (frames * samplesPerFrame) / sampleRate;
+  }
+
+  // Otherwise assume a constant bitrate
+  return ((buffer.length - offset) * 8) / (bitrate * 1000);
+}
+
+function flacDuration(buffer) {
+  // STREAMINFO is always the first metadata block
+  if (buffer.length < 26) {
+    return null;
+  }
+
+  const sampleRate = (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4);
+  const totalSamples = (buffer[21] & 0x0f) * 2 ** 32 + buffer.readUInt32BE(22);
+
+  return sampleRate && totalSamples ? totalSamples / sampleRate : null;
+}
+
+function oggDuration(buffer) {
+  let sampleRate = null;
+  let preSkip = 0;
+
+  const opusHead = buffer.indexOf('OpusHead');
+  const vorbisHead = buffer.indexOf('\x01vorbis');
+
+  if (opusHead !== -1 && opusHead + 12 <= buffer.length) {
+    // Opus granule positions always count 48kHz samples
+    sampleRate = 48000;
+    preSkip = buffer.readUInt16LE(opusHead + 10);
+  } else if (vorbisHead !== -1 && vorbisHead + 16 <= buffer.length) {
+    sampleRate = buffer.readUInt32LE(vorbisHead + 12);
+  }
+
+  // The last page's granule position is the total number of samples
+  const lastPage = buffer.lastIndexOf('OggS');
+  if (!sampleRate || lastPage === -1 || lastPage + 14 > buffer.length) {
+    return null;
+  }
+
+  const granule = Number(buffer.readBigUInt64LE(lastPage + 6));
+  return granule > preSkip ? (granule - preSkip) / sampleRate : null;
+}
+
+function webmDuration(buffer) {
+  // Only look at the header, before the first Cluster, to avoid matching bytes inside audio frames
+  const cluster = buffer.indexOf(Buffer.from([0x1f, 0x43, 0xb6, 0x75]));
+  const header = buffer.subarray(0, cluster === -1 ? Math.min(buffer.length, 4096) : cluster);
+
+  // Duration element; MediaRecorder output usually omits it
+  const durationId = header.indexOf(Buffer.from([0x44, 0x89]));
+  if (durationId === -1 || durationId + 3 > header.length) {
+    return null;
+  }
+
+  let duration = null;
+  if (header[durationId + 2] === 0x84 && durationId + 7 <= header.length) {
+    duration = header.readFloatBE(durationId + 3);
+  } else if (header[durationId + 2] === 0x88 && durationId + 11 <= header.length) {
+    duration = header.readDoubleBE(durationId + 3);
+  }
+
+  // TimecodeScale in nanoseconds, 1ms unless stated otherwise
+  let timecodeScale = 1000000;
+  const scaleId = header.indexOf(Buffer.from([0x2a, 0xd7, 0xb1]));
+  if (scaleId !== -1 && scaleId + 4 <= header.length) {
+    const size = header[scaleId + 3] & 0x0f;
+    if (size > 0 && size <= 6 && scaleId + 4 + size <= header.length) {
+      timecodeScale = header.readUIntBE(scaleId + 4, size);
+    }
+  }
+
+  return duration ? (duration * timecodeScale) / 1e9 : null;
+}
+
+function mp4Duration(buffer) {
+  const mvhd = buffer.indexOf('mvhd');
+  if (mvhd === -1) {
+    return null;
+  }
+
+  const version = buffer[mvhd + 4];
+  const fields = mvhd + 5 + 3;
+
+  if (version === 1 && fields + 28 <= buffer.length) {
+    const timescale = buffer.readUInt32BE(fields + 16);
+    const duration = Number(buffer.readBigUInt64BE(fields + 20));
+    return timescale ? duration / timescale : null;
+  }
+
+  if (fields + 16 <= buffer.length) {
+    const timescale = buffer.readUInt32BE(fields + 8);
+    const duration = buffer.readUInt32BE(fields + 12);
+    return timescale ? duration / timescale : null;
+  }
+
+  return null;
+}
+
+const DURATION_PARSERS = {
+  wav: wavDuration,
+  mp3: mp3Duration,
+  flac: flacDuration,
+  ogg: oggDuration,
+  webm: webmDuration,
+  mp4: mp4Duration
+};
+
+/**
+ * Estimate the duration of audio in a detected container
+ * @param {Buffer} buffer - Audio data
+ * @param {string} format - Key of SUPPORTED_FORMATS
+ * @returns {number|null} - Duration in seconds, or null if the container does not record it
+ */
+function getDuration(buffer, format) {
+  try {
+    const duration = DURATION_PARSERS[format](buffer);
+    return Number.isFinite(duration) && duration > 0 ? Math.round(duration * 1000) / 1000 : null;
+  } catch (error) {
+    // Truncated or unusual headers only cost us the duration
+    return null;
+  }
+}
+
+// Bitrate assumed when the container does not record a duration, typical of MediaRecorder Opus
+const ASSUMED_BITS_PER_SECOND = 32000;
+
+/**
+ * Length of audio for metering, estimated from its size when the duration is unknown
+ * @param {Object} audio - Audio input from describeAudio
+ * @returns {number} - Duration in seconds
+ */
+function meteredDuration(audio) {
+  return audio.duration || Math.round((audio.buffer.length * 8 / ASSUMED_BITS_PER_SECOND) * 1000) / 1000;
+}
+
+/**
+ * Build the audio input for a speech provider from raw bytes
+ * @param {Buffer} buffer - Audio data
+ * @returns {Object} - `{ buffer, filename, mimeType, format, duration }`
+ * @throws {Error} - 415 error if the container is not supported
+ */
+function describeAudio(buffer) {
+  const format = detectFormat(buffer);
+
+  if (!format) {
+    throw createHttpError(415, 'Unsupported audio format', {
+      supportedFormats: Object.keys(SUPPORTED_FORMATS)
+    });
+  }
+
+  const { mimeType, extension } = SUPPORTED_FORMATS[format];
+
+  return {
+    buffer,
+    filename: `audio-${Date.now()}.${extension}`,
+    mimeType,
+    format,
+    duration: getDuration(buffer, format)
+  };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  detectFormat,
+  getDuration,
+  meteredDuration,
+  describeAudio,
+  readWavFormat
+};
@@ -0,0 +1,289 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { createHttpError } = require('./httpError');
+const { readWavFormat } = require('./audioFormat');
+
+/**
+ * Splitting of long audio into segments the speech providers accept
+ *
+ * Segments are cut in the quietest part of the last few seconds before the target
+ * length, so words are rarely split, and each segment starts slightly before the
+ * previous cut so nothing is lost when they are. PCM WAV is split directly; other
+ * containers are first decoded to 16kHz mono WAV with ffmpeg when it is installed.
+ */
+
+const DEFAULT_SEGMENT_SECONDS = 600;
+
+// Segments must be well over the overlap for the cuts to move forward
+const MIN_SEGMENT_SECONDS = 10;
+
+// Audio repeated at the start of each segment, removed again when stitching the text
+const OVERLAP_SECONDS = 2;
+
+// How far back from the target cut to look for silence
+const SILENCE_SEARCH_SECONDS = 15;
+
+const FRAME_MS = 20;
+
+// Whisper rejects uploads over 25MB, leave headroom for the multipart envelope
+const MAX_SEGMENT_BYTES = 24 * 1024 * 1024;
+
+const DECODED_SAMPLE_RATE = 16000;
+
+const toSeconds = (blocks, sampleRate) => Math.round((blocks / sampleRate) * 1000) / 1000;
+
+function getSegmentSeconds() {
+  return Math.max(MIN_SEGMENT_SECONDS, Number(process.env.TRANSCRIPTION_SEGMENT_SECONDS) || DEFAULT_SEGMENT_SECONDS);
+}
+
+/**
+ * Read the PCM layout and sample data of a WAV file
+ * @param {Buffer} buffer - WAV data
+ * @returns {Object|null} - `{ channels, sampleRate, bitsPerSample, blockAlign, data }`, or null if not PCM
+ */
+function parseWav(buffer) {
+  let offset = 12;
+  let fmt = null;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('latin1', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+
+    if (chunkId === 'fmt ') {
+      fmt = readWavFormat(buffer, offset);
+    } else if (chunkId === 'data') {
+      // 1 is integer PCM, 0xfffe is WAVE_FORMAT_EXTENSIBLE which may also wrap PCM
+      if (!fmt || ![1, 0xfffe].includes(fmt.audioFormat)) {
+        return null;
+      }
+      // Streamed WAVs may declare a placeholder size
+      const end = Math.min(offset + 8 + chunkSize, buffer.length);
+      const data = buffer.subarray(offset + 8, end - ((end - offset - 8) % fmt.blockAlign));
+      return { ...fmt, data };
+    }
+
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+}
+
+/**
+ * Wrap PCM samples in a WAV header
+ * @param {Buffer} data - Interleaved PCM samples
+ * @param {Object} layout - `{ channels, sampleRate, bitsPerSample, blockAlign }`
+ * @returns {Buffer} - WAV file
+ */
+function buildWav(data, { channels, sampleRate, bitsPerSample, blockAlign }) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Decode any container to 16kHz mono PCM with ffmpeg
+ * @param {Buffer} buffer - Audio data
+ * @returns {Promise<Object|null>} - PCM layout and data as from parseWav, or null if ffmpeg is not installed
+ */
+async function decodeWithFfmpeg(buffer) {
+  // MP4 keeps its index at the end of the file, so ffmpeg needs a seekable input rather than a pipe
+  const inputPath = path.join(os.tmpdir(), `segment-${crypto.randomUUID()}`);
+  await fs.writeFile(inputPath, buffer);
+
+  try {
+    const data = await new Promise((resolve, reject) => {
+      const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+        '-v', 'error',
+        '-i', inputPath,
+        '-f', 's16le', '-ac', '1', '-ar', String(DECODED_SAMPLE_RATE),
+        'pipe:1'
+      ]);
+      const output = [];
+      let stderr = '';
+
+      ffmpeg.stdout.on('data', (chunk) => output.push(chunk));
+      ffmpeg.stderr.on('data', (chunk) => { stderr += chunk; });
+      ffmpeg.on('error', (error) => (error.code === 'ENOENT' ? resolve(null) : reject(error)));
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve(Buffer.concat(output));
+        } else {
+          reject(createHttpError(422, 'Could not decode audio for splitting', stderr.trim() || `ffmpeg exited with ${code}`));
+        }
+      });
+    });
+
+    return data && {
+      channels: 1,
+      sampleRate: DECODED_SAMPLE_RATE,
+      bitsPerSample: 16,
+      blockAlign: 2,
+      data
+    };
+  } finally {
+    await fs.unlink(inputPath).catch(() => {});
+  }
+}
+
+/**
+ * Find the quietest frame in a range of 16-bit PCM
+ * @param {Object} pcm - PCM layout and data
+ * @param {number} from - First block of the range
+ * @param {number} to - Block after the range
+ * @returns {number} - Block at the middle of the quietest frame, or `to` if energy cannot be measured
+ */
+function findQuietestBlock(pcm, from, to) {
+  if (pcm.bitsPerSample !== 16) {
+    return to;
+  }
+
+  const frameBlocks = Math.max(1, Math.round((pcm.sampleRate * FRAME_MS) / 1000));
+  let quietest = to;
+  let lowestEnergy = Infinity;
+
+  // Walk backwards so ties favour the latest cut and the longest segment
+  for (let frameEnd = to; frameEnd - frameBlocks >= from; frameEnd -= frameBlocks) {
+    let energy = 0;
+    for (let block = frameEnd - frameBlocks; block < frameEnd; block++) {
+      // The first channel is enough to find pauses
+      const sample = pcm.data.readInt16LE(block * pcm.blockAlign);
+      energy += sample * sample;
+    }
+    if (energy < lowestEnergy) {
+      lowestEnergy = energy;
+      quietest = frameEnd - Math.floor(frameBlocks / 2);
+    }
+  }
+
+  return quietest;
+}
+
+/**
+ * Split audio into overlapping WAV segments if it is too long for one provider request
+ * @param {Object} audio - Audio input ({ buffer, format, duration })
+ * @param {Object} [options] - Split options
+ * @param {number} [options.segmentSeconds] - Target segment length, defaults to TRANSCRIPTION_SEGMENT_SECONDS
+ * @returns {Promise<Array|null>} - `[{ audio, start, end }]` with offsets in seconds, or null if no split is needed
+ * @throws {Error} - 413 error if the audio is over the provider limit and cannot be decoded
+ */
+async function splitAudio(audio, { segmentSeconds = getSegmentSeconds() } = {}) {
+  const tooLarge = audio.buffer.length > MAX_SEGMENT_BYTES;
+  const tooLong = audio.duration > segmentSeconds;
+
+  if (!tooLarge && !tooLong) {
+    return null;
+  }
+
+  segmentSeconds = Math.max(MIN_SEGMENT_SECONDS, segmentSeconds);
+  const pcm = (audio.format === 'wav' && parseWav(audio.buffer)) || await decodeWithFfmpeg(audio.buffer);
+
+  if (!pcm) {
+    if (tooLarge) {
+      throw createHttpError(413, 'Audio is too large to transcribe in one request and cannot be split', {
+        maxBytes: MAX_SEGMENT_BYTES,
+        hint: 'Upload PCM WAV or install ffmpeg on the server to enable splitting'
+      });
+    }
+    // Within the provider limit, so it can still be sent whole
+    return null;
+  }
+
+  const bytesPerSecond = pcm.sampleRate * pcm.blockAlign;
+  const totalBlocks = pcm.data.length / pcm.blockAlign;
+  const overlapBlocks = OVERLAP_SECONDS * pcm.sampleRate;
+  const segmentBlocks = Math.floor(Math.min(segmentSeconds, MAX_SEGMENT_BYTES / bytesPerSecond - OVERLAP_SECONDS) * pcm.sampleRate);
+
+  if (!(overlapBlocks > 0 && segmentBlocks > overlapBlocks)) {
+    throw createHttpError(422, 'Audio layout leaves no room for segments within the provider limit', {
+      sampleRate: pcm.sampleRate,
+      channels: pcm.channels,
+      bitsPerSample: pcm.bitsPerSample
+    });
+  }
+
+  // Keep the earliest possible cut past the previous one, so every segment moves forward
+  const searchBlocks = Math.min(SILENCE_SEARCH_SECONDS * pcm.sampleRate, Math.floor((segmentBlocks - overlapBlocks) / 2));
+
+  const segments = [];
+  let cut = 0;
+
+  while (cut < totalBlocks) {
+    const start = Math.max(0, cut - overlapBlocks);
+    let end = start + segmentBlocks;
+
+    if (end >= totalBlocks) {
+      end = totalBlocks;
+    } else {
+      end = findQuietestBlock(pcm, end - searchBlocks, end);
+    }
+
+    const buffer = buildWav(pcm.data.subarray(start * pcm.blockAlign, end * pcm.blockAlign), pcm);
+    segments.push({
+      audio: {
+        buffer,
+        filename: `segment-${segments.length}.wav`,
+        mimeType: 'audio/wav',
+        format: 'wav',
+        duration: toSeconds(end - start, pcm.sampleRate)
+      },
+      start: toSeconds(start, pcm.sampleRate),
+      end: toSeconds(end, pcm.sampleRate)
+    });
+
+    if (end <= cut) {
+      throw new Error(`Audio segmentation did not advance past block ${cut}`);
+    }
+    cut = end;
+  }
+
+  return segments.length > 1 ? segments : null;
+}
+
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+/**
+ * Join the transcript of a segment onto the text so far, dropping words repeated by the overlap
+ * @param {string} previous - Transcript so far
+ * @param {string} next - Transcript of the next segment
+ * @returns {string} - The part of `next` that is not already in `previous`
+ */
+function removeOverlap(previous, next) {
+  if (!previous.trim()) {
+    return next.trim();
+  }
+
+  const previousWords = previous.trim().split(/\s+/).map(normalizeWord);
+  const nextWords = next.trim().split(/\s+/);
+  const nextNormalized = nextWords.map(normalizeWord);
+
+  // A couple of seconds of speech is well under 20 words
+  for (let length = Math.min(20, previousWords.length, nextWords.length); length > 0; length--) {
+    const tail = previousWords.slice(-length);
+    if (tail.every((word, index) => word === nextNormalized[index])) {
+      return nextWords.slice(length).join(' ');
+    }
+  }
+
+  return next.trim();
+}
+
+module.exports = {
+  buildWav,
+  splitAudio,
+  removeOverlap
+};
@@ -0,0 +1,54 @@
+/**
+ * Caption file formats built from timestamped transcript segments
+ */
+
+/**
+ * Format seconds as a caption timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Separator before the milliseconds, `,` for SRT and `.` for WebVTT
+ * @returns {string} - `HH:MM:SS,mmm` or `HH:MM:SS.mmm`
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Build a SubRip (.srt) file
+ * @param {Array<Object>} segments - Segments with `start`, `end` and `text`
+ * @returns {string} - SRT captions
+ */
+function toSrt(segments) {
+  return segments
+    .map((segment, index) => [
+      index + 1,
+      `${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}`,
+      segment.text
+    ].join('\n'))
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Build a WebVTT (.vtt) file
+ * @param {Array<Object>} segments - Segments with `start`, `end` and `text`
+ * @returns {string} - WebVTT captions
+ */
+function toVtt(segments) {
+  const cues = segments.map(segment => [
+    `${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}`,
+    segment.text
+  ].join('\n'));
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+module.exports = {
+  toSrt,
+  toVtt
+};
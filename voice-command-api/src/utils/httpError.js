@@ -0,0 +1,18 @@
+/**
+ * Create an Error carrying an HTTP status code.
+ * Controllers respond with `error.status` when present and fall back to 500.
+ * @param {number} status - HTTP status code to respond with
+ * @param {string} message - Error message returned to the client
+ * @param {*} [details] - Additional error details returned to the client
+ * @returns {Error} - Error with `status` and `details` properties
+ */
+function createHttpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
+
+module.exports = { createHttpError };
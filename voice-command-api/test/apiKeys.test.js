@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+process.env.API_KEYS_FILE = path.join(dir, 'api-keys.json');
+process.env.ADMIN_API_KEY = 'admin-secret';
+
+const { createApiKeyStore, getApiKeyStore, authorize, checkQuota } = require('../src/services/apiKeys');
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const requestWith = (headers, url = '/api/audio/transcribe') => ({ headers, url });
+
+test('issues keys that are stored hashed and found again', () => {
+  const file = path.join(dir, 'store.json');
+  const store = createApiKeyStore({ file });
+  const { key, apiKey } = store.create({ name: 'Mobile app', quotas: { audioMinutes: 10 } });
+
+  expect(key).toMatch(/^vca_/);
+  expect(store.findByKey(key).id).toBe(apiKey.id);
+  expect(store.findByKey('vca_unknown')).toBeNull();
+  expect(fs.readFileSync(file, 'utf8')).not.toContain(key);
+  expect(apiKey.quotas).toEqual({ audioMinutes: 10, llmTokens: null, speechCharacters: null });
+});
+
+test('does not find revoked keys', () => {
+  const store = createApiKeyStore({ file: path.join(dir, 'revoked.json') });
+  const { key, apiKey } = store.create({ name: 'Old' });
+
+  store.revoke(apiKey.id);
+
+  expect(store.findByKey(key)).toBeNull();
+  expect(store.get(apiKey.id).revokedAt).toBeTruthy();
+});
+
+test('counts usage in memory and saves it on flush', () => {
+  const file = path.join(dir, 'usage.json');
+  const store = createApiKeyStore({ file });
+  const { apiKey } = store.create({ name: 'Counted' });
+
+  store.recordUsage(apiKey.id, { audioSeconds: 90, tokens: 120, speechCharacters: 40 });
+
+  expect(store.get(apiKey.id).usage).toMatchObject({ audioMinutes: 1.5, llmTokens: 120, speechCharacters: 40 });
+  expect(JSON.parse(fs.readFileSync(file, 'utf8')).keys[0].usage).toBeNull();
+
+  store.flush();
+  expect(JSON.parse(fs.readFileSync(file, 'utf8')).keys[0].usage.audioSeconds).toBe(90);
+});
+
+test('rejects keys over a quota with 429 until the month ends', () => {
+  const { apiKey } = getApiKeyStore().create({ name: 'Limited', quotas: { llmTokens: 100 } });
+
+  expect(() => checkQuota(apiKey, ['llmTokens'])).not.toThrow();
+  getApiKeyStore().recordUsage(apiKey.id, { tokens: 100 });
+
+  let error;
+  try {
+    checkQuota(apiKey, ['llmTokens']);
+  } catch (err) {
+    error = err;
+  }
+  expect(error.status).toBe(429);
+  expect(error.details.quota).toBe('llmTokens');
+  expect(error.retryAfter).toBeGreaterThan(0);
+  // Other quotas are not blocked
+  expect(() => checkQuota(apiKey, ['audioMinutes'])).not.toThrow();
+});
+
+test('authorizes issued keys from headers, bearer tokens and the query string', () => {
+  const { key, apiKey } = getApiKeyStore().create({ name: 'Client' });
+
+  expect(authorize(requestWith({ 'x-api-key': key })).apiKey.id).toBe(apiKey.id);
+  expect(authorize(requestWith({ authorization: `Bearer ${key}` })).apiKey.id).toBe(apiKey.id);
+  expect(authorize(requestWith({}, `/api/audio/stream?apiKey=${key}`)).apiKey.id).toBe(apiKey.id);
+  expect(authorize(requestWith({ 'x-api-key': 'admin-secret' }))).toEqual({ apiKey: null, admin: true, credentials: 'admin-secret' });
+});
+
+test('rejects missing, unknown and non-admin keys', () => {
+  const { key } = getApiKeyStore().create({ name: 'Not admin' });
+
+  expect(() => authorize(requestWith({}))).toThrow(expect.objectContaining({ status: 401 }));
+  expect(() => authorize(requestWith({ 'x-api-key': 'vca_wrong' }))).toThrow(expect.objectContaining({ status: 401 }));
+  expect(() => authorize(requestWith({ 'x-api-key': key }), { admin: true })).toThrow(expect.objectContaining({ status: 403 }));
+});
+
+test('rate limits each key per minute', () => {
+  const { key } = getApiKeyStore().create({ name: 'Busy', rateLimit: 2 });
+  const request = requestWith({ 'x-api-key': key });
+
+  authorize(request);
+  authorize(request);
+
+  expect(() => authorize(request)).toThrow(expect.objectContaining({ status: 429, retryAfter: expect.any(Number) }));
+});
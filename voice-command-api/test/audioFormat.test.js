@@ -0,0 +1,45 @@
+const { detectFormat, getDuration, meteredDuration, describeAudio } = require('../src/utils/audioFormat');
+const { buildWav } = require('../src/utils/audioSegmenter');
+
+const MONO_16K = { channels: 1, sampleRate: 16000, bitsPerSample: 16, blockAlign: 2 };
+
+const withMagic = (magic, offset = 0) => {
+  const buffer = Buffer.alloc(64);
+  buffer.write(magic, offset, 'latin1');
+  return buffer;
+};
+
+test('detects containers from their magic bytes', () => {
+  expect(detectFormat(buildWav(Buffer.alloc(32), MONO_16K))).toBe('wav');
+  expect(detectFormat(withMagic('OggS'))).toBe('ogg');
+  expect(detectFormat(withMagic('fLaC'))).toBe('flac');
+  expect(detectFormat(withMagic('ftyp', 4))).toBe('mp4');
+  expect(detectFormat(Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.from('....webm'), Buffer.alloc(8)]))).toBe('webm');
+  expect(detectFormat(Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x00]), Buffer.alloc(12)]))).toBe('mp3');
+});
+
+test('rejects unknown and truncated data', () => {
+  expect(detectFormat(Buffer.from('not audio at all'))).toBeNull();
+  expect(detectFormat(Buffer.from('RIFF'))).toBeNull();
+  expect(() => describeAudio(Buffer.from('plain text, not audio'))).toThrow(expect.objectContaining({ status: 415 }));
+});
+
+test('reads the duration of a WAV from its data length', () => {
+  const wav = buildWav(Buffer.alloc(16000 * 2 * 3), MONO_16K);
+
+  expect(getDuration(wav, 'wav')).toBe(3);
+  expect(describeAudio(wav)).toMatchObject({ format: 'wav', mimeType: 'audio/wav', duration: 3 });
+});
+
+test('counts no more data than a streamed WAV holds', () => {
+  const wav = buildWav(Buffer.alloc(16000 * 2), MONO_16K);
+  // Streaming encoders write a placeholder size before they know the length
+  wav.writeUInt32LE(0xffffffff, 40);
+
+  expect(getDuration(wav, 'wav')).toBe(1);
+});
+
+test('meters audio without a duration by its size', () => {
+  expect(meteredDuration({ buffer: Buffer.alloc(4000), duration: null })).toBe(1);
+  expect(meteredDuration({ buffer: Buffer.alloc(4000), duration: 12.5 })).toBe(12.5);
+});
@@ -0,0 +1,76 @@
+const { buildWav, splitAudio, removeOverlap } = require('../src/utils/audioSegmenter');
+const { describeAudio } = require('../src/utils/audioFormat');
+
+const MONO_8K = { channels: 1, sampleRate: 8000, bitsPerSample: 16, blockAlign: 2 };
+
+// Steady tone with a short silent gap at each of the given seconds
+function speech(seconds, pauses = []) {
+  const data = Buffer.alloc(seconds * MONO_8K.sampleRate * 2);
+  for (let block = 0; block < seconds * MONO_8K.sampleRate; block++) {
+    const second = block / MONO_8K.sampleRate;
+    const paused = pauses.some(pause => second >= pause && second < pause + 0.2);
+    data.writeInt16LE(paused ? 0 : (block % 2 ? 8000 : -8000), block * 2);
+  }
+  return describeAudio(buildWav(data, MONO_8K));
+}
+
+// A WAV whose fmt chunk claims 2 billion samples a second but a byte rate of 1
+function craftedWav() {
+  const wav = buildWav(Buffer.alloc(4096 - 44), MONO_8K);
+  wav.writeUInt32LE(2e9, 24);
+  wav.writeUInt32LE(1, 28);
+  return wav;
+}
+
+test('does not split audio shorter than a segment', async () => {
+  expect(await splitAudio(speech(5), { segmentSeconds: 10 })).toBeNull();
+});
+
+test('splits long audio into overlapping segments cut at pauses', async () => {
+  const segments = await splitAudio(speech(20, [8.5, 15]), { segmentSeconds: 10 });
+
+  expect(segments).toHaveLength(3);
+  expect(segments[0].end).toBeGreaterThanOrEqual(8.5);
+  expect(segments[0].end).toBeLessThanOrEqual(8.7);
+  expect(segments[1].end).toBeGreaterThanOrEqual(15);
+  expect(segments[1].end).toBeLessThanOrEqual(15.2);
+  expect(segments[2].end).toBe(20);
+
+  // Each segment repeats the last two seconds before the previous cut
+  expect(segments[1].start).toBeCloseTo(segments[0].end - 2, 3);
+  expect(segments[2].start).toBeCloseTo(segments[1].end - 2, 3);
+  expect(segments[0].audio).toMatchObject({ format: 'wav', mimeType: 'audio/wav', duration: segments[0].end });
+  expect(describeAudio(segments[1].audio.buffer).duration).toBe(segments[1].audio.duration);
+});
+
+test('covers every block of the audio', async () => {
+  const segments = await splitAudio(speech(40), { segmentSeconds: 10 });
+
+  expect(segments[0].start).toBe(0);
+  expect(segments[segments.length - 1].end).toBe(40);
+  segments.slice(1).forEach((segment, index) => {
+    expect(segment.start).toBeLessThan(segments[index].end);
+    expect(segment.end).toBeGreaterThan(segments[index].end);
+  });
+});
+
+test('does not trust WAV headers whose rates disagree', async () => {
+  const wav = craftedWav();
+
+  expect(describeAudio(wav).duration).toBeNull();
+
+  // Without ffmpeg to fall back on, the rejected WAV is sent whole rather than split
+  process.env.FFMPEG_PATH = '/nonexistent/ffmpeg';
+  try {
+    // Claimed long enough to split; must finish rather than loop forever
+    expect(await splitAudio({ buffer: wav, format: 'wav', duration: 4000 })).toBeNull();
+  } finally {
+    delete process.env.FFMPEG_PATH;
+  }
+});
+
+test('drops words repeated by the overlap when stitching', () => {
+  expect(removeOverlap('we should ship the export fix', 'the export fix by Friday.')).toBe('by Friday.');
+  expect(removeOverlap('', ' first words ')).toBe('first words');
+  expect(removeOverlap('nothing shared', 'here at all')).toBe('here at all');
+});
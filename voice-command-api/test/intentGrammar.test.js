@@ -0,0 +1,58 @@
+const { matchIntent } = require('../src/services/commands/intentGrammar');
+
+test('reads the target language named before the content', () => {
+  expect(matchIntent('translate to Spanish: good morning')).toEqual({
+    intent: { commandType: 'translate', command: 'translate to Spanish', content: 'good morning', targetLanguage: 'Spanish' },
+    confidence: 0.95
+  });
+});
+
+test('reads several target languages', () => {
+  const { intent, confidence } = matchIntent('translate to Spanish, French and German: hi');
+
+  expect(intent.targetLanguages).toEqual(['Spanish', 'French', 'German']);
+  expect(intent.content).toBe('hi');
+  expect(confidence).toBe(0.95);
+});
+
+test('reads target languages named after the content', () => {
+  expect(matchIntent('please translate hello to french').intent).toEqual({
+    commandType: 'translate',
+    command: 'translate',
+    content: 'hello',
+    targetLanguage: 'French'
+  });
+  expect(matchIntent('translate good morning to French and German').intent.targetLanguages).toEqual(['French', 'German']);
+});
+
+test('leaves content ending in "to" and an unknown word to the LLM', () => {
+  const { intent, confidence } = matchIntent('translate this: I want to go to school');
+
+  expect(intent.content).toBe('I want to go to school');
+  expect(intent.targetLanguage).toBe('English');
+  expect(confidence).toBe(0.5);
+});
+
+test('lowers the confidence for unknown languages and spoken two-letter words', () => {
+  expect(matchIntent('hey can you please translate to klingon hello').confidence).toBe(0.5);
+  expect(matchIntent('translate to it').confidence).toBe(0.5);
+});
+
+test('requires a word boundary after command words', () => {
+  expect(matchIntent('translated text is here')).toBeNull();
+  expect(matchIntent('helpful tips')).toBeNull();
+  expect(matchIntent('summarized notes')).toBeNull();
+});
+
+test('matches summarize, transcribe, model and help commands', () => {
+  expect(matchIntent('summarize this').intent).toEqual({ commandType: 'summarize', command: 'summarize this', content: '', focus: 'summary' });
+  expect(matchIntent('give me the action items').intent.focus).toBe('action_items');
+  expect(matchIntent('transcribe this: hello').intent).toEqual({ commandType: 'transcribe', command: 'transcribe this', content: 'hello' });
+  expect(matchIntent('what models are available').intent.commandType).toBe('list_models');
+  expect(matchIntent('help').intent.commandType).toBe('help');
+});
+
+test('does not match ordinary speech', () => {
+  expect(matchIntent('we agreed to translate the docs next week')).toBeNull();
+  expect(matchIntent('')).toBeNull();
+});
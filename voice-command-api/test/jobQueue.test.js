@@ -0,0 +1,23 @@
+const { createJobQueue } = require('../src/services/jobQueue');
+
+test('runs jobs and reports every change as an update', async () => {
+  const queue = createJobQueue();
+  const statuses = [];
+  queue.events.on('update', update => statuses.push(update.status));
+
+  const job = queue.enqueue('test', async ({ reportProgress }) => {
+    reportProgress(0.5);
+    return 'done';
+  });
+  await new Promise(resolve => queue.events.on('update', update => update.id === job.id && queue.isTerminal(update.status) && resolve()));
+
+  expect(statuses).toEqual(['running', 'running', 'succeeded']);
+  expect(queue.get(job.id).result).toBe('done');
+});
+
+test('does not limit how many clients watch jobs', () => {
+  const queue = createJobQueue();
+
+  // 0 turns off the MaxListenersExceededWarning printed after 10 listeners
+  expect(queue.events.getMaxListeners()).toBe(0);
+});
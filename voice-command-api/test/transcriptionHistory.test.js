@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistoryStore } = require('../src/services/transcriptionHistory');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+// Let the stores' background writes finish before removing their directory
+afterAll(async () => {
+  await new Promise(resolve => setTimeout(resolve, 200));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+let store;
+let stores = 0;
+
+beforeEach(() => {
+  store = createHistoryStore({ file: path.join(dir, `history-${++stores}.json`), audioDir: path.join(dir, 'audio') });
+  store.add({ type: 'transcription', text: 'recorded with the admin key' });
+  store.add({ type: 'transcription', text: 'recorded with key one', apiKeyId: 'k1' });
+  store.add({ type: 'command', text: 'recorded with key two', commandType: 'transcribe', apiKeyId: 'k2' });
+});
+
+afterEach(() => store.flush());
+
+const texts = (filter) => store.search(filter).entries.map(entry => entry.text).sort();
+
+test('searches every entry when no API key is given', () => {
+  expect(texts({})).toEqual(['recorded with key one', 'recorded with key two', 'recorded with the admin key']);
+});
+
+test('searches only the entries of the given API key', () => {
+  expect(texts({ apiKeyId: 'k1' })).toEqual(['recorded with key one']);
+});
+
+test('searches only entries recorded without a key for null', () => {
+  expect(texts({ apiKeyId: null })).toEqual(['recorded with the admin key']);
+});
+
+test('reports entries of other keys as missing', () => {
+  const [entry] = store.search({ apiKeyId: 'k2' }).entries;
+
+  expect(store.get(entry.id, 'k1')).toBeNull();
+  expect(store.get(entry.id, null)).toBeNull();
+  expect(store.get(entry.id, 'k2')).toBe(entry);
+  expect(store.get(entry.id)).toBe(entry);
+});
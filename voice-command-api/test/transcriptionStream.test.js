@@ -0,0 +1,101 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-'));
+process.env.API_KEYS_FILE = path.join(dir, 'api-keys.json');
+process.env.USAGE_FILE = path.join(dir, 'usage.jsonl');
+process.env.GLOSSARIES_FILE = path.join(dir, 'glossaries.json');
+delete process.env.ADMIN_API_KEY;
+
+const { attachTranscriptionStream, STREAM_PATH } = require('../src/services/transcriptionStream');
+
+// Sessions the server never closes fail their test instead of hanging the run
+const SESSION_TIMEOUT_MS = 3000;
+
+let server;
+let wss;
+let url;
+
+beforeAll(async () => {
+  server = http.createServer();
+  wss = attachTranscriptionStream(server);
+  await new Promise(resolve => server.listen(0, resolve));
+  url = `ws://localhost:${server.address().port}${STREAM_PATH}`;
+});
+
+afterAll(async () => {
+  wss.clients.forEach(client => client.terminate());
+  wss.close();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Connect and collect the session's messages until the server closes it
+ */
+function session(query) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`${url}?${new URLSearchParams(query)}`);
+    const messages = [];
+    const timer = setTimeout(() => {
+      socket.terminate();
+      reject(new Error('The server did not close the session'));
+    }, SESSION_TIMEOUT_MS);
+
+    socket.on('message', data => messages.push(JSON.parse(data.toString())));
+    socket.on('close', (code, reason) => {
+      clearTimeout(timer);
+      resolve({ code, reason: reason.toString(), messages });
+    });
+  });
+}
+
+test('closes with a short reason however long the provider name is', async () => {
+  const provider = 'x'.repeat(300);
+  const { code, reason, messages } = await session({ provider });
+
+  expect(code).toBe(1008);
+  expect(reason).toBe('Unknown speech provider');
+  expect(messages[0].type).toBe('error');
+  expect(messages[0].error).toContain(provider);
+});
+
+test('closes with a short reason however long the glossary id is', async () => {
+  const { code, reason } = await session({ provider: 'local', glossaryId: 'g'.repeat(300) });
+
+  expect(code).toBe(1008);
+  expect(reason).toBe('Unknown glossary');
+});
+
+test('closes with a short reason for a long invalid API key', async () => {
+  process.env.ADMIN_API_KEY = 'admin-secret';
+  try {
+    const { code, reason, messages } = await session({ apiKey: 'k'.repeat(300) });
+
+    expect(code).toBe(1008);
+    expect(reason).toBe('Unauthorized');
+    expect(messages[0].error).toBe('Invalid or revoked API key');
+  } finally {
+    delete process.env.ADMIN_API_KEY;
+  }
+});
+
+test('sends an empty final transcript when no audio was sent', async () => {
+  const socket = new WebSocket(`${url}?provider=local`);
+  const messages = [];
+  socket.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    messages.push(message);
+    if (message.type === 'ready') {
+      socket.send(JSON.stringify({ type: 'stop' }));
+    }
+  });
+  const code = await new Promise(resolve => socket.on('close', resolve));
+
+  expect(code).toBe(1000);
+  expect(messages.map(message => message.type)).toEqual(['ready', 'final']);
+  expect(messages[1].text).toBe('');
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { estimateCost, createUsageLedger } = require('../src/services/usage');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-'));
+// Let the ledgers' background appends finish before removing their directory
+afterAll(async () => {
+  await new Promise(resolve => setTimeout(resolve, 200));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const entry = (fields) => ({
+  requestId: 'r1',
+  timestamp: '2026-10-01T10:00:00.000Z',
+  endpoint: 'POST /api/audio/transcribe',
+  apiKeyId: null,
+  provider: null,
+  model: null,
+  audioSeconds: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  speechCharacters: 0,
+  cost: 0,
+  ...fields
+});
+
+test('prices audio by the minute and tokens by the thousand', () => {
+  expect(estimateCost({ provider: 'openai', audioSeconds: 60 })).toBe(0.006);
+  expect(estimateCost({ model: 'gpt-4', promptTokens: 1000, completionTokens: 1000 })).toBe(0.09);
+  expect(estimateCost({ provider: 'unknown', audioSeconds: 60 })).toBeNull();
+});
+
+test('prices dated model versions as their model, and no other models sharing a prefix', () => {
+  expect(estimateCost({ model: 'gpt-4-0613', promptTokens: 1000 })).toBe(estimateCost({ model: 'gpt-4', promptTokens: 1000 }));
+  expect(estimateCost({ model: 'gpt-4o-2024-08-06', promptTokens: 1000 })).toBe(estimateCost({ model: 'gpt-4o', promptTokens: 1000 }));
+  expect(estimateCost({ model: 'gpt-4o-mini', promptTokens: 1000 })).not.toBe(estimateCost({ model: 'gpt-4o', promptTokens: 1000 }));
+  expect(estimateCost({ model: 'gpt-4o-audio-preview', promptTokens: 1000 })).toBeNull();
+});
+
+test('totals appended entries by period and API key', () => {
+  const ledger = createUsageLedger({ file: path.join(dir, 'period.jsonl') });
+  ledger.append(entry({ requestId: 'a', timestamp: '2026-09-30T23:00:00.000Z', apiKeyId: 'k1', promptTokens: 1 }));
+  ledger.append(entry({ requestId: 'b', timestamp: '2026-10-01T01:00:00.000Z', apiKeyId: 'k1', promptTokens: 10 }));
+  ledger.append(entry({ requestId: 'c', timestamp: '2026-10-01T02:30:00.000Z', apiKeyId: 'k2', promptTokens: 100 }));
+
+  const tokens = (filter) => ledger.summarize(filter).totals.promptTokens;
+  expect(tokens()).toBe(111);
+  expect(tokens({ from: '2026-10-01' })).toBe(110);
+  expect(tokens({ to: '2026-10-01' })).toBe(1);
+  expect(tokens({ apiKeyId: 'k2' })).toBe(100);
+  // Periods are counted in whole hours
+  expect(tokens({ from: '2026-10-01T02:45:00Z' })).toBe(100);
+  expect(tokens({ to: '2026-10-01T02:00:00Z' })).toBe(11);
+});
+
+test('totals usage and groups it by the requested dimensions', () => {
+  const ledger = createUsageLedger({ file: path.join(dir, 'groups.jsonl') });
+  ledger.append(entry({ requestId: 'a', model: 'whisper-1', audioSeconds: 90, cost: 0.009 }));
+  ledger.append(entry({ requestId: 'a', model: 'gpt-4', promptTokens: 100, completionTokens: 20, cost: 0.0042 }), { newRequest: false });
+  ledger.append(entry({ requestId: 'b', timestamp: '2026-10-02T09:00:00.000Z', model: 'gpt-4', promptTokens: 50, cost: null }));
+
+  const { totals, groups } = ledger.summarize({ groupBy: ['day'] });
+
+  expect(totals).toEqual({
+    requests: 2,
+    audioMinutes: 1.5,
+    promptTokens: 150,
+    completionTokens: 20,
+    speechCharacters: 0,
+    cost: 0.0132,
+    unpriced: 1
+  });
+  expect(groups.map(({ day, requests }) => ({ day, requests }))).toEqual([
+    { day: '2026-10-01', requests: 1 },
+    { day: '2026-10-02', requests: 1 }
+  ]);
+  // Requests count in the group of their first call
+  expect(ledger.summarize({ groupBy: ['model'] }).groups.map(({ model, requests }) => ({ model, requests }))).toEqual([
+    { model: 'gpt-4', requests: 1 },
+    { model: 'whisper-1', requests: 1 }
+  ]);
+});
+
+test('appends in the background and reads the file back into the same totals', async () => {
+  const file = path.join(dir, 'reload.jsonl');
+  const ledger = createUsageLedger({ file });
+  ledger.append(entry({ requestId: 'a', audioSeconds: 30 }));
+  ledger.append(entry({ requestId: 'a', promptTokens: 5 }), { newRequest: false });
+  ledger.append(entry({ requestId: 'b', audioSeconds: 30 }));
+  ledger.flush();
+
+  // An append already under way finishes on its own
+  const lines = () => fs.readFileSync(file, 'utf8').trim().split('\n').length;
+  for (let wait = 0; lines() < 3 && wait < 20; wait++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  expect(lines()).toBe(3);
+  expect(createUsageLedger({ file }).summarize().totals).toEqual(ledger.summarize().totals);
+  expect(ledger.summarize().totals).toMatchObject({ requests: 2, audioMinutes: 1, promptTokens: 5 });
+});
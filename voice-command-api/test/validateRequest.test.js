@@ -0,0 +1,98 @@
+const express = require('express');
+const { listOperations, findOperation, validateParameters, validateBody } = require('../src/services/apiOperations');
+const { validateRequest } = require('../src/middleware/validateRequest');
+const { COMMAND_TYPES } = require('../src/services/commands/intentSchema');
+
+test('finds operations by operationId and by concrete path', () => {
+  expect(findOperation({ operationId: 'summarizeTranscript' }).path).toBe('/api/audio/summarize');
+
+  const job = findOperation({ method: 'get', path: '/api/audio/jobs/abc-123' });
+  expect(job.path).toBe('/api/audio/jobs/{id}');
+  expect(job.pathParams).toEqual({ id: 'abc-123' });
+
+  expect(findOperation({ method: 'GET', path: '/api/nowhere' })).toBeNull();
+});
+
+test('lists the operations once', () => {
+  expect(listOperations()).toBe(listOperations());
+  expect(listOperations().length).toBeGreaterThan(0);
+});
+
+test('coerces query parameters to their schema types', () => {
+  const operation = findOperation({ method: 'GET', path: '/api/transcriptions' });
+  const query = { limit: '5', offset: '10' };
+
+  expect(validateParameters(operation, { query })).toEqual([]);
+  expect(query).toEqual({ limit: 5, offset: 10 });
+});
+
+test('accepts every command type in the history filter', () => {
+  const operation = findOperation({ method: 'GET', path: '/api/transcriptions' });
+
+  expect(COMMAND_TYPES.flatMap(commandType => validateParameters(operation, { query: { commandType } }))).toEqual([]);
+});
+
+test('reports every invalid query parameter', () => {
+  const operation = findOperation({ method: 'GET', path: '/api/transcriptions' });
+  const errors = validateParameters(operation, { query: { limit: '500', type: 'poem' } });
+
+  expect(errors).toHaveLength(2);
+  expect(errors.some(error => error.startsWith('query.limit'))).toBe(true);
+  expect(errors.some(error => error.startsWith('query.type'))).toBe(true);
+});
+
+test('validates JSON bodies against the schema', () => {
+  const operation = findOperation({ operationId: 'summarizeTranscript' });
+
+  expect(validateBody(operation, { content: 'Anna will fix the export bug.' })).toEqual([]);
+  expect(validateBody(operation, { glossaryId: 'g1' })).not.toEqual([]);
+  expect(validateBody(operation, undefined)).toEqual(['body is required']);
+});
+
+describe('validateRequest middleware', () => {
+  let server;
+  let url;
+
+  beforeAll(() => {
+    const app = express();
+    app.use(express.json());
+    app.use(validateRequest);
+    app.all('/{*path}', (req, res) => res.json({ operationId: req.operation?.operationId || null, query: req.query }));
+
+    server = app.listen(0);
+    url = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  test('rejects bodies that do not match the specification', async () => {
+    const invalid = await fetch(`${url}/api/audio/summarize`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ content: '' })
+    });
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).details.validationErrors.length).toBeGreaterThan(0);
+
+    const wrongType = await fetch(`${url}/api/audio/summarize`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: 'notes'
+    });
+    expect(wrongType.status).toBe(400);
+  });
+
+  test('attaches the matched operation to valid requests', async () => {
+    const valid = await fetch(`${url}/api/audio/summarize`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ content: 'Anna will fix the export bug.' })
+    });
+    expect((await valid.json()).operationId).toBe('summarizeTranscript');
+  });
+
+  test('passes through paths the spec does not describe', async () => {
+    const undocumented = await fetch(`${url}/api-docs/anything`);
+    expect(await undocumented.json()).toEqual({ operationId: null, query: {} });
+  });
+});
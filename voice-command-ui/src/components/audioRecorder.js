@@ -3,6 +3,9 @@
  * Manages audio recording functionality
  */
 
+import { STREAM_URL, STREAMING_ENABLED, STREAM_TIMESLICE_MS, DEFAULT_LANGUAGE } from '../config.js';
+import { TranscriptionStream } from '../services/transcriptionStream.js';
+
 export function setupRecorder({ 
   recordButton, 
   stopButton, 
@@ -17,6 +20,7 @@ export function setupRecorder({
   let timerInterval;
   let audioBlob = null;
   let isRecording = false;
+  let transcriptionStream = null;
   
   // Check browser support
   const hasMediaSupport = !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
@@ -43,16 +47,37 @@ export function setupRecorder({
       // Create media recorder
       mediaRecorder = new MediaRecorder(stream);
       
+      // Stream chunks to the API for a live transcript while recording
+      if (STREAMING_ENABLED) {
+        transcriptionStream = new TranscriptionStream(STREAM_URL, {
+          language: DEFAULT_LANGUAGE,
+          onPartial: (text) => {
+            document.dispatchEvent(new CustomEvent('transcriptPartial', { detail: { text } }));
+          },
+          onFinal: (text, metadata) => {
+            document.dispatchEvent(new CustomEvent('transcriptFinal', { detail: { text, metadata } }));
+          },
+          onError: (message) => {
+            console.warn('Streaming transcription error:', message);
+          }
+        });
+        transcriptionStream.connect();
+      }
+      
       // Set up event listeners
       mediaRecorder.addEventListener('dataavailable', event => {
         if (event.data.size > 0) {
           audioChunks.push(event.data);
+          
+          if (transcriptionStream) {
+            transcriptionStream.sendChunk(event.data);
+          }
         }
       });
       
       mediaRecorder.addEventListener('stop', () => {
-        // Create audio blob when recording stops
-        audioBlob = new Blob(audioChunks, { type: 'audio/wav' });
+        // Create audio blob when recording stops, labelled with the container the browser actually recorded
+        audioBlob = new Blob(audioChunks, { type: mediaRecorder.mimeType || 'audio/webm' });
         
         // Update UI
         recordButton.classList.remove('recording');
@@ -66,11 +91,18 @@ export function setupRecorder({
         // Get all tracks from stream and stop them
         stream.getTracks().forEach(track => track.stop());
         
-        // Automatically analyze the recording for commands
+        // The last chunk has been sent, ask the server for the final transcript
+        let finalTranscript = null;
+        if (transcriptionStream) {
+          finalTranscript = transcriptionStream.stop();
+          transcriptionStream = null;
+        }
+        
+        // Automatically analyze the recording for commands, reusing the streamed transcript
         if (window.voiceCommandAnalyzer) {
           try {
             console.log('Sending audio blob for analysis...');
-            window.voiceCommandAnalyzer(audioBlob);
+            window.voiceCommandAnalyzer(audioBlob, finalTranscript);
             // Don't update status here, let the analyzer handle it
           } catch (cmdError) {
             console.error('Error analyzing voice command:', cmdError);
@@ -83,8 +115,8 @@ export function setupRecorder({
         }
       });
       
-      // Start recording
-      mediaRecorder.start();
+      // Start recording, emitting chunks periodically when streaming
+      mediaRecorder.start(STREAMING_ENABLED ? STREAM_TIMESLICE_MS : undefined);
       isRecording = true;
       
       // Update UI
@@ -125,6 +157,10 @@ export function setupRecorder({
   
   // Reset recorder state for new recording
   function reset() {
+    if (transcriptionStream) {
+      transcriptionStream.close();
+      transcriptionStream = null;
+    }
     audioChunks = [];
     audioBlob = null;
     isRecording = false;
@@ -1,21 +1,26 @@
 /**
  * Voice Command Analyzer
- * Analyzes audio recordings for potential voice commands using LLM
+ * Sends audio recordings to the API's voice command endpoint, which transcribes them,
+ * parses the command with the LLM and executes it, then shows the outcome
  */
 
-import { API_URL, LLM_API_URL } from '../config.js';
+import { COMMANDS_API_URL } from '../config.js';
+import { withApiKey } from '../services/apiKey.js';
+import { withGlossary } from '../services/glossary.js';
+import { getSpeakResults, speak } from '../services/speech.js';
+import { escapeHtml } from '../utils/html.js';
 
 export class CommandAnalyzer {
   constructor(options = {}) {
     this.options = {
-      apiUrl: API_URL,
-      llmApiUrl: LLM_API_URL,
+      commandsApiUrl: COMMANDS_API_URL,
       statusElement: null,
       resultElement: null,
       loadingElement: null,
       commandTypes: {
         TRANSCRIBE: 'transcribe',
         TRANSLATE: 'translate',
+        SUMMARIZE: 'summarize',
         LIST_MODELS: 'list_models',
         HELP: 'help',
         UNKNOWN: 'unknown'
@@ -27,8 +32,10 @@ export class CommandAnalyzer {
   /**
    * Analyze audio blob for voice commands and execute accordingly
    * @param {Blob} audioBlob - The audio recording to analyze
+   * @param {Promise<Object|null>} [finalTranscript] - Final transcript of the streaming session that recorded it;
+   *   its text is analyzed instead of transcribing the recording again
    */
-  async analyzeRecording(audioBlob) {
+  async analyzeRecording(audioBlob, finalTranscript = null) {
     if (!audioBlob) {
       console.error('No audio recording provided for analysis');
       return;
@@ -45,32 +52,25 @@ export class CommandAnalyzer {
         this.options.loadingElement.classList.remove('hidden');
       }
       
-      // First, transcribe the audio to text
-      const transcription = await this.transcribeAudio(audioBlob);
+      // Wait for the streamed transcript, the recording is only transcribed here if there is none
+      const transcript = await finalTranscript;
       
-      if (!transcription) {
-        throw new Error('Failed to transcribe audio for command analysis');
-      }
+      // Transcribe, parse and execute the command on the server
+      const analysis = await this.analyzeOnServer(audioBlob, transcript?.text);
       
-      console.log('Transcription for command analysis:', transcription);
+      console.log('Transcription for command analysis:', analysis.transcription);
       
       // Always update result element with the transcription immediately
       // This ensures the user sees the transcription text right away
       if (this.options.resultElement) {
-        this.options.resultElement.textContent = transcription;
+        this.options.resultElement.classList.remove('interim');
+        this.options.resultElement.textContent = analysis.transcription;
       }
       
-      // Send to LLM to identify commands and content sections
-      const parsedCommand = await this.parseTranscriptionWithLLM(transcription);
-      
-      if (!parsedCommand) {
-        throw new Error('Failed to parse command from transcription');
-      }
+      console.log('Parsed command:', analysis.intent);
       
-      console.log('Parsed command:', parsedCommand);
-      
-      // Execute the identified command
-      await this.executeCommand(parsedCommand, audioBlob);
+      // Show the outcome of the identified command
+      this.showCommandResult(analysis);
       
     } catch (error) {
       console.error('Error analyzing voice command:', error);
@@ -86,165 +86,71 @@ export class CommandAnalyzer {
   }
   
   /**
-   * Transcribe audio to text
-   * @param {Blob} audioBlob - Audio recording to transcribe
-   * @returns {Promise<string>} - The transcription text
+   * Send a recording to the voice command endpoint
+   * @param {Blob} audioBlob - Audio recording to analyze
+   * @param {string} [text] - Transcript of the recording, which the server then analyzes instead of the audio
+   * @returns {Promise<Object>} - `{ transcription, intent, execution }` from the API
    */
-  async transcribeAudio(audioBlob) {
-    try {
-      // Convert blob to base64
-      const base64Audio = await this.blobToBase64(audioBlob);
-      
-      // Send to backend API
-      const response = await fetch(`${this.options.apiUrl}/transcribe`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ audioData: base64Audio })
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `API error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      if (!data.success || !data.transcription) {
-        throw new Error('Transcription failed or returned empty result');
-      }
-      
-      return data.transcription;
-      
-    } catch (error) {
-      console.error('Transcription error:', error);
-      throw new Error(`Failed to transcribe audio: ${error.message}`);
+  async analyzeOnServer(audioBlob, text) {
+    // Upload the recording as multipart form data
+    const formData = new FormData();
+    formData.append('audio', audioBlob, 'recording');
+    if (text) formData.append('text', text);
+    withGlossary(formData);
+    
+    const response = await fetch(`${this.options.commandsApiUrl}/analyze`, {
+      method: 'POST',
+      headers: withApiKey(),
+      body: formData
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || `API error: ${response.status}`);
     }
-  }
-  
-  /**
-   * Parse transcription to identify commands and content
-   * @param {string} transcription - The transcribed speech
-   * @returns {Promise<Object>} - Object containing command and content
-   */
-  async parseTranscriptionWithLLM(transcription) {
-    try {
-      // Construct prompt for LLM to identify commands in the transcription
-      const prompt = `
-        I have an audio transcription that may contain both a command and content.
-        Please analyze this transcription: "${transcription}"
-        
-        Identify if there's a command like:
-        - "transcribe this:" or similar phrases indicating transcription, followed by content to transcribe
-        - Any translation-related phrase like "translate", "translate for me", "translate this", "translate to [language]", "can you translate", etc.
-        - "list models" or "show me available models" or similar phrases asking to see available models
-        - "help" or any requests for assistance
-        
-        Return a JSON object with:
-        1. commandType: "transcribe", "translate", "list_models", "help", or "unknown"
-        2. content: The actual content to transcribe or translate (if present)
-        3. command: The specific command detected
-        4. targetLanguage: The target language for translation (if a translation command)
-           - If a specific language is mentioned (e.g., "translate to Spanish"), extract that language
-           - If no language is specified, default to "English"
-           - Be flexible in language detection, recognizing names like "Japanese", "German", "French", etc.
-           - If the user just says "translate" without specifying a language, assume English as the target
-        
-        IMPORTANT: Be very flexible in command detection. Users might phrase things in many different ways.
-        
-        Examples:
-        - "transcribe this: Hello world" → { "commandType": "transcribe", "command": "transcribe this", "content": "Hello world" }
-        - "please transcribe the following" → { "commandType": "transcribe", "command": "please transcribe", "content": "the following" }
-        - "translate this to Spanish: Hello how are you?" → { "commandType": "translate", "command": "translate this to Spanish", "content": "Hello how are you?", "targetLanguage": "Spanish" }
-        - "can you translate the following to Japanese" → { "commandType": "translate", "command": "translate to Japanese", "content": "the following", "targetLanguage": "Japanese" }
-        - "translate for me" → { "commandType": "translate", "command": "translate", "content": "for me", "targetLanguage": "English" }
-        - "help me understand how this works" → { "commandType": "help", "command": "help", "content": "me understand how this works" }
-      `;
-      
-      // Call LLM API to process the command
-      const response = await fetch(`${this.options.llmApiUrl}/query`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ query: prompt })
-      });
-      
-      if (!response.ok) {
-        throw new Error(`LLM API error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      if (!data.success) {
-        throw new Error('Failed to process command with LLM');
-      }
-      
-      // Extract the JSON response from the LLM text
-      const jsonMatch = data.response.match(/```json\n([\s\S]*?)\n```/) || 
-                        data.response.match(/{[\s\S]*?}/);
-                        
-      if (jsonMatch) {
-        try {
-          const parsedResponse = JSON.parse(jsonMatch[1] || jsonMatch[0]);
-          return parsedResponse;
-        } catch (parseError) {
-          console.error('Error parsing LLM JSON:', parseError);
-          return {
-            commandType: this.options.commandTypes.UNKNOWN,
-            command: 'unknown',
-            content: transcription,
-            rawLLMResponse: data.response
-          };
-        }
-      } else {
-        // If no JSON found, assume the whole transcription is content
-        return {
-          commandType: this.options.commandTypes.UNKNOWN,
-          command: 'unknown',
-          content: transcription,
-          rawLLMResponse: data.response
-        };
-      }
-      
-    } catch (error) {
-      console.error('Error processing transcription with LLM:', error);
-      // Default to treating the whole transcription as content
-      return {
-        commandType: this.options.commandTypes.UNKNOWN,
-        command: 'unknown',
-        content: transcription,
-        error: error.message
-      };
+    
+    const data = await response.json();
+    
+    if (!data.success || !data.transcription) {
+      throw new Error('Transcription failed or returned empty result');
     }
+    
+    return data;
   }
   
   /**
-   * Execute the identified command
-   * @param {Object} parsedCommand - The parsed command from LLM
-   * @param {Blob} originalAudio - The original audio recording
+   * Show the outcome of the command executed by the API
+   * @param {Object} analysis - Response of the voice command endpoint
    */
-  async executeCommand(parsedCommand, originalAudio) {
-    const { commandType, content, command } = parsedCommand;
+  showCommandResult({ intent, execution }) {
     const { commandTypes } = this.options;
     
     try {
-      switch (commandType) {
+      if (execution && !execution.success) {
+        throw new Error(execution.error);
+      }
+      
+      const result = execution ? execution.result : {};
+      
+      switch (intent.commandType) {
         case commandTypes.TRANSCRIBE:
-          await this.executeTranscribeCommand(content);
+          this.showTranscribeResult(result.text);
           break;
           
         case commandTypes.TRANSLATE:
-          await this.executeTranslateCommand(content, parsedCommand.targetLanguage);
+          this.showTranslateResult(result);
+          break;
+          
+        case commandTypes.SUMMARIZE:
+          this.showSummaryResult(result);
           break;
           
         case commandTypes.LIST_MODELS:
-          await this.executeListModelsCommand();
+          this.showModelsResult(result.models);
           break;
           
         case commandTypes.HELP:
-          this.executeHelpCommand();
+          this.showHelpResult(result.commands);
           break;
           
         case commandTypes.UNKNOWN:
@@ -257,6 +163,8 @@ export class CommandAnalyzer {
           break;
       }
       
+      this.speakResult(intent.commandType, result);
+      
       // Enable the transcribe button (if it exists) after command execution
       const transcribeButton = document.getElementById('transcribeButton');
       if (transcribeButton) {
@@ -272,10 +180,61 @@ export class CommandAnalyzer {
   }
   
   /**
-   * Execute transcribe command with the content
+   * Read the result of a command aloud, when the user turned that on
+   * Translations are spoken in their target language.
+   * @param {string} commandType - Type of the executed command
+   * @param {Object} result - Command result
+   */
+  speakResult(commandType, result) {
+    if (!getSpeakResults()) return;
+    
+    const { commandTypes } = this.options;
+    let parts = [];
+    
+    switch (commandType) {
+      case commandTypes.TRANSLATE:
+        parts = result.translations
+          ? Object.values(result.translations)
+            .filter(entry => entry.success)
+            .map(entry => ({ text: entry.translation, language: entry.targetLanguageCode }))
+          : [{ text: result.translation, language: result.targetLanguageCode }];
+        break;
+        
+      case commandTypes.SUMMARIZE: {
+        const actionItems = result.actionItems.map(({ task, owner, dueDate }) => ({
+          text: `${owner ? `${owner}: ` : ''}${task}${dueDate ? `, due ${dueDate}` : ''}.`
+        }));
+        parts = result.focus === 'action_items'
+          ? actionItems
+          : [{ text: result.summary }, ...actionItems];
+        break;
+      }
+        
+      case commandTypes.LIST_MODELS:
+        parts = [{ text: `Available models: ${result.models.map(model => model.name).join(', ')}.` }];
+        break;
+        
+      case commandTypes.HELP:
+        // "Translate to [language]" reads better without the brackets
+        parts = result.commands.map(({ phrase, description }) => ({
+          text: `${phrase.replace(/[[\]]/g, '')}. ${description}.`
+        }));
+        break;
+    }
+    
+    speak(parts).catch(error => {
+      console.error('Error reading result aloud:', error);
+      if (this.options.statusElement) {
+        this.options.statusElement.textContent = `Could not read the result aloud: ${error.message}`;
+      }
+    });
+  }
+  
+  /**
+   * Show the content of a transcribe command
    * @param {string} content - The content to transcribe
    */
-  async executeTranscribeCommand(content) {
+  showTranscribeResult(content) {
     if (this.options.resultElement && content) {
       this.options.resultElement.textContent = content;
     }
@@ -286,155 +245,174 @@ export class CommandAnalyzer {
   }
   
   /**
-   * Execute translate command with the content and target language
-   * @param {string} content - The content to translate
-   * @param {string} targetLanguage - The target language to translate to (defaults to English)
+   * Show the original content and its translation
+   * @param {Object} result - Translate command result ({ originalText, translation, sourceLanguage, targetLanguage },
+   *   or translations by language when the command named several)
    */
-  async executeTranslateCommand(content, targetLanguage) {
-    if (!content) {
-      if (this.options.statusElement) {
-        this.options.statusElement.textContent = 'Error: No content provided for translation';
-      }
+  showTranslateResult(result) {
+    if (result.translations) {
+      this.showTranslationTabs(result);
       return;
     }
-    
-    // Use English as default target language if none specified
-    const finalTargetLanguage = targetLanguage || 'English';
+
+    const { originalText, translation, sourceLanguage, targetLanguage } = result;
+
+    // Display both the original content and the translation
+    if (this.options.resultElement) {
+      this.options.resultElement.innerHTML = `
+        <div class="translation-result">
+          <div class="original">
+            <h4>Original (${escapeHtml(sourceLanguage || 'detected language')})</h4>
+            <p>${escapeHtml(originalText)}</p>
+          </div>
+          <div class="translation">
+            <h4>Translation (${escapeHtml(targetLanguage)})</h4>
+            <p>${escapeHtml(translation)}</p>
+          </div>
+        </div>
+      `;
+    }
     
     if (this.options.statusElement) {
-      this.options.statusElement.textContent = `Translating to ${finalTargetLanguage}...`;
+      this.options.statusElement.textContent = `Translation to ${targetLanguage} complete`;
     }
-    
-    try {
-      // For translation, we don't need to send the audio again
-      // We can just send the content and target language to the backend
-      const response = await fetch(`${this.options.apiUrl}/translate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ 
-          audioData: "", // Not used when we already have the content
-          content: content,
-          targetLanguage: finalTargetLanguage
-        })
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `API error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      if (!data.success || !data.translation) {
-        throw new Error('Translation failed or returned empty result');
-      }
-      
-      // Display both the original content and the translation
-      if (this.options.resultElement) {
-        this.options.resultElement.innerHTML = `
-          <div class="translation-result">
-            <div class="original">
-              <h4>Original (${data.originalLanguage || 'detected language'})</h4>
-              <p>${data.originalTranscription || content}</p>
-            </div>
-            <div class="translation">
-              <h4>Translation (${data.targetLanguage || finalTargetLanguage})</h4>
-              <p>${data.translation}</p>
-            </div>
+  }
+
+  /**
+   * Show the original content and its translations, one tab per language
+   * @param {Object} result - Translate command result ({ originalText, translations, sourceLanguage })
+   */
+  showTranslationTabs({ originalText, translations, sourceLanguage }) {
+    const entries = Object.entries(translations);
+    const succeeded = entries.filter(([, entry]) => entry.success).length;
+
+    if (this.options.resultElement) {
+      const tabs = entries.map(([language, entry], index) => `
+        <button class="translation-tab${index === 0 ? ' active' : ''}${entry.success ? '' : ' failed'}" data-language="${escapeHtml(language)}">
+          ${escapeHtml(entry.targetLanguage || language)}
+        </button>`).join('');
+
+      const panels = entries.map(([language, entry], index) => `
+        <div class="translation-panel${index === 0 ? ' active' : ''}" data-language="${escapeHtml(language)}">
+          ${entry.success ? `<p>${escapeHtml(entry.translation)}</p>` : `<p class="error-message">${escapeHtml(entry.error)}</p>`}
+        </div>`).join('');
+
+      this.options.resultElement.innerHTML = `
+        <div class="translation-result">
+          <div class="original">
+            <h4>Original (${escapeHtml(sourceLanguage || 'detected language')})</h4>
+            <p>${escapeHtml(originalText)}</p>
           </div>
-        `;
-      }
-      
-      if (this.options.statusElement) {
-        this.options.statusElement.textContent = `Translation to ${data.targetLanguage || finalTargetLanguage} complete`;
-      }
-      
-    } catch (error) {
-      console.error('Translation error:', error);
-      
-      if (this.options.statusElement) {
-        this.options.statusElement.textContent = `Error: ${error.message}`;
-      }
-      
-      if (this.options.resultElement) {
-        // Keep showing the original content if translation fails
-        this.options.resultElement.innerHTML = `
-          <div class="translation-result">
-            <div class="original">
-              <h4>Original</h4>
-              <p>${content}</p>
-            </div>
-            <div class="translation error">
-              <h4>Translation Error</h4>
-              <p class="error-message">Failed to translate: ${error.message}</p>
-            </div>
+          <div class="translation">
+            <div class="translation-tabs">${tabs}</div>
+            ${panels}
           </div>
-        `;
-      }
+        </div>
+      `;
+
+      // Show the panel of the clicked language
+      const container = this.options.resultElement.querySelector('.translation');
+      container.querySelectorAll('.translation-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+          container.querySelectorAll('.translation-tab, .translation-panel').forEach(element => {
+            element.classList.toggle('active', element.dataset.language === tab.dataset.language);
+          });
+        });
+      });
+    }
+
+    if (this.options.statusElement) {
+      this.options.statusElement.textContent = `Translated to ${succeeded} of ${entries.length} languages`;
     }
   }
   
   /**
-   * Execute list models command
+   * Show meeting notes: the summary, key points and action items with their owners and due dates
+   * Only the action items are shown when the command asked for them alone.
+   * @param {Object} result - Summarize command result ({ summary, keyPoints, actionItems, focus })
    */
-  async executeListModelsCommand() {
+  showSummaryResult({ summary, keyPoints, actionItems, focus }) {
+    if (this.options.resultElement) {
+      const actionRows = actionItems.map(({ task, owner, dueDate }) => `
+            <tr>
+              <td>${escapeHtml(task)}</td>
+              <td>${owner ? escapeHtml(owner) : '—'}</td>
+              <td>${dueDate ? escapeHtml(dueDate) : '—'}</td>
+            </tr>`).join('');
+
+      const actionItemsSection = `
+        <div class="summary-section action-items">
+          <h4>Action Items</h4>
+          ${actionItems.length > 0 ? `
+          <table>
+            <thead><tr><th>Task</th><th>Owner</th><th>Due</th></tr></thead>
+            <tbody>${actionRows}</tbody>
+          </table>` : '<p>No action items were agreed.</p>'}
+        </div>`;
+
+      const keyPointItems = keyPoints.map(point => `<li>${escapeHtml(point)}</li>`).join('');
+
+      this.options.resultElement.innerHTML = `
+        <div class="summary-result">
+          ${focus === 'action_items' ? '' : `
+          <div class="summary-section">
+            <h4>Summary</h4>
+            <p>${escapeHtml(summary)}</p>
+          </div>
+          ${keyPoints.length > 0 ? `
+          <div class="summary-section">
+            <h4>Key Points</h4>
+            <ul>${keyPointItems}</ul>
+          </div>` : ''}`}
+          ${actionItemsSection}
+        </div>
+      `;
+    }
+
     if (this.options.statusElement) {
-      this.options.statusElement.textContent = 'Fetching available models...';
+      this.options.statusElement.textContent = focus === 'action_items'
+        ? `Found ${actionItems.length} action items`
+        : 'Summary complete';
     }
-    
-    try {
-      const response = await fetch(`${this.options.apiUrl}/models`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
+  }
+  
+  /**
+   * Show the available transcription models
+   * @param {Array<Object>} models - Models returned by the list_models command
+   */
+  showModelsResult(models) {
+    if (this.options.resultElement) {
+      let modelsHtml = '<h3>Available Models:</h3><ul>';
+      models.forEach(model => {
+        modelsHtml += `<li><strong>${escapeHtml(model.name)}</strong> (${escapeHtml(model.id)}): ${escapeHtml(model.description)}</li>`;
       });
+      modelsHtml += '</ul>';
       
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      if (this.options.resultElement) {
-        let modelsHtml = '<h3>Available Models:</h3><ul>';
-        data.models.forEach(model => {
-          modelsHtml += `<li><strong>${model.name}</strong> (${model.id}): ${model.description}</li>`;
-        });
-        modelsHtml += '</ul>';
-        
-        this.options.resultElement.innerHTML = modelsHtml;
-      }
-      
-      if (this.options.statusElement) {
-        this.options.statusElement.textContent = 'Models fetched successfully';
-      }
-      
-    } catch (error) {
-      console.error('Error fetching models:', error);
-      throw error;
+      this.options.resultElement.innerHTML = modelsHtml;
+    }
+    
+    if (this.options.statusElement) {
+      this.options.statusElement.textContent = 'Models fetched successfully';
     }
   }
   
   /**
-   * Execute help command
+   * Show help information
+   * @param {Array<Object>} commands - Commands returned by the help command ({ phrase, description })
    */
-  executeHelpCommand() {
+  showHelpResult(commands) {
     if (this.options.resultElement) {
+      const commandItems = commands
+        .map(({ phrase, description }) => `<li><strong>${escapeHtml(phrase)}</strong> - ${escapeHtml(description)}</li>`)
+        .join('');
+      
       this.options.resultElement.innerHTML = `
         <div class="help-info">
           <h3>Voice Command Help</h3>
           <p>You can use the following voice commands while recording:</p>
-          <ul>
-            <li><strong>Transcribe this: [your content]</strong> - Transcribe specific content</li>
-            <li><strong>Translate to [language]: [your content]</strong> - Translate to a specific language</li>
-            <li><strong>Translate this for me</strong> - Translate to English (default)</li>
-            <li><strong>List models</strong> or <strong>Show available models</strong> - Lists transcription models</li>
-            <li><strong>Help</strong> - Shows this help information</li>
-          </ul>
+          <ul>${commandItems}</ul>
           <p>Translation is flexible - try phrases like "translate this to Japanese" or "can you translate the following to French".</p>
+          <p>Record a meeting such as your stand-up, then say "summarize this" or "give me the action items" for its notes.</p>
           <p>Or just speak naturally and the AI will transcribe your entire recording.</p>
         </div>
       `;
@@ -444,24 +422,6 @@ export class CommandAnalyzer {
       this.options.statusElement.textContent = 'Showing help information';
     }
   }
-  
-  /**
-   * Convert blob to base64
-   * @param {Blob} blob - The blob to convert
-   * @returns {Promise<string>} - Base64 string
-   */
-  blobToBase64(blob) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        // Extract the base64 part from the data URL
-        const base64String = reader.result.split(',')[1];
-        resolve(base64String);
-      };
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
-  }
 }
 
 // Create a singleton instance for global use
@@ -476,8 +436,8 @@ export function initCommandAnalyzer(options) {
   analyzerInstance = new CommandAnalyzer(options);
   
   // Create global function for recorder to call
-  window.voiceCommandAnalyzer = (audioBlob) => {
-    return analyzerInstance.analyzeRecording(audioBlob);
+  window.voiceCommandAnalyzer = (audioBlob, finalTranscript) => {
+    return analyzerInstance.analyzeRecording(audioBlob, finalTranscript);
   };
   
   return analyzerInstance;
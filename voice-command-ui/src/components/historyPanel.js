@@ -0,0 +1,347 @@
+/**
+ * History Panel component
+ * Browses the transcriptions, translations and voice commands the API has recorded,
+ * with full-text search and filters by type, command, language and date. Entries can
+ * be reopened in the result panel, tagged and deleted, and their audio played back
+ * when it was kept.
+ */
+
+import { withApiKey, withApiKeyParam } from '../services/apiKey.js';
+
+// Entries fetched per page
+const PAGE_SIZE = 20;
+
+// Wait for typing to pause before searching
+const SEARCH_DELAY_MS = 300;
+
+const TYPE_LABELS = {
+  transcription: 'Transcription',
+  translation: 'Translation',
+  command: 'Voice command'
+};
+
+// Label for a command type in the filter, e.g. `list_models` as "List models"
+function commandTypeLabel(type) {
+  if (type === 'unknown') {
+    return 'Not a command';
+  }
+  const words = type.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+export function setupHistoryPanel({
+  apiUrl,
+  tabButton,
+  searchInput,
+  typeSelect,
+  commandTypeSelect,
+  languageInput,
+  fromInput,
+  toInput,
+  listElement,
+  statusElement,
+  moreButton,
+  resultTextElement,
+  onReopen
+}) {
+  if (!listElement) {
+    console.error('History list element not found');
+    return null;
+  }
+
+  let entries = [];
+  let total = 0;
+  let searchTimer = null;
+  let requestId = 0;
+
+  // Reload whenever the history is shown, as other tabs add entries
+  if (tabButton) {
+    tabButton.addEventListener('click', () => refresh());
+  }
+
+  if (searchInput) {
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(refresh, SEARCH_DELAY_MS);
+    });
+  }
+
+  [typeSelect, commandTypeSelect, languageInput, fromInput, toInput].forEach(input => {
+    if (input) {
+      input.addEventListener('change', () => refresh());
+    }
+  });
+
+  if (moreButton) {
+    moreButton.addEventListener('click', () => load({ append: true }));
+  }
+
+  /**
+   * Build the search query from the filters
+   * @param {number} offset - Entries to skip
+   * @returns {URLSearchParams} - Query parameters
+   */
+  function buildQuery(offset) {
+    const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+    const filters = {
+      q: searchInput?.value.trim(),
+      type: typeSelect?.value,
+      commandType: commandTypeSelect?.value,
+      language: languageInput?.value.trim().toLowerCase(),
+      from: fromInput?.value,
+      // The end date is inclusive in the form, the API's is exclusive
+      to: toInput?.value ? nextDay(toInput.value) : ''
+    };
+
+    Object.entries(filters).forEach(([name, value]) => {
+      if (value) params.set(name, value);
+    });
+
+    return params;
+  }
+
+  /**
+   * Fetch a page of entries
+   * @param {Object} options - Load options
+   * @param {boolean} options.append - Add to the entries shown instead of replacing them
+   */
+  async function load({ append = false } = {}) {
+    const thisRequest = ++requestId;
+    setStatus('Loading history...');
+
+    try {
+      const response = await fetch(`${apiUrl}?${buildQuery(append ? entries.length : 0)}`, {
+        headers: withApiKey()
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `API error: ${response.status}`);
+      }
+
+      // A newer search has started since
+      if (thisRequest !== requestId) return;
+
+      entries = append ? [...entries, ...data.transcriptions] : data.transcriptions;
+      total = data.total;
+      render();
+    } catch (error) {
+      console.error('History error:', error);
+      setStatus(`Error: ${error.message}`);
+    }
+  }
+
+  function refresh() {
+    return load({ append: false });
+  }
+
+  function setStatus(message) {
+    if (statusElement) {
+      statusElement.textContent = message;
+    }
+  }
+
+  function render() {
+    listElement.innerHTML = '';
+    entries.forEach(entry => listElement.appendChild(renderEntry(entry)));
+
+    setStatus(total === 0 ? 'Nothing found' : `Showing ${entries.length} of ${total}`);
+
+    if (moreButton) {
+      moreButton.classList.toggle('hidden', entries.length >= total);
+    }
+  }
+
+  /**
+   * Render one entry as a list item
+   * @param {Object} entry - History entry from the API
+   * @returns {HTMLElement} - The list item
+   */
+  function renderEntry(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+
+    const header = document.createElement('div');
+    header.className = 'history-item-header';
+    header.appendChild(createElement('span', 'history-type', TYPE_LABELS[entry.type] || entry.type));
+
+    const details = [
+      entry.commandType && entry.commandType !== 'unknown' ? entry.commandType.replace('_', ' ') : null,
+      entry.language,
+      entry.targetLanguage ? `→ ${entry.targetLanguage}` : null,
+      new Date(entry.createdAt).toLocaleString()
+    ].filter(Boolean).join(' · ');
+    header.appendChild(createElement('span', 'history-details', details));
+    item.appendChild(header);
+
+    if (entry.title) {
+      item.appendChild(createElement('h3', 'history-title', entry.title));
+    }
+
+    item.appendChild(createElement('p', 'history-text', entry.text || '(no speech)'));
+
+    if (entry.translation) {
+      item.appendChild(createElement('p', 'history-translation', entry.translation));
+    }
+
+    if (entry.tags.length > 0) {
+      const tags = document.createElement('div');
+      tags.className = 'history-tags';
+      entry.tags.forEach(tag => tags.appendChild(createElement('span', 'history-tag', tag)));
+      item.appendChild(tags);
+    }
+
+    if (entry.audio) {
+      const player = document.createElement('audio');
+      player.controls = true;
+      player.preload = 'none';
+      // Media elements cannot send headers, so the key goes in the query string
+      player.src = `${apiUrl}/${entry.id}/audio?${withApiKeyParam()}`;
+      item.appendChild(player);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    actions.appendChild(createButton('Open', 'primary-btn', () => reopen(entry)));
+    actions.appendChild(createButton('Tags', 'secondary-btn', () => editTags(entry)));
+    actions.appendChild(createButton('Delete', 'secondary-btn', () => deleteEntry(entry)));
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  /**
+   * Show an entry in the result panel again
+   * @param {Object} entry - History entry
+   */
+  function reopen(entry) {
+    if (resultTextElement) {
+      resultTextElement.classList.remove('interim');
+      resultTextElement.innerHTML = '';
+
+      if (entry.translation) {
+        const result = document.createElement('div');
+        result.className = 'translation-result';
+        result.appendChild(createSection('original', 'Original', entry.text));
+        result.appendChild(createSection('translation', `Translation (${entry.targetLanguage})`, entry.translation));
+        resultTextElement.appendChild(result);
+      } else {
+        resultTextElement.textContent = entry.text;
+      }
+    }
+
+    if (onReopen) {
+      onReopen(entry);
+    }
+  }
+
+  /**
+   * Replace an entry's tags with ones the user enters
+   * @param {Object} entry - History entry
+   */
+  async function editTags(entry) {
+    const input = window.prompt('Tags, separated by commas', entry.tags.join(', '));
+    if (input === null) return;
+
+    const tags = input.split(',').map(tag => tag.trim()).filter(Boolean);
+
+    try {
+      const response = await fetch(`${apiUrl}/${entry.id}`, {
+        method: 'PATCH',
+        headers: withApiKey({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ tags })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `API error: ${response.status}`);
+      }
+
+      entries = entries.map(candidate => candidate.id === entry.id ? data.transcription : candidate);
+      render();
+    } catch (error) {
+      console.error('History error:', error);
+      setStatus(`Error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an entry after confirmation
+   * @param {Object} entry - History entry
+   */
+  async function deleteEntry(entry) {
+    if (!window.confirm('Delete this entry and any audio kept with it?')) return;
+
+    try {
+      const response = await fetch(`${apiUrl}/${entry.id}`, {
+        method: 'DELETE',
+        headers: withApiKey()
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || `API error: ${response.status}`);
+      }
+
+      entries = entries.filter(candidate => candidate.id !== entry.id);
+      total -= 1;
+      render();
+    } catch (error) {
+      console.error('History error:', error);
+      setStatus(`Error: ${error.message}`);
+    }
+  }
+
+  // Elements are built with textContent so transcripts are never parsed as HTML
+  function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  function createButton(label, className, onClick) {
+    const button = createElement('button', `btn ${className}`, label);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function createSection(className, heading, text) {
+    const section = document.createElement('div');
+    section.className = className;
+    section.appendChild(createElement('h4', '', heading));
+    section.appendChild(createElement('p', '', text));
+    return section;
+  }
+
+  /**
+   * Offer the command types the API records in the command filter
+   * @param {Array<string>} commandTypes - Values of the API's CommandType schema
+   */
+  function setCommandTypes(commandTypes) {
+    if (!commandTypeSelect) return;
+
+    const selected = commandTypeSelect.value;
+    commandTypeSelect.replaceChildren(
+      new Option('Any command', ''),
+      ...commandTypes.map(type => new Option(commandTypeLabel(type), type))
+    );
+    commandTypeSelect.value = commandTypes.includes(selected) ? selected : '';
+  }
+
+  /**
+   * The day after a date input's value
+   * @param {string} date - `YYYY-MM-DD`
+   * @returns {string} - `YYYY-MM-DD` of the next day
+   */
+  function nextDay(date) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + 1);
+    return day.toISOString().slice(0, 10);
+  }
+
+  return {
+    refresh,
+    setCommandTypes
+  };
+}
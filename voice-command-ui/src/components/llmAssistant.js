@@ -1,20 +1,29 @@
 /**
  * LLM Assistant component
- * Integrates with the backend LLM API to provide AI-powered API discovery and usage
+ * Integrates with the backend LLM API to provide AI-powered API discovery and usage.
+ * Questions are asked in a server-side session, so follow-ups are answered in context
+ * and the panel shows the conversation as a thread. Answers are streamed as they are
+ * generated and can be stopped part way.
  */
 
+import { withApiKey } from '../services/apiKey.js';
+
 export function setupLLMAssistant({
   apiUrl,
   assistantContainer,
   queryInput,
   submitButton,
-  resultContainer
+  resultContainer,
+  newConversationButton,
+  stopButton
 }) {
   // Element references
   const assistantPanel = assistantContainer || document.getElementById('llm-assistant');
   const questionInput = queryInput || document.getElementById('llm-query');
   const askButton = submitButton || document.getElementById('llm-submit');
   const responseArea = resultContainer || document.getElementById('llm-response');
+  const newButton = newConversationButton || document.getElementById('llm-new-conversation');
+  const stopAnswerButton = stopButton || document.getElementById('llm-stop');
   const loadingIndicator = assistantPanel.querySelector('.loading') || document.createElement('div');
   
   // Ensure the loading indicator exists
@@ -26,12 +35,24 @@ export function setupLLMAssistant({
   
   // Initialize state
   let isWaiting = false;
+  let sessionId = null;
+  let answerController = null;
+  const initialMessage = responseArea.innerHTML;
   
   // Set up event listeners
   if (askButton) {
     askButton.addEventListener('click', handleQuerySubmit);
   }
   
+  if (newButton) {
+    newButton.addEventListener('click', startNewConversation);
+  }
+  
+  if (stopAnswerButton) {
+    // Aborting the request closes the stream, which stops the LLM on the server
+    stopAnswerButton.addEventListener('click', () => answerController?.abort());
+  }
+  
   if (questionInput) {
     questionInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter' && !isWaiting) {
@@ -54,64 +75,219 @@ export function setupLLMAssistant({
     
     // Show loading state
     isWaiting = true;
+    answerController = new AbortController();
     loadingIndicator.classList.remove('hidden');
     askButton.disabled = true;
+    stopAnswerButton?.classList.remove('hidden');
+    
+    // Show the question in the thread straight away
+    appendMessage('user', `<p>${escapeHtml(query)}</p>`);
+    questionInput.value = '';
+    
+    // The answer so far, rendered into one message as it streams in
+    const answer = { text: '', toolCalls: [], message: null };
+    const render = () => {
+      loadingIndicator.classList.add('hidden');
+      answer.message = displayLLMResponse(answer.text, answer.toolCalls, answer.message);
+    };
     
     try {
-      // Call the LLM API
-      const response = await fetch(`${apiUrl}/llm/query`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
+      const data = await sendMessage(query, {
+        onDelta: (content) => {
+          answer.text += content;
+          render();
         },
-        body: JSON.stringify({ query })
+        onToolCall: (toolCall) => {
+          answer.toolCalls.push(toolCall);
+          render();
+        },
+        signal: answerController.signal
       });
       
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `API error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      if (data.success && data.response) {
-        displayLLMResponse(data.response);
+      if (data.success && (data.response || data.toolCalls?.length)) {
+        // Replace the streamed text with the final answer
+        answer.text = data.response || '';
+        answer.toolCalls = data.toolCalls || [];
+        render();
       } else {
         showError('The assistant couldn\'t answer your question');
       }
       
     } catch (error) {
-      console.error('LLM API Error:', error);
-      showError(`Error: ${error.message}`);
+      if (error.name === 'AbortError') {
+        if (!answer.message) render();
+        answer.message.insertAdjacentHTML('beforeend', '<p class="stopped">Stopped</p>');
+      } else {
+        console.error('LLM API Error:', error);
+        showError(`Error: ${error.message}`);
+      }
     } finally {
       // Reset UI state
       isWaiting = false;
+      answerController = null;
       loadingIndicator.classList.add('hidden');
       askButton.disabled = false;
+      stopAnswerButton?.classList.add('hidden');
+    }
+  }
+  
+  /**
+   * Start a conversation session on the API
+   */
+  async function createSession() {
+    const response = await fetch(`${apiUrl}/sessions`, { method: 'POST', headers: withApiKey() });
+    
+    if (!response.ok) {
+      throw new Error(`Could not start a conversation: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    return data.session.id;
+  }
+  
+  /**
+   * Ask a question in the current session, starting one if needed
+   * @param {string} query - The question
+   * @param {Object} stream - `{ onDelta, onToolCall, signal }` for the streamed answer
+   * @returns {Promise<Object>} - Final response of the session messages endpoint
+   */
+  async function sendMessage(query, stream) {
+    if (!sessionId) {
+      sessionId = await createSession();
+    }
+    
+    const post = () => fetch(`${apiUrl}/sessions/${sessionId}/messages`, {
+      method: 'POST',
+      headers: withApiKey({
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream'
+      }),
+      body: JSON.stringify({ query }),
+      signal: stream.signal
+    });
+    
+    let response = await post();
+    
+    // Sessions expire after a while without activity; carry on in a new one
+    if (response.status === 404) {
+      sessionId = await createSession();
+      response = await post();
+    }
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || `API error: ${response.status}`);
+    }
+    
+    return readEventStream(response, stream);
+  }
+  
+  /**
+   * Read a streamed answer
+   * @param {Response} response - Fetch response with a text/event-stream body
+   * @param {Object} handlers - `onDelta` for pieces of the answer, `onToolCall` for API calls the LLM made
+   * @returns {Promise<Object>} - Body of the final `done` event
+   */
+  async function readEventStream(response, { onDelta, onToolCall }) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+      
+      for (const block of events) {
+        const event = block.match(/^event: (.*)$/m)?.[1];
+        const data = JSON.parse(block.match(/^data: (.*)$/m)?.[1] || 'null');
+        
+        switch (event) {
+          case 'delta':
+            onDelta(data.content);
+            break;
+          case 'tool_call':
+            onToolCall(data);
+            break;
+          case 'done':
+            return data;
+          case 'error':
+            throw new Error(data.error);
+        }
+      }
+    }
+    
+    throw new Error('The answer ended before it was complete');
+  }
+  
+  /**
+   * Discard the current conversation and clear the thread
+   */
+  function startNewConversation() {
+    if (isWaiting) return;
+    
+    if (sessionId) {
+      // The session would expire anyway, so a failed delete is not worth reporting
+      fetch(`${apiUrl}/sessions/${sessionId}`, { method: 'DELETE', headers: withApiKey() }).catch(() => {});
+      sessionId = null;
     }
+    
+    responseArea.innerHTML = initialMessage;
+    questionInput.value = '';
+    questionInput.focus();
+  }
+  
+  /**
+   * Add a message to the conversation thread
+   * @param {string} role - `user` or `assistant`
+   * @param {string} html - Message content
+   * @returns {HTMLElement} - The message element
+   */
+  function appendMessage(role, html) {
+    // The suggestions are replaced by the conversation once it starts
+    responseArea.querySelector('.initial-message')?.remove();
+    
+    const message = document.createElement('div');
+    message.className = `assistant-message ${role}`;
+    message.innerHTML = html;
+    responseArea.appendChild(message);
+    responseArea.scrollTop = responseArea.scrollHeight;
+    
+    return message;
   }
   
   /**
-   * Display the LLM response with formatted markdown
+   * Display the LLM response with formatted markdown, followed by the API calls it made
+   * Called again as a streamed answer grows, updating the same message.
+   * @param {string} response - Answer text so far
+   * @param {Array<Object>} toolCalls - API calls the LLM made so far
+   * @param {HTMLElement} message - Message to update; a new one is added to the thread if omitted
+   * @returns {HTMLElement} - The message element
    */
-  function displayLLMResponse(response) {
+  function displayLLMResponse(response, toolCalls, message = null) {
     // Format code blocks and API examples
     const formattedResponse = formatLLMResponse(response);
+    const html = formattedResponse + formatToolCalls(toolCalls);
     
-    // Display the response
-    responseArea.innerHTML = formattedResponse;
+    if (message) {
+      message.innerHTML = html;
+      responseArea.scrollTop = responseArea.scrollHeight;
+    } else {
+      // Add the response to the thread
+      message = appendMessage('assistant', html);
+    }
     
     // Add syntax highlighting if available
     if (window.hljs) {
-      responseArea.querySelectorAll('pre code').forEach((block) => {
+      message.querySelectorAll('pre code').forEach((block) => {
         window.hljs.highlightBlock(block);
       });
     }
     
-    // Add event listeners to any API action buttons
-    responseArea.querySelectorAll('.api-action-btn').forEach(button => {
-      button.addEventListener('click', handleAPIAction);
-    });
+    return message;
   }
   
   /**
@@ -131,33 +307,48 @@ export function setupLLMAssistant({
       .replace(/^## (.*?)$/gm, '<h2>$1</h2>')
       .replace(/^# (.*?)$/gm, '<h1>$1</h1>')
       // Line breaks
-      .replace(/\n\n/g, '<br><br>')
-      // Detect API endpoints and add action buttons where relevant
-      .replace(/((POST|GET|PUT|DELETE) \/api\/[a-zA-Z0-9\/-]+)/g, 
-               '<code>$1</code> <button class="api-action-btn" data-endpoint="$1">Try it</button>');
+      .replace(/\n\n/g, '<br><br>');
     
     return formatted;
   }
   
   /**
-   * Handle clicking on API action buttons
+   * Format the API operations the assistant called, with their results
+   * @param {Array<Object>} toolCalls - Tool calls from the API ({ action, result } or { action, error })
    */
-  function handleAPIAction(event) {
-    const endpoint = event.target.dataset.endpoint;
+  function formatToolCalls(toolCalls) {
+    if (toolCalls.length === 0) {
+      return '';
+    }
     
-    // In a real implementation, you would:
-    // 1. Parse the endpoint and method
-    // 2. Show a form for entering required parameters
-    // 3. Call the LLM execute endpoint with the action details
+    const items = toolCalls.map(({ action, result, error }) => {
+      const outcome = error
+        ? `<span class="error">${error.status} ${error.message}</span>`
+        : `<span class="status">${result.status}</span>`;
+      const payload = JSON.stringify(error ? error.details || {} : result.data, null, 2);
+      
+      return `
+        <li>
+          <details>
+            <summary><code>${action.operationId}</code> ${outcome}</summary>
+            <pre><code class="json">${escapeHtml(payload || '')}</code></pre>
+          </details>
+        </li>
+      `;
+    }).join('');
     
-    alert(`API Action: ${endpoint}\n\nIn a complete implementation, this would show a form to execute this API call.`);
+    return `<div class="api-calls"><h4>API calls</h4><ul>${items}</ul></div>`;
+  }
+  
+  function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
   }
   
   /**
    * Show error message
    */
   function showError(message) {
-    responseArea.innerHTML = `<div class="error">${message}</div>`;
+    appendMessage('assistant', `<div class="error">${message}</div>`);
   }
   
   // Return public methods
@@ -166,6 +357,7 @@ export function setupLLMAssistant({
       questionInput.value = query;
       await handleQuerySubmit();
     },
-    getLastResponse: () => responseArea.innerHTML
+    getLastResponse: () => [...responseArea.querySelectorAll('.assistant-message.assistant')].pop()?.innerHTML || '',
+    newConversation: startNewConversation
   };
 }
@@ -3,6 +3,10 @@
  * Handles the UI for transcribing and displaying results
  */
 
+import { ASYNC_TRANSCRIPTION_MIN_BYTES, JOB_POLL_INTERVAL_MS } from '../config.js';
+import { withApiKey, withApiKeyParam } from '../services/apiKey.js';
+import { withGlossary } from '../services/glossary.js';
+
 export function setupTranscriptionUI({
   transcribeButton,
   resultTextElement,
@@ -18,6 +22,21 @@ export function setupTranscriptionUI({
   copyButton.addEventListener('click', copyToClipboard);
   newRecordingButton.addEventListener('click', startNewRecording);
   
+  // Render the live transcript streamed while recording
+  document.addEventListener('transcriptPartial', (event) => {
+    resultTextElement.classList.add('interim');
+    resultTextElement.textContent = event.detail.text;
+  });
+  
+  // Only the live transcript is replaced, not a result the command analyzer already shows
+  document.addEventListener('transcriptFinal', (event) => {
+    if (!resultTextElement.classList.contains('interim')) return;
+    resultTextElement.classList.remove('interim');
+    if (event.detail.text) {
+      resultTextElement.textContent = event.detail.text;
+    }
+  });
+  
   // Transcribe audio function
   async function transcribeAudio() {
     const audioBlob = recorder.getAudioBlob();
@@ -33,31 +52,24 @@ export function setupTranscriptionUI({
       statusElement.textContent = 'Transcribing your audio...';
       transcribeButton.disabled = true;
       
-      // Convert audio blob to base64
-      const base64Audio = await blobToBase64(audioBlob);
-      
-      // Send to backend API
-      const response = await fetch(`${apiUrl}/transcribe`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ audioData: base64Audio })
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `API error: ${response.status}`);
-      }
+      // Upload the recording as multipart form data
+      const formData = new FormData();
+      formData.append('audio', audioBlob, 'recording');
+      withGlossary(formData);
       
-      const data = await response.json();
+      // Long recordings go through the job API instead of holding the request open
+      const data = audioBlob.size >= ASYNC_TRANSCRIPTION_MIN_BYTES
+        ? await transcribeWithJob(formData)
+        : await transcribeDirectly(formData);
       
       // Display transcription result
+      resultTextElement.classList.remove('interim');
       resultTextElement.textContent = data.transcription || 'No transcription available';
       
       // Update UI state
       loadingElement.classList.add('hidden');
-      statusElement.textContent = 'Transcription complete!';
+      // The analyzer usually transcribed this recording already, in which case the server answers from its cache
+      statusElement.textContent = data.metadata?.cached ? 'Transcription complete (cached)' : 'Transcription complete!';
       
     } catch (error) {
       console.error('Transcription error:', error);
@@ -67,6 +79,99 @@ export function setupTranscriptionUI({
     }
   }
   
+  // Transcribe in a single request
+  async function transcribeDirectly(formData) {
+    const response = await fetch(`${apiUrl}/transcribe`, {
+      method: 'POST',
+      headers: withApiKey(),
+      body: formData
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || `API error: ${response.status}`);
+    }
+    
+    return response.json();
+  }
+  
+  // Submit a transcription job and wait for its result
+  async function transcribeWithJob(formData) {
+    const response = await fetch(`${apiUrl}/jobs`, {
+      method: 'POST',
+      headers: withApiKey(),
+      body: formData
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || `API error: ${response.status}`);
+    }
+    
+    const { job } = await response.json();
+    const finishedJob = await waitForJob(job.id);
+    
+    if (finishedJob.status !== 'succeeded') {
+      throw new Error(finishedJob.error?.message || `Transcription job ${finishedJob.status}`);
+    }
+    
+    return finishedJob.result;
+  }
+  
+  // Subscribe to job updates, falling back to polling if the event stream fails
+  function waitForJob(jobId) {
+    return new Promise((resolve, reject) => {
+      const events = new EventSource(`${apiUrl}/jobs/${jobId}/events?${withApiKeyParam()}`);
+      
+      events.addEventListener('job', (event) => {
+        const job = JSON.parse(event.data);
+        showJobProgress(job);
+        
+        if (isJobFinished(job)) {
+          events.close();
+          resolve(job);
+        }
+      });
+      
+      events.onerror = () => {
+        events.close();
+        pollJob(jobId).then(resolve, reject);
+      };
+    });
+  }
+  
+  async function pollJob(jobId) {
+    while (true) {
+      const response = await fetch(`${apiUrl}/jobs/${jobId}`, { headers: withApiKey() });
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `API error: ${response.status}`);
+      }
+      
+      const { job } = await response.json();
+      showJobProgress(job);
+      
+      if (isJobFinished(job)) {
+        return job;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    }
+  }
+  
+  function isJobFinished(job) {
+    return ['succeeded', 'failed', 'cancelled'].includes(job.status);
+  }
+  
+  function showJobProgress(job) {
+    if (job.status === 'queued') {
+      statusElement.textContent = 'Waiting for transcription to start...';
+    } else if (job.status === 'running') {
+      statusElement.textContent = `Transcribing your audio... ${Math.round(job.progress * 100)}%`;
+    }
+  }
+  
   // Copy transcription to clipboard
   function copyToClipboard() {
     const text = resultTextElement.textContent;
@@ -90,20 +195,8 @@ export function setupTranscriptionUI({
   
   // Start a new recording
   function startNewRecording() {
+    resultTextElement.classList.remove('interim');
     resultTextElement.textContent = 'Your transcription will appear here...';
     recorder.reset();
   }
-  
-  // Helper function to convert Blob to Base64
-  function blobToBase64(blob) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        const base64String = reader.result.split(',')[1];
-        resolve(base64String);
-      };
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
-  }
 }
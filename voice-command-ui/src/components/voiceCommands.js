@@ -1,10 +1,13 @@
 /**
  * Voice Commands Component
- * Integrates speech recognition with API calls via LLM
+ * Integrates speech recognition with the API's voice command endpoint
  */
 
 import annyang from 'annyang';
-import { API_URL, LLM_API_URL } from '../config.js';
+import { API_URL, COMMANDS_API_URL } from '../config.js';
+import { withApiKey } from '../services/apiKey.js';
+import { withGlossary } from '../services/glossary.js';
+import { escapeHtml } from '../utils/html.js';
 
 // Constants for voice command types
 const COMMAND_TYPES = {
@@ -20,7 +23,6 @@ const COMMAND_TYPES = {
 export function setupVoiceCommands({
   statusElement,
   recorder,
-  apiDiscoveryService,
   resultTextElement,
   onTranscriptionComplete,
   onCommandDetected
@@ -122,93 +124,51 @@ export function setupVoiceCommands({
       
       // Display recognized command
       if (resultTextElement) {
-        resultTextElement.innerHTML = `<div class="voice-command">Command recognized: "${command}"</div>`;
+        resultTextElement.innerHTML = `<div class="voice-command">Command recognized: "${escapeHtml(command)}"</div>`;
       }
       
       console.log('Voice command recognized:', command);
       
-      // Process command with LLM if it wasn't handled by direct commands
+      // Parse the command on the server if it wasn't handled by direct commands
       // This will be done by the handleGenericCommand function
     }
   }
   
   /**
    * Parse spoken command to identify API intent
+   * The API matches common phrasings with its command grammar and only asks the LLM about the rest
    */
-  async function parseCommandWithLLM(command) {
+  async function parseCommand(command) {
     try {
-      // Get API spec if available
-      const apiSpec = apiDiscoveryService ? apiDiscoveryService.getRawSpec() : null;
-      
-      // Construct a prompt that helps the LLM identify the intent
-      const promptPrefix = apiSpec 
-        ? "Given this API specification: " + JSON.stringify(apiSpec.paths) 
-        : "You're a voice assistant for an audio transcription API.";
-        
-      const prompt = `${promptPrefix}
-
-Based on the user's spoken command: "${command}", determine:
-1. Which API endpoint should be called?
-2. What parameters should be provided?
-3. What is the user's intent?
-
-Return JSON in this format:
-{
-  "commandType": "transcribe|list_models|help|unknown",
-  "endpoint": "/api/path",
-  "method": "GET|POST",
-  "parameters": {},
-  "intent": "brief description"
-}`;
-
-      // Call LLM API to process the command
-      const response = await fetch(`${LLM_API_URL}/query`, {
+      const response = await fetch(`${COMMANDS_API_URL}/analyze`, {
         method: 'POST',
-        headers: {
+        headers: withApiKey({
           'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ query: prompt })
+        }),
+        // Only parse, the handlers below act on the intent
+        body: JSON.stringify({ text: command, execute: false })
       });
       
       if (!response.ok) {
-        throw new Error(`LLM API error: ${response.status}`);
+        throw new Error(`Command API error: ${response.status}`);
       }
       
       const data = await response.json();
       
       if (!data.success) {
-        throw new Error('Failed to process command with LLM');
+        throw new Error('Failed to process command');
       }
       
-      // Extract the JSON response from the LLM text
-      const jsonMatch = data.response.match(/```json\n([\s\S]*?)\n```/) || 
-                        data.response.match(/{[\s\S]*?}/);
-                        
-      if (jsonMatch) {
-        try {
-          const parsedResponse = JSON.parse(jsonMatch[1] || jsonMatch[0]);
-          return parsedResponse;
-        } catch (parseError) {
-          console.error('Error parsing LLM JSON:', parseError);
-          return {
-            commandType: COMMAND_TYPES.UNKNOWN,
-            intent: 'Could not parse command',
-            rawLLMResponse: data.response
-          };
-        }
-      } else {
-        return {
-          commandType: COMMAND_TYPES.UNKNOWN,
-          intent: 'Command not recognized',
-          rawLLMResponse: data.response
-        };
-      }
+      return {
+        ...data.intent,
+        source: data.metadata.intent_source
+      };
       
     } catch (error) {
-      console.error('Error processing command with LLM:', error);
+      console.error('Error processing command:', error);
       return {
         commandType: COMMAND_TYPES.UNKNOWN,
-        intent: `Error: ${error.message}`,
+        command,
         error: error.message
       };
     }
@@ -247,9 +207,9 @@ Return JSON in this format:
     try {
       const response = await fetch(`${API_URL}/models`, {
         method: 'GET',
-        headers: {
+        headers: withApiKey({
           'Content-Type': 'application/json'
-        }
+        })
       });
       
       if (!response.ok) {
@@ -306,14 +266,14 @@ Return JSON in this format:
   }
   
   /**
-   * Handle generic command using LLM to determine intent
+   * Handle generic command using the command endpoint to determine intent
    */
   async function handleGenericCommand(query) {
     statusElement.textContent = 'Processing command...';
     
     try {
-      // Parse the command with LLM to determine intent
-      const parsedCommand = await parseCommandWithLLM(query);
+      // Parse the command to determine intent
+      const parsedCommand = await parseCommand(query);
       
       // Notify listeners if callback provided
       if (onCommandDetected) {
@@ -344,8 +304,8 @@ Return JSON in this format:
           if (resultTextElement) {
             resultTextElement.innerHTML = `
               <div class="unknown-command">
-                <p>I didn't understand: "${query}"</p>
-                <p>Intent detected: ${parsedCommand.intent || 'Unknown'}</p>
+                <p>I didn't understand: "${escapeHtml(query)}"</p>
+                <p>Intent detected: ${escapeHtml(parsedCommand.error ? `Error: ${parsedCommand.error}` : parsedCommand.commandType)}</p>
                 <p>Try saying "help" for available commands.</p>
               </div>
             `;
@@ -365,16 +325,16 @@ Return JSON in this format:
     try {
       statusElement.textContent = 'Transcribing audio...';
       
-      // Convert blob to base64
-      const base64Audio = await blobToBase64(audioBlob);
+      // Upload the recording as multipart form data
+      const formData = new FormData();
+      formData.append('audio', audioBlob, 'recording');
+      withGlossary(formData);
       
       // Call API
       const response = await fetch(`${API_URL}/transcribe`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ audioData: base64Audio })
+        headers: withApiKey(),
+        body: formData
       });
       
       if (!response.ok) {
@@ -385,7 +345,7 @@ Return JSON in this format:
       
       if (data.success && data.transcription) {
         if (resultTextElement) {
-          resultTextElement.innerHTML = `<div class="transcription-result">${data.transcription}</div>`;
+          resultTextElement.innerHTML = `<div class="transcription-result">${escapeHtml(data.transcription)}</div>`;
         }
         
         statusElement.textContent = 'Transcription complete';
@@ -404,27 +364,12 @@ Return JSON in this format:
     }
   }
   
-  /**
-   * Convert blob to base64
-   */
-  function blobToBase64(blob) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        // Extract the base64 part from the data URL
-        const base64String = reader.result.split(',')[1];
-        resolve(base64String);
-      };
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
-  }
-  
   // Return public interface
   return {
     startCommandMode,
     stopCommandMode,
     isCommandModeActive: () => isListening,
+    handleGenericCommand,
     transcribeAudio: (blob) => {
       audioBlob = blob;
       return transcribeAudio(blob);
@@ -8,17 +8,39 @@ const PROD_BASE_URL = 'https://your-production-api.com';
 // Use development URL by default
 export const BASE_URL = DEV_BASE_URL;
 
+// API key sent with every request; one entered in the page header takes precedence
+export const API_KEY = '';
+
 // API endpoints
 export const API_URL = `${BASE_URL}/api/audio`;
 export const LLM_API_URL = `${BASE_URL}/api/llm`;
+export const COMMANDS_API_URL = `${BASE_URL}/api/commands`;
+export const TRANSCRIPTIONS_API_URL = `${BASE_URL}/api/transcriptions`;
+export const GLOSSARIES_API_URL = `${BASE_URL}/api/glossaries`;
+export const SPEAK_API_URL = `${BASE_URL}/api/audio/speak`;
 export const API_SPEC_URL = `${BASE_URL}/api-spec`;
 export const API_DOCS_URL = `${BASE_URL}/api-docs`;
 
+// WebSocket endpoint for real-time transcription
+export const STREAM_URL = `${BASE_URL.replace(/^http/, 'ws')}/api/audio/stream`;
+
 // Default language for transcription
 export const DEFAULT_LANGUAGE = 'en';
 
 // Maximum recording time in seconds (0 for unlimited)
 export const MAX_RECORDING_TIME = 300; // 5 minutes
 
+// Recordings at least this large (bytes) are transcribed as an asynchronous job
+export const ASYNC_TRANSCRIPTION_MIN_BYTES = 1024 * 1024; // 1 MB
+
+// How often (ms) to poll a transcription job when live updates are unavailable
+export const JOB_POLL_INTERVAL_MS = 2000;
+
 // OpenAI Whisper model to use
 export const WHISPER_MODEL = 'whisper-1';
+
+// Stream audio to the API while recording to show a live transcript
+export const STREAMING_ENABLED = true;
+
+// How often (ms) the recorder emits an audio chunk while streaming
+export const STREAM_TIMESLICE_MS = 1000;
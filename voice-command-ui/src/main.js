@@ -4,13 +4,26 @@ import { setupVisualizer } from './components/visualizer.js';
 import { setupLLMAssistant } from './components/llmAssistant.js';
 import { setupVoiceCommands } from './components/voiceCommands.js';
 import { initCommandAnalyzer } from './components/commandAnalyzer.js';
+import { setupHistoryPanel } from './components/historyPanel.js';
 import { APIDiscoveryService } from './services/apiDiscovery.js';
-import { API_URL, LLM_API_URL, API_SPEC_URL } from './config.js';
+import { setupApiKeyInput } from './services/apiKey.js';
+import { setupGlossarySelect } from './services/glossary.js';
+import { setupSpeakResultsToggle } from './services/speech.js';
+import { API_URL, LLM_API_URL, COMMANDS_API_URL, TRANSCRIPTIONS_API_URL, GLOSSARIES_API_URL, API_SPEC_URL } from './config.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('Voice Command Platform initialized');
   console.log(`API URL: ${API_URL}`);
   
+  // API key entered at runtime, used instead of the one in config.js
+  setupApiKeyInput(document.getElementById('api-key'));
+  
+  // Glossary sent with recordings to transcribe and translate
+  setupGlossarySelect(document.getElementById('glossary-select'), GLOSSARIES_API_URL);
+  
+  // Option to read command results aloud
+  setupSpeakResultsToggle(document.getElementById('speak-results'));
+  
   // Tab switching functionality
   const tabs = document.querySelectorAll('.tab');
   tabs.forEach(tab => {
@@ -52,6 +65,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     apiUrl: API_URL
   });
   
+  // Initialize history of past transcriptions; reopened entries show in the transcription tab
+  const historyPanel = setupHistoryPanel({
+    apiUrl: TRANSCRIPTIONS_API_URL,
+    tabButton: document.getElementById('tab-history'),
+    searchInput: document.getElementById('history-search'),
+    typeSelect: document.getElementById('history-type'),
+    commandTypeSelect: document.getElementById('history-command-type'),
+    languageInput: document.getElementById('history-language'),
+    fromInput: document.getElementById('history-from'),
+    toInput: document.getElementById('history-to'),
+    listElement: document.getElementById('history-list'),
+    statusElement: document.getElementById('history-status'),
+    moreButton: document.getElementById('history-more'),
+    resultTextElement: document.getElementById('resultText'),
+    onReopen: () => document.getElementById('tab-transcription').click()
+  });
+  
   // Initialize API Discovery Service
   const apiDiscoveryService = new APIDiscoveryService(API_SPEC_URL);
   
@@ -63,6 +93,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Make available globally for debugging
     window.apiDiscovery = apiDiscoveryService;
     
+    // The command filter offers the command types the API defines
+    const commandTypes = apiDiscoveryService.getRawSpec().components?.schemas?.CommandType?.enum;
+    if (historyPanel && commandTypes) {
+      historyPanel.setCommandTypes(commandTypes);
+    }
+    
     // Initialize LLM Assistant if the container exists
     let llmAssistant;
     if (document.getElementById('llm-assistant')) {
@@ -71,7 +107,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         assistantContainer: document.getElementById('llm-assistant'),
         queryInput: document.getElementById('llm-query'),
         submitButton: document.getElementById('llm-submit'),
-        resultContainer: document.getElementById('llm-response')
+        resultContainer: document.getElementById('llm-response'),
+        newConversationButton: document.getElementById('llm-new-conversation'),
+        stopButton: document.getElementById('llm-stop')
       });
       
       // Populate assistant with API capabilities
@@ -81,8 +119,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Initialize Command Analyzer for in-recording commands
     const commandAnalyzer = initCommandAnalyzer({
-      apiUrl: API_URL,
-      llmApiUrl: LLM_API_URL,
+      commandsApiUrl: COMMANDS_API_URL,
       statusElement: document.getElementById('status'),
       resultElement: document.getElementById('resultText'),
       loadingElement: document.getElementById('loading')
@@ -92,7 +129,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     const voiceCommands = setupVoiceCommands({
       statusElement: document.getElementById('status'),
       recorder: recorder,
-      apiDiscoveryService: apiDiscoveryService,
       resultTextElement: document.getElementById('resultText'),
       onTranscriptionComplete: (text) => {
         console.log('Transcription from voice command:', text);
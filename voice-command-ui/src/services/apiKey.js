@@ -0,0 +1,66 @@
+/**
+ * API Key
+ * Holds the key sent with API requests: the one entered at runtime, which is kept in
+ * localStorage, or else API_KEY from config.js
+ */
+
+import { API_KEY } from '../config.js';
+
+const STORAGE_KEY = 'voiceCommandApiKey';
+
+/**
+ * Get the API key in use
+ * @returns {string} - The key, or an empty string if none is configured
+ */
+export function getApiKey() {
+  return localStorage.getItem(STORAGE_KEY) || API_KEY;
+}
+
+/**
+ * Use a key entered at runtime instead of the configured one
+ * @param {string} key - The key; an empty value goes back to the configured key
+ */
+export function setApiKey(key) {
+  if (key) {
+    localStorage.setItem(STORAGE_KEY, key);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+/**
+ * Add the API key to request headers
+ * @param {Object} [headers] - Other request headers
+ * @returns {Object} - Headers including X-API-Key when a key is set
+ */
+export function withApiKey(headers = {}) {
+  const key = getApiKey();
+  return key ? { ...headers, 'X-API-Key': key } : headers;
+}
+
+/**
+ * Add the API key to query parameters, for EventSource and WebSocket connections,
+ * which cannot send headers
+ * @param {URLSearchParams} [params] - Other query parameters
+ * @returns {URLSearchParams} - Parameters including apiKey when a key is set
+ */
+export function withApiKeyParam(params = new URLSearchParams()) {
+  const key = getApiKey();
+  if (key) params.set('apiKey', key);
+  return params;
+}
+
+/**
+ * Let the user enter an API key at runtime
+ * @param {HTMLInputElement} input - Field for the key; it is saved when the field changes
+ */
+export function setupApiKeyInput(input) {
+  if (!input) return;
+  
+  input.value = localStorage.getItem(STORAGE_KEY) || '';
+  input.placeholder = API_KEY ? 'Using the configured API key' : 'API key';
+  
+  input.addEventListener('change', () => {
+    setApiKey(input.value.trim());
+  });
+}
@@ -0,0 +1,81 @@
+/**
+ * Glossary
+ * Holds the glossary selected for transcriptions and translations, kept in localStorage,
+ * so product names and jargon in recordings are spelled as the glossary lists them
+ */
+
+import { withApiKey } from './apiKey.js';
+
+const STORAGE_KEY = 'voiceCommandGlossaryId';
+
+/**
+ * Get the selected glossary
+ * @returns {string} - Glossary id, or an empty string if none is selected
+ */
+export function getGlossaryId() {
+  return localStorage.getItem(STORAGE_KEY) || '';
+}
+
+/**
+ * Select a glossary
+ * @param {string} id - Glossary id; an empty value selects none
+ */
+export function setGlossaryId(id) {
+  if (id) {
+    localStorage.setItem(STORAGE_KEY, id);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+/**
+ * Add the selected glossary to an upload
+ * @param {FormData} formData - Upload form
+ * @returns {FormData} - The form, with glossaryId when a glossary is selected
+ */
+export function withGlossary(formData) {
+  const id = getGlossaryId();
+  if (id) formData.append('glossaryId', id);
+  return formData;
+}
+
+/**
+ * Let the user pick a glossary from those available to their API key
+ * @param {HTMLSelectElement} select - Picker; its first option stands for no glossary
+ * @param {string} apiUrl - Glossaries endpoint
+ */
+export function setupGlossarySelect(select, apiUrl) {
+  if (!select) return;
+  
+  const noneOption = select.options[0];
+  
+  async function load() {
+    try {
+      const response = await fetch(apiUrl, { headers: withApiKey() });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || `API error: ${response.status}`);
+      }
+      
+      select.replaceChildren(noneOption, ...data.glossaries.map(glossary => new Option(glossary.name, glossary.id)));
+      
+      // Forget a glossary that was deleted or belongs to another key
+      if (!data.glossaries.some(glossary => glossary.id === getGlossaryId())) {
+        setGlossaryId('');
+      }
+      select.value = getGlossaryId();
+    } catch (error) {
+      console.error('Failed to load glossaries:', error);
+    }
+  }
+  
+  select.addEventListener('change', () => {
+    setGlossaryId(select.value);
+  });
+  
+  // Glossaries may have been added since, or the API key changed
+  select.addEventListener('focus', load);
+  
+  load();
+}
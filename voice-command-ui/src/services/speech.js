@@ -0,0 +1,113 @@
+/**
+ * Spoken responses
+ * Reads command results aloud with the API's text-to-speech endpoint, when the user
+ * turned the option on; the choice is kept in localStorage
+ */
+
+import { SPEAK_API_URL } from '../config.js';
+import { withApiKey } from './apiKey.js';
+
+const STORAGE_KEY = 'voiceCommandSpeakResults';
+
+// Audio playing now, and a counter so newer results cut off older ones
+let currentAudio = null;
+let generation = 0;
+
+/**
+ * Whether command results are read aloud
+ * @returns {boolean} - The user's choice, off by default
+ */
+export function getSpeakResults() {
+  return localStorage.getItem(STORAGE_KEY) === 'true';
+}
+
+/**
+ * Turn reading command results aloud on or off
+ * @param {boolean} enabled - Whether to read results aloud
+ */
+export function setSpeakResults(enabled) {
+  if (enabled) {
+    localStorage.setItem(STORAGE_KEY, 'true');
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+/**
+ * Stop reading aloud
+ */
+export function stopSpeaking() {
+  generation++;
+  if (currentAudio) {
+    currentAudio.pause();
+    currentAudio = null;
+  }
+}
+
+/**
+ * Synthesise text with the API and play it
+ * @param {string} text - Text to speak
+ * @param {Object} options - `{ language }`: ISO 639-1 code of the text, such as a translation's target language
+ * @param {number} current - Generation the text belongs to; it is not played once stopped
+ * @returns {Promise<void>} - Resolves when playback ends
+ */
+async function play(text, { language }, current) {
+  const response = await fetch(SPEAK_API_URL, {
+    method: 'POST',
+    headers: withApiKey({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ text, ...(language && { language }) })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || `API error: ${response.status}`);
+  }
+
+  const blob = await response.blob();
+  if (current !== generation) return;
+
+  const url = URL.createObjectURL(blob);
+  const audio = new Audio(url);
+  currentAudio = audio;
+
+  try {
+    await new Promise((resolve, reject) => {
+      audio.addEventListener('ended', resolve);
+      audio.addEventListener('pause', resolve);
+      audio.addEventListener('error', () => reject(new Error('The audio could not be played')));
+      audio.play().catch(reject);
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Read texts aloud one after another, stopping anything still being read
+ * @param {Array<Object>} parts - `{ text, language }` to speak, in order
+ * @returns {Promise<void>} - Resolves when all parts were read, or another call took over
+ */
+export async function speak(parts) {
+  stopSpeaking();
+  const current = generation;
+
+  for (const part of parts) {
+    if (current !== generation) return;
+    if (part.text) await play(part.text, part, current);
+  }
+}
+
+/**
+ * Let the user turn reading results aloud on or off
+ * @param {HTMLInputElement} checkbox - Option checkbox
+ */
+export function setupSpeakResultsToggle(checkbox) {
+  if (!checkbox) return;
+
+  checkbox.checked = getSpeakResults();
+
+  checkbox.addEventListener('change', () => {
+    setSpeakResults(checkbox.checked);
+    if (!checkbox.checked) stopSpeaking();
+  });
+}
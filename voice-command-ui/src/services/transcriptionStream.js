@@ -0,0 +1,144 @@
+/**
+ * Transcription Stream
+ * Streams recorder chunks to the API over WebSocket and receives live transcripts
+ */
+
+import { withApiKeyParam } from './apiKey.js';
+import { getGlossaryId } from './glossary.js';
+
+export class TranscriptionStream {
+  /**
+   * @param {string} streamUrl - WebSocket URL of the streaming endpoint
+   * @param {Object} options - Stream options
+   * @param {string} [options.language] - Language code for transcription
+   * @param {Function} [options.onPartial] - Called with interim transcript text
+   * @param {Function} [options.onFinal] - Called with the final text and metadata
+   * @param {Function} [options.onError] - Called with an error message
+   */
+  constructor(streamUrl, options = {}) {
+    this.streamUrl = streamUrl;
+    this.options = options;
+    this.socket = null;
+    this.pendingChunks = [];
+    // Settled with the final transcript once stop() was called
+    this.finalTranscript = null;
+    this.resolveFinal = null;
+  }
+  
+  /**
+   * Open the WebSocket connection
+   */
+  connect() {
+    const params = withApiKeyParam();
+    if (this.options.language) params.set('language', this.options.language);
+    const glossaryId = getGlossaryId();
+    if (glossaryId) params.set('glossaryId', glossaryId);
+    
+    this.socket = new WebSocket(`${this.streamUrl}?${params.toString()}`);
+    
+    // Chunks recorded before the connection opened are sent in order once it does
+    this.socket.addEventListener('open', () => {
+      this.pendingChunks.forEach(chunk => this.socket.send(chunk));
+      this.pendingChunks = [];
+    });
+    
+    this.socket.addEventListener('message', (event) => this.handleMessage(event));
+    
+    this.socket.addEventListener('error', () => {
+      this.options.onError?.('Streaming connection failed');
+    });
+    
+    // A connection closed without a final transcript leaves the recording to be transcribed elsewhere
+    this.socket.addEventListener('close', () => this.settleFinal(null));
+  }
+  
+  /**
+   * Settle the promise returned by stop(), once
+   * @param {Object|null} transcript - `{ text, metadata }`, or null if there is none
+   */
+  settleFinal(transcript) {
+    if (this.resolveFinal) {
+      this.resolveFinal(transcript);
+      this.resolveFinal = null;
+    }
+  }
+  
+  /**
+   * Handle a transcript event from the server
+   */
+  handleMessage(event) {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      console.error('Invalid streaming message:', event.data);
+      return;
+    }
+    
+    switch (message.type) {
+      case 'partial':
+        this.options.onPartial?.(message.text);
+        break;
+        
+      case 'final':
+        this.options.onFinal?.(message.text, message.metadata);
+        this.settleFinal({ text: message.text, metadata: message.metadata });
+        break;
+        
+      case 'error':
+        this.options.onError?.(message.error);
+        if (message.final) this.settleFinal(null);
+        break;
+    }
+  }
+  
+  /**
+   * Send a recorded chunk to the server
+   * @param {Blob} chunk - Chunk from MediaRecorder's dataavailable event
+   */
+  sendChunk(chunk) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(chunk);
+    } else if (this.socket && this.socket.readyState === WebSocket.CONNECTING) {
+      this.pendingChunks.push(chunk);
+    }
+  }
+  
+  /**
+   * Signal the end of the recording so the server sends the final transcript
+   * @returns {Promise<Object|null>} - Resolves with the final `{ text, metadata }`, or with null
+   *   if the stream failed or closed without one
+   */
+  stop() {
+    const sendStop = () => this.socket.send(JSON.stringify({ type: 'stop' }));
+    
+    if (this.finalTranscript) return this.finalTranscript;
+    
+    this.finalTranscript = new Promise(resolve => {
+      this.resolveFinal = resolve;
+    });
+    
+    if (!this.socket) {
+      this.settleFinal(null);
+    } else if (this.socket.readyState === WebSocket.OPEN) {
+      sendStop();
+    } else if (this.socket.readyState === WebSocket.CONNECTING) {
+      this.socket.addEventListener('open', sendStop);
+    } else {
+      this.settleFinal(null);
+    }
+    
+    return this.finalTranscript;
+  }
+  
+  /**
+   * Close the connection without waiting for a final transcript
+   */
+  close() {
+    this.settleFinal(null);
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
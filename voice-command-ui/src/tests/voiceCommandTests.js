@@ -1,5 +1,6 @@
 // Test script for voice command functionality
 // Add this to the end of main.js for testing or in the browser console
+// Run the API with `npm run start:fake` to exercise the full flow without an OpenAI key
 
 function testVoiceCommands() {
   console.log('Testing voice command functionality...');
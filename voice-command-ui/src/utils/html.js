@@ -0,0 +1,17 @@
+/**
+ * HTML helpers shared by the components
+ */
+
+/**
+ * Escape text for use in HTML, results carry transcribed and LLM-generated text
+ * @param {string} text - Text to escape
+ * @returns {string} - Text safe to put in element content and attribute values
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}